@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const cron = require('node-cron');
+const { assertValidEnvelope } = require('financial-risk-analyzer-schemas');
 
 const KafkaService = require('./services/kafkaService');
 const AIAnalysisEngine = require('./services/aiAnalysisEngine');
@@ -63,7 +64,7 @@ async function initializeServices() {
           if (analysis) {
             await kafkaService.produce(
               process.env.KAFKA_OUTPUT_TOPIC || 'threat-analysis',
-              analysis
+              assertValidEnvelope(analysis)
             );
           }
         } catch (error) {
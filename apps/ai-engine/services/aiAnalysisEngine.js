@@ -1,9 +1,14 @@
+const { createEnvelope, decodeEnvelope, SchemaValidationError } = require('financial-risk-analyzer-schemas');
 const logger = require('../utils/logger');
 const AnomalyDetector = require('../models/anomalyDetector');
 const ThreatClassifier = require('../models/threatClassifier');
 const BehavioralAnalyzer = require('../models/behavioralAnalyzer');
 const FeatureExtractor = require('../utils/featureExtractor');
 
+// Ingestor events that retire an indicator instead of reporting a sighting
+const RETIREMENT_EVENTS = new Set(['indicator_expired', 'indicator_revoked']);
+const MAX_RETIRED_INDICATORS = 100000;
+
 class AIAnalysisEngine {
   constructor(modelManager, metricsCollector) {
     this.modelManager = modelManager;
@@ -24,6 +29,7 @@ class AIAnalysisEngine {
     this.isReady = false;
     this.processingQueue = [];
     this.batchBuffer = [];
+    this.retiredIndicators = new Map(); // hash -> { event_type, retired_at }
   }
 
   /**
@@ -60,7 +66,19 @@ class AIAnalysisEngine {
         throw new Error('AI Analysis Engine not ready');
       }
 
-      const data = JSON.parse(message.value.toString());
+      // Older envelopes are upconverted, anything else off-schema is rejected
+      const data = decodeEnvelope(message.value);
+      
+      // Stale indicators are dropped rather than analysed
+      if (RETIREMENT_EVENTS.has(data.event_type)) {
+        this.retireIndicator(data);
+        return null;
+      }
+      
+      // A retired indicator reported again is live once more
+      if (data.data && data.data.hash) {
+        this.retiredIndicators.delete(data.data.hash);
+      }
       
       // Extract features from the threat intelligence data
       const features = this.featureExtractor.extractFeatures(data);
@@ -73,20 +91,52 @@ class AIAnalysisEngine {
       this.metricsCollector.recordProcessingTime('message_analysis', processingTime);
       this.metricsCollector.incrementCounter('messages_processed');
       
-      return {
-        timestamp: new Date().toISOString(),
-        original_data: data,
+      return createEnvelope('analysis_result', {
+        threat_id: analysis.threat_id,
+        hash: data.data.hash,
         analysis: analysis,
+        original_event: data,
         processing_time_ms: processingTime,
         engine_version: '1.0.0'
-      };
+      }, { source: 'ai-engine' });
     } catch (error) {
+      if (error instanceof SchemaValidationError) {
+        logger.warn(`Rejected message: ${error.message}`);
+        this.metricsCollector.incrementCounter('messages_rejected');
+        return null;
+      }
       logger.error('Error analyzing message:', error);
       this.metricsCollector.recordError('message_analysis', error);
       return null;
     }
   }
 
+  /**
+   * Forget an expired or revoked indicator, including any batched sightings
+   * @param {Object} event - indicator_expired or indicator_revoked event
+   */
+  retireIndicator(event) {
+    const hash = event.data && event.data.hash;
+    if (!hash) return;
+
+    this.retiredIndicators.delete(hash);
+    this.retiredIndicators.set(hash, { event_type: event.event_type, retired_at: event.timestamp });
+    if (this.retiredIndicators.size > MAX_RETIRED_INDICATORS) {
+      this.retiredIndicators.delete(this.retiredIndicators.keys().next().value);
+    }
+
+    this.batchBuffer = this.batchBuffer.filter(item => !(item.data && item.data.hash === hash));
+    this.metricsCollector.incrementCounter('indicators_retired');
+  }
+
+  /**
+   * Whether the ingestor has expired or revoked an indicator
+   * @param {string} hash - Indicator hash
+   */
+  isRetired(hash) {
+    return this.retiredIndicators.has(hash);
+  }
+
   /**
    * Analyze threat data directly (for API endpoint)
    */
@@ -104,9 +154,12 @@ class AIAnalysisEngine {
       const processingTime = Date.now() - startTime;
       this.metricsCollector.recordProcessingTime('api_analysis', processingTime);
       
+      const hash = data.hash || (data.data && data.data.hash);
+      
       return {
         timestamp: new Date().toISOString(),
         analysis: analysis,
+        retired: hash ? this.isRetired(hash) : false,
         processing_time_ms: processingTime
       };
     } catch (error) {
@@ -468,7 +521,8 @@ class AIAnalysisEngine {
         behavioral_analyzer: this.behavioralAnalyzer.isReady()
       },
       queue_size: this.processingQueue.length,
-      batch_buffer_size: this.batchBuffer.length
+      batch_buffer_size: this.batchBuffer.length,
+      retired_indicators: this.retiredIndicators.size
     };
   }
 }
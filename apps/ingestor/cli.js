@@ -0,0 +1,685 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorSuppressor = require('./indicatorSuppressor');
+const TLPPolicy = require('./tlpPolicy');
+const { ConnectorRegistry, loadSourcesFile, validateSources, sourcesFromEnv, resolveCredential } = require('./connectorRegistry');
+const { toSTIXBundle } = require('./stixExporter');
+const { extractReportIndicators, previewIndicator } = require('./iocExtractor');
+const { AlphaVantageConnector } = require('./market/alphaVantageConnector');
+const { toFinancialRecords } = require('./market/marketDataCollector');
+const { parseOHLCV } = require('./market/ohlcvImporter');
+const { generateScenario, loadScenario, listScenarios } = require('./scenarios/scenarioGenerator');
+const { createEnvelope, validateData } = require('financial-risk-analyzer-schemas');
+
+const INGESTOR_API_URL = process.env.INGESTOR_API_URL || 'http://localhost:3002';
+const FETCH_FORMATS = ['table', 'ndjson', 'stix'];
+
+/**
+ * Print rows as an aligned text table
+ * @param {Object[]} rows - Objects to print
+ * @param {string[]} columns - Keys to print, in order
+ */
+function printTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => (row[column] === undefined || row[column] === null ? '' : String(row[column]))));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(cell => cell[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns.map(column => column.toUpperCase())));
+  for (const cell of cells) console.log(line(cell));
+}
+
+function readInput(file) {
+  return !file || file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * ingest extract - pull IOCs out of a threat report
+ */
+async function extractCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string' },
+      title: { type: 'string' },
+      url: { type: 'string' },
+      source: { type: 'string' },
+      confidence: { type: 'string' },
+      severity: { type: 'string' },
+      tlp: { type: 'string' },
+      tag: { type: 'string', multiple: true },
+      publish: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      api: { type: 'string', default: INGESTOR_API_URL }
+    }
+  });
+
+  const file = positionals[0];
+  const content = readInput(file);
+  const extension = file ? path.extname(file).toLowerCase() : '';
+  const options = {
+    format: values.format || ({ '.html': 'html', '.htm': 'html', '.md': 'markdown' })[extension],
+    title: values.title || (file && file !== '-' ? path.basename(file) : undefined),
+    url: values.url,
+    source: values.source,
+    confidence: values.confidence,
+    severity: values.severity,
+    tlp: values.tlp,
+    tags: values.tag
+  };
+
+  // Publishing goes through the running ingestor so its indicator store,
+  // suppression and enrichment apply
+  if (values.publish) {
+    const response = await axios.post(`${values.api.replace(/\/$/, '')}/extract`, { ...options, content, publish: true });
+    console.log(values.json ? JSON.stringify(response.data, null, 2) : `Published report ${response.data.report.hash}:`);
+    if (!values.json) console.log(response.data.summary);
+    return 0;
+  }
+
+  const { report, indicators } = extractReportIndicators(content, { ...options, client: new ThreatIntelClient() });
+  const suppressor = new IndicatorSuppressor({
+    allowlistFile: process.env.ALLOWLIST_FILE,
+    popularDomainsFile: process.env.POPULAR_DOMAINS_FILE
+  });
+  const preview = indicators.map(indicator => previewIndicator(indicator, suppressor));
+
+  if (values.json) {
+    console.log(JSON.stringify({ dry_run: true, report, indicators: preview }, null, 2));
+  } else {
+    printTable(preview, ['type', 'value', 'occurrences', 'suppressed']);
+    console.log(`\n${preview.length} indicators from ${report.title || 'report'} (dry run, --publish to send them)`);
+  }
+  return 0;
+}
+
+/**
+ * Connectors of the sources file (--sources, else SOURCES_FILE) or of the
+ * legacy per-source env vars, as the ingestor would build them
+ * @param {string} sourcesFile - Sources file
+ * @param {Object} options - Extra ConnectorRegistry options
+ */
+function loadRegistry(sourcesFile, options = {}) {
+  const file = sourcesFile || process.env.SOURCES_FILE;
+
+  return new ConnectorRegistry({
+    rateLimits: process.env.SOURCE_RATE_LIMITS ? JSON.parse(process.env.SOURCE_RATE_LIMITS) : {},
+    feedStateFile: process.env.FEED_STATE_FILE,
+    ...options
+  }).load(file ? loadSourcesFile(file) : sourcesFromEnv(process.env));
+}
+
+/**
+ * Connectors named with --source, disabled ones included, or every enabled one
+ */
+function selectConnectors(registry, names = []) {
+  if (names.length === 0) {
+    const enabled = registry.enabled();
+    if (enabled.length === 0) throw new Error('No source is enabled, name one with --source');
+    return enabled;
+  }
+
+  return names.map(name => {
+    const connector = registry.get(name);
+    if (!connector) {
+      throw new Error(`Unknown source "${name}" (known: ${registry.list().map(entry => entry.name).join(', ')})`);
+    }
+    return connector;
+  });
+}
+
+/**
+ * ingest fetch - poll sources once and show the normalised indicators,
+ * validation rejects and deduplication statistics, or write the indicators
+ * to a file or stdout instead of Kafka
+ *
+ * Without --dry-run, written indicators count as published: the sources'
+ * feed state and TAXII cursors advance, so the next fetch returns only what
+ * changed. Table output and --dry-run leave them alone.
+ */
+async function fetchCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      source: { type: 'string', multiple: true },
+      sources: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      out: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (!FETCH_FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${FETCH_FORMATS.join(', ')}`);
+  }
+  if (values.out && values.format === 'table') {
+    throw new Error('--out needs --format ndjson or stix');
+  }
+
+  const readOnly = values['dry-run'] || values.format === 'table';
+  const rejects = [];
+  let current = null;
+  const client = new ThreatIntelClient({
+    fusionStrategy: process.env.FUSION_STRATEGY,
+    onReject: (indicator, reason) => rejects.push({
+      source: current,
+      type: indicator.indicator_type,
+      value: indicator.indicator_value,
+      reason
+    })
+  });
+  const connectors = selectConnectors(loadRegistry(values.sources, { client, readOnly }), values.source);
+  const suppressor = new IndicatorSuppressor({
+    allowlistFile: process.env.ALLOWLIST_FILE,
+    popularDomainsFile: process.env.POPULAR_DOMAINS_FILE
+  });
+
+  // Progress lines and reports must not end up among indicators written to stdout
+  const log = console.log;
+  if (values.format !== 'table' && !values.out) console.log = console.error;
+
+  try {
+    const sources = [];
+    const collected = [];
+    const reliability = {};
+
+    for (const connector of connectors) {
+      current = connector.name;
+      const stats = { source: connector.name, status: 'ok', indicators: 0, rejected: 0, invalid: 0, suppressed: 0, error: null };
+      sources.push(stats);
+      if (connector.reliability !== null) reliability[connector.name] = connector.reliability;
+
+      let indicators;
+      try {
+        indicators = await connector.collect();
+      } catch (error) {
+        stats.status = 'failing';
+        stats.error = error.message;
+        continue;
+      }
+      stats.rejected = rejects.filter(reject => reject.source === connector.name).length;
+
+      // What the event schema refuses never reaches Kafka either
+      for (const indicator of indicators) {
+        const problems = validateData('threat_indicator', indicator);
+        if (problems.length > 0) {
+          stats.invalid++;
+          rejects.push({ source: connector.name, type: indicator.indicator_type, value: indicator.indicator_value, reason: problems.join('; ') });
+          continue;
+        }
+
+        const match = suppressor.check(indicator);
+        if (match) stats.suppressed++;
+        stats.indicators++;
+        collected.push({ indicator, suppressed: match ? match.reason : null });
+      }
+    }
+
+    const suppressed = new Map(collected.map(({ indicator, suppressed: reason }) => [indicator.hash, reason]));
+    const unique = client.deduplicateIndicators(collected.map(({ indicator }) => indicator), { reliability });
+
+    if (values.format === 'table') {
+      printTable(unique.map(indicator => ({
+        type: indicator.indicator_type,
+        value: indicator.indicator_value,
+        confidence: indicator.confidence_score,
+        severity: indicator.severity_level,
+        tlp: indicator.tlp_marking,
+        sources: indicator.source_feeds.join(','),
+        suppressed: suppressed.get(indicator.hash)
+      })), ['type', 'value', 'confidence', 'severity', 'tlp', 'sources', 'suppressed']);
+    } else {
+      // Suppressed indicators are never published, and files follow the TLP export policy
+      const tlpPolicy = process.env.TLP_POLICY_FILE
+        ? TLPPolicy.fromFile(process.env.TLP_POLICY_FILE, { resolveCredential })
+        : new TLPPolicy({}, { resolveCredential });
+      const { allowed, withheld } = tlpPolicy.filter('exports', values.format, unique.filter(indicator => !suppressed.get(indicator.hash)));
+      const output = values.format === 'stix'
+        ? `${JSON.stringify(toSTIXBundle(allowed), null, 2)}\n`
+        : allowed.map(indicator => `${JSON.stringify(createEnvelope('threat_indicator', indicator, { source: 'ingest-cli' }))}\n`).join('');
+
+      if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.log(`Wrote ${allowed.length} indicators to ${values.out}`);
+      } else {
+        process.stdout.write(output);
+      }
+      if (withheld.length > 0) {
+        console.log(`🔒 Withheld ${withheld.length} indicators marked above TLP:${tlpPolicy.maxTLP('exports', values.format).toUpperCase()}`);
+      }
+
+      if (!readOnly) {
+        for (const connector of connectors) connector.commit();
+      }
+    }
+
+    if (rejects.length > 0) {
+      console.log('\nRejected:');
+      printTable(rejects, ['source', 'type', 'value', 'reason']);
+    }
+
+    console.log('');
+    printTable(sources, ['source', 'status', 'indicators', 'rejected', 'invalid', 'suppressed', 'error']);
+    console.log(`\n${collected.length} indicators, ${unique.length} after deduplication (${collected.length - unique.length} duplicates merged, ${unique.filter(indicator => indicator.source_feeds.length > 1).length} reported by several sources)`);
+    console.log(readOnly ? '(dry run, feed state left alone)' : '(feed state saved, --dry-run to leave it alone)');
+
+    return sources.some(stats => stats.status === 'failing') ? 1 : 0;
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * ingest validate-config - check the sources file, the credentials of
+ * enabled sources and the TLP policy without starting anything
+ */
+async function validateConfigCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      sources: { type: 'string' },
+      'tlp-policy': { type: 'string' }
+    }
+  });
+
+  const sourcesFile = values.sources || process.env.SOURCES_FILE;
+  const tlpPolicyFile = values['tlp-policy'] || process.env.TLP_POLICY_FILE;
+  const problems = [];
+  let entries = [];
+
+  try {
+    entries = sourcesFile ? loadSourcesFile(sourcesFile) : sourcesFromEnv(process.env);
+    problems.push(...validateSources(entries));
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  // Credentials of disabled sources may legitimately be missing
+  const enabled = entries.filter(entry => entry && entry.enabled !== false);
+  for (const entry of enabled) {
+    const credentials = entry.credentials && typeof entry.credentials === 'object' ? entry.credentials : {};
+
+    for (const [key, ref] of Object.entries(credentials)) {
+      try {
+        if (!resolveCredential(ref)) problems.push(`source "${entry.name}": credential "${key}" (${ref}) is not set`);
+      } catch (error) {
+        problems.push(`source "${entry.name}": ${error.message}`);
+      }
+    }
+  }
+
+  try {
+    if (tlpPolicyFile) TLPPolicy.fromFile(tlpPolicyFile, { resolveCredential });
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  try {
+    if (process.env.SOURCE_RATE_LIMITS) JSON.parse(process.env.SOURCE_RATE_LIMITS);
+  } catch (error) {
+    problems.push(`SOURCE_RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+
+  console.log(`Sources: ${sourcesFile || 'legacy environment variables'}, ${entries.length} sources (${enabled.length} enabled)`);
+  console.log(`TLP policy: ${tlpPolicyFile || 'built-in defaults'}`);
+
+  if (problems.length > 0) {
+    for (const problem of problems) console.log(`✗ ${problem}`);
+    return 1;
+  }
+
+  console.log('✓ Configuration is valid');
+  return 0;
+}
+
+/**
+ * ingest test-source - run the health probe of some sources: reachability
+ * and credentials, nothing is fetched into the ingestor
+ */
+async function testSourceCommand(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      source: { type: 'string', multiple: true },
+      sources: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  const connectors = selectConnectors(loadRegistry(values.sources, { readOnly: true }), values.source);
+  const results = [];
+  for (const connector of connectors) results.push(await connector.healthcheck());
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printTable(results, ['source', 'type', 'status', 'latency_ms', 'error']);
+  }
+  return results.some(result => result.status !== 'ok') ? 1 : 0;
+}
+
+const MARKET_COLUMNS = ['symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'price_change_percent', 'gap_percent', 'volatility', 'market_sentiment'];
+
+function printMarketRecords(records, values, note) {
+  if (values.json) {
+    console.log(JSON.stringify(records, null, 2));
+  } else {
+    printTable(records.map(record => ({ ...record, timestamp: record.timestamp.slice(0, 10) })), MARKET_COLUMNS);
+    console.log(`\n${note}`);
+  }
+}
+
+/**
+ * ingest market fetch - show the bars and derived fields the ingestor would
+ * publish for some symbols, live or from recorded responses
+ */
+async function marketFetchCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      replay: { type: 'string' },
+      record: { type: 'string' },
+      last: { type: 'string', default: '10' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+
+  const symbols = positionals.length > 0 ? positionals : (process.env.SYMBOLS || '').split(',').filter(Boolean);
+  if (symbols.length === 0) {
+    throw new Error('Name at least one symbol or set SYMBOLS');
+  }
+
+  const fixtureDir = values.replay || values.record || process.env.MARKET_FIXTURE_DIR;
+  const fixtureMode = values.replay ? 'replay' : values.record ? 'record' : process.env.MARKET_FIXTURE_MODE;
+  const connector = new AlphaVantageConnector({
+    apiKey: process.env.ALPHA_VANTAGE_API_KEY,
+    url: process.env.ALPHA_VANTAGE_URL,
+    fixtureDir,
+    fixtureMode
+  });
+
+  const records = [];
+  for (const symbol of symbols) {
+    const bars = await connector.fetchDailyBars(symbol.toUpperCase());
+    records.push(...toFinancialRecords(bars).slice(-Number(values.last)));
+  }
+
+  printMarketRecords(records, values, `${records.length} records from ${connector.name} (nothing published)`);
+  return 0;
+}
+
+/**
+ * ingest market import - derive the worker's fields from an OHLCV CSV file
+ */
+async function marketImportCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      symbol: { type: 'string' },
+      source: { type: 'string' },
+      publish: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      api: { type: 'string', default: INGESTOR_API_URL }
+    }
+  });
+
+  const file = positionals[0];
+  const options = {
+    symbol: values.symbol || (file && file !== '-' ? path.parse(file).name : undefined),
+    source: values.source || (file && file !== '-' ? path.basename(file) : undefined)
+  };
+  const content = readInput(file);
+
+  if (values.publish) {
+    const response = await axios.post(`${values.api.replace(/\/$/, '')}/market/import`, content, {
+      params: { ...options, publish: true },
+      headers: { 'Content-Type': 'text/csv' }
+    });
+    console.log(values.json
+      ? JSON.stringify(response.data, null, 2)
+      : `Published ${response.data.published} records (${response.data.skipped} rows skipped)`);
+    return 0;
+  }
+
+  const { bars, skipped } = parseOHLCV(content, options);
+  printMarketRecords(toFinancialRecords(bars), values, `${bars.length} records, ${skipped} rows skipped (dry run, --publish to send them)`);
+  return 0;
+}
+
+const MARKET_COMMANDS = {
+  fetch: marketFetchCommand,
+  import: marketImportCommand
+};
+
+async function marketCommand(args) {
+  const [name, ...rest] = args;
+  if (!MARKET_COMMANDS[name]) {
+    console.log(`Usage: ingest ${COMMANDS.market.usage}`);
+    return 1;
+  }
+
+  return MARKET_COMMANDS[name](rest);
+}
+
+/**
+ * ingest scenario list - scenarios shipped with the ingestor
+ */
+async function scenarioListCommand() {
+  printTable(listScenarios(), ['name', 'duration', 'description']);
+  return 0;
+}
+
+/**
+ * ingest scenario generate - write a scenario's events as NDJSON envelopes or
+ * a table, or have the running ingestor publish them
+ */
+async function scenarioGenerateCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      seed: { type: 'string' },
+      start: { type: 'string' },
+      duration: { type: 'string' },
+      rate: { type: 'string' },
+      format: { type: 'string', default: 'ndjson' },
+      out: { type: 'string' },
+      publish: { type: 'boolean', default: false },
+      api: { type: 'string', default: INGESTOR_API_URL }
+    }
+  });
+
+  if (!positionals[0]) {
+    throw new Error('Name a scenario or a scenario file, see ingest scenario list');
+  }
+  if (!['ndjson', 'table'].includes(values.format)) {
+    throw new Error('--format must be ndjson or table');
+  }
+
+  const definition = loadScenario(positionals[0]);
+  const options = {
+    seed: values.seed,
+    start: values.start,
+    duration: values.duration,
+    rateMultiplier: values.rate !== undefined ? Number(values.rate) : undefined
+  };
+
+  if (values.publish) {
+    const response = await axios.post(`${values.api.replace(/\/$/, '')}/scenarios/run`, {
+      definition,
+      seed: options.seed,
+      start: options.start,
+      duration: options.duration,
+      rate_multiplier: options.rateMultiplier
+    });
+    console.log(`Publishing scenario ${response.data.scenario} with seed ${response.data.seed}, see GET /status for progress`);
+    return 0;
+  }
+
+  const events = generateScenario(definition, options);
+  const source = `scenario:${definition.name}`;
+
+  if (values.format === 'table') {
+    printTable(events.map(event => ({
+      time: new Date(event.at).toISOString(),
+      stream: event.stream,
+      type: event.kind === 'threat' ? event.record.indicator_type : 'tick',
+      value: event.kind === 'threat' ? event.record.indicator_value : `${event.record.symbol} ${event.record.close}`,
+      severity: event.record.severity_level,
+      confidence: event.record.confidence_score
+    })), ['time', 'stream', 'type', 'value', 'severity', 'confidence']);
+    console.log(`\n${events.length} events from ${definition.name} (nothing published)`);
+    return 0;
+  }
+
+  const lines = events.map(event => JSON.stringify(createEnvelope(
+    event.kind === 'threat' ? 'threat_indicator' : 'financial_tick',
+    event.record,
+    { source, timestamp: new Date(event.at).toISOString() }
+  )));
+  const output = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+    console.log(`Wrote ${lines.length} events from ${definition.name} to ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+const SCENARIO_COMMANDS = {
+  list: scenarioListCommand,
+  generate: scenarioGenerateCommand
+};
+
+async function scenarioCommand(args) {
+  const [name, ...rest] = args;
+  if (!SCENARIO_COMMANDS[name]) {
+    console.log(`Usage: ingest ${COMMANDS.scenario.usage}`);
+    return 1;
+  }
+
+  return SCENARIO_COMMANDS[name](rest);
+}
+
+/**
+ * ingest backfill - have the running ingestor re-ingest a past time window of
+ * a source, or list the backfills it has run
+ */
+async function backfillCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      source: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      topic: { type: 'string' },
+      restart: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      api: { type: 'string', default: INGESTOR_API_URL }
+    }
+  });
+  const api = values.api.replace(/\/$/, '');
+
+  if (positionals[0] === 'list') {
+    const { backfills } = (await axios.get(`${api}/backfill`)).data;
+    if (values.json) {
+      console.log(JSON.stringify(backfills, null, 2));
+    } else {
+      printTable(backfills, ['id', 'source', 'from', 'to', 'status', 'pages', 'indicators', 'topic']);
+    }
+    return 0;
+  }
+
+  if (!values.source || !values.from) {
+    console.log(`Usage: ingest ${COMMANDS.backfill.usage}`);
+    return 1;
+  }
+
+  const response = await axios.post(`${api}/backfill`, {
+    source: values.source,
+    from: values.from,
+    to: values.to,
+    topic: values.topic,
+    restart: values.restart
+  });
+  const { data } = response;
+
+  if (values.json) {
+    console.log(JSON.stringify(data, null, 2));
+  } else if (data.status === 'completed') {
+    console.log(`Backfill ${data.job.id} of ${data.job.source} already completed (${data.job.indicators} indicators), --restart to run it again`);
+  } else {
+    console.log(`${data.resumed ? 'Resuming' : 'Started'} backfill ${data.id} of ${data.source} from ${data.from} to ${data.to} into ${data.topic}, see GET /backfill/${data.id}`);
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  fetch: {
+    run: fetchCommand,
+    usage: 'fetch [--source NAME]... [--sources FILE] [--format table|ndjson|stix] [--out FILE] [--dry-run]'
+  },
+  'validate-config': {
+    run: validateConfigCommand,
+    usage: 'validate-config [--sources FILE] [--tlp-policy FILE]'
+  },
+  'test-source': {
+    run: testSourceCommand,
+    usage: 'test-source [--source NAME]... [--sources FILE] [--json]'
+  },
+  extract: {
+    run: extractCommand,
+    usage: 'extract [file|-] [--format text|html|markdown] [--title T] [--url U] [--source S] [--confidence N] [--severity S] [--tlp T] [--tag T]... [--json] [--publish [--api URL]]'
+  },
+  market: {
+    run: marketCommand,
+    usage: 'market fetch [SYMBOL]... [--replay DIR | --record DIR] [--last N] [--json]\n  ingest market import [file.csv|-] [--symbol S] [--source S] [--json] [--publish [--api URL]]'
+  },
+  scenario: {
+    run: scenarioCommand,
+    usage: 'scenario list\n  ingest scenario generate <name|file> [--seed S] [--start TIME] [--duration D] [--rate N] [--format ndjson|table] [--out FILE] [--publish [--api URL]]'
+  },
+  backfill: {
+    run: backfillCommand,
+    usage: 'backfill --source S --from TIME|DURATION [--to TIME|DURATION] [--topic T] [--restart] [--json] [--api URL]\n  ingest backfill list [--json] [--api URL]'
+  }
+};
+
+function usage() {
+  console.log('Usage: ingest <command> [options]\n');
+  for (const command of Object.values(COMMANDS)) console.log(`  ingest ${command.usage}`);
+}
+
+async function main(argv) {
+  const [name, ...args] = argv;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    usage();
+    return name && name !== 'help' ? 1 : 0;
+  }
+
+  return command.run(args);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    const detail = error.response && error.response.data && error.response.data.error;
+    console.error(`✗ ${detail || error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main, printTable };
@@ -0,0 +1,141 @@
+// Sources whose reliability is unknown, unrated or graded F, are neutral in
+// every strategy: their confidence counts as reported
+const UNRATED_WEIGHT = 1;
+
+// Weight of a source's confidence per Admiralty (NATO) source reliability grade
+const ADMIRALTY_RELIABILITY = {
+  A: 1.0, // Completely reliable
+  B: 0.8, // Usually reliable
+  C: 0.6, // Fairly reliable
+  D: 0.4, // Not usually reliable
+  E: 0.2, // Unreliable
+  F: UNRATED_WEIGHT // Reliability cannot be judged
+};
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+/**
+ * Noisy-OR: each source is an independent chance that the indicator is
+ * malicious, so corroboration raises the score
+ */
+function noisyOr(contributions) {
+  const miss = contributions.reduce((product, c) => product * (1 - c.weight * c.confidence / 100), 1);
+  return (1 - miss) * 100;
+}
+
+/**
+ * Reliability-weighted average of the source confidences
+ */
+function weightedMean(contributions) {
+  const totalWeight = contributions.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight === 0) return 0;
+  return contributions.reduce((sum, c) => sum + c.weight * c.confidence, 0) / totalWeight;
+}
+
+/**
+ * Highest reliability-weighted confidence of any source
+ */
+function max(contributions) {
+  return Math.max(...contributions.map(c => c.weight * c.confidence));
+}
+
+// Fusion function per FUSION_STRATEGY value
+const FUSION_STRATEGIES = new Map([
+  ['noisy_or', noisyOr],
+  ['weighted_mean', weightedMean],
+  ['max', max]
+]);
+
+const DEFAULT_STRATEGY = 'noisy_or';
+
+/**
+ * Make a fusion strategy available to FUSION_STRATEGY
+ * @param {string} name - Strategy name
+ * @param {Function} fuse - (contributions) => confidence 0-100
+ */
+function registerFusionStrategy(name, fuse) {
+  FUSION_STRATEGIES.set(name, fuse);
+}
+
+/**
+ * Weight of an Admiralty reliability grade, or of a plain number 0-1
+ * @param {string|number} reliability - A-F grade or weight, none for an unrated source
+ */
+function reliabilityWeight(reliability) {
+  if (typeof reliability === 'number') return Math.min(1, Math.max(0, reliability));
+  if (reliability === undefined || reliability === null) return UNRATED_WEIGHT;
+
+  const grade = String(reliability).toUpperCase();
+  return ADMIRALTY_RELIABILITY[grade] !== undefined ? ADMIRALTY_RELIABILITY[grade] : UNRATED_WEIGHT;
+}
+
+/**
+ * Whether a sources file reliability value is usable
+ */
+function isValidReliability(reliability) {
+  if (typeof reliability === 'number') return reliability >= 0 && reliability <= 1;
+  return typeof reliability === 'string' && ADMIRALTY_RELIABILITY[reliability.toUpperCase()] !== undefined;
+}
+
+/**
+ * Higher of two severity levels; unknown levels rank below info
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a;
+}
+
+/**
+ * Combine the reports of one indicator from several sources
+ * @param {Object[]} indicators - Same-hash indicators from different sources
+ * @param {Object} options - Fusion options
+ * @param {string} options.strategy - noisy_or, weighted_mean, max or a registered name
+ * @param {Object} options.reliability - Source name to Admiralty grade or weight
+ * @returns {Object} - { confidence, severity, fusion } where fusion is the
+ *   metadata record of the strategy and every source's contribution
+ */
+function fuseConfidence(indicators, options = {}) {
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  const fuse = FUSION_STRATEGIES.get(strategy);
+  if (!fuse) {
+    throw new Error(`Unknown fusion strategy "${strategy}" (known: ${[...FUSION_STRATEGIES.keys()].join(', ')})`);
+  }
+  const reliability = options.reliability || {};
+
+  // One contribution per source, its most confident report
+  const bySource = new Map();
+  let severity = indicators[0].severity_level;
+  for (const indicator of indicators) {
+    severity = maxSeverity(severity, indicator.severity_level);
+
+    for (const source of indicator.source_feeds || []) {
+      const known = bySource.get(source);
+      if (!known || indicator.confidence_score > known.confidence) {
+        bySource.set(source, {
+          source,
+          confidence: indicator.confidence_score,
+          reliability: reliability[source] !== undefined ? reliability[source] : null,
+          weight: reliabilityWeight(reliability[source])
+        });
+      }
+    }
+  }
+
+  const contributions = Array.from(bySource.values());
+  const confidence = Math.round(Math.min(100, Math.max(0, fuse(contributions))));
+
+  return {
+    confidence,
+    severity,
+    fusion: { strategy, contributions }
+  };
+}
+
+module.exports = {
+  ADMIRALTY_RELIABILITY,
+  FUSION_STRATEGIES,
+  registerFusionStrategy,
+  reliabilityWeight,
+  isValidReliability,
+  maxSeverity,
+  fuseConfidence
+};
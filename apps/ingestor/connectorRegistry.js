@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const cron = require('node-cron');
+const JsonStateStore = require('./stateStore');
+const { SourceLimiterRegistry } = require('./sourceLimiter');
+const { isValidReliability } = require('./confidenceFusion');
+const { parseTLP, TLP_LEVELS } = require('./tlp');
+const { parseDuration } = require('./duration');
+const { OVERLAP_POLICIES } = require('./ingestionScheduler');
+const VirusTotalConnector = require('./connectors/virusTotalConnector');
+const MISPConnector = require('./connectors/mispConnector');
+const TaxiiConnector = require('./connectors/taxiiConnector');
+const JSONFeedConnector = require('./connectors/jsonFeedConnector');
+const BlocklistConnector = require('./connectors/blocklistConnector');
+const CSVFeedConnector = require('./connectors/csvFeedConnector');
+
+// Connector class per `type` in the sources file
+const CONNECTOR_TYPES = new Map([
+  ['virustotal', VirusTotalConnector],
+  ['misp', MISPConnector],
+  ['taxii', TaxiiConnector],
+  ['json', JSONFeedConnector],
+  ['plaintext', BlocklistConnector],
+  ['csv', CSVFeedConnector]
+]);
+
+// Types that have a well-known endpoint and need no `url`
+const URL_OPTIONAL_TYPES = new Set(['virustotal']);
+
+/**
+ * Make a connector class available to sources files
+ * @param {string} type - Value of `type` in the sources file
+ * @param {Function} ConnectorClass - Subclass of Connector
+ * @param {Object} options - { urlOptional: true } for types with a fixed endpoint
+ */
+function registerConnectorType(type, ConnectorClass, { urlOptional = false } = {}) {
+  CONNECTOR_TYPES.set(type, ConnectorClass);
+  if (urlOptional) URL_OPTIONAL_TYPES.add(type);
+}
+
+/**
+ * Resolve a credential reference
+ *
+ * `env:NAME` reads an environment variable, `file:/path` reads a secret file
+ * (e.g. a Docker secret); anything else is used as is.
+ * @param {string} ref - Credential reference
+ * @param {Object} env - Environment to read from
+ */
+function resolveCredential(ref, env = process.env) {
+  if (typeof ref !== 'string') return ref;
+
+  if (ref.startsWith('env:')) {
+    return env[ref.slice(4)];
+  }
+
+  if (ref.startsWith('file:')) {
+    const secretPath = ref.slice(5);
+    try {
+      return fs.readFileSync(secretPath, 'utf8').trim();
+    } catch (error) {
+      throw new Error(`Cannot read credential file ${secretPath}: ${error.message}`);
+    }
+  }
+
+  return ref;
+}
+
+/**
+ * Read a YAML or JSON sources file
+ *
+ * The file holds a `sources` list (or is the list itself):
+ * sources:
+ *   - name: partner-feed
+ *     type: json
+ *     url: https://feeds.example.org/iocs.json
+ *     enabled: true
+ *     schedule: "0 * * * *"
+ *     overlap: skip
+ *     reliability: B
+ *     tlp: amber
+ *     credentials: { apiKey: env:PARTNER_FEED_KEY }
+ *     mapping: { json_path: data, fields: { value: ioc } }
+ *     options: { apiKeyHeader: X-Api-Key }
+ *     rate_limit: { requestsPerMinute: 10 }
+ * @param {string} filePath - Path to a .yml, .yaml or .json file
+ * @returns {Object[]} - Source entries
+ */
+function loadSourcesFile(filePath) {
+  let parsed;
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    parsed = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase())
+      ? YAML.parse(content)
+      : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid sources file ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : (parsed && parsed.sources);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid sources file ${filePath}: expected a "sources" list`);
+  }
+
+  return entries;
+}
+
+function isValidInterval(value) {
+  try {
+    return parseDuration(value) > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check source entries before any connector is built
+ * @param {Object[]} entries - Source entries
+ * @returns {string[]} - Problems found, empty when valid
+ */
+function validateSources(entries) {
+  const errors = [];
+  const names = new Set();
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  entries.forEach((entry, index) => {
+    const label = entry && entry.name ? `source "${entry.name}"` : `source #${index}`;
+
+    if (!isObject(entry)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+      errors.push(`${label}: name is required`);
+    } else if (names.has(entry.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(entry.name);
+    }
+
+    if (!CONNECTOR_TYPES.has(entry.type)) {
+      errors.push(`${label}: unknown type "${entry.type}" (known: ${[...CONNECTOR_TYPES.keys()].join(', ')})`);
+    } else if (!entry.url && !URL_OPTIONAL_TYPES.has(entry.type)) {
+      errors.push(`${label}: url is required for type ${entry.type}`);
+    }
+
+    if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+      errors.push(`${label}: enabled must be true or false`);
+    }
+
+    if (entry.schedule !== undefined && !(typeof entry.schedule === 'string' && cron.validate(entry.schedule))) {
+      errors.push(`${label}: schedule must be a cron expression`);
+    }
+
+    if (entry.interval !== undefined) {
+      if (entry.schedule !== undefined) {
+        errors.push(`${label}: use either schedule or interval`);
+      } else if (!isValidInterval(entry.interval)) {
+        errors.push(`${label}: interval must be a duration such as 10m or 1h`);
+      }
+    }
+
+    if (entry.overlap !== undefined && !OVERLAP_POLICIES.includes(entry.overlap)) {
+      errors.push(`${label}: overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+    }
+
+    if (entry.reliability !== undefined && !isValidReliability(entry.reliability)) {
+      errors.push(`${label}: reliability must be an Admiralty grade A-F or a weight between 0 and 1`);
+    }
+
+    if (entry.tlp !== undefined && !parseTLP(entry.tlp)) {
+      errors.push(`${label}: tlp must be one of ${TLP_LEVELS.join(', ')}`);
+    }
+
+    for (const field of ['credentials', 'mapping', 'options', 'rate_limit']) {
+      if (entry[field] !== undefined && !isObject(entry[field])) {
+        errors.push(`${label}: ${field} must be an object`);
+      }
+    }
+
+    if (isObject(entry.credentials)) {
+      for (const [key, ref] of Object.entries(entry.credentials)) {
+        if (typeof ref !== 'string') {
+          errors.push(`${label}: credential "${key}" must be a string reference such as env:NAME`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build source entries from the legacy per-source environment variables, used
+ * when no SOURCES_FILE is configured
+ * @param {Object} env - Environment to read from
+ */
+function sourcesFromEnv(env = process.env) {
+  const entries = [];
+
+  if (env.VIRUSTOTAL_API_KEY) {
+    entries.push({ name: 'virustotal', type: 'virustotal', credentials: { apiKey: 'env:VIRUSTOTAL_API_KEY' } });
+  }
+
+  if (env.MISP_URL && env.MISP_API_KEY) {
+    entries.push({ name: 'misp', type: 'misp', url: env.MISP_URL, credentials: { apiKey: 'env:MISP_API_KEY' } });
+  }
+
+  if (env.TAXII_URL) {
+    entries.push({
+      name: 'taxii',
+      type: 'taxii',
+      url: env.TAXII_URL,
+      credentials: { username: 'env:TAXII_USERNAME', password: 'env:TAXII_PASSWORD' },
+      options: {
+        collections: env.TAXII_COLLECTIONS
+          ? env.TAXII_COLLECTIONS.split(',').map(name => name.trim()).filter(Boolean)
+          : [],
+        pageSize: parseInt(env.TAXII_PAGE_SIZE) || undefined,
+        maxPages: parseInt(env.TAXII_MAX_PAGES) || undefined
+      }
+    });
+  }
+
+  if (env.JSON_FEED_URLS && env.JSON_FEED_NAMES) {
+    console.warn('JSON_FEED_URLS/JSON_FEED_NAMES are deprecated, list feeds in a SOURCES_FILE instead');
+    const urls = env.JSON_FEED_URLS.split(',');
+    const names = env.JSON_FEED_NAMES.split(',');
+
+    for (let i = 0; i < Math.min(urls.length, names.length); i++) {
+      entries.push({ name: names[i].trim(), type: 'json', url: urls[i].trim() });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Builds and holds one connector per configured source
+ */
+class ConnectorRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {ThreatIntelClient} options.client - Shared normalization client
+   * @param {SourceLimiterRegistry} options.limiters - Shared rate limiters
+   * @param {Object} options.rateLimits - Limiter overrides when no registry is passed
+   * @param {Function} options.resolveCredential - Credential resolver
+   * @param {string} options.feedStateFile - Where HTTP validators and high-water marks are kept
+   * @param {boolean} options.readOnly - Use the saved feed state and cursors
+   *   but never write them, for dry runs
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.limiters = options.limiters || new SourceLimiterRegistry(options.rateLimits);
+    this.resolveCredential = options.resolveCredential || resolveCredential;
+    this.readOnly = Boolean(options.readOnly);
+    this.feedState = options.feedState || new JsonStateStore(
+      options.feedStateFile || JsonStateStore.resolve('feed-state.json'),
+      { readOnly: this.readOnly }
+    );
+    this.connectors = new Map();
+  }
+
+  /**
+   * Validate source entries and build their connectors
+   * @param {Object[]} entries - Source entries from a sources file or sourcesFromEnv
+   */
+  load(entries) {
+    const errors = validateSources(entries);
+    if (errors.length > 0) {
+      throw new Error(`Invalid sources configuration:\n  ${errors.join('\n  ')}`);
+    }
+
+    const context = {
+      client: this.client,
+      limiters: this.limiters,
+      resolveCredential: this.resolveCredential,
+      feedState: this.feedState,
+      readOnly: this.readOnly
+    };
+
+    this.connectors.clear();
+    for (const entry of entries) {
+      // SOURCE_RATE_LIMITS still wins over the entry's own rate_limit
+      if (entry.rate_limit && !this.limiters.overrides[entry.name]) {
+        this.limiters.overrides[entry.name] = entry.rate_limit;
+      }
+
+      const ConnectorClass = CONNECTOR_TYPES.get(entry.type);
+      this.connectors.set(entry.name, new ConnectorClass(entry, context));
+    }
+
+    return this;
+  }
+
+  get(name) {
+    return this.connectors.get(name);
+  }
+
+  list() {
+    return Array.from(this.connectors.values());
+  }
+
+  /**
+   * Enabled connectors, optionally only those with or without their own
+   * schedule or interval
+   * @param {Object} filter - { scheduled: true|false }
+   */
+  enabled(filter = {}) {
+    return this.list().filter(connector => {
+      if (!connector.enabled) return false;
+      if (filter.scheduled === undefined) return true;
+      return Boolean(connector.schedule || connector.interval) === filter.scheduled;
+    });
+  }
+
+  /**
+   * Run every enabled connector's healthcheck
+   */
+  async healthcheck() {
+    return Promise.all(this.enabled().map(connector => connector.healthcheck()));
+  }
+
+  /**
+   * Connector descriptions with their rate limit and circuit breaker state
+   */
+  describe() {
+    const states = new Map(this.limiters.getStates().map(state => [state.source, state]));
+
+    return this.list().map(connector => ({
+      ...connector.describe(),
+      state: states.get(connector.name) || null
+    }));
+  }
+}
+
+module.exports = {
+  ConnectorRegistry,
+  registerConnectorType,
+  resolveCredential,
+  loadSourcesFile,
+  validateSources,
+  sourcesFromEnv
+};
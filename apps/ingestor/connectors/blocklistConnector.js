@@ -0,0 +1,154 @@
+const net = require('net');
+const Connector = require('./connector');
+const { mapIndicatorRecord } = require('../datasetIngestor');
+const { parseCIDR, expandCIDR } = require('../ipUtils');
+const { refang } = require('../indicatorCanonicalizer');
+
+const DEFAULT_COMMENT_PREFIXES = ['#', ';', '//'];
+const DEFAULT_MAX_CIDR_EXPANSION = 256;
+
+/**
+ * Guess the indicator type of a bare blocklist value
+ * @param {string} value - IP, network, URL, hash, email or domain
+ */
+function detectIndicatorType(value) {
+  if (net.isIP(value)) return 'ip';
+  if (parseCIDR(value)) return 'cidr';
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) return 'url';
+  if (/^(?:[a-f0-9]{32}|[a-f0-9]{40}|[a-f0-9]{64})$/i.test(value)) return 'hash';
+  if (value.includes('@')) return 'email';
+  return 'domain';
+}
+
+/**
+ * Line-oriented IP/domain/URL blocklist, e.g. abuse.ch or hosts-style feeds
+ *
+ * options:
+ *   indicatorType    - ip, domain, url, hash or auto (default, detected per line)
+ *   column           - Index of the value on each line (default 0, 1 for hosts files)
+ *   delimiter        - Field separator (default whitespace)
+ *   commentPrefixes  - Full-line comment markers (default #, ;, //)
+ *   cidr             - keep (default), expand or skip networks
+ *   maxCidrExpansion - Largest IPv4 network expanded to single IPs (default 256)
+ *   sinceParam       - Query parameter the high-water mark is sent in
+ * mapping.defaults sets confidence, severity, tags and tlp for every entry.
+ */
+class BlocklistConnector extends Connector {
+  async fetch(window = null) {
+    const response = await this.httpGet(this.url, {
+      headers: this.options.headers || {},
+      params: window ? {} : this.sinceParams(),
+      responseType: 'text',
+      transformResponse: data => data // keep the raw text, never JSON.parse it
+    }, window);
+
+    return response ? response.data : null;
+  }
+
+  /**
+   * Extract the raw value of every non-comment line
+   * @param {string} text - Feed body
+   */
+  parseLines(text) {
+    const commentPrefixes = this.options.commentPrefixes || DEFAULT_COMMENT_PREFIXES;
+    const column = this.options.column || 0;
+    const values = [];
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      // Inline comments need leading whitespace so URL fragments survive
+      const line = rawLine.replace(/\s+(?:#|;|\/\/).*$/, '').trim();
+      if (!line || commentPrefixes.some(prefix => line.startsWith(prefix))) continue;
+
+      const fields = this.options.delimiter ? line.split(this.options.delimiter) : line.split(/\s+/);
+      const value = (fields[column] || '').trim();
+      if (value) values.push(value);
+    }
+
+    return values;
+  }
+
+  /**
+   * Resolve the type of a value and apply the CIDR policy
+   * @param {string} value - Raw value
+   * @param {string} type - Configured type, or undefined/auto to detect
+   * @returns {Object[]} - Zero or more { type, value }
+   */
+  expandValue(value, type) {
+    // Defanged entries (1.2.3[.]4, hxxp://...) are detected by their real form
+    value = refang(value);
+
+    if (!type || type === 'auto') {
+      type = detectIndicatorType(value);
+    }
+
+    const cidr = (type === 'ip' || type === 'cidr') ? parseCIDR(value) : null;
+    if (!cidr) return [{ type, value }];
+
+    const hostPrefix = cidr.version === 4 ? 32 : 128;
+    if (cidr.prefix === hostPrefix) {
+      return [{ type: 'ip', value: cidr.address }];
+    }
+
+    const policy = this.options.cidr || 'keep';
+    if (policy === 'skip') return [];
+
+    const maxExpansion = this.options.maxCidrExpansion || DEFAULT_MAX_CIDR_EXPANSION;
+    if (policy === 'expand' && cidr.version === 4 && 2 ** (32 - cidr.prefix) <= maxExpansion) {
+      return expandCIDR(cidr).map(address => ({ type: 'ip', value: address }));
+    }
+
+    return [{ type: 'cidr', value }];
+  }
+
+  /**
+   * Turn raw feed records into indicators through the mapping
+   * @param {Object[]} records - Raw records holding a value and optional type
+   * @param {string} valueField - Record key of the value
+   * @param {string} typeField - Record key of the type
+   */
+  toIndicators(records, valueField = 'value', typeField = 'type') {
+    const indicators = [];
+
+    for (const record of records) {
+      const value = record[valueField];
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+
+      const type = record[typeField] || (this.mapping.defaults || {}).type || this.options.indicatorType;
+
+      for (const expanded of this.expandValue(String(value).trim(), type)) {
+        const indicator = mapIndicatorRecord(
+          { ...record, [valueField]: expanded.value, [typeField]: expanded.type },
+          this.mapping,
+          this.client,
+          this.name
+        );
+
+        if (indicator) {
+          Object.assign(indicator.metadata, this.recordMetadata(record));
+        }
+        indicators.push(indicator);
+      }
+    }
+
+    return indicators;
+  }
+
+  /**
+   * Extra columns copied into metadata, per mapping.metadata ({ key: column })
+   * @param {Object} record - Raw record
+   */
+  recordMetadata(record) {
+    const metadata = {};
+
+    for (const [key, column] of Object.entries(this.mapping.metadata || {})) {
+      if (record[column] !== undefined && record[column] !== '') metadata[key] = record[column];
+    }
+    return metadata;
+  }
+
+  normalize(text) {
+    return this.toIndicators(this.parseLines(text).map(value => ({ value })));
+  }
+}
+
+module.exports = BlocklistConnector;
@@ -0,0 +1,350 @@
+const axios = require('axios');
+const { parseTLP, mostRestrictiveTLP } = require('../tlp');
+const { parseDuration } = require('../duration');
+const { getField } = require('../datasetIngestor');
+const metrics = require('../metrics');
+
+/**
+ * Read a record time as epoch milliseconds
+ * @param {string|number} value - ISO or date-time string (UTC when it has no
+ *   zone), or epoch seconds or milliseconds
+ * @returns {number|null} - null when the value is missing or not a time
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(?:\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    return number < 1e11 ? number * 1000 : number;
+  }
+
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}[ T][\d:.]+$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Base class for threat feed connectors
+ *
+ * A connector is built from one entry of the sources file and exposes:
+ *   fetch()       - pull raw data from the source
+ *   normalize(raw) - turn raw data into indicators via ThreatIntelClient
+ *   healthcheck() - cheap reachability/credential check
+ *   backfillPages(window, checkpoint) - page through a past time window
+ *
+ * What a successful run learnt about the source (HTTP validators and the
+ * high-water mark of its newest record) is saved by commit() once the
+ * indicators are published, so the next run asks only for what changed.
+ */
+class Connector {
+  /**
+   * @param {Object} source - Validated sources file entry
+   * @param {Object} context - Shared services
+   * @param {ThreatIntelClient} context.client - Normalization and validation
+   * @param {SourceLimiterRegistry} context.limiters - Per-source rate limits
+   * @param {Function} context.resolveCredential - Resolves env:/file: references
+   * @param {JsonStateStore} context.feedState - Validators and high-water marks per source
+   * @param {boolean} context.readOnly - Never write source state of its own, e.g. cursors
+   */
+  constructor(source, context) {
+    this.source = source;
+    this.name = source.name;
+    this.type = source.type;
+    this.url = source.url;
+    this.options = source.options || {};
+    this.mapping = source.mapping || {};
+    this.client = context.client;
+    this.limiters = context.limiters;
+    this.resolveCredential = context.resolveCredential;
+    this.feedState = context.feedState || null;
+    this.readOnly = Boolean(context.readOnly);
+    this.fetched = {}; // State learnt by the fetch in progress
+    this.pending = null; // State of the last collect(), saved by commit()
+    this.collected = 0; // Indicators of the last collect()
+  }
+
+  get enabled() {
+    return this.source.enabled !== false;
+  }
+
+  get schedule() {
+    return this.source.schedule || null;
+  }
+
+  /**
+   * Milliseconds between runs for a source polled on its own interval
+   */
+  get interval() {
+    return this.source.interval !== undefined ? parseDuration(this.source.interval) : null;
+  }
+
+  /**
+   * What a run does when the previous one of this source is still going:
+   * skip (the default) or queue
+   */
+  get overlap() {
+    return this.source.overlap || 'skip';
+  }
+
+  /**
+   * Admiralty reliability grade (A-F) or 0-1 weight, null when not rated
+   */
+  get reliability() {
+    return this.source.reliability !== undefined ? this.source.reliability : null;
+  }
+
+  get limiter() {
+    return this.limiters.get(this.name, this.type);
+  }
+
+  /**
+   * Resolve one of the entry's credentials
+   * @param {string} key - Key under `credentials`, e.g. apiKey
+   * @param {boolean} required - Throw when the credential is missing
+   */
+  credential(key, required = true) {
+    const ref = (this.source.credentials || {})[key];
+    const value = ref === undefined ? undefined : this.resolveCredential(ref);
+
+    if (required && !value) {
+      throw new Error(`${this.name}: credential "${key}" is not set`);
+    }
+    return value;
+  }
+
+  /**
+   * State saved by the last committed run: etag, last_modified, high_water_mark
+   */
+  get savedState() {
+    return (this.feedState && this.feedState.get(this.name)) || {};
+  }
+
+  /**
+   * Time (ISO) of the newest record of the last committed run
+   */
+  get highWaterMark() {
+    return this.savedState.high_water_mark || null;
+  }
+
+  /**
+   * Query parameters asking the feed only for records after the high-water
+   * mark, when options.sinceParam names the feed's parameter
+   */
+  sinceParams() {
+    const param = this.options.sinceParam;
+    return param && this.highWaterMark ? { [param]: this.highWaterMark } : {};
+  }
+
+  /**
+   * Raise the high-water mark this run will save
+   * @param {string|number} value - Record time
+   */
+  raiseHighWaterMark(value) {
+    const time = toTime(value);
+    if (time === null) return;
+
+    const current = toTime(this.fetched.high_water_mark);
+    if (current === null || time > current) {
+      this.fetched.high_water_mark = new Date(time).toISOString();
+    }
+  }
+
+  /**
+   * Whether to keep a record, judged by its options.sinceField. A regular run
+   * keeps what is new since the last committed run, records at the mark
+   * itself included, and raises the mark; a backfill keeps what falls in its
+   * window. Undated records are always kept, the indicator store drops what
+   * was already published.
+   * @param {Object} record - Raw record
+   * @param {Object} window - Backfill window { from, to } as Dates
+   */
+  keepRecord(record, window = null) {
+    const field = this.options.sinceField;
+    if (!field) return true;
+
+    const time = toTime(getField(record, field));
+    if (time === null) return true;
+    if (window) return time >= window.from.getTime() && time <= window.to.getTime();
+
+    this.raiseHighWaterMark(time);
+    const mark = toTime(this.highWaterMark);
+    return mark === null || time >= mark;
+  }
+
+  /**
+   * GET under the source's rate limit. A regular run is conditional on the
+   * validators (ETag, Last-Modified) of the last committed run, a backfill
+   * fetches in full and leaves them alone.
+   * @param {string} url - Feed URL
+   * @param {Object} config - Axios request config
+   * @param {Object} window - Backfill window, when backfilling
+   * @returns {Object|null} - Axios response, null when the feed answered 304
+   */
+  async httpGet(url, config = {}, window = null) {
+    const saved = window ? {} : this.savedState;
+    const headers = { ...(config.headers || {}) };
+
+    if (saved.etag) headers['If-None-Match'] = saved.etag;
+    if (saved.last_modified) headers['If-Modified-Since'] = saved.last_modified;
+
+    const response = await this.limiter.execute(() => axios.get(url, {
+      timeout: 15000,
+      ...config,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    }));
+
+    if (response.status === 304) {
+      if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+      return null;
+    }
+
+    // A feed that stops sending a validator loses the saved one
+    if (!window) {
+      this.fetched.etag = response.headers.etag || undefined;
+      this.fetched.last_modified = response.headers['last-modified'] || undefined;
+    }
+    return response;
+  }
+
+  /**
+   * Pull raw data, or resolve null when the source has nothing new
+   * @param {Object} window - Backfill window: fetch unconditionally and keep
+   *   only the records inside it
+   */
+  async fetch() {
+    throw new Error(`${this.type} connector does not implement fetch()`);
+  }
+
+  normalize() {
+    throw new Error(`${this.type} connector does not implement normalize()`);
+  }
+
+  /**
+   * Source specific health probe, resolves when the source is usable
+   */
+  async check() {
+    await this.fetch();
+  }
+
+  /**
+   * Fetch and normalize, dropping records that failed validation
+   *
+   * Indicators are attributed to this source by name, so reliability and
+   * per-source sightings follow the sources file rather than the format.
+   * A source-level `tlp` is the least restrictive marking its indicators get.
+   */
+  async collect() {
+    this.fetched = {};
+    this.pending = null;
+    this.collected = 0;
+    const endTimer = metrics.sourceFetchDuration.startTimer({ source: this.name });
+
+    let raw;
+    let indicators;
+    try {
+      raw = await this.fetch();
+      indicators = raw === null ? [] : this.indicatorsFrom(raw);
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      throw error;
+    }
+
+    endTimer({ outcome: raw === null ? 'not_modified' : 'ok' });
+    if (raw === null) console.log(`${this.name}: not modified since the last run`);
+
+    this.pending = this.fetched;
+    this.collected = indicators.length;
+    return indicators;
+  }
+
+  /**
+   * Normalize raw data into indicators attributed to this source
+   * @param {*} raw - Data as returned by fetch() or backfillPages()
+   */
+  indicatorsFrom(raw) {
+    const normalized = this.normalize(raw);
+    const indicators = normalized.filter(Boolean);
+
+    metrics.sourceIndicators.inc({ source: this.name, outcome: 'fetched' }, normalized.length);
+    metrics.sourceIndicators.inc({ source: this.name, outcome: 'valid' }, indicators.length);
+    metrics.sourceIndicators.inc({ source: this.name, outcome: 'rejected' }, normalized.length - indicators.length);
+
+    for (const indicator of indicators) {
+      indicator.source_feeds = [this.name];
+      if (this.source.tlp) {
+        indicator.tlp_marking = mostRestrictiveTLP([indicator.tlp_marking, parseTLP(this.source.tlp)]);
+      }
+    }
+    return indicators;
+  }
+
+  /**
+   * Page through a past time window for a backfill
+   *
+   * Yields the raw data of each page with the checkpoint to resume after it.
+   * Feeds that only serve their current content yield it once, filtered to
+   * the window by options.sinceField. Neither the validators nor the
+   * high-water mark of regular runs are touched.
+   * @param {Object} window - { from, to } as Dates
+   * @param {*} checkpoint - Checkpoint of the last published page, null to start
+   */
+  async *backfillPages(window) {
+    const raw = await this.fetch(window);
+    yield { raw, checkpoint: null };
+  }
+
+  /**
+   * Save the validators and high-water mark of the last collect(); call it
+   * once its indicators are published, so a failed publish is fetched again
+   */
+  commit() {
+    const pending = this.pending;
+    this.pending = null;
+    if (!pending) return;
+
+    metrics.recordSourceSuccess(this.name, this.collected);
+    if (!this.feedState || Object.keys(pending).length === 0) return;
+
+    this.feedState.set(this.name, { ...this.savedState, ...pending, updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Run the health probe and report the outcome instead of throwing
+   */
+  async healthcheck() {
+    const startTime = Date.now();
+    const result = { source: this.name, type: this.type, status: 'ok', latency_ms: null, error: null };
+
+    try {
+      await this.check();
+    } catch (error) {
+      result.status = 'failing';
+      result.error = error.message;
+    }
+
+    result.latency_ms = Date.now() - startTime;
+    result.checked_at = new Date().toISOString();
+    return result;
+  }
+
+  /**
+   * Public view of the connector for the /sources endpoint
+   */
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      url: this.url || null,
+      enabled: this.enabled,
+      schedule: this.schedule,
+      interval_ms: this.interval,
+      overlap: this.overlap,
+      reliability: this.reliability,
+      high_water_mark: this.highWaterMark,
+      tlp: this.source.tlp ? parseTLP(this.source.tlp) : null
+    };
+  }
+}
+
+module.exports = Connector;
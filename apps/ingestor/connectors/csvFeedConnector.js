@@ -0,0 +1,47 @@
+const { parse } = require('csv-parse/sync');
+const BlocklistConnector = require('./blocklistConnector');
+
+/**
+ * CSV indicator feed such as URLhaus or Feodo Tracker exports
+ *
+ * options:
+ *   columns          - Column names when the header is missing or commented
+ *                      out (URLhaus, Feodo); default reads the first row
+ *   delimiter        - Field separator (default ,)
+ *   comment          - Comment marker at the start of a line (default #)
+ *   sinceField       - Column holding the row time, rows before the
+ *                      high-water mark are skipped (URLhaus dateadded)
+ *   indicatorType, cidr, maxCidrExpansion, sinceParam - as for plaintext blocklists
+ * mapping.fields maps indicator fields to columns (value, type, first_seen,
+ * tags, ...), mapping.metadata copies extra columns into indicator metadata.
+ */
+class CSVFeedConnector extends BlocklistConnector {
+  /**
+   * Parse the feed body into one object per row
+   * @param {string} text - Feed body
+   */
+  parseRows(text) {
+    return parse(String(text), {
+      columns: this.options.columns || true,
+      delimiter: this.options.delimiter || ',',
+      comment: this.options.comment || '#',
+      comment_no_infix: true, // '#' inside URLs is not a comment
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+      bom: true
+    });
+  }
+
+  async fetch(window = null) {
+    const text = await super.fetch(window);
+    return text === null ? null : this.parseRows(text).filter(row => this.keepRecord(row, window));
+  }
+
+  normalize(rows) {
+    const fields = this.mapping.fields || {};
+    return this.toIndicators(rows, fields.value || 'value', fields.type || 'type');
+  }
+}
+
+module.exports = CSVFeedConnector;
@@ -0,0 +1,89 @@
+const Connector = require('./connector');
+const TaxiiClient = require('../taxiiClient');
+const JsonStateStore = require('../stateStore');
+
+/**
+ * STIX 2.1 indicators from a TAXII 2.1 API root
+ *
+ * credentials: username, password (optional, basic auth)
+ * options: collections, pageSize, maxPages, initialLookback (ms), cursorFile
+ */
+class TaxiiConnector extends Connector {
+  constructor(source, context) {
+    super(source, context);
+    this.taxiiClient = null; // Created on first poll so credentials resolve late
+    this.cursors = null; // Collection cursors of the last fetch, saved by commit()
+  }
+
+  getTaxiiClient() {
+    if (!this.taxiiClient) {
+      this.taxiiClient = new TaxiiClient({
+        taxiiUrl: this.url,
+        taxiiUsername: this.credential('username', false),
+        taxiiPassword: this.credential('password', false),
+        taxiiCollections: this.options.collections || [],
+        taxiiPageSize: this.options.pageSize,
+        taxiiMaxPages: this.options.maxPages,
+        taxiiInitialLookback: this.options.initialLookback,
+        taxiiCursorFile: this.options.cursorFile,
+        taxiiCursorStore: this.readOnly
+          ? new JsonStateStore(this.options.cursorFile || JsonStateStore.resolve('taxii-cursors.json'), { readOnly: true })
+          : undefined,
+        taxiiLimiter: this.limiter
+      });
+    }
+
+    return this.taxiiClient;
+  }
+
+  async fetch() {
+    this.cursors = null;
+    const { objects, cursors } = await this.getTaxiiClient().fetchAllObjects();
+    this.cursors = cursors;
+    return { objects };
+  }
+
+  /**
+   * Save the collection cursors with the rest of the feed state, once the
+   * fetched indicators are published
+   */
+  commit() {
+    const cursors = this.pending ? this.cursors : null;
+    this.cursors = null;
+    super.commit();
+
+    if (cursors) this.getTaxiiClient().saveCursors(cursors);
+  }
+
+  /**
+   * Page through every selected collection in turn; the checkpoint is the
+   * collection and its paging position
+   */
+  async *backfillPages(window, checkpoint = null) {
+    const client = this.getTaxiiClient();
+    const collections = await client.getCollections();
+    const range = { from: window.from.toISOString(), to: window.to.toISOString() };
+    const start = checkpoint ? Math.max(0, collections.findIndex(collection => collection.id === checkpoint.collection)) : 0;
+
+    for (let i = start; i < collections.length; i++) {
+      const position = checkpoint && checkpoint.collection === collections[i].id ? checkpoint.position : {};
+
+      for await (const page of client.windowPages(collections[i], range, position)) {
+        const resume = page.position
+          ? { collection: collections[i].id, position: page.position }
+          : collections[i + 1] ? { collection: collections[i + 1].id, position: {} } : null;
+        yield { raw: { objects: page.objects }, checkpoint: resume };
+      }
+    }
+  }
+
+  normalize(data) {
+    return this.client.normalizeSTIXData(data);
+  }
+
+  async check() {
+    await this.getTaxiiClient().getCollections();
+  }
+}
+
+module.exports = TaxiiConnector;
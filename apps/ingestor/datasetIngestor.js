@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+const { pick } = require('stream-json/filters/Pick');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const { parse } = require('csv-parse');
+
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_PROGRESS_INTERVAL = 1000;
+
+// Indicator fields accepted by ThreatIntelClient.normalizeJSONFeedData
+const INDICATOR_FIELDS = ['id', 'type', 'value', 'confidence', 'severity', 'first_seen', 'last_seen', 'tags', 'tlp', 'metadata'];
+
+// Financial record fields consumed by the worker's calculateRiskScore
+const FINANCIAL_FIELDS = ['id', 'symbol', 'timestamp', 'open', 'high', 'low', 'close', 'volume', 'previous_close', 'volatility', 'price_change_percent', 'market_sentiment'];
+const FINANCIAL_NUMERIC_FIELDS = ['open', 'high', 'low', 'close', 'volume', 'previous_close', 'volatility', 'price_change_percent'];
+
+const FORMAT_BY_EXTENSION = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv'
+};
+
+/**
+ * Load the mapping for a dataset
+ *
+ * Mapping files are JSON and live next to the dataset as `<name>.mapping.json`
+ * unless an explicit path is given:
+ * {
+ *   "record_type": "indicator" | "financial",
+ *   "format": "json" | "ndjson" | "csv",
+ *   "json_path": "data",
+ *   "source": "partner-export",
+ *   "fields": { "value": "ioc", "type": "ioc_type" },
+ *   "defaults": { "severity": "medium" },
+ *   "csv": { "delimiter": ";" }
+ * }
+ * @param {string} datasetPath - Path to the dataset file
+ * @param {string} mappingPath - Optional explicit mapping file
+ * @returns {Object} - Mapping, empty when none exists
+ */
+async function loadMapping(datasetPath, mappingPath) {
+  const candidate = mappingPath || defaultMappingPath(datasetPath);
+
+  try {
+    const content = await fs.promises.readFile(candidate, 'utf8');
+    console.log(`Using dataset mapping ${candidate}`);
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT' && !mappingPath) {
+      return {};
+    }
+    throw new Error(`Invalid dataset mapping ${candidate}: ${error.message}`);
+  }
+}
+
+/**
+ * Path of the mapping file that sits next to a dataset
+ * @param {string} datasetPath - Path to the dataset file
+ */
+function defaultMappingPath(datasetPath) {
+  const { dir, name } = path.parse(datasetPath);
+  return path.join(dir, `${name}.mapping.json`);
+}
+
+/**
+ * Determine the file format from the mapping or file extension
+ * @param {string} datasetPath - Path to the dataset file
+ * @param {Object} mapping - Dataset mapping
+ */
+function detectFormat(datasetPath, mapping = {}) {
+  const format = mapping.format || FORMAT_BY_EXTENSION[path.extname(datasetPath).toLowerCase()];
+
+  if (!format || !['json', 'ndjson', 'csv'].includes(format)) {
+    throw new Error(`Unsupported dataset format for ${datasetPath}`);
+  }
+
+  return format;
+}
+
+/**
+ * Stream raw records out of a dataset file
+ * @param {Readable} input - File stream
+ * @param {string} format - json, ndjson or csv
+ * @param {Object} mapping - Dataset mapping
+ */
+async function* readRecords(input, format, mapping = {}) {
+  if (format === 'ndjson') {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping malformed NDJSON line ${lineNumber}: ${error.message}`);
+        yield null;
+      }
+    }
+    return;
+  }
+
+  if (format === 'csv') {
+    const csvParser = parse({
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+      ...(mapping.csv || {})
+    });
+
+    yield* pipeline(input, csvParser, () => {});
+    return;
+  }
+
+  // JSON: the array under json_path, else the first record array
+  const filter = mapping.json_path
+    ? stack => stack.join('.') === String(mapping.json_path)
+    : isRecordArray;
+  let found = false;
+  const records = pick({
+    filter: (stack, token) => {
+      const match = filter(stack, token);
+      if (match) found = true;
+      return match;
+    },
+    once: true
+  });
+
+  for await (const { value } of pipeline(input, parser(), records, streamArray(), () => {})) {
+    yield value;
+  }
+
+  if (!found) {
+    throw new Error(mapping.json_path
+      ? `No array at json_path "${mapping.json_path}" of the JSON dataset`
+      : 'No array of records in the JSON dataset, set json_path in its mapping');
+  }
+}
+
+/**
+ * Pick filter for the records of a JSON document without a json_path: the
+ * document itself when it is an array, else the first array value of a
+ * top-level key, e.g. { "meta": { ... }, "indicators": [...] }
+ * @param {Array} stack - Path of the current value
+ * @param {Object} token - stream-json token starting the value
+ */
+function isRecordArray(stack, token) {
+  return token.name === 'startArray' && stack.length <= 1;
+}
+
+/**
+ * Guess whether a raw record is a threat indicator or a financial record
+ * @param {Object} record - First record of the dataset
+ */
+function inferRecordType(record) {
+  if (record && record.symbol !== undefined && (record.close !== undefined || record.price !== undefined)) {
+    return 'financial';
+  }
+  return 'indicator';
+}
+
+/**
+ * Read a (possibly nested) column from a raw record
+ * @param {Object} record - Raw record
+ * @param {string} column - Column name or dotted path
+ */
+function getField(record, column) {
+  if (column in record) return record[column];
+  return column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Apply the mapping's field and default rules to a raw record
+ * @param {Object} record - Raw record
+ * @param {Object} mapping - Dataset mapping
+ * @param {string[]} fields - Target fields for the record type
+ */
+function applyFieldMapping(record, mapping, fields) {
+  const mapped = {};
+  const columns = mapping.fields || {};
+  const defaults = mapping.defaults || {};
+
+  for (const field of fields) {
+    const value = getField(record, columns[field] || field);
+
+    if (value !== undefined && value !== null && value !== '') {
+      mapped[field] = value;
+    } else if (defaults[field] !== undefined) {
+      mapped[field] = defaults[field];
+    }
+  }
+
+  return mapped;
+}
+
+/**
+ * Map a raw record to a threat indicator
+ * @param {Object} record - Raw record
+ * @param {Object} mapping - Dataset mapping
+ * @param {ThreatIntelClient} client - Client used for normalization and validation
+ * @param {string} datasetName - Source name recorded on the indicator
+ * @returns {Object|null} - Indicator, or null if it fails validation
+ */
+function mapIndicatorRecord(record, mapping, client, datasetName) {
+  const item = applyFieldMapping(record, mapping, INDICATOR_FIELDS);
+
+  if (item.value === undefined && record.indicator !== undefined) {
+    item.value = record.indicator;
+  }
+  if (item.confidence !== undefined) {
+    item.confidence = Number(item.confidence);
+  }
+  if (typeof item.tags === 'string') {
+    item.tags = item.tags.split(/[;,|]/).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  const [indicator] = client.normalizeJSONFeedData([item], datasetName);
+  return indicator || null;
+}
+
+/**
+ * Map a raw record to the financial record shape the worker consumes
+ * @param {Object} record - Raw record
+ * @param {Object} mapping - Dataset mapping
+ * @param {string} datasetName - Source name recorded on the record
+ * @returns {Object|null} - Financial record, or null if symbol or price is missing
+ */
+function mapFinancialRecord(record, mapping, datasetName) {
+  const item = applyFieldMapping(record, mapping, FINANCIAL_FIELDS);
+
+  if (item.close === undefined && record.price !== undefined) {
+    item.close = record.price;
+  }
+
+  for (const field of FINANCIAL_NUMERIC_FIELDS) {
+    if (item[field] === undefined) continue;
+
+    const value = Number(item[field]);
+    if (Number.isNaN(value)) return null;
+    item[field] = value;
+  }
+
+  if (!item.symbol || item.close === undefined) {
+    return null;
+  }
+
+  item.timestamp = item.timestamp || new Date().toISOString();
+  item.id = item.id || `${item.symbol}-${item.timestamp}`;
+  item.source = datasetName;
+
+  return item;
+}
+
+/**
+ * Stream a local dataset, map every record and hand them over in batches
+ * @param {string} datasetPath - Path to a JSON, NDJSON or CSV file
+ * @param {Object} options - Ingestion options
+ * @param {ThreatIntelClient} options.client - Client used to normalize indicators
+ * @param {string} options.mappingPath - Explicit mapping file
+ * @param {Function} options.onBatch - Called with (records, recordType) for each batch
+ * @param {Function} options.onProgress - Called with a stats snapshot while streaming
+ * @param {number} options.batchSize - Records per batch
+ * @param {number} options.progressInterval - Records between progress reports
+ * @returns {Object} - Final ingestion statistics
+ */
+async function ingestDataset(datasetPath, options = {}) {
+  const {
+    client,
+    onBatch,
+    onProgress,
+    batchSize = DEFAULT_BATCH_SIZE,
+    progressInterval = DEFAULT_PROGRESS_INTERVAL
+  } = options;
+
+  const mapping = { ...(options.mapping || await loadMapping(datasetPath, options.mappingPath)) };
+  const format = detectFormat(datasetPath, mapping);
+  const datasetName = mapping.source || path.basename(datasetPath);
+  const { size } = await fs.promises.stat(datasetPath);
+  const input = fs.createReadStream(datasetPath);
+  const startTime = Date.now();
+
+  const stats = {
+    dataset: datasetName,
+    format,
+    record_type: mapping.record_type || null,
+    records_read: 0,
+    records_emitted: 0,
+    records_rejected: 0,
+    bytes_total: size,
+    bytes_read: 0,
+    percent_complete: 0
+  };
+
+  const reportProgress = () => {
+    stats.bytes_read = input.bytesRead;
+    stats.percent_complete = size > 0 ? Math.min(100, Math.round((input.bytesRead / size) * 100)) : 100;
+    if (onProgress) onProgress({ ...stats });
+  };
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (onBatch) await onBatch(batch, stats.record_type);
+    stats.records_emitted += batch.length;
+    batch = [];
+  };
+
+  console.log(`Ingesting ${format.toUpperCase()} dataset ${datasetPath} (${size} bytes)`);
+
+  for await (const record of readRecords(input, format, mapping)) {
+    stats.records_read++;
+
+    const isObject = record !== null && typeof record === 'object' && !Array.isArray(record);
+
+    if (isObject && !stats.record_type) {
+      stats.record_type = inferRecordType(record);
+    }
+
+    const mapped = !isObject ? null : stats.record_type === 'financial'
+      ? mapFinancialRecord(record, mapping, datasetName)
+      : mapIndicatorRecord(record, mapping, client, datasetName);
+
+    if (mapped) {
+      batch.push(mapped);
+    } else {
+      stats.records_rejected++;
+    }
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+
+    if (stats.records_read % progressInterval === 0) {
+      reportProgress();
+      console.log(`📄 ${datasetName}: ${stats.records_read} records read, ${stats.records_emitted} emitted, ${stats.records_rejected} rejected (${stats.percent_complete}%)`);
+    }
+  }
+
+  await flush();
+  reportProgress();
+
+  stats.duration_ms = Date.now() - startTime;
+  console.log(`✓ Dataset ${datasetName} ingested: ${stats.records_emitted} ${stats.record_type || 'indicator'} records emitted, ${stats.records_rejected} rejected in ${stats.duration_ms}ms`);
+
+  return stats;
+}
+
+module.exports = {
+  ingestDataset,
+  loadMapping,
+  detectFormat,
+  readRecords,
+  getField,
+  mapIndicatorRecord,
+  mapFinancialRecord
+};
@@ -0,0 +1,22 @@
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Milliseconds in a duration such as 90s, 45m, 1h30m or 2d
+ * @param {string|number} value - Duration text, or milliseconds
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && value >= 0) return value;
+
+  const text = String(value).trim();
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)];
+  if (parts.length === 0 || parts.map(part => part[0]).join('') !== text) {
+    throw new Error(`Invalid duration "${value}", use e.g. 30s, 45m, 1h30m or 2d`);
+  }
+
+  return parts.reduce((total, [, amount, unit]) => total + Number(amount) * UNITS[unit], 0);
+}
+
+module.exports = {
+  UNITS,
+  parseDuration
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const { parseCIDR, ipToBigInt } = require('../ipUtils');
+
+// Minimal MaxMind DB writer for test databases (IPv6 tree, 24 bit records)
+// https://maxmind.github.io/MaxMind-DB/
+
+const METADATA_MARKER = Buffer.from([0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')]);
+
+function controlBytes(type, size) {
+  const head = type > 7 ? [0, type - 7] : [type << 5];
+  let sizeBits;
+  let extra = [];
+
+  if (size < 29) {
+    sizeBits = size;
+  } else if (size < 285) {
+    sizeBits = 29;
+    extra = [size - 29];
+  } else {
+    sizeBits = 30;
+    extra = [(size - 285) >> 8, (size - 285) & 0xff];
+  }
+
+  head[0] |= sizeBits;
+  return Buffer.from([head[0], ...head.slice(1), ...extra]);
+}
+
+function encodeUint(type, value) {
+  const bytes = [];
+  for (let rest = BigInt(value); rest > 0n; rest >>= 8n) bytes.unshift(Number(rest & 0xffn));
+  return Buffer.concat([controlBytes(type, bytes.length), Buffer.from(bytes)]);
+}
+
+/**
+ * Encode a value in the MMDB data section format
+ */
+function encode(value) {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([controlBytes(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'bigint') return encodeUint(9, value);
+  if (typeof value === 'number') return encodeUint(value > 0xffff ? 6 : 5, value);
+  if (Array.isArray(value)) {
+    return Buffer.concat([controlBytes(11, value.length), ...value.map(encode)]);
+  }
+
+  const entries = Object.entries(value);
+  return Buffer.concat([
+    controlBytes(7, entries.length),
+    ...entries.flatMap(([key, item]) => [encode(key), encode(item)])
+  ]);
+}
+
+/**
+ * Write a database mapping networks to records
+ * @param {string} filePath - Output file
+ * @param {string} databaseType - e.g. GeoLite2-Country
+ * @param {Object[]} networks - { network: '81.2.69.0/24', data: {...} }
+ */
+function writeMMDB(filePath, databaseType, networks) {
+  const root = {};
+  const dataBlocks = [];
+  let dataSize = 0;
+
+  for (const { network, data } of networks) {
+    const cidr = parseCIDR(network);
+    const bits = cidr.version === 4 ? cidr.prefix + 96 : cidr.prefix;
+    const address = ipToBigInt(cidr.address);
+    const encoded = encode(data);
+
+    let node = root;
+    for (let i = 0; i < bits; i++) {
+      const bit = cidr.version === 4 && i < 96 ? 0 : Number((address >> BigInt(127 - i)) & 1n);
+      if (i === bits - 1) {
+        node[bit] = { offset: dataSize };
+      } else {
+        node = node[bit] || (node[bit] = {});
+      }
+    }
+
+    dataBlocks.push(encoded);
+    dataSize += encoded.length;
+  }
+
+  // Number the internal nodes breadth first
+  const nodes = [root];
+  for (let i = 0; i < nodes.length; i++) {
+    for (const child of [nodes[i][0], nodes[i][1]]) {
+      if (child && child.offset === undefined) nodes.push(child);
+    }
+  }
+  const index = new Map(nodes.map((node, i) => [node, i]));
+
+  const tree = Buffer.alloc(nodes.length * 6);
+  nodes.forEach((node, i) => {
+    [node[0], node[1]].forEach((child, side) => {
+      let record = nodes.length;
+      if (child && child.offset !== undefined) record = nodes.length + 16 + child.offset;
+      else if (child) record = index.get(child);
+      tree.writeUIntBE(record, i * 6 + side * 3, 3);
+    });
+  });
+
+  const metadata = encode({
+    node_count: nodes.length,
+    record_size: 24,
+    ip_version: 6,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: BigInt(Math.floor(Date.now() / 1000)),
+    description: { en: `${databaseType} test database` }
+  });
+
+  fs.writeFileSync(filePath, Buffer.concat([
+    tree, Buffer.alloc(16), ...dataBlocks, METADATA_MARKER, metadata
+  ]));
+}
+
+module.exports = { writeMMDB };
@@ -0,0 +1,189 @@
+const net = require('net');
+const { domainToASCII } = require('url');
+const { parseCIDR, ipToBigInt, bigIntToIP } = require('./ipUtils');
+
+// Defanging conventions seen in reports, MISP comments and feeds
+const SEPARATOR_DEFANG_PATTERNS = [
+  [/\[:\/\/\]/g, '://'],
+  [/\[:\]/g, ':'],
+  [/\[\/\]/g, '/'],
+  [/\s*(?:\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\})\s*/gi, '.'],
+  [/\\\./g, '.'],
+  [/\s*(?:\[@\]|\(@\)|\[at\]|\(at\))\s*/gi, '@']
+];
+
+const DEFANG_PATTERNS = [
+  [/^hxxp(s?)(?=:|\[)/i, 'http$1'],
+  [/^fxp(?=:|\[)/i, 'ftp'],
+  ...SEPARATOR_DEFANG_PATTERNS
+];
+
+// Running text has defanged schemes anywhere, not only at the start
+const TEXT_DEFANG_PATTERNS = [
+  [/\bhxxp(s?)(?=:|\[)/gi, 'http$1'],
+  [/\bfxp(?=:|\[)/gi, 'ftp'],
+  ...SEPARATOR_DEFANG_PATTERNS
+];
+
+const HASH_TYPES = [
+  ['md5', /^[a-f0-9]{32}$/i],
+  ['sha1', /^[a-f0-9]{40}$/i],
+  ['sha256', /^[a-f0-9]{64}$/i],
+  ['sha512', /^[a-f0-9]{128}$/i],
+  ['ssdeep', /^\d+:[A-Za-z0-9/+]+:[A-Za-z0-9/+]+$/]
+];
+
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+/**
+ * Undo common defanging, e.g. hxxp://evil[.]com or 1.2.3[.]4
+ * @param {string} value - Possibly defanged value
+ */
+function refang(value) {
+  return DEFANG_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(value).trim());
+}
+
+/**
+ * Undo defanging throughout a report or other running text
+ * @param {string} text - Text with possibly defanged indicators
+ */
+function refangText(text) {
+  return TEXT_DEFANG_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+}
+
+/**
+ * Hash algorithm of a hex digest or SSDeep fuzzy hash
+ * @param {string} value - Hash value
+ * @returns {string|null} - md5, sha1, sha256, sha512, ssdeep or null
+ */
+function classifyHash(value) {
+  const match = HASH_TYPES.find(([, pattern]) => pattern.test(value));
+  return match ? match[0] : null;
+}
+
+/**
+ * Compressed lowercase IPv6, IPv4-mapped addresses as plain IPv4
+ * @param {string} value - IP address
+ */
+function canonicalizeIP(value) {
+  const address = value.replace(/^\[|\]$/g, '');
+  const version = net.isIP(address);
+  if (version !== 6) return address;
+
+  const numeric = ipToBigInt(address);
+  if (numeric >> 32n === 0xffffn) return bigIntToIP(numeric & 0xffffffffn, 4);
+
+  return bigIntToIP(numeric, 6);
+}
+
+/**
+ * Network address of a CIDR (45.1.2.3/24 -> 45.1.2.0/24), IPv4-mapped
+ * networks as IPv4; host routes (/32, /128) are plain IPs
+ * @param {Object} cidr - Result of parseCIDR
+ * @returns {Object} - { type: cidr|ip, value }
+ */
+function canonicalizeCIDR(cidr) {
+  let version = cidr.version;
+  let prefix = cidr.prefix;
+  const hostBits = BigInt((version === 4 ? 32 : 128) - prefix);
+  let network = (ipToBigInt(cidr.address) >> hostBits) << hostBits;
+
+  if (version === 6 && prefix >= 96 && network >> 32n === 0xffffn) {
+    version = 4;
+    prefix -= 96;
+    network &= 0xffffffffn;
+  }
+
+  const address = bigIntToIP(network, version);
+  if (prefix === (version === 4 ? 32 : 128)) return { type: 'ip', value: address };
+  return { type: 'cidr', value: `${address}/${prefix}` };
+}
+
+/**
+ * Lowercase ASCII form of a domain, IDNs as punycode
+ * @param {string} value - Domain name
+ */
+function canonicalizeDomain(value) {
+  const domain = value.toLowerCase().replace(/\.$/, '');
+  return domainToASCII(domain) || domain;
+}
+
+/**
+ * Decode percent-encoded unreserved characters and uppercase the rest
+ * (RFC 3986 section 6.2.2)
+ */
+function normalizePercentEncoding(text) {
+  return text.replace(/%[0-9a-fA-F]{2}/g, escape => {
+    const char = String.fromCharCode(parseInt(escape.slice(1), 16));
+    return UNRESERVED.test(char) ? char : escape.toUpperCase();
+  });
+}
+
+/**
+ * Normalise a URL: lowercase scheme and host, punycode, default port removed,
+ * dot segments resolved, consistent path encoding, fragment dropped
+ * @param {string} value - URL
+ */
+function canonicalizeURL(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return value;
+  }
+
+  url.hash = '';
+  url.pathname = normalizePercentEncoding(url.pathname);
+  url.search = normalizePercentEncoding(url.search);
+
+  return url.href;
+}
+
+/**
+ * Canonical type and value of an indicator, so the same indicator from
+ * different feeds gets the same hash
+ * @param {string} type - Indicator type
+ * @param {*} value - Raw, possibly defanged value
+ * @returns {Object} - { type, value, hash_type }
+ */
+function canonicalizeIndicator(type, value) {
+  if (value === undefined || value === null) return { type, value };
+
+  // Registry keys, mutexes and file names keep their backslashes and brackets
+  const refanged = ['ip', 'cidr', 'domain', 'url', 'email'].includes(type) ? refang(value) : String(value).trim();
+
+  switch (type) {
+    case 'ip':
+    case 'cidr': {
+      const cidr = parseCIDR(refanged);
+      if (cidr) return canonicalizeCIDR(cidr);
+      return { type, value: canonicalizeIP(refanged) };
+    }
+    case 'domain':
+      return { type, value: canonicalizeDomain(refanged) };
+    case 'url':
+      return { type, value: canonicalizeURL(refanged) };
+    case 'email': {
+      const at = refanged.lastIndexOf('@');
+      if (at === -1) return { type, value: refanged };
+      return { type, value: `${refanged.slice(0, at).toLowerCase()}@${canonicalizeDomain(refanged.slice(at + 1))}` };
+    }
+    case 'hash': {
+      const hashType = classifyHash(refanged);
+      return { type, value: hashType === 'ssdeep' ? refanged : refanged.toLowerCase(), hash_type: hashType };
+    }
+    default:
+      return { type, value };
+  }
+}
+
+module.exports = {
+  refang,
+  refangText,
+  classifyHash,
+  canonicalizeIP,
+  canonicalizeCIDR,
+  canonicalizeDomain,
+  canonicalizeURL,
+  canonicalizeIndicator
+};
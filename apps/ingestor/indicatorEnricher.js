@@ -0,0 +1,191 @@
+const fs = require('fs');
+const net = require('net');
+const { Reader } = require('maxmind');
+const { parse: parseDomain } = require('tldts');
+const { parseCIDR, addressRange, bigIntToIP } = require('./ipUtils');
+
+/**
+ * Local MaxMind-format database, re-read when the file changes
+ *
+ * A missing or unreadable file, such as one caught halfway through a
+ * geoipupdate rewrite, keeps the last good database in use.
+ */
+class GeoDatabase {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.reader = null;
+    this.mtime = null;
+    this.failing = false;
+    this.refresh();
+  }
+
+  refresh() {
+    try {
+      const mtime = fs.statSync(this.filePath).mtimeMs;
+      if (mtime === this.mtime) return;
+
+      this.reader = new Reader(fs.readFileSync(this.filePath));
+      this.mtime = mtime;
+      this.failing = false;
+      console.log(`Loaded ${this.reader.metadata.databaseType} database ${this.filePath}`);
+    } catch (error) {
+      if (!this.failing) {
+        console.warn(`Could not load database ${this.filePath}, ${this.reader ? 'keeping the one loaded before' : 'no lookups until it loads'}: ${error.message}`);
+        this.failing = true;
+      }
+    }
+  }
+
+  lookup(address) {
+    if (!this.reader) return null;
+
+    try {
+      return this.reader.get(address);
+    } catch (error) {
+      // IPv6 lookups in an IPv4-only database
+      return null;
+    }
+  }
+}
+
+/**
+ * Adds network and domain context to indicators without any network access:
+ * country and ASN from MMDB files, registered domain and public suffix from
+ * the public suffix list bundled with tldts, and canonical CIDR networks
+ */
+class IndicatorEnricher {
+  /**
+   * @param {Object} options - Enricher options
+   * @param {ThreatIntelClient} options.client - Recomputes hashes of rewritten values
+   * @param {string} options.countryDb - GeoIP2/GeoLite2 Country or City MMDB file
+   * @param {string} options.asnDb - GeoLite2 ASN MMDB file
+   */
+  constructor(options = {}) {
+    this.client = options.client;
+    this.countryDb = options.countryDb ? new GeoDatabase(options.countryDb) : null;
+    this.asnDb = options.asnDb ? new GeoDatabase(options.asnDb) : null;
+  }
+
+  /**
+   * Pick up replaced database files
+   */
+  refresh() {
+    if (this.countryDb) this.countryDb.refresh();
+    if (this.asnDb) this.asnDb.refresh();
+  }
+
+  /**
+   * Enrich a batch of indicators in place
+   * @param {Object[]} indicators - Normalized indicators
+   */
+  enrichAll(indicators) {
+    this.refresh();
+    return indicators.map(indicator => this.enrich(indicator));
+  }
+
+  /**
+   * Enrich one indicator in place
+   * @param {Object} indicator - Normalized indicator
+   */
+  enrich(indicator) {
+    const metadata = indicator.metadata || (indicator.metadata = {});
+
+    switch (indicator.indicator_type) {
+      case 'ip':
+        Object.assign(metadata, this.lookupAddress(indicator.indicator_value, metadata));
+        break;
+      case 'cidr':
+        Object.assign(metadata, this.describeCIDR(indicator.indicator_value, metadata));
+        break;
+      case 'domain':
+        Object.assign(metadata, this.describeDomain(indicator.indicator_value));
+        break;
+      case 'url':
+        Object.assign(metadata, this.describeURL(indicator.indicator_value, metadata));
+        break;
+      case 'email':
+        Object.assign(metadata, this.describeDomain(indicator.indicator_value.split('@').pop()));
+        break;
+    }
+
+    return indicator;
+  }
+
+  /**
+   * Country and ASN of an address; values a feed already supplied are kept
+   * @param {string} address - IPv4 or IPv6 address
+   * @param {Object} metadata - Existing indicator metadata
+   */
+  lookupAddress(address, metadata = {}) {
+    const result = {};
+
+    const geo = this.countryDb && this.countryDb.lookup(address);
+    const country = geo && (geo.country || geo.registered_country);
+    if (country) {
+      result.country = metadata.country || country.iso_code;
+      result.country_name = country.names && country.names.en;
+      result.continent = geo.continent && geo.continent.code;
+    }
+
+    const asn = this.asnDb && this.asnDb.lookup(address);
+    if (asn && asn.autonomous_system_number) {
+      result.asn = metadata.asn || `AS${asn.autonomous_system_number}`;
+      result.as_org = asn.autonomous_system_organization;
+    }
+
+    return result;
+  }
+
+  /**
+   * Registered domain and public suffix of a host name
+   * @param {string} hostname - Domain name
+   */
+  describeDomain(hostname) {
+    const parsed = parseDomain(hostname);
+    if (!parsed.domain) return {};
+
+    return {
+      registered_domain: parsed.domain,
+      tld: parsed.publicSuffix,
+      subdomain: parsed.subdomain || null
+    };
+  }
+
+  describeURL(value, metadata) {
+    let hostname;
+    try {
+      hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+      return {};
+    }
+
+    return net.isIP(hostname)
+      ? { hostname, ...this.lookupAddress(hostname, metadata) }
+      : { hostname, ...this.describeDomain(hostname) };
+  }
+
+  /**
+   * Address range of a CIDR, already at its network address (see
+   * canonicalizeIndicator), and what is known about that address
+   */
+  describeCIDR(value, metadata) {
+    const cidr = parseCIDR(value);
+    if (!cidr) return {};
+
+    const range = addressRange(value);
+    const first = bigIntToIP(range.start, cidr.version);
+
+    return {
+      cidr: {
+        network: first,
+        prefix: cidr.prefix,
+        first_address: first,
+        last_address: bigIntToIP(range.end, cidr.version),
+        address_count: (range.end - range.start + 1n).toString()
+      },
+      ...this.lookupAddress(first, metadata)
+    };
+  }
+}
+
+module.exports = IndicatorEnricher;
@@ -0,0 +1,90 @@
+const DAY = 86400000;
+
+// Time to live and confidence half-life per indicator type: infrastructure
+// such as IPs is reassigned within days, file hashes stay bad for years
+const DEFAULT_POLICIES = {
+  ip: { ttlDays: 14, halfLifeDays: 7 },
+  cidr: { ttlDays: 30, halfLifeDays: 14 },
+  url: { ttlDays: 30, halfLifeDays: 14 },
+  domain: { ttlDays: 90, halfLifeDays: 30 },
+  email: { ttlDays: 180, halfLifeDays: 90 },
+  hash: { ttlDays: 730, halfLifeDays: 365 },
+  default: { ttlDays: 90, halfLifeDays: 45 }
+};
+
+// Indicators whose decayed confidence falls below this are expired early
+const DEFAULT_MIN_CONFIDENCE = 20;
+
+/**
+ * Aging rules for known indicators
+ */
+class IndicatorPolicy {
+  /**
+   * @param {Object} overrides - Per type policies plus an optional global
+   *   minConfidence, e.g. { "ip": { "ttlDays": 7 }, "minConfidence": 25 }
+   */
+  constructor(overrides = {}) {
+    const { minConfidence, ...types } = overrides;
+
+    this.minConfidence = minConfidence !== undefined ? minConfidence : DEFAULT_MIN_CONFIDENCE;
+    this.policies = { ...DEFAULT_POLICIES };
+    for (const [type, policy] of Object.entries(types)) {
+      this.policies[type] = { ...(DEFAULT_POLICIES[type] || DEFAULT_POLICIES.default), ...policy };
+    }
+  }
+
+  policyFor(type) {
+    return this.policies[type] || this.policies.default;
+  }
+
+  /**
+   * Confidence after exponential decay since the last evidence
+   * @param {string} type - Indicator type
+   * @param {number} confidence - Confidence at the last sighting
+   * @param {number} ageMs - Time since the last sighting
+   */
+  decayedConfidence(type, confidence, ageMs) {
+    const { halfLifeDays } = this.policyFor(type);
+    if (!halfLifeDays) return confidence;
+
+    return Math.round(confidence * 0.5 ** (Math.max(0, ageMs) / (halfLifeDays * DAY)));
+  }
+
+  /**
+   * Decide whether a stored indicator is still active
+   * @param {Object} record - IndicatorStore record
+   * @param {number} now - Evaluation time in ms
+   * @returns {Object} - { expired, reason, confidence, age_days }
+   */
+  evaluate(record, now = Date.now()) {
+    const policy = this.policyFor(record.indicator_type);
+    const lastEvidence = Math.max(
+      new Date(record.last_seen || 0).getTime() || 0,
+      new Date(record.last_observed || 0).getTime() || 0
+    );
+    const age = now - lastEvidence;
+    const baseConfidence = record.base_confidence !== undefined
+      ? record.base_confidence
+      : (record.published && record.published.confidence_score) || 0;
+    const confidence = this.decayedConfidence(record.indicator_type, baseConfidence, age);
+    const minConfidence = policy.minConfidence !== undefined ? policy.minConfidence : this.minConfidence;
+
+    let reason = null;
+    if (record.valid_until && now >= new Date(record.valid_until).getTime()) {
+      reason = 'valid_until_passed';
+    } else if (age > policy.ttlDays * DAY) {
+      reason = 'ttl_exceeded';
+    } else if (confidence < minConfidence) {
+      reason = 'confidence_decayed';
+    }
+
+    return {
+      expired: reason !== null,
+      reason,
+      confidence,
+      age_days: Math.round((age / DAY) * 10) / 10
+    };
+  }
+}
+
+module.exports = IndicatorPolicy;
@@ -0,0 +1,318 @@
+const JsonStateStore = require('./stateStore');
+
+const DEFAULT_CONFIDENCE_DELTA = 10;
+
+/**
+ * Persistent record of every indicator the ingestor has published, keyed by
+ * the indicator hash from ThreatIntelClient.generateIndicatorHash
+ *
+ * Tracks the real first/last sighting per source across runs and decides
+ * whether an indicator is new, materially changed or already known.
+ */
+class IndicatorStore {
+  constructor(options = {}) {
+    this.state = options.stateStore || new JsonStateStore(
+      options.filePath || JsonStateStore.resolve('indicators.json')
+    );
+    this.confidenceDelta = options.confidenceDelta !== undefined
+      ? options.confidenceDelta
+      : DEFAULT_CONFIDENCE_DELTA;
+    this.dirty = false;
+  }
+
+  get records() {
+    return this.state.load();
+  }
+
+  get size() {
+    return Object.keys(this.records).length;
+  }
+
+  get(hash) {
+    return this.records[hash];
+  }
+
+  /**
+   * Snapshot of the fields whose change is worth republishing
+   */
+  materialFields(indicator) {
+    return {
+      confidence_score: indicator.confidence_score,
+      severity_level: indicator.severity_level,
+      tlp_marking: indicator.tlp_marking,
+      tags: [...new Set(indicator.tags || [])].sort(),
+      source_feeds: [...new Set(indicator.source_feeds || [])].sort()
+    };
+  }
+
+  /**
+   * Compare a stored snapshot with a fresh one
+   * @returns {Object[]} - List of { field, previous, current }
+   */
+  diff(previous, current) {
+    const changes = [];
+
+    if (Math.abs((current.confidence_score || 0) - (previous.confidence_score || 0)) >= this.confidenceDelta) {
+      changes.push({ field: 'confidence_score', previous: previous.confidence_score, current: current.confidence_score });
+    }
+
+    for (const field of ['severity_level', 'tlp_marking']) {
+      if (previous[field] !== current[field]) {
+        changes.push({ field, previous: previous[field], current: current[field] });
+      }
+    }
+
+    // Only additions count, a feed dropping a tag is not worth an update
+    for (const field of ['tags', 'source_feeds']) {
+      const added = current[field].filter(value => !previous[field].includes(value));
+      if (added.length > 0) {
+        changes.push({ field, previous: previous[field], current: [...new Set([...previous[field], ...current[field]])].sort(), added });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record a sighting of an indicator and classify it
+   * @param {Object} indicator - Normalized indicator, updated in place with
+   *   the stored first_seen, last_seen and sighting counts
+   * @param {string} observedAt - ISO timestamp of this sighting
+   * @param {Map} journal - Records before the run, see rollback
+   * @returns {Object} - { status: new|updated|unchanged, changes }
+   */
+  observe(indicator, observedAt = new Date().toISOString(), journal = null) {
+    const records = this.records;
+    this.track(journal, indicator.hash);
+    const existing = records[indicator.hash];
+    const current = this.materialFields(indicator);
+    const sources = indicator.source_feeds || [];
+
+    const record = existing || {
+      indicator_type: indicator.indicator_type,
+      indicator_value: indicator.indicator_value,
+      first_seen: indicator.first_seen || observedAt,
+      last_seen: indicator.last_seen || observedAt,
+      sighting_count: 0,
+      sources: {},
+      status: 'active',
+      published: null
+    };
+    // Expired and revoked indicators seen again start over as new ones
+    const reactivated = Boolean(existing) && !isActive(existing);
+
+    record.first_seen = minTimestamp(record.first_seen, indicator.first_seen);
+    record.last_seen = maxTimestamp(record.last_seen, indicator.last_seen || observedAt);
+    record.last_observed = observedAt;
+    record.base_confidence = indicator.confidence_score;
+    record.valid_until = (indicator.metadata && indicator.metadata.valid_until) || null;
+    record.sighting_count++;
+
+    for (const source of sources) {
+      const sourceRecord = record.sources[source] || { first_seen: observedAt, last_seen: observedAt, sighting_count: 0 };
+      sourceRecord.last_seen = observedAt;
+      sourceRecord.sighting_count++;
+      delete sourceRecord.revoked_at;
+      record.sources[source] = sourceRecord;
+    }
+
+    if (reactivated) {
+      record.status = 'active';
+      for (const field of ['expired_at', 'expiry_reason', 'revoked_at', 'revocation_reason']) {
+        delete record[field];
+      }
+    }
+
+    let status = 'new';
+    let changes = [];
+
+    const previous = existing && !reactivated ? existing.published : null;
+
+    if (previous) {
+      changes = this.diff(previous, current);
+      status = changes.length > 0 ? 'updated' : 'unchanged';
+    }
+
+    if (status !== 'unchanged') {
+      // Keep accumulated tags and sources so one feed can't flap them
+      record.published = previous
+        ? {
+          ...current,
+          tags: [...new Set([...previous.tags, ...current.tags])].sort(),
+          source_feeds: [...new Set([...previous.source_feeds, ...current.source_feeds])].sort()
+        }
+        : current;
+      record.published_at = observedAt;
+    }
+
+    records[indicator.hash] = record;
+    this.dirty = true;
+
+    indicator.first_seen = record.first_seen;
+    indicator.last_seen = record.last_seen;
+    indicator.sighting_count = record.sighting_count;
+    indicator.metadata = {
+      ...indicator.metadata,
+      source_sightings: record.sources
+    };
+
+    return { status, changes };
+  }
+
+  /**
+   * Classify a backfilled sighting without recording it, so replaying an old
+   * window never moves timestamps forward, overwrites newer values or
+   * revives expired indicators
+   * @param {Object} indicator - Normalized indicator
+   * @returns {Object} - { status: new|replayed, changes }
+   */
+  replay(indicator) {
+    return { status: this.get(indicator.hash) ? 'replayed' : 'new', changes: [] };
+  }
+
+  /**
+   * Record a source withdrawing an indicator (STIX revoked, MISP deletion)
+   *
+   * The indicator itself is only revoked once every source that reported it
+   * has withdrawn it.
+   * @param {Object} indicator - Normalized indicator with revoked: true
+   * @param {string} observedAt - ISO timestamp of the revocation
+   * @param {Map} journal - Records before the run, see rollback
+   * @returns {Object} - { status: revoked|source_revoked|unknown, record }
+   */
+  revoke(indicator, observedAt = new Date().toISOString(), journal = null) {
+    const record = this.records[indicator.hash];
+    if (!record || !isActive(record)) return { status: 'unknown', record };
+
+    this.track(journal, indicator.hash);
+
+    for (const source of indicator.source_feeds || []) {
+      if (record.sources[source]) record.sources[source].revoked_at = observedAt;
+    }
+    this.dirty = true;
+
+    const remaining = Object.values(record.sources).filter(source => !source.revoked_at);
+    if (remaining.length > 0) return { status: 'source_revoked', record };
+
+    record.status = 'revoked';
+    record.revoked_at = observedAt;
+    record.revocation_reason = indicator.revocation_reason || 'revoked';
+    return { status: 'revoked', record };
+  }
+
+  /**
+   * Keep a copy of a record as it was before a run first changed it
+   * @param {Map} journal - Records before the run by hash, null when not journaled
+   * @param {string} hash - Indicator hash
+   */
+  track(journal, hash) {
+    if (!journal || journal.has(hash)) return;
+
+    const record = this.records[hash];
+    journal.set(hash, record ? JSON.parse(JSON.stringify(record)) : undefined);
+  }
+
+  /**
+   * Undo the changes of a run whose events never reached Kafka, so the next
+   * run publishes its indicators again
+   * @param {Map} journal - Journal passed to observe and revoke by the run
+   */
+  rollback(journal) {
+    const records = this.records;
+
+    for (const [hash, record] of journal) {
+      if (record) {
+        records[hash] = record;
+      } else {
+        delete records[hash];
+      }
+    }
+    journal.clear();
+    this.dirty = true;
+  }
+
+  /**
+   * Age every active indicator against a policy
+   * @param {IndicatorPolicy} policy - TTL and decay rules
+   * @param {number} now - Sweep time in ms
+   * @param {Map} journal - Records before the sweep, see rollback
+   * @returns {Object} - { expired, decayed }, lists of { hash, record, ... }
+   */
+  sweep(policy, now = Date.now(), journal = null) {
+    const expired = [];
+    const decayed = [];
+    const sweptAt = new Date(now).toISOString();
+
+    for (const [hash, record] of Object.entries(this.records)) {
+      if (!isActive(record) || !record.published) continue;
+
+      // Decay always starts from the last sighted confidence, never compounds
+      if (record.base_confidence === undefined) {
+        record.base_confidence = record.published.confidence_score;
+      }
+      const result = policy.evaluate(record, now);
+
+      if (result.expired) {
+        this.track(journal, hash);
+        record.status = 'expired';
+        record.expired_at = sweptAt;
+        record.expiry_reason = result.reason;
+        expired.push({ hash, record, reason: result.reason, confidence: result.confidence });
+        continue;
+      }
+
+      const previous = record.published.confidence_score || 0;
+      if (Math.abs(previous - result.confidence) >= this.confidenceDelta) {
+        this.track(journal, hash);
+        record.published.confidence_score = result.confidence;
+        record.published_at = sweptAt;
+        decayed.push({ hash, record, previous, current: result.confidence });
+      }
+    }
+
+    if (expired.length > 0 || decayed.length > 0) this.dirty = true;
+
+    return { expired, decayed };
+  }
+
+  /**
+   * Number of known indicators per lifecycle status
+   */
+  counts() {
+    const counts = { active: 0, expired: 0, revoked: 0 };
+
+    for (const record of Object.values(this.records)) {
+      counts[record.status || 'active']++;
+    }
+    return counts;
+  }
+
+  /**
+   * Write pending changes to disk
+   */
+  save() {
+    if (!this.dirty) return;
+
+    this.state.save();
+    this.dirty = false;
+  }
+}
+
+// Records from before lifecycle tracking have no status
+function isActive(record) {
+  return !record.status || record.status === 'active';
+}
+
+function minTimestamp(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(a) <= new Date(b) ? a : b;
+}
+
+function maxTimestamp(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
+module.exports = IndicatorStore;
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const JsonStateStore = require('./stateStore');
+const { addressRange, rangesOverlap } = require('./ipUtils');
+
+// Special purpose networks (RFC 6890) that are never worth blocking
+const RESERVED_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15',
+  '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '::ffff:0:0/96', '64:ff9b::/96', '100::/64', '2001:db8::/32',
+  'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+// Special-use domain names (RFC 6761, RFC 8375) and common internal suffixes
+const RESERVED_SUFFIXES = ['test', 'example', 'invalid', 'localhost', 'local', 'internal', 'lan', 'home.arpa', 'arpa'];
+
+const DEFAULT_POPULAR_DOMAINS_FILE = path.join(__dirname, 'data', 'popular-domains.txt');
+const MAX_RECENT_SUPPRESSIONS = 200;
+
+/**
+ * Read a list file, one entry per line; `#` starts a comment and the comment
+ * on an entry's line is kept as its reason
+ * @param {string} filePath - List file
+ * @returns {Object[]} - { value, comment }
+ */
+function readListFile(filePath) {
+  const entries = [];
+
+  for (const rawLine of fs.readFileSync(filePath, 'utf8').split(/\r?\n/)) {
+    const [value, ...comment] = rawLine.split('#');
+    if (!value.trim()) continue;
+
+    entries.push({ value: value.trim().toLowerCase(), comment: comment.join('#').trim() || null });
+  }
+  return entries;
+}
+
+/**
+ * Whether a domain is a suffix or one of its subdomains
+ */
+function matchesSuffix(domain, suffix) {
+  return domain === suffix || domain.endsWith(`.${suffix}`);
+}
+
+/**
+ * Split an organisation allowlist into IP ranges, domain suffixes and exact values
+ *
+ * Entries are IPs or CIDRs, domains (exact), `*.domain` wildcards (the domain
+ * and every subdomain), URL prefixes, or any other exact indicator value such
+ * as a file hash.
+ * @param {Object[]} entries - Result of readListFile
+ */
+function compileAllowlist(entries) {
+  const rules = { ranges: [], domains: new Map(), suffixes: [], urlPrefixes: [], values: new Map() };
+
+  for (const { value, comment } of entries) {
+    const range = addressRange(value);
+
+    if (range) {
+      rules.ranges.push({ value, range, comment });
+    } else if (value.startsWith('*.')) {
+      rules.suffixes.push({ value, suffix: value.slice(2), comment });
+    } else if (/^[a-z][a-z0-9+.-]*:\/\//.test(value)) {
+      rules.urlPrefixes.push({ value, comment });
+    } else if (/^[a-z0-9.-]+\.[a-z0-9-]+$/.test(value)) {
+      rules.domains.set(value, { value, comment });
+    } else {
+      rules.values.set(value, { value, comment });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Drops indicators that must never be published: reserved networks and
+ * names, widely used domains, and the organisation's own allowlist
+ */
+class IndicatorSuppressor {
+  /**
+   * @param {Object} options - Suppressor options
+   * @param {string} options.allowlistFile - Organisation allowlist, re-read when it changes
+   * @param {string} options.popularDomainsFile - Popular domain list (default: bundled list)
+   * @param {boolean} options.builtins - Apply the reserved ranges and names (default true)
+   * @param {JsonStateStore} options.stateStore - Where suppression counts are kept
+   * @param {string} options.filePath - State file when no stateStore is passed
+   */
+  constructor(options = {}) {
+    this.allowlistFile = options.allowlistFile || null;
+    this.builtins = options.builtins !== false;
+    this.reservedRanges = RESERVED_RANGES.map(value => ({ value, range: addressRange(value) }));
+    this.popularDomains = new Set(
+      readListFile(options.popularDomainsFile || DEFAULT_POPULAR_DOMAINS_FILE).map(entry => entry.value)
+    );
+    this.state = options.stateStore || new JsonStateStore(
+      options.filePath || JsonStateStore.resolve('suppressions.json')
+    );
+    this.allowlist = compileAllowlist([]);
+    this.allowlistMtime = null;
+    this.allowlistMissing = false;
+    this.dirty = false;
+
+    this.refreshAllowlist();
+  }
+
+  /**
+   * Re-read the organisation allowlist if it changed on disk; while the file
+   * is missing (mid-deploy, unmounted) the last loaded rules stay in force
+   */
+  refreshAllowlist() {
+    if (!this.allowlistFile) return;
+
+    let mtime;
+    try {
+      mtime = fs.statSync(this.allowlistFile).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (!this.allowlistMissing) {
+        console.warn(`Allowlist ${this.allowlistFile} not found, keeping the rules loaded before`);
+        this.allowlistMissing = true;
+      }
+      // Whatever comes back in its place is read again
+      this.allowlistMtime = null;
+      return;
+    }
+
+    this.allowlistMissing = false;
+    if (mtime === this.allowlistMtime) return;
+
+    this.allowlist = compileAllowlist(readListFile(this.allowlistFile));
+    this.allowlistMtime = mtime;
+    console.log(`Loaded allowlist ${this.allowlistFile}`);
+  }
+
+  /**
+   * Find why an indicator must not be published
+   * @param {Object} indicator - Normalized indicator
+   * @returns {Object|null} - { reason, rule, comment }, null to publish it
+   */
+  check(indicator) {
+    const value = String(indicator.indicator_value).toLowerCase();
+
+    switch (indicator.indicator_type) {
+      case 'ip':
+      case 'cidr':
+        return this.checkAddress(value);
+      case 'domain':
+        return this.checkDomain(value, { popular: true });
+      case 'url':
+        return this.checkURL(value);
+      case 'email':
+        return this.matchValue(value) || this.checkDomain(value.split('@').pop(), { popular: false });
+      default:
+        return this.matchValue(value);
+    }
+  }
+
+  checkAddress(value) {
+    const range = addressRange(value);
+    if (!range) return null;
+
+    if (this.builtins) {
+      const reserved = this.reservedRanges.find(rule => rangesOverlap(rule.range, range));
+      if (reserved) return { reason: 'reserved_range', rule: reserved.value, comment: null };
+    }
+
+    // A network that merely contains one of our addresses is suppressed too
+    const allowed = this.allowlist.ranges.find(rule => rangesOverlap(rule.range, range));
+    if (allowed) return { reason: 'org_allowlist', rule: allowed.value, comment: allowed.comment };
+
+    return null;
+  }
+
+  checkDomain(domain, { popular }) {
+    if (this.builtins) {
+      const reserved = RESERVED_SUFFIXES.find(suffix => matchesSuffix(domain, suffix));
+      if (reserved) return { reason: 'reserved_domain', rule: reserved, comment: null };
+    }
+
+    const exact = this.allowlist.domains.get(domain);
+    if (exact) return { reason: 'org_allowlist', rule: exact.value, comment: exact.comment };
+
+    const wildcard = this.allowlist.suffixes.find(rule => matchesSuffix(domain, rule.suffix));
+    if (wildcard) return { reason: 'org_allowlist', rule: wildcard.value, comment: wildcard.comment };
+
+    if (popular) {
+      const labels = domain.split('.');
+      for (let i = 0; i < labels.length - 1; i++) {
+        const parent = labels.slice(i).join('.');
+        if (this.popularDomains.has(parent)) return { reason: 'popular_domain', rule: parent, comment: null };
+      }
+    }
+
+    return null;
+  }
+
+  checkURL(value) {
+    const prefix = this.allowlist.urlPrefixes.find(rule => value.startsWith(rule.value));
+    if (prefix) return { reason: 'org_allowlist', rule: prefix.value, comment: prefix.comment };
+
+    let hostname;
+    try {
+      hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    } catch (error) {
+      return null;
+    }
+
+    // URLs on popular domains are real threats (file shares, user content)
+    return this.checkAddress(hostname) || this.checkDomain(hostname, { popular: false });
+  }
+
+  matchValue(value) {
+    const exact = this.allowlist.values.get(value);
+    return exact ? { reason: 'org_allowlist', rule: exact.value, comment: exact.comment } : null;
+  }
+
+  /**
+   * Split indicators into publishable and suppressed ones, recording every
+   * suppression
+   * @param {Object[]} indicators - Normalized indicators
+   * @returns {Object} - { accepted, suppressed }, suppressed entries carry
+   *   { indicator, reason, rule, comment }
+   */
+  filter(indicators) {
+    this.refreshAllowlist();
+
+    const accepted = [];
+    const suppressed = [];
+
+    for (const indicator of indicators) {
+      if (!indicator) continue;
+
+      const match = this.check(indicator);
+      if (match) {
+        suppressed.push({ indicator, ...match });
+        this.record(indicator, match);
+      } else {
+        accepted.push(indicator);
+      }
+    }
+
+    return { accepted, suppressed };
+  }
+
+  /**
+   * Count a suppression and keep it in the recent list
+   */
+  record(indicator, match) {
+    const data = this.state.load();
+    const counts = data.counts || (data.counts = {});
+    const bySource = data.by_source || (data.by_source = {});
+    const recent = data.recent || (data.recent = []);
+
+    counts[match.reason] = (counts[match.reason] || 0) + 1;
+    for (const source of indicator.source_feeds || []) {
+      bySource[source] = (bySource[source] || 0) + 1;
+    }
+
+    recent.unshift({
+      suppressed_at: new Date().toISOString(),
+      indicator_type: indicator.indicator_type,
+      indicator_value: indicator.indicator_value,
+      source_feeds: indicator.source_feeds,
+      tlp_marking: indicator.tlp_marking,
+      reason: match.reason,
+      rule: match.rule,
+      comment: match.comment
+    });
+    recent.splice(MAX_RECENT_SUPPRESSIONS);
+
+    this.dirty = true;
+  }
+
+  /**
+   * Suppression counts by reason and source, plus the most recent ones
+   */
+  getStats() {
+    const data = this.state.load();
+
+    return {
+      counts: data.counts || {},
+      by_source: data.by_source || {},
+      recent: data.recent || []
+    };
+  }
+
+  /**
+   * Write pending changes to disk
+   */
+  save() {
+    if (!this.dirty) return;
+
+    this.state.save();
+    this.dirty = false;
+  }
+}
+
+module.exports = IndicatorSuppressor;
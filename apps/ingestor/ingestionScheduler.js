@@ -0,0 +1,227 @@
+const cron = require('node-cron');
+const JsonStateStore = require('./stateStore');
+
+const DEFAULT_HISTORY_SIZE = 200;
+const OVERLAP_POLICIES = ['skip', 'queue'];
+
+/**
+ * Runs ingestion jobs on their own cron schedule or interval, at most one run
+ * per source at a time, and keeps a history of every run
+ *
+ * A job covers one or more keys (source names, or the job's own name for
+ * jobs such as the expiry sweep). A run never starts for a key that is
+ * already running: with overlap "skip" the busy keys are left out, and the
+ * run is recorded as skipped when none are left; with overlap "queue" the run
+ * waits for them, and further triggers while it waits are coalesced into it.
+ */
+class IngestionScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {string} options.stateFile - Run history file
+   * @param {number} options.historySize - Runs kept in the history
+   */
+  constructor(options = {}) {
+    this.state = new JsonStateStore(options.stateFile || JsonStateStore.resolve('run-history.json'));
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.jobs = new Map();
+    this.active = new Map(); // key -> promise of the run holding it
+    this.handles = [];
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - Job definition
+   * @param {string} job.name - Unique job name
+   * @param {string[]} job.keys - Single-flight keys, defaults to [name]
+   * @param {string} job.schedule - Cron expression
+   * @param {number} job.interval - Milliseconds between runs, when there is no schedule
+   * @param {string} job.overlap - skip (default) or queue
+   * @param {boolean} job.runOnStart - Run once when the scheduler starts
+   * @param {Function} job.run - async (keys, trigger) => result
+   * @param {Function} job.counts - Picks the counts kept in the history out of a result
+   */
+  add(job) {
+    if (this.jobs.has(job.name)) {
+      throw new Error(`Job "${job.name}" is already scheduled`);
+    }
+    if (job.schedule && !cron.validate(job.schedule)) {
+      throw new Error(`Job "${job.name}": schedule must be a cron expression`);
+    }
+    if (!job.schedule && !(job.interval > 0)) {
+      throw new Error(`Job "${job.name}" needs a schedule or an interval`);
+    }
+    if (job.overlap !== undefined && !OVERLAP_POLICIES.includes(job.overlap)) {
+      throw new Error(`Job "${job.name}": overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+    }
+
+    this.jobs.set(job.name, {
+      keys: [job.name],
+      overlap: 'skip',
+      ...job,
+      queued: null,
+      lastRun: null
+    });
+    return this;
+  }
+
+  /**
+   * Start every job's timer and the runs due at startup
+   */
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      const fire = trigger => this.trigger(job.name, trigger).catch(error => {
+        console.error(`Scheduled run of ${job.name} failed:`, error.message);
+      });
+
+      if (job.schedule) {
+        this.handles.push(cron.schedule(job.schedule, () => fire('cron')));
+      } else {
+        const timer = setInterval(() => fire('interval'), job.interval);
+        this.handles.push({ stop: () => clearInterval(timer) });
+      }
+
+      if (job.runOnStart) fire('startup');
+    }
+    return this;
+  }
+
+  stop() {
+    for (const handle of this.handles.splice(0)) handle.stop();
+    this.started = false;
+  }
+
+  /**
+   * Run a job now, subject to single-flight
+   * @param {string} name - Job name
+   * @param {string} trigger - What started the run (cron, interval, startup, api)
+   * @param {string[]} keys - Only these of the job's keys
+   * @returns {Object|null} - The run's history entry, null when the job has none of the keys
+   */
+  async trigger(name, trigger = 'api', keys) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    const wanted = keys ? job.keys.filter(key => keys.includes(key)) : job.keys;
+    if (wanted.length === 0) return null;
+
+    const busy = wanted.filter(key => this.active.has(key));
+
+    if (busy.length > 0 && job.overlap === 'queue') {
+      if (job.queued) {
+        return this.record({ job: name, trigger, status: 'coalesced', sources: wanted, skipped: busy });
+      }
+
+      job.queued = Promise.all(busy.map(key => this.active.get(key)));
+      await job.queued;
+      job.queued = null;
+      return this.trigger(name, trigger, keys);
+    }
+
+    const idle = wanted.filter(key => !this.active.has(key));
+    if (idle.length === 0) {
+      console.log(`⏭️ Skipped ${trigger} run of ${name}: ${busy.join(', ')} still running`);
+      return this.record({ job: name, trigger, status: 'skipped', sources: [], skipped: busy });
+    }
+
+    return this.execute(job, trigger, idle, busy);
+  }
+
+  /**
+   * Run work that is no registered job, such as a dataset, scenario or
+   * backfill, and keep it in the history like a job run. It holds no
+   * single-flight keys, so scheduled runs of the same sources go ahead.
+   * @param {Object} job - { name, sources, run, counts }
+   * @param {string} trigger - What started the run
+   * @returns {Object} - The run's history entry
+   */
+  runOnce(job, trigger = 'api') {
+    return this.execute({ ...job, run: () => job.run() }, trigger, [], [], job.sources || []);
+  }
+
+  async execute(job, trigger, keys, skipped, sources = keys) {
+    const entry = {
+      job: job.name,
+      trigger,
+      status: 'running',
+      sources,
+      skipped,
+      started_at: new Date().toISOString()
+    };
+    const startTime = Date.now();
+    const running = Promise.resolve().then(() => job.run(keys, trigger));
+    const settled = running.catch(() => {});
+
+    for (const key of keys) this.active.set(key, settled);
+    job.lastRun = entry;
+
+    try {
+      const result = await running;
+      entry.status = 'completed';
+      if (job.counts) entry.counts = job.counts(result);
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      throw error;
+    } finally {
+      for (const key of keys) {
+        if (this.active.get(key) === settled) this.active.delete(key);
+      }
+      entry.finished_at = new Date().toISOString();
+      entry.duration_ms = Date.now() - startTime;
+      this.record(entry);
+    }
+
+    return entry;
+  }
+
+  record(entry) {
+    const finished = entry.finished_at ? entry : { ...entry, started_at: new Date().toISOString(), finished_at: new Date().toISOString(), duration_ms: 0 };
+    const history = [finished, ...(this.state.get('runs') || [])].slice(0, this.historySize);
+
+    try {
+      this.state.set('runs', history);
+    } catch (error) {
+      console.error('Could not save the run history:', error.message);
+    }
+    return finished;
+  }
+
+  /**
+   * Recorded runs, newest first
+   * @param {Object} filter - { job, source, status, limit }
+   */
+  history(filter = {}) {
+    return (this.state.get('runs') || [])
+      .filter(entry => !filter.job || entry.job === filter.job)
+      .filter(entry => !filter.source || entry.sources.includes(filter.source) || (entry.skipped || []).includes(filter.source))
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .slice(0, filter.limit || this.historySize);
+  }
+
+  /**
+   * Jobs with their schedule and whether they are running
+   */
+  describe() {
+    return Array.from(this.jobs.values(), job => ({
+      name: job.name,
+      sources: job.keys,
+      schedule: job.schedule || null,
+      interval_ms: job.schedule ? null : job.interval,
+      overlap: job.overlap,
+      running: job.keys.filter(key => this.active.has(key)),
+      queued: Boolean(job.queued),
+      last_run: job.lastRun
+    }));
+  }
+}
+
+module.exports = {
+  IngestionScheduler,
+  OVERLAP_POLICIES
+};
@@ -1,55 +1,144 @@
 require('dotenv').config();
-const { produceMessage } = require('./kafkaProducer');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createBatch, disconnect: disconnectKafka, getProducerStats } = require('./kafkaProducer');
+const { createEnvelope, validateData } = require('financial-risk-analyzer-schemas');
 const ThreatIntelClient = require('./threatIntelClient');
-const cron = require('node-cron');
+const { ingestDataset, detectFormat } = require('./datasetIngestor');
+const IndicatorStore = require('./indicatorStore');
+const IndicatorPolicy = require('./indicatorPolicy');
+const IndicatorSuppressor = require('./indicatorSuppressor');
+const IndicatorEnricher = require('./indicatorEnricher');
+const TLPPolicy = require('./tlpPolicy');
+const { ConnectorRegistry, loadSourcesFile, sourcesFromEnv, resolveCredential } = require('./connectorRegistry');
+const { extractReportIndicators, previewIndicator, REPORT_FORMATS } = require('./iocExtractor');
+const { AlphaVantageConnector } = require('./market/alphaVantageConnector');
+const { MarketDataCollector, toFinancialRecords } = require('./market/marketDataCollector');
+const { parseOHLCV, importOHLCVFile } = require('./market/ohlcvImporter');
+const { ScenarioPlayer, generateScenario, loadScenario, listScenarios, validateScenario } = require('./scenarios/scenarioGenerator');
+const { parseDuration } = require('./duration');
+const { IngestionScheduler } = require('./ingestionScheduler');
+const { BackfillRunner, parseBackfillRequest } = require('./backfillRunner');
+const metrics = require('./metrics');
 
 // Configuration
 const KAFKA_TOPIC = process.env.KAFKA_TOPIC || 'threat-intelligence';
+const FINANCIAL_KAFKA_TOPIC = process.env.FINANCIAL_KAFKA_TOPIC || 'financial-data';
+const BACKFILL_TOPIC = process.env.BACKFILL_TOPIC || KAFKA_TOPIC; // Default topic of backfilled indicators
+const EVENT_SOURCE = 'threat-intelligence-ingestor'; // source of indicator events
 const POLLING_INTERVAL = process.env.POLLING_INTERVAL || 300000; // 5 minutes default
 const USE_DEMO_MODE = process.env.USE_DEMO_MODE === 'true';
+const DEMO_SCENARIO = process.env.DEMO_SCENARIO || 'baseline'; // Scenario name or file played in demo mode
+const PORT = process.env.PORT || 3002;
+const DATASET_ROOT = path.resolve(process.env.DATASET_ROOT || '/data');
+const SOURCES_FILE = process.env.SOURCES_FILE; // YAML or JSON list of threat feed sources
+const EXPIRY_SWEEP_INTERVAL = Number(process.env.EXPIRY_SWEEP_INTERVAL) || 3600000; // 1 hour default
+const REPORT_MAX_SIZE = process.env.REPORT_MAX_SIZE || '5mb'; // Largest report accepted by POST /extract
+const MARKET_DATA_INTERVAL = Number(process.env.MARKET_DATA_INTERVAL) || 3600000; // 1 hour default
+const KAFKA_SHUTDOWN_TIMEOUT = Number(process.env.KAFKA_SHUTDOWN_TIMEOUT) || 10000; // Longest wait for the final flush
+const SCENARIO_BATCH_SIZE = 500; // Scenario events published per step of a scenario run
 
-// Threat Intelligence API Configuration
-const threatIntelConfig = {
-  virusTotalApiKey: process.env.VIRUSTOTAL_API_KEY,
-  mispUrl: process.env.MISP_URL,
-  mispApiKey: process.env.MISP_API_KEY,
-  taxiiUrl: process.env.TAXII_URL,
-  taxiiUsername: process.env.TAXII_USERNAME,
-  taxiiPassword: process.env.TAXII_PASSWORD,
-  jsonFeeds: []
-};
+// Shared client that normalizes and validates indicators from every source
+const threatIntelClient = new ThreatIntelClient({
+  fusionStrategy: process.env.FUSION_STRATEGY
+});
 
-// Parse JSON feed configuration
-if (process.env.JSON_FEED_URLS && process.env.JSON_FEED_NAMES) {
-  const urls = process.env.JSON_FEED_URLS.split(',');
-  const names = process.env.JSON_FEED_NAMES.split(',');
-  
-  for (let i = 0; i < Math.min(urls.length, names.length); i++) {
-    threatIntelConfig.jsonFeeds.push({
-      name: names[i].trim(),
-      url: urls[i].trim()
-    });
-  }
-}
+// Threat feed connectors, from SOURCES_FILE or the legacy per-source env vars
+const connectorRegistry = new ConnectorRegistry({
+  client: threatIntelClient,
+  rateLimits: process.env.SOURCE_RATE_LIMITS ? JSON.parse(process.env.SOURCE_RATE_LIMITS) : {},
+  feedStateFile: process.env.FEED_STATE_FILE
+}).load(SOURCES_FILE ? loadSourcesFile(SOURCES_FILE) : sourcesFromEnv(process.env));
 
-// Initialize Threat Intelligence client
-let threatIntelClient = null;
-if (!USE_DEMO_MODE && (threatIntelConfig.virusTotalApiKey || threatIntelConfig.mispUrl || threatIntelConfig.taxiiUrl)) {
-  threatIntelClient = new ThreatIntelClient(threatIntelConfig);
-}
+const LIVE_MODE = !USE_DEMO_MODE && connectorRegistry.enabled().length > 0;
+
+// Indicators published in earlier runs, so only new or changed ones go out again
+const indicatorStore = new IndicatorStore({
+  filePath: process.env.INDICATOR_STORE_FILE,
+  confidenceDelta: process.env.INDICATOR_CONFIDENCE_DELTA !== undefined
+    ? Number(process.env.INDICATOR_CONFIDENCE_DELTA)
+    : undefined
+});
+
+// Per-type TTL and confidence decay applied by the expiry sweep
+const indicatorPolicy = new IndicatorPolicy(
+  process.env.INDICATOR_POLICIES ? JSON.parse(process.env.INDICATOR_POLICIES) : {}
+);
+
+// Reserved ranges, popular domains and our own allowlist are never published
+const indicatorSuppressor = new IndicatorSuppressor({
+  allowlistFile: process.env.ALLOWLIST_FILE,
+  popularDomainsFile: process.env.POPULAR_DOMAINS_FILE
+});
+
+// Offline country, ASN and domain context from local MMDB files and the public suffix list
+const indicatorEnricher = new IndicatorEnricher({
+  client: threatIntelClient,
+  countryDb: process.env.GEOIP_COUNTRY_DB,
+  asnDb: process.env.GEOIP_ASN_DB
+});
+
+// Which TLP markings the Kafka sink, API consumers and exports may receive
+const tlpPolicy = process.env.TLP_POLICY_FILE
+  ? TLPPolicy.fromFile(process.env.TLP_POLICY_FILE, { resolveCredential })
+  : new TLPPolicy({}, { resolveCredential });
+
+// Daily OHLCV bars for SYMBOLS from Alpha Vantage, or recorded responses in replay mode
+const marketDataCollector = new MarketDataCollector({
+  connector: new AlphaVantageConnector({
+    apiKey: process.env.ALPHA_VANTAGE_API_KEY,
+    url: process.env.ALPHA_VANTAGE_URL,
+    limiter: connectorRegistry.limiters.get('alphavantage'),
+    fixtureDir: process.env.MARKET_FIXTURE_DIR,
+    fixtureMode: process.env.MARKET_FIXTURE_MODE
+  }),
+  symbols: (process.env.SYMBOLS || '').split(','),
+  initialBars: Number(process.env.MARKET_INITIAL_BARS) || undefined
+});
+
+// Seeded synthetic threat and market events for demo mode, played against the
+// clock from one polling interval before startup so the first run has data
+const demoScenario = new ScenarioPlayer(loadScenario(DEMO_SCENARIO), {
+  seed: process.env.DEMO_SEED,
+  rateMultiplier: Number(process.env.DEMO_RATE_MULTIPLIER) || 1,
+  client: threatIntelClient,
+  start: Date.now() - Number(POLLING_INTERVAL)
+});
+
+// Every recurring job: one per source with its own schedule, one for the
+// sources polled every POLLING_INTERVAL, market data and the expiry sweep
+const scheduler = new IngestionScheduler({
+  stateFile: process.env.RUN_HISTORY_FILE,
+  historySize: Number(process.env.RUN_HISTORY_SIZE) || undefined
+});
+
+// Backfills of past time windows, with checkpoints to resume them
+const backfillRunner = new BackfillRunner({ stateFile: process.env.BACKFILL_STATE_FILE });
+
+// Ingestion run state reported by the control API
+const ingestionState = {
+  startedAt: new Date().toISOString(),
+  activeRuns: 0,
+  totalRuns: 0,
+  failedRuns: 0,
+  lastRun: null,
+  lastSweep: null
+};
 
 /**
  * Fetch threat intelligence data from configured sources or generate demo data
+ * @param {Connector[]} connectors - Sources to poll
  */
-async function fetchThreatIntelligence() {
+async function fetchThreatIntelligence(connectors) {
   try {
-    if (USE_DEMO_MODE || !threatIntelClient) {
-      console.log('Generating demo threat intelligence data...');
-      return generateDemoThreatData();
+    if (!LIVE_MODE) {
+      console.log(`Generating demo threat intelligence from scenario ${demoScenario.name}...`);
+      return demoScenario.take('threat');
     }
     
     console.log('Fetching real threat intelligence from configured sources...');
-    const data = await threatIntelClient.getAllThreatIntel();
+    const data = await threatIntelClient.getAllThreatIntel(connectors);
     return data;
   } catch (error) {
     console.error('Error fetching threat intelligence:', error.message);
@@ -61,81 +150,22 @@ async function fetchThreatIntelligence() {
       console.log('🔄 Falling back to demo data due to API error...');
     }
     
-    return generateDemoThreatData();
+    return demoScenario.take('threat');
   }
 }
 
 /**
- * Generate demo threat intelligence data for testing
+ * Resolve a dataset path and make sure it stays inside DATASET_ROOT
+ * @param {string} datasetPath - Path supplied by the caller
  */
-function generateDemoThreatData() {
-  const demoIndicators = [];
-  
-  // Generate malicious IPs
-  for (let i = 0; i < 5; i++) {
-    demoIndicators.push({
-      id: `demo_ip_${Date.now()}_${i}`,
-      indicator_type: 'ip',
-      indicator_value: `${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-      confidence_score: Math.floor(Math.random() * 40) + 60, // 60-100
-      severity_level: ['high', 'medium', 'low'][Math.floor(Math.random() * 3)],
-      first_seen: new Date(Date.now() - Math.random() * 86400000 * 7).toISOString(), // Last 7 days
-      last_seen: new Date().toISOString(),
-      tags: ['botnet', 'malware', 'c2'].slice(0, Math.floor(Math.random() * 3) + 1),
-      source_feeds: ['demo-feed'],
-      tlp_marking: 'white',
-      metadata: {
-        country: ['US', 'CN', 'RU', 'KP'][Math.floor(Math.random() * 4)],
-        asn: `AS${Math.floor(Math.random() * 65535)}`
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
+function resolveDatasetPath(datasetPath) {
+  const resolved = path.resolve(DATASET_ROOT, datasetPath);
   
-  // Generate malicious domains
-  const domains = ['evil-site.com', 'malware-host.net', 'phishing-bank.org', 'fake-update.info', 'trojan-download.biz'];
-  for (let i = 0; i < domains.length; i++) {
-    demoIndicators.push({
-      id: `demo_domain_${Date.now()}_${i}`,
-      indicator_type: 'domain',
-      indicator_value: domains[i],
-      confidence_score: Math.floor(Math.random() * 30) + 70, // 70-100
-      severity_level: ['high', 'medium'][Math.floor(Math.random() * 2)],
-      first_seen: new Date(Date.now() - Math.random() * 86400000 * 30).toISOString(), // Last 30 days
-      last_seen: new Date().toISOString(),
-      tags: ['phishing', 'malware', 'c2', 'apt'].slice(0, Math.floor(Math.random() * 3) + 1),
-      source_feeds: ['demo-feed'],
-      tlp_marking: 'white',
-      metadata: {
-        registrar: 'Demo Registrar',
-        creation_date: new Date(Date.now() - Math.random() * 86400000 * 365).toISOString()
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  // Generate malicious hashes
-  for (let i = 0; i < 3; i++) {
-    demoIndicators.push({
-      id: `demo_hash_${Date.now()}_${i}`,
-      indicator_type: 'hash',
-      indicator_value: Array.from({length: 64}, () => Math.floor(Math.random() * 16).toString(16)).join(''),
-      confidence_score: Math.floor(Math.random() * 20) + 80, // 80-100
-      severity_level: 'high',
-      first_seen: new Date(Date.now() - Math.random() * 86400000 * 3).toISOString(), // Last 3 days
-      last_seen: new Date().toISOString(),
-      tags: ['malware', 'trojan', 'ransomware'][i] ? [['malware', 'trojan', 'ransomware'][i]] : ['malware'],
-      source_feeds: ['demo-feed'],
-      tlp_marking: 'white',
-      metadata: {
-        file_type: ['exe', 'dll', 'pdf'][Math.floor(Math.random() * 3)],
-        size: Math.floor(Math.random() * 10000000) + 1000
-      },
-      timestamp: new Date().toISOString()
-    });
+  if (resolved !== DATASET_ROOT && !resolved.startsWith(DATASET_ROOT + path.sep)) {
+    return null;
   }
   
-  return demoIndicators;
+  return resolved;
 }
 
 /**
@@ -159,58 +189,824 @@ function determineThreatRisk(confidence, severity) {
 
 /**
  * Process and send threat intelligence data to Kafka
+ * @param {Object} options - Run options
+ * @param {string} options.datasetPath - Ingest this local dataset instead of the configured sources
+ * @param {string} options.mappingPath - Mapping file for the dataset
+ * @param {string[]} options.sources - Only poll these sources (default: every enabled source)
+ * @param {Object} options.scenario - Publish this generated scenario instead, see sendScenario
+ * @param {string} options.trigger - What started the run (interval, cron, api)
+ */
+async function processAndSendData(options = {}) {
+  const run = {
+    trigger: options.trigger || 'interval',
+    dataset_path: options.datasetPath || null,
+    scenario: options.scenario ? options.scenario.definition.name : null,
+    backfill: options.backfill ? BackfillRunner.jobId(options.backfill.source, options.backfill.from, options.backfill.to) : null,
+    sources: options.sources || null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    status: 'running',
+    records_sent: 0,
+    progress: null
+  };
+  
+  ingestionState.activeRuns++;
+  ingestionState.totalRuns++;
+  ingestionState.lastRun = run;
+  
+  try {
+    const summary = options.datasetPath
+      ? await sendDataset(options, run)
+      : options.scenario
+        ? await sendScenario(options.scenario, run)
+        : options.backfill
+          ? await sendBackfill(options.backfill, run)
+          : await sendIndicators(options.sources);
+    run.status = 'completed';
+    run.records_sent = recordsSent(summary);
+    return summary;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    ingestionState.failedRuns++;
+    throw error;
+  } finally {
+    indicatorStore.save();
+    indicatorSuppressor.save();
+    run.finished_at = new Date().toISOString();
+    ingestionState.activeRuns--;
+  }
+}
+
+/**
+ * Fetch indicators from the configured sources and publish them to Kafka
+ * @param {string[]} sourceNames - Only poll these sources
  */
-async function processAndSendData() {
-  const data = await fetchThreatIntelligence();
+async function sendIndicators(sourceNames) {
+  const connectors = connectorRegistry.enabled()
+    .filter(connector => !sourceNames || sourceNames.includes(connector.name));
+  const data = await fetchThreatIntelligence(connectors);
+  const summary = createSummary();
+  
+  // Demo scenarios carry market ticks too, unless real market data is collected
+  if (!LIVE_MODE && !marketDataCollector.enabled) {
+    summary.total_records += (await publishFinancialRecords(demoScenario.take('market'))).length;
+  }
   
   if (!data || data.length === 0) {
     console.log('No threat intelligence data to process. Skipping...');
-    return;
+    commitFeedState(connectors);
+    return summary;
   }
   
   console.log(`Processing ${data.length} threat intelligence indicators`);
   
-  // Process each threat indicator
-  for (const indicator of data) {
+  await publishIndicators(data, summary);
+  commitFeedState(connectors);
+  
+  console.log('Threat intelligence data successfully sent to Kafka');
+  
+  // Log summary statistics
+  addToSummary(summary, data);
+  
+  console.log('Threat intelligence summary:', summary);
+  return summary;
+}
+
+/**
+ * Save each polled source's validators and high-water mark, only once its
+ * indicators are published so a failed run is fetched in full again
+ * @param {Connector[]} connectors - Connectors polled by the run
+ */
+function commitFeedState(connectors) {
+  for (const connector of connectors) {
+    try {
+      connector.commit();
+    } catch (error) {
+      console.error(`Could not save the feed state of ${connector.name}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Stream a local dataset and publish its records to Kafka in batches
+ * @param {Object} options - Run options passed to processAndSendData
+ * @param {Object} run - Run state, updated with streaming progress
+ */
+async function sendDataset(options, run) {
+  const summary = createSummary();
+  
+  const stats = await ingestDataset(options.datasetPath, {
+    client: threatIntelClient,
+    mappingPath: options.mappingPath,
+    onBatch: async (records, recordType) => {
+      if (recordType === 'financial') {
+        summary.total_records += (await publishFinancialRecords(records)).length;
+      } else {
+        await publishIndicators(records, summary);
+        addToSummary(summary, records);
+      }
+    },
+    onProgress: progress => {
+      run.progress = progress;
+    }
+  });
+  
+  summary.dataset = stats;
+  console.log('Dataset ingestion summary:', summary);
+  return summary;
+}
+
+/**
+ * Re-ingest a past time window of one source, page by page, tagging every
+ * event as backfilled
+ * @param {Object} backfill - Parsed request, see parseBackfillRequest
+ * @param {Object} run - Run state, updated with progress
+ */
+async function sendBackfill(backfill, run) {
+  const summary = createSummary();
+  const connector = connectorRegistry.get(backfill.source);
+  
+  summary.backfill = await backfillRunner.run(connector, backfill, async (indicators, job) => {
+    await publishIndicators(indicators, summary, {
+      topic: job.topic || BACKFILL_TOPIC,
+      backfill: { job: job.id, from: job.from, to: job.to }
+    });
+    addToSummary(summary, indicators);
+    run.progress = { pages: job.pages + 1, indicators: job.indicators + indicators.length };
+  });
+  
+  console.log('Backfill summary:', summary);
+  return summary;
+}
+
+/**
+ * Generate a scenario and publish its events as fast as Kafka takes them,
+ * e.g. for a load test or to replay a known stream to the AI engine
+ * @param {Object} scenario - { definition, seed, start, duration, rateMultiplier }
+ * @param {Object} run - Run state, updated with progress
+ */
+async function sendScenario(scenario, run) {
+  const summary = createSummary();
+  const events = generateScenario(scenario.definition, {
+    seed: scenario.seed,
+    start: scenario.start,
+    duration: scenario.duration,
+    rateMultiplier: scenario.rateMultiplier,
+    client: threatIntelClient
+  });
+  
+  // Batches keep the event order while letting the producer fill its batches
+  for (let i = 0; i < events.length; i += SCENARIO_BATCH_SIZE) {
+    const batch = events.slice(i, i + SCENARIO_BATCH_SIZE);
+    const indicators = batch.filter(event => event.kind === 'threat').map(event => event.record);
+    
+    summary.total_records += (await publishFinancialRecords(batch.filter(event => event.kind === 'market').map(event => event.record))).length;
+    await publishIndicators(indicators, summary);
+    addToSummary(summary, indicators);
+    run.progress = { events: Math.min(i + SCENARIO_BATCH_SIZE, events.length), total: events.length };
+  }
+  
+  summary.scenario = { name: scenario.definition.name, seed: scenario.seed, events: events.length };
+  console.log('Scenario summary:', summary);
+  return summary;
+}
+
+/**
+ * Enrich new or changed threat indicators with risk metadata and send them to Kafka
+ * @param {Object[]} indicators - Normalized threat indicators
+ * @param {Object} summary - Run summary, counts new/updated/unchanged/suppressed/withheld indicators
+ * @param {Object} options - Backfills only: topic and the backfill tag
+ */
+async function publishIndicators(indicators, summary, options = {}) {
+  const topic = options.topic || KAFKA_TOPIC;
+  const observedAt = new Date().toISOString();
+  const { accepted, suppressed } = indicatorSuppressor.filter(indicators);
+  
+  for (const { indicator, reason, rule } of suppressed) {
+    summary.suppressed_indicators++;
+    summary.suppression_reasons[reason] = (summary.suppression_reasons[reason] || 0) + 1;
+    console.warn(`🚫 Suppressed ${indicator.indicator_type} ${indicator.indicator_value} from ${indicator.source_feeds.join(', ')}: ${reason} (${rule})`);
+  }
+  
+  // Markings above what the Kafka sink may carry stay in the ingestor
+  const { allowed, withheld } = tlpPolicy.filter('sinks', 'kafka', accepted);
+  for (const indicator of withheld) {
+    summary.withheld_indicators++;
+    summary.withheld_markings[indicator.tlp_marking] = (summary.withheld_markings[indicator.tlp_marking] || 0) + 1;
+  }
+  if (withheld.length > 0) {
+    console.warn(`🔒 Withheld ${withheld.length} indicators marked above TLP:${tlpPolicy.maxTLP('sinks', 'kafka').toUpperCase()} from Kafka`);
+  }
+  
+  // Store changes only count once their events reached Kafka; a failed flush
+  // rolls them back so the next run publishes the same indicators again
+  const journal = new Map();
+  const batch = createBatch();
+  const published = result => {
+    if (result) journal.clear();
+    return result;
+  };
+  
+  try {
+    for (const indicator of indicatorEnricher.enrichAll(allowed)) {
+      if (!indicator) continue;
+      
+      // Withdrawn by its source, retire it once no other source still reports
+      // it; a backfill only reports the old revocation
+      if (indicator.revoked) {
+        const { status, record } = options.backfill
+          ? { status: 'revoked', record: { ...indicator, revoked_at: observedAt } }
+          : indicatorStore.revoke(indicator, observedAt, journal);
+        if (status !== 'revoked') {
+          summary.unchanged_indicators++;
+          continue;
+        }
+        
+        summary.revoked_indicators++;
+        const message = lifecycleMessage('indicator_revoked', indicator.hash, record, {
+          revoked_at: record.revoked_at,
+          reason: record.revocation_reason
+        });
+        if (options.backfill) message.backfill = options.backfill;
+        addFlushToSummary(summary, published(await batch.queue(topic, message, indicator.hash)));
+        continue;
+      }
+      
+      // Calculate risk level
+      const riskLevel = determineThreatRisk(indicator.confidence_score, indicator.severity_level);
+      
+      // Enrich indicator with additional metadata
+      const enrichedIndicator = {
+        ...indicator,
+        risk_level: riskLevel,
+        ingestion_timestamp: new Date().toISOString(),
+        processing_metadata: {
+          ingestor_version: '2.0.0',
+          processing_time: new Date().toISOString()
+        }
+      };
+      
+      // Indicators the event schema would refuse never reach the store, so a
+      // fixed feed republishes them
+      const problems = validateData('threat_indicator', enrichedIndicator);
+      if (problems.length > 0) {
+        summary.invalid_indicators++;
+        for (const source of indicator.source_feeds) metrics.sourceIndicators.inc({ source, outcome: 'rejected' });
+        console.warn(`⚠️ Invalid ${indicator.indicator_type} ${indicator.indicator_value} from ${indicator.source_feeds.join(', ')}: ${problems.join('; ')}`);
+        continue;
+      }
+      
+      // Skip indicators already published with the same material fields. A
+      // backfill publishes its whole window and leaves the store alone, so
+      // old sightings never change the lifecycle of live indicators.
+      const { status, changes } = options.backfill
+        ? indicatorStore.replay(indicator)
+        : indicatorStore.observe(indicator, observedAt, journal);
+      summary[`${status}_indicators`]++;
+      if (status === 'unchanged') continue;
+      
+      const message = createEnvelope(status === 'updated' ? 'indicator_updated' : 'threat_indicator', enrichedIndicator, {
+        source: EVENT_SOURCE,
+        changes: status === 'updated' ? changes : undefined,
+        backfill: options.backfill
+      });
+      
+      // Keyed by hash so every event about an indicator stays in order on one partition
+      addFlushToSummary(summary, published(await batch.queue(topic, message, indicator.hash)));
+    }
+    
+    addFlushToSummary(summary, published(await batch.flush()));
+  } catch (error) {
+    indicatorStore.rollback(journal);
+    throw error;
+  }
+}
+
+/**
+ * Build an event about a stored indicator that has no fresh sighting behind it
+ * @param {string} eventType - indicator_expired, indicator_revoked or indicator_updated
+ * @param {string} hash - Indicator hash
+ * @param {Object} record - IndicatorStore record
+ * @param {Object} details - Extra fields for the event data
+ */
+function lifecycleMessage(eventType, hash, record, details = {}) {
+  return createEnvelope(eventType, {
+    hash,
+    indicator_type: record.indicator_type,
+    indicator_value: record.indicator_value,
+    first_seen: record.first_seen,
+    last_seen: record.last_seen,
+    ...record.published,
+    ...details
+  }, { source: EVENT_SOURCE });
+}
+
+/**
+ * Age known indicators, publishing expiries and decayed confidence scores
+ */
+async function runExpirySweep() {
+  // Expiries and decays only stick once their events reached Kafka, so a
+  // failed flush leaves them for the next sweep
+  const journal = new Map();
+  const { expired, decayed } = indicatorStore.sweep(indicatorPolicy, Date.now(), journal);
+  const batch = createBatch();
+  
+  try {
+    for (const { hash, record, reason, confidence } of expired) {
+      await batch.queue(KAFKA_TOPIC, lifecycleMessage('indicator_expired', hash, record, {
+        confidence_score: confidence,
+        expired_at: record.expired_at,
+        reason
+      }), hash);
+    }
+    
+    for (const { hash, record, previous, current } of decayed) {
+      await batch.queue(KAFKA_TOPIC, {
+        ...lifecycleMessage('indicator_updated', hash, record),
+        changes: [{ field: 'confidence_score', previous, current, reason: 'decay' }]
+      }, hash);
+    }
+    
+    await batch.flush();
+  } catch (error) {
+    indicatorStore.rollback(journal);
+    throw error;
+  } finally {
+    indicatorStore.save();
+  }
+  
+  ingestionState.lastSweep = {
+    swept_at: new Date().toISOString(),
+    expired: expired.length,
+    decayed: decayed.length
+  };
+  
+  if (expired.length > 0 || decayed.length > 0) {
+    console.log(`⌛ Expiry sweep: ${expired.length} expired, ${decayed.length} decayed`);
+  }
+  return ingestionState.lastSweep;
+}
+
+/**
+ * Collect new market data bars and publish them for the worker
+ */
+async function runMarketDataCollection() {
+  const { records, errors } = await marketDataCollector.collect();
+  let published = [];
+  
+  if (records.length > 0) {
+    // Records the schema refused stay behind the high-water mark
+    published = await publishFinancialRecords(records);
+    marketDataCollector.markPublished(published);
+  }
+  
+  console.log(`📈 Market data: ${published.length} records published to ${FINANCIAL_KAFKA_TOPIC}${errors.length > 0 ? `, ${errors.length} symbols failed` : ''}`);
+  return { records: published.length, errors };
+}
+
+/**
+ * Send financial records to the topic the worker consumes; records the
+ * financial_tick schema refuses are logged and left out
+ * @param {Object[]} records - Financial records from a dataset or market data source
+ * @returns {Object[]} - Records published
+ */
+async function publishFinancialRecords(records) {
+  const published = [];
+  const batch = createBatch();
+  
+  for (const record of records) {
+    const problems = validateData('financial_tick', record);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Invalid financial record ${record.id}: ${problems.join('; ')}`);
+      continue;
+    }
+    
+    await batch.queue(FINANCIAL_KAFKA_TOPIC, createEnvelope('financial_tick', record, {
+      source: record.source || 'financial-data-ingestor',
+      timestamp: record.timestamp
+    }), record.symbol);
+    published.push(record);
+  }
+  
+  await batch.flush();
+  return published;
+}
+
+/**
+ * Create an empty ingestion summary
+ */
+function createSummary() {
+  return {
+    total_records: 0,
+    total_indicators: 0,
+    new_indicators: 0,
+    updated_indicators: 0,
+    unchanged_indicators: 0,
+    replayed_indicators: 0,
+    revoked_indicators: 0,
+    suppressed_indicators: 0,
+    suppression_reasons: {},
+    withheld_indicators: 0,
+    withheld_markings: {},
+    invalid_indicators: 0,
+    severity_breakdown: {},
+    sources: [],
+    kafka: { messages: 0, batches: 0, bytes: 0, duration_ms: 0 }
+  };
+}
+
+/**
+ * Records of a run that reached Kafka
+ * @param {Object} summary - Summary created by createSummary
+ */
+function recordsSent(summary) {
+  return summary.total_records - summary.unchanged_indicators - summary.suppressed_indicators - summary.withheld_indicators - summary.invalid_indicators;
+}
+
+/**
+ * Add the result of a Kafka flush to an ingestion summary
+ * @param {Object} summary - Summary created by createSummary
+ * @param {Object} result - Flush result, null when nothing was sent
+ */
+function addFlushToSummary(summary, result) {
+  if (!result) return summary;
+  
+  summary.kafka.messages += result.messages;
+  summary.kafka.batches++;
+  summary.kafka.bytes += result.bytes;
+  summary.kafka.duration_ms += result.duration_ms;
+  return summary;
+}
+
+/**
+ * Add a set of published indicators to an ingestion summary
+ * @param {Object} summary - Summary created by createSummary
+ * @param {Object[]} indicators - Published indicators
+ */
+function addToSummary(summary, indicators) {
+  for (const indicator of indicators) {
     if (!indicator) continue;
     
-    // Calculate risk level
-    const riskLevel = determineThreatRisk(indicator.confidence_score, indicator.severity_level);
+    summary.total_records++;
+    summary.total_indicators++;
+    summary.severity_breakdown[indicator.severity_level] = (summary.severity_breakdown[indicator.severity_level] || 0) + 1;
     
-    // Enrich indicator with additional metadata
-    const enrichedIndicator = {
-      ...indicator,
-      risk_level: riskLevel,
-      ingestion_timestamp: new Date().toISOString(),
-      processing_metadata: {
-        ingestor_version: '2.0.0',
-        processing_time: new Date().toISOString()
-      }
-    };
+    for (const source of indicator.source_feeds) {
+      if (!summary.sources.includes(source)) summary.sources.push(source);
+    }
+  }
+  
+  return summary;
+}
+
+/**
+ * List the threat intelligence sources the ingestor is configured with
+ */
+function getConfiguredSources() {
+  if (!LIVE_MODE) {
+    return [{ name: `scenario:${demoScenario.name}`, type: 'demo' }];
+  }
+  
+  return connectorRegistry.describe();
+}
+
+// Control API
+const app = express();
+app.use(express.json({ limit: REPORT_MAX_SIZE }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.status(200).json({ status: 'ok' });
+});
+
+// Prometheus metrics: process defaults plus per-source and Kafka metrics, see metrics.js
+metrics.collectDefaultMetrics();
+
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.register.contentType);
+  res.end(await metrics.register.metrics());
+});
+
+// Ingestion status endpoint
+app.get('/status', (req, res) => {
+  res.json({
+    mode: LIVE_MODE ? 'live' : 'demo',
+    kafka_topic: KAFKA_TOPIC,
+    polling_interval_ms: Number(POLLING_INTERVAL),
+    started_at: ingestionState.startedAt,
+    active_runs: ingestionState.activeRuns,
+    total_runs: ingestionState.totalRuns,
+    failed_runs: ingestionState.failedRuns,
+    last_run: ingestionState.lastRun,
+    last_sweep: ingestionState.lastSweep,
+    known_indicators: indicatorStore.size,
+    indicator_status: indicatorStore.counts(),
+    suppressions: indicatorSuppressor.getStats().counts,
+    tlp_policy: tlpPolicy.describe(),
+    scheduler: scheduler.describe(),
+    market_data: marketDataCollector.getState(),
+    demo_scenario: LIVE_MODE ? null : { name: demoScenario.name, seed: String(demoScenario.seed) },
+    kafka: getProducerStats()
+  });
+});
+
+// Suppressed indicators endpoint, recent values limited to the consumer's TLP
+app.get('/suppressions', (req, res) => {
+  const consumer = tlpPolicy.consumerFor(req.get('authorization'));
+  const stats = indicatorSuppressor.getStats();
+  
+  res.json({ ...stats, recent: tlpPolicy.filter('consumers', consumer, stats.recent).allowed });
+});
+
+// Run history, newest first, optionally for one job, source or status
+app.get('/runs', (req, res) => {
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+  
+  res.json({
+    runs: scheduler.history({ job: req.query.job, source: req.query.source, status: req.query.status, limit })
+  });
+});
+
+// Configured sources endpoint
+app.get('/sources', (req, res) => {
+  res.json({ sources: getConfiguredSources() });
+});
+
+// Trigger an ingestion run of every source (or of `sources`), or of a local
+// dataset. Sources still running from an earlier run are skipped or queued
+// like scheduled runs.
+app.post('/trigger', async (req, res) => {
+  const { datasetPath, mappingPath, sources } = req.body || {};
+  let resolvedPath = null;
+  let resolvedMappingPath = null;
+  
+  if (datasetPath !== undefined) {
+    if (typeof datasetPath !== 'string' || datasetPath.trim() === '') {
+      return res.status(400).json({ error: 'datasetPath must be a non-empty string' });
+    }
+    
+    resolvedPath = resolveDatasetPath(datasetPath);
+    if (!resolvedPath) {
+      return res.status(400).json({ error: `datasetPath must be inside ${DATASET_ROOT}` });
+    }
     
-    // Send to Kafka
-    await produceMessage(KAFKA_TOPIC, {
-      timestamp: new Date().toISOString(),
-      event_type: 'threat_indicator',
-      data: enrichedIndicator,
-      source: 'threat-intelligence-ingestor'
+    try {
+      await fs.promises.access(resolvedPath, fs.constants.R_OK);
+    } catch {
+      return res.status(404).json({ error: `Dataset not found: ${datasetPath}` });
+    }
+    
+    try {
+      detectFormat(resolvedPath);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  
+  if (mappingPath !== undefined) {
+    resolvedMappingPath = typeof mappingPath === 'string' && resolvedPath ? resolveDatasetPath(mappingPath) : null;
+    if (!resolvedMappingPath) {
+      return res.status(400).json({ error: `mappingPath requires a datasetPath and must be inside ${DATASET_ROOT}` });
+    }
+  }
+  
+  if (sources !== undefined) {
+    const known = connectorRegistry.enabled().map(connector => connector.name);
+    const unknown = Array.isArray(sources) ? sources.filter(name => !known.includes(name)) : [];
+    if (resolvedPath || !Array.isArray(sources) || sources.length === 0 || !LIVE_MODE || unknown.length > 0) {
+      return res.status(400).json({
+        error: `sources must list enabled sources (${known.join(', ') || 'none'}) and cannot be combined with a datasetPath`
+      });
+    }
+  }
+  
+  console.log(`📥 Ingestion triggered via API${resolvedPath ? ` for dataset ${resolvedPath}` : sources ? ` for ${sources.join(', ')}` : ''}`);
+  
+  // Run in the background so long datasets don't time out the caller
+  if (resolvedPath) {
+    runUnscheduled('dataset', [path.basename(resolvedPath)], { datasetPath: resolvedPath, mappingPath: resolvedMappingPath, trigger: 'api' }).catch(error => {
+      console.error('Triggered ingestion run failed:', error.message);
     });
+  } else {
+    for (const job of ingestionJobs(sources)) {
+      scheduler.trigger(job, 'api', sources).catch(error => {
+        console.error(`Triggered run of ${job} failed:`, error.message);
+      });
+    }
   }
   
-  console.log('Threat intelligence data successfully sent to Kafka');
+  res.status(202).json({
+    status: 'accepted',
+    dataset_path: resolvedPath,
+    mapping_path: resolvedMappingPath,
+    sources: sources || null,
+    accepted_at: new Date().toISOString()
+  });
+});
+
+// Extract IOCs from a threat report; a dry-run preview unless publish is true.
+// Takes JSON ({ content, format, title, ... }) or a raw text/html/markdown body
+// with the options in the query string.
+app.post('/extract', express.text({ type: 'text/*', limit: REPORT_MAX_SIZE }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { ...req.query, content: req.body } : (req.body || {});
+  const publish = body.publish === true || body.publish === 'true';
   
-  // Log summary statistics
-  const severityCounts = data.reduce((acc, indicator) => {
-    acc[indicator.severity_level] = (acc[indicator.severity_level] || 0) + 1;
-    return acc;
-  }, {});
-  
-  console.log('Threat intelligence summary:', {
-    total_indicators: data.length,
-    severity_breakdown: severityCounts,
-    sources: [...new Set(data.flatMap(i => i.source_feeds))]
+  if (typeof body.content !== 'string' || body.content.trim() === '') {
+    return res.status(400).json({ error: 'content must be a non-empty string' });
+  }
+  
+  if (body.format !== undefined && !REPORT_FORMATS.includes(body.format)) {
+    return res.status(400).json({ error: `format must be one of ${REPORT_FORMATS.join(', ')}` });
+  }
+  
+  const { report, indicators } = extractReportIndicators(body.content, {
+    client: threatIntelClient,
+    format: body.format,
+    title: body.title,
+    url: body.url,
+    source: body.source,
+    confidence: body.confidence,
+    severity: body.severity,
+    tlp: body.tlp,
+    tags: body.tags
   });
-}
+  const preview = indicators.map(indicator => previewIndicator(indicator, indicatorSuppressor));
+  
+  if (!publish) {
+    return res.json({ dry_run: true, report, indicators: preview });
+  }
+  
+  console.log(`📝 Publishing ${indicators.length} indicators extracted from ${report.title || `report ${report.hash}`}`);
+  const summary = createSummary();
+  
+  try {
+    await publishIndicators(indicators, summary);
+    addToSummary(summary, indicators);
+  } catch (error) {
+    console.error('Publishing extracted indicators failed:', error.message);
+    return res.status(502).json({ error: error.message, summary });
+  } finally {
+    indicatorStore.save();
+    indicatorSuppressor.save();
+  }
+  
+  res.json({ dry_run: false, report, indicators: preview, summary });
+});
+
+// Import OHLCV bars from a CSV file, derive the worker's fields and publish
+// them to the financial topic; a dry-run preview unless publish is true.
+// Takes JSON ({ datasetPath, symbol, publish }) with a file under DATASET_ROOT,
+// or a raw text/csv body with the options in the query string.
+app.post('/market/import', express.text({ type: ['text/csv', 'text/plain'], limit: REPORT_MAX_SIZE }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { ...req.query, content: req.body } : (req.body || {});
+  const publish = body.publish === true || body.publish === 'true';
+  const options = { symbol: body.symbol, source: body.source };
+  let imported;
+  
+  try {
+    if (typeof body.content === 'string') {
+      imported = parseOHLCV(body.content, options);
+    } else if (typeof body.datasetPath === 'string' && body.datasetPath.trim() !== '') {
+      const resolvedPath = resolveDatasetPath(body.datasetPath);
+      if (!resolvedPath) {
+        return res.status(400).json({ error: `datasetPath must be inside ${DATASET_ROOT}` });
+      }
+      imported = await importOHLCVFile(resolvedPath, options);
+    } else {
+      return res.status(400).json({ error: 'Send a text/csv body or a datasetPath' });
+    }
+  } catch (error) {
+    return res.status(error.code === 'ENOENT' ? 404 : 400).json({ error: error.message });
+  }
+  
+  const records = toFinancialRecords(imported.bars);
+  
+  if (!publish) {
+    return res.json({ dry_run: true, skipped: imported.skipped, records });
+  }
+  
+  let published;
+  try {
+    published = (await publishFinancialRecords(records)).length;
+  } catch (error) {
+    console.error('Publishing imported market data failed:', error.message);
+    return res.status(502).json({ error: error.message });
+  }
+  
+  console.log(`📈 Imported ${published} OHLCV records to ${FINANCIAL_KAFKA_TOPIC} (${imported.skipped} rows skipped)`);
+  res.json({ dry_run: false, published, skipped: imported.skipped });
+});
+
+// Scenarios shipped with the ingestor
+app.get('/scenarios', (req, res) => {
+  res.json({ scenarios: listScenarios() });
+});
+
+// Generate a scenario and publish it in the background. Takes a shipped
+// scenario by name or an inline definition, plus seed, start, duration and
+// rate_multiplier; the same parameters always publish the same events.
+app.post('/scenarios/run', (req, res) => {
+  const body = req.body || {};
+  let definition;
+  
+  try {
+    if (body.definition !== undefined) {
+      const errors = validateScenario(body.definition);
+      if (errors.length > 0) throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+      definition = body.definition;
+    } else if (typeof body.scenario === 'string' && /^[\w-]+$/.test(body.scenario)) {
+      definition = loadScenario(body.scenario);
+    } else {
+      return res.status(400).json({ error: 'Send a scenario name or a definition' });
+    }
+    
+    if (body.duration !== undefined) parseDuration(body.duration);
+    if (body.start !== undefined && Number.isNaN(new Date(body.start).getTime())) {
+      throw new Error('start must be a date');
+    }
+    if (body.rate_multiplier !== undefined && !(Number(body.rate_multiplier) >= 0)) {
+      throw new Error('rate_multiplier must be a number of at least 0');
+    }
+  } catch (error) {
+    return res.status(error.message.startsWith('Unknown scenario') ? 404 : 400).json({ error: error.message });
+  }
+  
+  const scenario = {
+    definition,
+    seed: body.seed,
+    start: body.start,
+    duration: body.duration,
+    rateMultiplier: body.rate_multiplier
+  };
+  
+  console.log(`🎬 Scenario ${definition.name} triggered via API${body.seed !== undefined ? ` with seed ${body.seed}` : ''}`);
+  runUnscheduled('scenario', [], { scenario, trigger: 'api' }).catch(error => {
+    console.error(`Scenario ${definition.name} failed:`, error.message);
+  });
+  
+  res.status(202).json({
+    status: 'accepted',
+    scenario: definition.name,
+    seed: body.seed !== undefined ? body.seed : (definition.seed !== undefined ? definition.seed : definition.name),
+    accepted_at: new Date().toISOString()
+  });
+});
+
+// Backfill a past time window of one source. Starting the same source and
+// window again resumes it after its last published page.
+app.post('/backfill', (req, res) => {
+  let backfill;
+  
+  try {
+    backfill = parseBackfillRequest(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  if (!connectorRegistry.get(backfill.source)) {
+    return res.status(404).json({ error: `Unknown source "${backfill.source}"` });
+  }
+  
+  const id = BackfillRunner.jobId(backfill.source, backfill.from, backfill.to);
+  const saved = backfillRunner.get(id);
+  if (backfillRunner.isRunning(id)) {
+    return res.status(409).json({ error: `Backfill ${id} is already running`, job: saved });
+  }
+  if (saved && saved.status === 'completed' && !backfill.restart) {
+    return res.json({ status: 'completed', job: saved, hint: 'send restart: true to run it again' });
+  }
+  
+  runUnscheduled('backfill', [backfill.source], { backfill, trigger: 'api' }).catch(error => {
+    console.error(`Backfill ${id} of ${backfill.source} failed:`, error.message);
+  });
+  
+  res.status(202).json({
+    status: 'accepted',
+    id,
+    source: backfill.source,
+    from: backfill.from.toISOString(),
+    to: backfill.to.toISOString(),
+    topic: backfill.topic || (saved && saved.topic) || BACKFILL_TOPIC,
+    resumed: Boolean(saved && !backfill.restart && saved.checkpoint !== null),
+    accepted_at: new Date().toISOString()
+  });
+});
+
+app.get('/backfill', (req, res) => {
+  res.json({ backfills: backfillRunner.list() });
+});
+
+app.get('/backfill/:id', (req, res) => {
+  const job = backfillRunner.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown backfill "${req.params.id}"` });
+  }
+  res.json(job);
+});
 
 /**
  * Main execution loop
@@ -218,55 +1014,143 @@ async function processAndSendData() {
 async function startIngestor() {
   console.log('Cybersecurity Threat Intelligence - Ingestor Service Starting...');
   
-  if (USE_DEMO_MODE || !threatIntelClient) {
-    console.log('🔧 Running in DEMO MODE - generating synthetic threat intelligence');
+  if (!LIVE_MODE) {
+    console.log(`🔧 Running in DEMO MODE - playing scenario ${demoScenario.name} (seed ${demoScenario.seed})`);
     console.log(`Polling interval: ${POLLING_INTERVAL}ms`);
   } else {
     console.log('🛡️ Running with REAL threat intelligence sources');
-    const configuredSources = [];
-    if (threatIntelConfig.virusTotalApiKey) configuredSources.push('VirusTotal');
-    if (threatIntelConfig.mispUrl) configuredSources.push('MISP');
-    if (threatIntelConfig.taxiiUrl) configuredSources.push('STIX/TAXII');
-    if (threatIntelConfig.jsonFeeds.length > 0) configuredSources.push(`${threatIntelConfig.jsonFeeds.length} JSON feeds`);
+    const configuredSources = connectorRegistry.enabled().map(connector => `${connector.name} (${connector.type})`);
     
     console.log(`Configured sources: ${configuredSources.join(', ')}`);
     console.log(`Polling interval: ${POLLING_INTERVAL}ms`);
   }
   
-  // Initial run
-  await processAndSendData();
+  // Start the control API
+  app.listen(PORT, () => {
+    console.log(`Ingestor control API running on port ${PORT}`);
+  });
   
-  // Set up polling interval
-  setInterval(processAndSendData, POLLING_INTERVAL);
+  scheduleJobs();
+  for (const job of scheduler.describe()) {
+    const when = job.schedule ? `at "${job.schedule}"` : `every ${job.interval_ms}ms`;
+    console.log(`⏰ ${job.name} ${when}${job.sources.length > 1 ? ` for ${job.sources.join(', ')}` : ''}`);
+  }
+  scheduler.start();
+}
+
+/**
+ * Counts kept in the run history for an ingestion run
+ * @param {Object} summary - Summary created by createSummary
+ */
+function runCounts(summary) {
+  return {
+    records_sent: recordsSent(summary),
+    new_indicators: summary.new_indicators,
+    updated_indicators: summary.updated_indicators,
+    unchanged_indicators: summary.unchanged_indicators,
+    revoked_indicators: summary.revoked_indicators,
+    suppressed_indicators: summary.suppressed_indicators,
+    withheld_indicators: summary.withheld_indicators,
+    invalid_indicators: summary.invalid_indicators,
+    kafka_messages: summary.kafka.messages
+  };
+}
+
+/**
+ * Run a dataset, scenario or backfill, kept in the run history with the
+ * scheduled runs
+ * @param {string} name - Job name in the history
+ * @param {string[]} sources - Sources the run reads
+ * @param {Object} options - Options of processAndSendData
+ */
+function runUnscheduled(name, sources, options) {
+  return scheduler.runOnce({ name, sources, run: () => processAndSendData(options), counts: runCounts }, options.trigger);
+}
+
+/**
+ * Register the recurring jobs with the scheduler
+ *
+ * Each source with a schedule or interval of its own gets a job; the rest are
+ * polled together every POLLING_INTERVAL so their indicators are fused in one
+ * run. Everything runs once at startup.
+ */
+function scheduleJobs() {
+  const ingest = (keys, trigger) => processAndSendData({ trigger, sources: LIVE_MODE ? keys : undefined });
+  const ingestion = { runOnStart: true, run: ingest, counts: runCounts };
   
-  // Set up continuous threat intelligence collection (every 15 minutes)
-  cron.schedule('*/15 * * * *', async () => {
-    console.log('🔍 Scheduled threat intelligence collection triggered');
-    await processAndSendData();
-  });
+  if (!LIVE_MODE) {
+    scheduler.add({ ...ingestion, name: 'demo', interval: Number(POLLING_INTERVAL) });
+  } else {
+    for (const connector of connectorRegistry.enabled({ scheduled: true })) {
+      scheduler.add({
+        ...ingestion,
+        name: connector.name,
+        schedule: connector.schedule,
+        interval: connector.interval,
+        overlap: connector.overlap
+      });
+    }
+    
+    const polled = connectorRegistry.enabled({ scheduled: false }).map(connector => connector.name);
+    if (polled.length > 0) {
+      scheduler.add({ ...ingestion, name: 'polling', keys: polled, interval: Number(POLLING_INTERVAL) });
+    }
+  }
+  
+  // Market data for the worker, on its own interval since daily bars change slowly
+  if (marketDataCollector.enabled) {
+    scheduler.add({
+      name: 'market-data',
+      interval: MARKET_DATA_INTERVAL,
+      runOnStart: true,
+      run: runMarketDataCollection,
+      counts: result => ({ records_sent: result.records, failed_symbols: result.errors.length })
+    });
+  }
   
-  // Set up high-frequency collection during business hours (every 5 minutes, 8 AM - 6 PM UTC)
-  cron.schedule('*/5 8-18 * * 1-5', async () => {
-    console.log('⚡ High-frequency threat intelligence collection triggered');
-    await processAndSendData();
-  }, {
-    timezone: "UTC"
+  // Expire and decay indicators nobody has reported for a while
+  scheduler.add({
+    name: 'expiry-sweep',
+    interval: EXPIRY_SWEEP_INTERVAL,
+    run: runExpirySweep,
+    counts: result => ({ expired: result.expired, decayed: result.decayed })
   });
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('🛑 Shutting down threat intelligence ingestor service...');
-  process.exit(0);
-});
+/**
+ * Names of the jobs that ingest threat feeds, for API triggered runs
+ * @param {string[]} sources - Only jobs covering one of these sources
+ */
+function ingestionJobs(sources) {
+  return scheduler.describe()
+    .filter(job => !['market-data', 'expiry-sweep'].includes(job.name))
+    .filter(job => !sources || job.sources.some(source => sources.includes(source)))
+    .map(job => job.name);
+}
 
-process.on('SIGTERM', () => {
+// Graceful shutdown: save state and flush queued Kafka messages before exiting
+async function shutdown() {
   console.log('🛑 Shutting down threat intelligence ingestor service...');
+  indicatorStore.save();
+  indicatorSuppressor.save();
+  scheduler.stop();
+  await disconnectKafka(KAFKA_SHUTDOWN_TIMEOUT);
   process.exit(0);
-});
+}
 
-// Start the ingestor
-startIngestor().catch(err => {
-  console.error('Fatal error in threat intelligence ingestor service:', err);
-  process.exit(1);
-});
\ No newline at end of file
+// Start the ingestor unless required, e.g. by the tests
+if (require.main === module) {
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  
+  startIngestor().catch(err => {
+    console.error('Fatal error in threat intelligence ingestor service:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  app,
+  processAndSendData,
+  runExpirySweep
+};
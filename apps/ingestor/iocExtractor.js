@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const net = require('net');
+const { parse: parseDomain } = require('tldts');
+const { refangText, classifyHash, canonicalizeDomain } = require('./indicatorCanonicalizer');
+
+const REPORT_FORMATS = ['text', 'html', 'markdown'];
+
+// Provenance defaults for indicators taken from an analyst-supplied report
+const REPORT_DEFAULTS = {
+  source: 'analyst-report',
+  confidence: 50,
+  severity: 'medium',
+  tlp: 'amber',
+  tags: ['report']
+};
+
+// File extensions that are also top-level domains; report.zip or setup.py in
+// running text is a file name unless the author defanged it
+const FILE_EXTENSION_TLDS = new Set([
+  'ai', 'cc', 'cs', 'go', 'md', 'mov', 'mp', 'pl', 'ps', 'py', 'rs', 'sh', 'so', 'tf', 'zip'
+]);
+
+// Tags whose end starts a new line of text
+const BLOCK_TAGS = /<\/?(?:p|div|br|li|ul|ol|tr|td|th|table|h[1-6]|pre|blockquote|section|article|header|footer)\b[^>]*>/gi;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Extracted in this order; each match is blanked out so a URL's host is not
+// extracted again as a domain
+const IOC_PATTERNS = [
+  ['url', /\b(?:https?|ftp):\/\/[^\s<>"'`{}|\\^[\]]+/gi],
+  ['email', /\b[a-z0-9._%+-]+@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,63}\b/gi],
+  ['vulnerability', /\bCVE-\d{4}-\d{4,7}\b/gi],
+  ['hash', /\b[a-f0-9]{32,128}\b/gi],
+  ['ip', /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\/(?:3[0-2]|[12]?\d))?(?!\w|\.\d)/g],
+  ['ip', /(?<![\w:.])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?:\/\d{1,3})?(?![\w:])/gi],
+  ['domain', /(?<![\p{L}\p{N}._-])(?:[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?\.)+\p{L}[\p{L}\p{N}-]{1,62}(?![\p{L}\p{N}-])/gu]
+];
+
+/**
+ * Guess the format of a report from its markup
+ * @param {string} content - Report content
+ */
+function detectReportFormat(content) {
+  if (/<(?:html|body|p|div|br|a|table|span)\b[^>]*>/i.test(content)) return 'html';
+  if (/^```|^#{1,6} |\]\([^)]*\)/m.test(content)) return 'markdown';
+  return 'text';
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Visible text of an HTML page; link targets are references, not IOCs
+ * @param {string} html - HTML document or fragment
+ */
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1\s*>/gi, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * Markdown with its formatting removed; link targets are dropped like in HTML
+ * @param {string} markdown - Markdown document
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^\s*(?:```|~~~).*$/gm, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`|\*\*|__/g, '')
+    .replace(/\\([\\*_{}()#+\-!>])/g, '$1');
+}
+
+/**
+ * Plain text of a report
+ * @param {string} content - Report content
+ * @param {string} format - text, html or markdown
+ */
+function reportText(content, format) {
+  switch (format) {
+    case 'html':
+      return htmlToText(content);
+    case 'markdown':
+      return markdownToText(content);
+    default:
+      return content;
+  }
+}
+
+/**
+ * Trim sentence punctuation and unbalanced closing brackets off a URL
+ */
+function trimURL(url) {
+  let trimmed = url.replace(/[.,;:!?'"]+$/, '');
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+  }
+  return trimmed;
+}
+
+/**
+ * Check a candidate match and return its indicator type and value, or null
+ * for false positives
+ * @param {string} type - Pattern type
+ * @param {string} match - Matched text
+ * @param {string} plain - Report text before refanging
+ */
+function classifyMatch(type, match, plain) {
+  switch (type) {
+    case 'url':
+      return { type, value: trimURL(match) };
+    case 'email': {
+      const domain = parseDomain(match.split('@').pop());
+      return domain.isIcann ? { type, value: match } : null;
+    }
+    case 'vulnerability':
+      return { type, value: match.toUpperCase() };
+    case 'hash':
+      return classifyHash(match) ? { type, value: match } : null;
+    case 'ip': {
+      const [address] = match.split('/');
+      // Clock times such as 10:30:00 fail here
+      if (net.isIP(address) === 0 || !/[0-9a-f]/i.test(address)) return null;
+      return { type: match.includes('/') ? 'cidr' : 'ip', value: match };
+    }
+    case 'domain': {
+      const domain = canonicalizeDomain(match);
+      const parsed = parseDomain(domain);
+      // e.g, node.js and invoice.exe do not end in a real TLD
+      if (!parsed.domain || !parsed.isIcann) return null;
+      // Written undefanged in the report, so most likely a file name
+      if (FILE_EXTENSION_TLDS.has(parsed.publicSuffix) && plain.toLowerCase().includes(match.toLowerCase())) return null;
+      return { type, value: domain };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extract IOCs from an unstructured report
+ *
+ * Finds URLs, email addresses, CVE IDs, MD5/SHA1/SHA256/SHA512 hashes, IPv4
+ * and IPv6 addresses and networks, and domains, including defanged forms
+ * such as hxxp://evil[.]com or 1.2.3[.]4.
+ * @param {string} content - Report as plain text, HTML or Markdown
+ * @param {Object} options - { format: text|html|markdown }, guessed when omitted
+ * @returns {Object[]} - { type, value, occurrences } in order of type
+ */
+function extractIOCs(content, options = {}) {
+  const format = options.format || detectReportFormat(content);
+  const plain = reportText(String(content), format);
+  let text = refangText(plain);
+  const found = new Map();
+
+  for (const [patternType, pattern] of IOC_PATTERNS) {
+    text = text.replace(pattern, match => {
+      const ioc = classifyMatch(patternType, match, plain);
+      if (!ioc) return match;
+
+      const key = `${ioc.type}:${ioc.value.toLowerCase()}`;
+      const known = found.get(key);
+      if (known) {
+        known.occurrences++;
+      } else {
+        found.set(key, { ...ioc, occurrences: 1 });
+      }
+      return ' '.repeat(match.length);
+    });
+  }
+
+  return Array.from(found.values());
+}
+
+/**
+ * Extract IOCs from a report and normalize them into indicators
+ * @param {string} content - Report as plain text, HTML or Markdown
+ * @param {Object} options - Report options
+ * @param {ThreatIntelClient} options.client - Normalizes the indicators
+ * @param {string} options.format - text, html or markdown, guessed when omitted
+ * @param {string} options.title - Report title, kept as provenance
+ * @param {string} options.url - Where the report was published
+ * @param {string} options.source - Source name for the indicators
+ * @param {number} options.confidence - Confidence of every indicator
+ * @param {string} options.severity - Severity of every indicator
+ * @param {string} options.tlp - TLP marking of the report
+ * @param {string[]} options.tags - Tags for every indicator
+ * @returns {Object} - { report, extracted, indicators }
+ */
+function extractReportIndicators(content, options = {}) {
+  const format = options.format || detectReportFormat(content);
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}" (known: ${REPORT_FORMATS.join(', ')})`);
+  }
+
+  const report = {
+    title: options.title || null,
+    url: options.url || null,
+    format,
+    hash: crypto.createHash('sha256').update(content).digest('hex'),
+    source: options.source || REPORT_DEFAULTS.source,
+    confidence: options.confidence !== undefined ? Number(options.confidence) : REPORT_DEFAULTS.confidence,
+    severity: options.severity || REPORT_DEFAULTS.severity,
+    tlp: options.tlp || REPORT_DEFAULTS.tlp,
+    tags: options.tags ? [].concat(options.tags) : REPORT_DEFAULTS.tags,
+    extracted_at: new Date().toISOString()
+  };
+
+  const extracted = extractIOCs(content, { format });
+  const indicators = options.client.normalizeReportIOCs(extracted, report);
+
+  return { report, extracted, indicators };
+}
+
+/**
+ * Short view of an extracted indicator and whether publishing would drop it
+ * @param {Object} indicator - Indicator from extractReportIndicators
+ * @param {IndicatorSuppressor} suppressor - Suppression rules applied on publish
+ */
+function previewIndicator(indicator, suppressor) {
+  const match = suppressor.check(indicator);
+  return {
+    type: indicator.indicator_type,
+    value: indicator.indicator_value,
+    original_value: indicator.metadata.original_value,
+    occurrences: indicator.metadata.occurrences,
+    suppressed: match ? match.reason : null
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  detectReportFormat,
+  htmlToText,
+  markdownToText,
+  extractIOCs,
+  extractReportIndicators,
+  previewIndicator
+};
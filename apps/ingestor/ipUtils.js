@@ -0,0 +1,128 @@
+const net = require('net');
+
+/**
+ * Parse an IPv4 or IPv6 network in CIDR notation
+ * @param {string} value - e.g. 203.0.113.0/24
+ * @returns {Object|null} - { address, prefix, version }, or null if not a CIDR
+ */
+function parseCIDR(value) {
+  const match = /^([^/\s]+)\/(\d{1,3})$/.exec(value);
+  if (!match) return null;
+
+  const version = net.isIP(match[1]);
+  const prefix = Number(match[2]);
+  if (!version || prefix > (version === 4 ? 32 : 128)) return null;
+
+  return { address: match[1], prefix, version };
+}
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((result, octet) => ((result << 8) + Number(octet)) >>> 0, 0);
+}
+
+function intToIPv4(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
+
+/**
+ * List every address of an IPv4 network
+ * @param {Object} cidr - Result of parseCIDR
+ */
+function expandCIDR(cidr) {
+  const mask = cidr.prefix === 0 ? 0 : (~0 << (32 - cidr.prefix)) >>> 0;
+  const network = (ipv4ToInt(cidr.address) & mask) >>> 0;
+  const addresses = [];
+
+  for (let i = 0; i < 2 ** (32 - cidr.prefix); i++) {
+    addresses.push(intToIPv4(network + i));
+  }
+  return addresses;
+}
+
+/**
+ * Numeric value of an IPv4 or IPv6 address
+ * @param {string} address - e.g. 2001:db8::1 or ::ffff:192.0.2.1
+ * @returns {bigint}
+ */
+function ipToBigInt(address) {
+  if (net.isIPv4(address)) return BigInt(ipv4ToInt(address));
+
+  let text = address.split('%')[0];
+  const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (embedded) {
+    const value = ipv4ToInt(embedded[1]);
+    text = `${text.slice(0, -embedded[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.reduce((result, group) => (result << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Text form of a numeric address, IPv6 compressed as in RFC 5952
+ * @param {bigint} value - Address from ipToBigInt
+ * @param {number} version - 4 or 6
+ */
+function bigIntToIP(value, version) {
+  if (version === 4) return intToIPv4(Number(value));
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // Longest run of two or more zero groups becomes ::
+  let best = { start: -1, length: 1 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > best.length) best = { start: i, length };
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (best.start === -1) return hex.join(':');
+
+  return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+}
+
+/**
+ * First and last address covered by an IP or CIDR
+ * @param {string} value - Address or network
+ * @returns {Object|null} - { version, start, end } as bigints, null if not an IP
+ */
+function addressRange(value) {
+  const cidr = parseCIDR(value);
+  const address = cidr ? cidr.address : value;
+  const version = cidr ? cidr.version : net.isIP(value);
+  if (!version) return null;
+
+  const bits = version === 4 ? 32 : 128;
+  const hostBits = BigInt(bits - (cidr ? cidr.prefix : bits));
+  const start = (ipToBigInt(address) >> hostBits) << hostBits;
+
+  return { version, start, end: start + (1n << hostBits) - 1n };
+}
+
+/**
+ * Whether two ranges from addressRange share any address
+ */
+function rangesOverlap(a, b) {
+  return a.version === b.version && a.start <= b.end && b.start <= a.end;
+}
+
+module.exports = {
+  parseCIDR,
+  expandCIDR,
+  ipv4ToInt,
+  intToIPv4,
+  ipToBigInt,
+  bigIntToIP,
+  addressRange,
+  rangesOverlap
+};
@@ -1,99 +1,362 @@
-const { Kafka } = require('kafkajs');
+const { Kafka, CompressionTypes, CompressionCodecs } = require('kafkajs');
+const lz4 = require('lz4js');
+const { assertValidEnvelope } = require('financial-risk-analyzer-schemas');
+const metrics = require('./metrics');
 require('dotenv').config();
 
 // Kafka configuration
 const KAFKA_BROKERS = process.env.KAFKA_BROKERS || 'localhost:9092';
 const CLIENT_ID = process.env.KAFKA_CLIENT_ID || 'financial-risk-ingestor';
+const BATCH_SIZE = Number(process.env.KAFKA_BATCH_SIZE) || 500; // messages per sendBatch
+const COMPRESSION = (process.env.KAFKA_COMPRESSION || 'gzip').toLowerCase();
+const PRODUCER_RETRIES = Number(process.env.KAFKA_PRODUCER_RETRIES) || 8;
 
-// Create Kafka client
-const kafka = new Kafka({
-  clientId: CLIENT_ID,
-  brokers: KAFKA_BROKERS.split(','),
-  retry: {
-    initialRetryTime: 100,
-    retries: 8
+const COMPRESSION_TYPES = {
+  none: CompressionTypes.None,
+  gzip: CompressionTypes.GZIP,
+  lz4: CompressionTypes.LZ4
+};
+
+// kafkajs only ships GZIP; Kafka's LZ4 is the standard LZ4 frame format
+CompressionCodecs[CompressionTypes.LZ4] = () => ({
+  async compress(encoder) {
+    return Buffer.from(lz4.compress(encoder.buffer));
+  },
+
+  async decompress(buffer) {
+    return Buffer.from(lz4.decompress(buffer));
   }
 });
 
-// Create producer
-const producer = kafka.producer();
-let isConnected = false;
-
 /**
- * Connect to Kafka if not already connected
+ * Queues keyed messages and sends them with one sendBatch per flush
+ *
+ * Every message must match the shared event schema of its type; one that
+ * doesn't is refused before it is queued.
+ *
+ * Messages are keyed (indicator hash, symbol) so each key lands on one
+ * partition and consumers see its events in order. A flush happens when
+ * batchSize messages are queued or when the caller calls flush(), e.g. at the
+ * end of an ingestion run or on shutdown. Runs that share the producer queue
+ * through a Batch of their own, see batch().
  */
-async function ensureConnection() {
-  if (!isConnected) {
+class BatchProducer {
+  /**
+   * @param {Object} producer - kafkajs producer, or anything with connect/sendBatch/disconnect
+   * @param {Object} options - Batching options
+   * @param {number} options.batchSize - Queued messages that trigger a flush
+   * @param {string} options.compression - none, gzip or lz4
+   * @param {Function} options.validate - Throws for an invalid event, defaults to the shared schemas
+   */
+  constructor(producer, options = {}) {
+    const compression = options.compression || 'gzip';
+    if (COMPRESSION_TYPES[compression] === undefined) {
+      throw new Error(`Unknown Kafka compression "${compression}" (known: ${Object.keys(COMPRESSION_TYPES).join(', ')})`);
+    }
+
+    this.producer = producer;
+    this.batchSize = options.batchSize || BATCH_SIZE;
+    this.compression = compression;
+    this.validate = options.validate || assertValidEnvelope;
+    this.pending = [];
+    this.connected = false;
+    this.flushing = Promise.resolve();
+    this.stats = {
+      messages_sent: 0,
+      batches_sent: 0,
+      failed_messages: 0,
+      last_flush: null,
+      last_error: null
+    };
+  }
+
+  /**
+   * Connect if not already connected
+   */
+  async connect() {
+    if (this.connected) return;
+
     try {
-      await producer.connect();
-      isConnected = true;
+      await this.producer.connect();
+      this.connected = true;
       console.log('Connected to Kafka');
     } catch (error) {
       console.error('Failed to connect to Kafka:', error);
       throw error;
     }
   }
-}
 
-/**
- * Produce a message to a Kafka topic
- * @param {string} topic - Kafka topic
- * @param {object} message - Message to send
- */
-async function produceMessage(topic, message) {
-  try {
-    await ensureConnection();
-    
-    // Add message metadata
-    const messageWithMetadata = {
-      ...message,
-      producer_timestamp: Date.now()
-    };
-    
-    // Send to Kafka
-    await producer.send({
+  /**
+   * Queue a message, flushing when the batch is full
+   * @param {string} topic - Kafka topic
+   * @param {Object} message - Event envelope, serialized as JSON
+   * @param {string} key - Partition key, e.g. the indicator hash or symbol
+   * @param {Batch} owner - Run the message belongs to, told when its send fails
+   * @returns {Object|null} - Flush result when this message filled the batch
+   * @throws {SchemaValidationError} - When the event does not match its schema
+   */
+  async queue(topic, message, key, owner = null) {
+    const envelope = { ...message, producer_timestamp: Date.now() };
+    try {
+      this.validate(envelope);
+    } catch (error) {
+      metrics.kafkaMessages.inc({ topic, outcome: 'invalid' });
+      throw error;
+    }
+
+    this.pending.push({
       topic,
-      messages: [
-        { value: JSON.stringify(messageWithMetadata) }
-      ],
+      key: key === undefined || key === null ? null : String(key),
+      value: JSON.stringify(envelope),
+      owner
     });
-    
-    return true;
-  } catch (error) {
-    console.error(`Error producing message to ${topic}:`, error);
-    throw error;
+
+    return this.pending.length >= this.batchSize ? this.flush() : null;
+  }
+
+  /**
+   * Send everything queued; flushes run one at a time so batches keep
+   * their order
+   * @returns {Object|null} - { messages, topics, partitions, bytes, duration_ms }, null when nothing was queued
+   */
+  flush() {
+    const run = this.flushing.then(() => this.sendPending());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async sendPending() {
+    if (this.pending.length === 0) return null;
+
+    const batch = this.pending.splice(0);
+    const topicMessages = new Map();
+    for (const { topic, key, value } of batch) {
+      if (!topicMessages.has(topic)) topicMessages.set(topic, []);
+      topicMessages.get(topic).push({ key, value });
+    }
+
+    const startTime = Date.now();
+    const endTimer = metrics.kafkaPublishDuration.startTimer();
+    const countMessages = outcome => {
+      for (const [topic, messages] of topicMessages) metrics.kafkaMessages.inc({ topic, outcome }, messages.length);
+    };
+    let metadata;
+
+    try {
+      await this.connect();
+      metadata = await this.producer.sendBatch({
+        topicMessages: Array.from(topicMessages, ([topic, messages]) => ({ topic, messages })),
+        compression: COMPRESSION_TYPES[this.compression],
+        acks: -1 // required by the idempotent producer
+      });
+    } catch (error) {
+      endTimer({ outcome: 'failed' });
+      countMessages('failed');
+      this.stats.failed_messages += batch.length;
+      this.stats.last_error = { at: new Date().toISOString(), messages: batch.length, error: error.message };
+      console.error(`Error sending ${batch.length} messages to Kafka:`, error.message);
+      for (const { owner } of batch) {
+        if (owner && !owner.error) owner.error = error;
+      }
+      throw error;
+    }
+
+    endTimer({ outcome: 'sent' });
+    countMessages('sent');
+
+    const result = {
+      messages: batch.length,
+      topics: Object.fromEntries(Array.from(topicMessages, ([topic, messages]) => [topic, messages.length])),
+      partitions: new Set((metadata || []).map(item => `${item.topicName}:${item.partition}`)).size,
+      bytes: batch.reduce((total, message) => total + Buffer.byteLength(message.value), 0),
+      compression: this.compression,
+      duration_ms: Date.now() - startTime
+    };
+
+    this.stats.messages_sent += result.messages;
+    this.stats.batches_sent++;
+    this.stats.last_flush = { at: new Date().toISOString(), ...result };
+    return result;
+  }
+
+  /**
+   * Start a batch for one run, whose flush only succeeds when every message
+   * the run queued reached Kafka
+   * @returns {Batch}
+   */
+  batch() {
+    return new Batch(this);
+  }
+
+  /**
+   * Flush what is queued and disconnect, giving up after timeoutMs so a
+   * missing broker cannot hold up shutdown
+   * @param {number} timeoutMs - Longest time to wait
+   */
+  async shutdown(timeoutMs = 10000) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Kafka flush timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([this.flush(), timeout]);
+      if (result) console.log(`Flushed ${result.messages} queued messages to Kafka`);
+    } catch (error) {
+      console.error('Could not flush queued messages to Kafka:', error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (this.connected) {
+      try {
+        await this.producer.disconnect();
+        this.connected = false;
+        console.log('Disconnected from Kafka');
+      } catch (error) {
+        console.error('Error disconnecting from Kafka:', error);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      compression: this.compression,
+      batch_size: this.batchSize,
+      pending: this.pending.length,
+      ...this.stats
+    };
   }
 }
 
 /**
- * Gracefully disconnect from Kafka
+ * Messages of one run on a shared BatchProducer
+ *
+ * Concurrent runs share the producer queue, so one run's flush can send
+ * another run's messages. When such a send fails, every run with messages in
+ * it gets the error from its next queue or flush instead of mistaking an
+ * empty queue for success.
  */
-async function disconnect() {
-  if (isConnected) {
+class Batch {
+  constructor(producer) {
+    this.producer = producer;
+    this.error = null;
+  }
+
+  /**
+   * Queue a message, see BatchProducer.queue
+   * @throws {Error} - When an earlier message of this run failed to send
+   */
+  async queue(topic, message, key) {
+    this.check();
+
+    let result;
     try {
-      await producer.disconnect();
-      isConnected = false;
-      console.log('Disconnected from Kafka');
+      result = await this.producer.queue(topic, message, key, this);
     } catch (error) {
-      console.error('Error disconnecting from Kafka:', error);
+      // A failed send that held this run's messages is thrown by check()
+      if (!this.error) throw error;
     }
+
+    this.check();
+    return result;
+  }
+
+  /**
+   * Send everything queued
+   * @returns {Object|null} - Flush result, null when nothing was left to send
+   * @throws {Error} - When any message of this run failed to send
+   */
+  async flush() {
+    // A failed send of other runs' messages is theirs to report
+    const result = await this.producer.flush().catch(() => null);
+
+    this.check();
+    return result;
+  }
+
+  check() {
+    if (!this.error) return;
+
+    const error = this.error;
+    this.error = null;
+    throw error;
   }
 }
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down producer...');
-  await disconnect();
-  process.exit(0);
+// Create Kafka client
+const kafka = new Kafka({
+  clientId: CLIENT_ID,
+  brokers: KAFKA_BROKERS.split(','),
+  retry: {
+    initialRetryTime: 100,
+    retries: 8
+  }
 });
 
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down producer...');
-  await disconnect();
-  process.exit(0);
-});
+// Idempotent writes: the broker drops duplicates from producer retries.
+// Retries stay bounded so a run fails instead of hanging while Kafka is down.
+const defaultProducer = new BatchProducer(kafka.producer({
+  idempotent: true,
+  maxInFlightRequests: 1,
+  retry: { retries: PRODUCER_RETRIES }
+}), { batchSize: BATCH_SIZE, compression: COMPRESSION });
+
+/**
+ * Queue a message for the next batch
+ * @param {string} topic - Kafka topic
+ * @param {object} message - Message to send
+ * @param {string} key - Partition key
+ */
+function queueMessage(topic, message, key) {
+  return defaultProducer.queue(topic, message, key);
+}
+
+/**
+ * Start a batch for one run on the shared producer
+ */
+function createBatch() {
+  return defaultProducer.batch();
+}
+
+/**
+ * Send every queued message
+ */
+function flush() {
+  return defaultProducer.flush();
+}
+
+/**
+ * Produce a single message right away
+ * @param {string} topic - Kafka topic
+ * @param {object} message - Message to send
+ * @param {string} key - Partition key
+ */
+async function produceMessage(topic, message, key) {
+  await queueMessage(topic, message, key);
+  await flush();
+  return true;
+}
+
+/**
+ * Flush queued messages and disconnect from Kafka
+ * @param {number} timeoutMs - Longest time to wait for the flush
+ */
+function disconnect(timeoutMs) {
+  return defaultProducer.shutdown(timeoutMs);
+}
+
+function getProducerStats() {
+  return defaultProducer.getStats();
+}
 
 module.exports = {
+  BatchProducer,
+  Batch,
+  queueMessage,
+  createBatch,
+  flush,
   produceMessage,
-  disconnect
-};
\ No newline at end of file
+  disconnect,
+  getProducerStats
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ALPHA_VANTAGE_API = 'https://www.alphavantage.co/query';
+const FIXTURE_MODES = ['replay', 'record'];
+
+/**
+ * Daily OHLCV bars from Alpha Vantage or an API with the same shape
+ *
+ * In replay mode responses are read from `<fixtureDir>/<SYMBOL>.json` and no
+ * request is made; in record mode live responses are saved there, so a
+ * recorded session can be replayed offline later.
+ */
+class AlphaVantageConnector {
+  /**
+   * @param {Object} options - Connector options
+   * @param {string} options.apiKey - Alpha Vantage API key, not needed for replay
+   * @param {string} options.url - Query endpoint, defaults to Alpha Vantage
+   * @param {SourceLimiter} options.limiter - Rate limiter for live requests
+   * @param {string} options.fixtureDir - Directory of recorded responses
+   * @param {string} options.fixtureMode - replay or record
+   * @param {string} options.outputSize - compact (100 bars) or full
+   */
+  constructor(options = {}) {
+    if (options.fixtureMode && !FIXTURE_MODES.includes(options.fixtureMode)) {
+      throw new Error(`Unknown market fixture mode "${options.fixtureMode}" (known: ${FIXTURE_MODES.join(', ')})`);
+    }
+    if (options.fixtureMode && !options.fixtureDir) {
+      throw new Error(`Market fixture mode "${options.fixtureMode}" needs a fixture directory`);
+    }
+
+    this.apiKey = options.apiKey;
+    this.url = options.url || ALPHA_VANTAGE_API;
+    this.limiter = options.limiter;
+    this.fixtureDir = options.fixtureDir;
+    this.fixtureMode = options.fixtureMode || null;
+    this.outputSize = options.outputSize || 'compact';
+  }
+
+  get name() {
+    return this.fixtureMode === 'replay' ? 'alphavantage-replay' : 'alphavantage';
+  }
+
+  /**
+   * Whether the connector can produce data: an API key or fixtures to replay
+   */
+  get configured() {
+    return Boolean(this.apiKey) || this.fixtureMode === 'replay';
+  }
+
+  fixturePath(symbol) {
+    return path.join(this.fixtureDir, `${symbol.toUpperCase()}.json`);
+  }
+
+  /**
+   * Daily bars for a symbol, oldest first
+   * @param {string} symbol - Ticker symbol
+   */
+  async fetchDailyBars(symbol) {
+    const data = this.fixtureMode === 'replay'
+      ? await this.readFixture(symbol)
+      : await this.request(symbol);
+
+    if (this.fixtureMode === 'record') {
+      await fs.promises.mkdir(this.fixtureDir, { recursive: true });
+      await fs.promises.writeFile(this.fixturePath(symbol), JSON.stringify(data, null, 2));
+    }
+
+    return parseTimeSeries(data, symbol, this.name);
+  }
+
+  async readFixture(symbol) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.fixturePath(symbol), 'utf8'));
+    } catch (error) {
+      throw new Error(`No replayable market data for ${symbol} in ${this.fixtureDir}: ${error.message}`);
+    }
+  }
+
+  async request(symbol) {
+    if (!this.apiKey) {
+      throw new Error('ALPHA_VANTAGE_API_KEY is not set');
+    }
+
+    const send = async () => {
+      const response = await axios.get(this.url, {
+        params: {
+          function: 'TIME_SERIES_DAILY',
+          symbol,
+          outputsize: this.outputSize,
+          apikey: this.apiKey
+        },
+        timeout: 15000
+      });
+      checkResponse(response.data, symbol);
+      return response.data;
+    };
+
+    return this.limiter ? this.limiter.execute(send) : send();
+  }
+}
+
+/**
+ * Turn Alpha Vantage's in-body errors into exceptions; the API answers 200
+ * to throttled calls, so a per-minute limit is raised as a 429 for the
+ * limiter to retry
+ */
+function checkResponse(data, symbol) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Unexpected Alpha Vantage response for ${symbol}`);
+  }
+
+  if (data['Error Message']) {
+    throw new Error(`Alpha Vantage rejected ${symbol}: ${data['Error Message']}`);
+  }
+
+  const notice = data.Note || data.Information;
+  if (notice && !findTimeSeries(data)) {
+    const error = new Error(`Alpha Vantage rate limit: ${notice}`);
+    if (!/per day|daily/i.test(notice)) {
+      error.response = { status: 429, headers: { 'retry-after': '60' } };
+    }
+    throw error;
+  }
+}
+
+function findTimeSeries(data) {
+  const key = Object.keys(data).find(name => name.startsWith('Time Series'));
+  return key ? data[key] : null;
+}
+
+/**
+ * Bars of a TIME_SERIES_DAILY response, oldest first
+ * @param {Object} data - Response body
+ * @param {string} symbol - Symbol requested, used when the metadata has none
+ * @param {string} source - Source name recorded on the bars
+ */
+function parseTimeSeries(data, symbol, source = 'alphavantage') {
+  checkResponse(data, symbol);
+
+  const series = findTimeSeries(data);
+  if (!series) {
+    throw new Error(`No time series in Alpha Vantage response for ${symbol}`);
+  }
+
+  const meta = data['Meta Data'] || {};
+  const resolvedSymbol = (meta['2. Symbol'] || symbol).toUpperCase();
+  const field = (values, suffix) => {
+    const key = Object.keys(values).find(name => name.endsWith(suffix));
+    return key === undefined ? undefined : Number(values[key]);
+  };
+
+  return Object.entries(series)
+    .map(([date, values]) => ({
+      symbol: resolvedSymbol,
+      timestamp: new Date(`${date.slice(0, 10)}T00:00:00Z`).toISOString(),
+      open: field(values, '. open'),
+      high: field(values, '. high'),
+      low: field(values, '. low'),
+      close: field(values, '. close'),
+      volume: field(values, '. volume'),
+      source
+    }))
+    .filter(bar => ['open', 'high', 'low', 'close'].every(key => Number.isFinite(bar[key])))
+    .map(bar => (Number.isFinite(bar.volume) ? bar : { ...bar, volume: undefined }))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+module.exports = {
+  AlphaVantageConnector,
+  parseTimeSeries,
+  FIXTURE_MODES
+};
@@ -0,0 +1,84 @@
+const DEFAULT_VOLATILITY_WINDOW = 20; // trading days
+const DEFAULT_PERIODS_PER_YEAR = 252; // trading days in a year
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Market sentiment the worker understands, from the day's change
+ * @param {number} changePercent - Close to close change in percent
+ */
+function sentimentFor(changePercent) {
+  if (changePercent >= 3) return 'very_bullish';
+  if (changePercent >= 1) return 'bullish';
+  if (changePercent > -1) return 'neutral';
+  if (changePercent > -3) return 'bearish';
+  return 'very_bearish';
+}
+
+/**
+ * Annualised volatility in percent from the standard deviation of log returns
+ * @param {number[]} closes - Consecutive closing prices, oldest first
+ * @param {number} periodsPerYear - Bars per year used to annualise
+ * @returns {number|undefined} - Undefined with fewer than two returns
+ */
+function historicalVolatility(closes, periodsPerYear = DEFAULT_PERIODS_PER_YEAR) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] > 0 && closes[i] > 0) returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+  if (returns.length < 2) return undefined;
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return round(Math.sqrt(variance * periodsPerYear) * 100);
+}
+
+/**
+ * Add the fields the worker's risk score uses to a symbol's OHLCV bars:
+ * previous_close, change, price_change_percent, gap_percent (open against
+ * the previous close), range_percent (high-low against the close),
+ * volatility and market_sentiment
+ *
+ * The first bar has no previous close, so only its range is derived.
+ * @param {Object[]} bars - One symbol's bars, oldest first
+ * @param {Object} options - Derivation options
+ * @param {number} options.volatilityWindow - Bars used for volatility
+ * @param {number} options.periodsPerYear - Bars per year used to annualise volatility
+ * @returns {Object[]} - New bar objects with the derived fields
+ */
+function deriveFields(bars, options = {}) {
+  const window = options.volatilityWindow || DEFAULT_VOLATILITY_WINDOW;
+  const periodsPerYear = options.periodsPerYear || DEFAULT_PERIODS_PER_YEAR;
+
+  return bars.map((bar, index) => {
+    const derived = { ...bar };
+
+    if (bar.close > 0) {
+      derived.range_percent = round(((bar.high - bar.low) / bar.close) * 100);
+    }
+
+    const previous = bars[index - 1];
+    if (!previous || !(previous.close > 0)) return derived;
+
+    derived.previous_close = previous.close;
+    derived.change = round(bar.close - previous.close, 4);
+    derived.price_change_percent = round(((bar.close - previous.close) / previous.close) * 100);
+    derived.gap_percent = round(((bar.open - previous.close) / previous.close) * 100);
+    derived.market_sentiment = sentimentFor(derived.price_change_percent);
+
+    const closes = bars.slice(Math.max(0, index - window), index + 1).map(item => item.close);
+    const volatility = historicalVolatility(closes, periodsPerYear);
+    if (volatility !== undefined) derived.volatility = volatility;
+
+    return derived;
+  });
+}
+
+module.exports = {
+  deriveFields,
+  historicalVolatility,
+  sentimentFor
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+// Accepted header names per field, compared case-insensitively
+const COLUMN_ALIASES = {
+  timestamp: ['timestamp', 'date', 'datetime', 'time'],
+  symbol: ['symbol', 'ticker'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  close: ['close', 'close/last', 'price'],
+  volume: ['volume', 'vol']
+};
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+
+/**
+ * Number from a CSV cell, tolerating currency signs and thousands separators
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  return Number(String(value).replace(/[$,\s]/g, ''));
+}
+
+/**
+ * Map each field to the header that carries it
+ * @param {string[]} headers - CSV header row
+ */
+function resolveColumns(headers) {
+  const columns = {};
+  const lower = headers.map(header => header.trim().toLowerCase());
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = lower.findIndex(header => aliases.includes(header));
+    if (index !== -1) columns[field] = headers[index];
+  }
+
+  return columns;
+}
+
+/**
+ * Parse OHLCV bars out of CSV text (date, open, high, low, close, volume
+ * and optionally symbol columns)
+ *
+ * Files without a symbol column need options.symbol. Rows with an invalid
+ * date or price are skipped and counted.
+ * @param {string} content - CSV text with a header row
+ * @param {Object} options - Import options
+ * @param {string} options.symbol - Symbol for rows without one
+ * @param {string} options.source - Source name recorded on the bars
+ * @returns {Object} - { bars, skipped }, bars grouped by symbol, oldest first
+ */
+function parseOHLCV(content, options = {}) {
+  const rows = parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  const columns = resolveColumns(rows.length > 0 ? Object.keys(rows[0]) : []);
+
+  const missing = ['timestamp', ...PRICE_FIELDS].filter(field => !columns[field]);
+  if (rows.length > 0 && missing.length > 0) {
+    throw new Error(`OHLCV file has no ${missing.join(', ')} column`);
+  }
+  if (rows.length > 0 && !columns.symbol && !options.symbol) {
+    throw new Error('OHLCV file has no symbol column, pass a symbol');
+  }
+
+  const bars = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const time = new Date(row[columns.timestamp]);
+    const bar = {
+      symbol: String((columns.symbol && row[columns.symbol]) || options.symbol || '').trim().toUpperCase(),
+      timestamp: Number.isNaN(time.getTime()) ? null : time.toISOString(),
+      open: parseNumber(row[columns.open]),
+      high: parseNumber(row[columns.high]),
+      low: parseNumber(row[columns.low]),
+      close: parseNumber(row[columns.close]),
+      volume: columns.volume ? parseNumber(row[columns.volume]) : undefined,
+      source: options.source || 'ohlcv-import'
+    };
+
+    const valid = bar.symbol && bar.timestamp
+      && PRICE_FIELDS.every(field => Number.isFinite(bar[field]))
+      && (bar.volume === undefined || Number.isFinite(bar.volume));
+
+    if (valid) {
+      bars.push(bar);
+    } else {
+      skipped++;
+    }
+  }
+
+  // Exports are often newest first; derived fields need each symbol oldest first
+  bars.sort((a, b) => a.symbol.localeCompare(b.symbol) || a.timestamp.localeCompare(b.timestamp));
+
+  return { bars, skipped };
+}
+
+/**
+ * Import an OHLCV CSV file; without a symbol column the file name
+ * (e.g. AAPL.csv) is used as the symbol
+ * @param {string} filePath - CSV file
+ * @param {Object} options - See parseOHLCV
+ */
+async function importOHLCVFile(filePath, options = {}) {
+  const content = await fs.promises.readFile(filePath, 'utf8');
+
+  return parseOHLCV(content, {
+    source: path.basename(filePath),
+    ...options,
+    symbol: options.symbol || path.parse(filePath).name
+  });
+}
+
+module.exports = {
+  parseOHLCV,
+  importOHLCVFile
+};
@@ -0,0 +1,94 @@
+const promClient = require('prom-client');
+
+/**
+ * Prometheus metrics of the ingestor, in the default registry served on
+ * /metrics
+ *
+ * Source metrics are labelled with the source name from the sources file;
+ * HTTP metrics come from the source limiters, so every request a connector
+ * makes is counted, retries included.
+ */
+
+const sourceFetchDuration = new promClient.Histogram({
+  name: 'ingestor_source_fetch_duration_seconds',
+  help: 'Time to fetch and normalize a source, by outcome (ok, not_modified, error)',
+  labelNames: ['source', 'outcome'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+});
+
+const sourceHttpResponses = new promClient.Counter({
+  name: 'ingestor_source_http_responses_total',
+  help: 'HTTP responses received from sources by status code, "error" when no response came back',
+  labelNames: ['source', 'status']
+});
+
+const sourceIndicators = new promClient.Counter({
+  name: 'ingestor_source_indicators_total',
+  help: 'Indicators from each source: fetched, valid, rejected by validation, deduplicated into an earlier report of the same indicator',
+  labelNames: ['source', 'outcome']
+});
+
+const rateLimitWait = new promClient.Histogram({
+  name: 'ingestor_source_rate_limit_wait_seconds',
+  help: 'Time requests waited for the source quota or before a retry',
+  labelNames: ['source', 'reason'],
+  buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300]
+});
+
+const sourceLastSuccess = new promClient.Gauge({
+  name: 'ingestor_source_last_success_timestamp_seconds',
+  help: 'When a run of the source last completed with its indicators published',
+  labelNames: ['source']
+});
+
+// When each source last returned indicators that were published
+const lastSourceData = new Map();
+
+const sourceDataAge = new promClient.Gauge({
+  name: 'ingestor_source_data_age_seconds',
+  help: 'Seconds since the source last returned indicators that were published',
+  labelNames: ['source'],
+  collect() {
+    for (const [source, time] of lastSourceData) {
+      this.set({ source }, (Date.now() - time) / 1000);
+    }
+  }
+});
+
+const kafkaPublishDuration = new promClient.Histogram({
+  name: 'ingestor_kafka_publish_duration_seconds',
+  help: 'Time to send one batch to Kafka, by outcome (sent, failed)',
+  labelNames: ['outcome'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+const kafkaMessages = new promClient.Counter({
+  name: 'ingestor_kafka_messages_total',
+  help: 'Messages for Kafka by topic and outcome (sent, failed, invalid)',
+  labelNames: ['topic', 'outcome']
+});
+
+/**
+ * Record a source run whose indicators were published
+ * @param {string} source - Source name
+ * @param {number} indicators - Indicators the run returned
+ */
+function recordSourceSuccess(source, indicators) {
+  const now = Date.now();
+  sourceLastSuccess.set({ source }, now / 1000);
+  if (indicators > 0) lastSourceData.set(source, now);
+}
+
+module.exports = {
+  register: promClient.register,
+  collectDefaultMetrics: promClient.collectDefaultMetrics,
+  sourceFetchDuration,
+  sourceHttpResponses,
+  sourceIndicators,
+  rateLimitWait,
+  sourceLastSuccess,
+  sourceDataAge,
+  kafkaPublishDuration,
+  kafkaMessages,
+  recordSourceSuccess
+};
@@ -0,0 +1,472 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const ThreatIntelClient = require('../threatIntelClient');
+const { parseTLP, TLP_LEVELS } = require('../tlp');
+const { toFinancialRecords } = require('../market/marketDataCollector');
+const { UNITS, parseDuration } = require('../duration');
+const SeededRandom = require('./seededRandom');
+
+const SCENARIO_DIR = __dirname;
+const DEFAULT_START = '2024-01-01T00:00:00.000Z';
+
+const STREAM_KINDS = ['threat', 'market'];
+const INDICATOR_TYPES = ['ip', 'domain', 'url', 'hash'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// First octets of networks commonly seen hosting malicious infrastructure;
+// none of them overlap a reserved range, so nothing generated is suppressed
+const PUBLIC_NETWORKS = [5, 23, 31, 37, 45, 46, 62, 77, 80, 85, 89, 91, 94, 103, 104, 141, 146, 176, 178, 185, 188, 193, 194, 195, 212, 213, 217];
+const COUNTRIES = ['US', 'NL', 'DE', 'RU', 'CN', 'SG', 'BR', 'UA', 'FR', 'KP'];
+const DOMAIN_WORDS = ['secure', 'update', 'login', 'cloud', 'cdn', 'mail', 'portal', 'verify', 'account', 'sync', 'office', 'billing', 'support', 'invoice', 'docs', 'drive', 'wallet', 'auth', 'service', 'check'];
+const DOMAIN_TLDS = ['com', 'net', 'org', 'info', 'biz', 'xyz', 'top', 'online', 'site', 'ru', 'su', 'cc'];
+const URL_PATHS = ['wp-content/uploads', 'gate.php', 'download', 'invoice', 'files', 'admin/panel', 'update'];
+
+/**
+ * Events per millisecond in a rate such as 3/m or 120/h
+ * @param {string} value - Count per unit
+ */
+function parseRate(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*\/\s*(s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid rate "${value}", use e.g. 3/m or 120/h`);
+  }
+
+  return Number(match[1]) / UNITS[match[2]];
+}
+
+/**
+ * Check a scenario definition before anything is generated
+ * @param {Object} scenario - Parsed scenario file
+ * @returns {string[]} - Problems found, empty when valid
+ */
+function validateScenario(scenario) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const check = (label, fn) => {
+    try {
+      fn();
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  };
+
+  if (!isObject(scenario)) return ['scenario must be an object'];
+  if (typeof scenario.name !== 'string' || scenario.name.trim() === '') errors.push('name is required');
+  check('duration', () => parseDuration(scenario.duration));
+  if (scenario.start !== undefined && Number.isNaN(new Date(scenario.start).getTime())) errors.push('start must be a date');
+
+  if (!Array.isArray(scenario.streams) || scenario.streams.length === 0) {
+    errors.push('streams must be a non-empty list');
+    return errors;
+  }
+
+  const names = new Set();
+  scenario.streams.forEach((stream, index) => {
+    const label = stream && stream.name ? `stream "${stream.name}"` : `stream #${index}`;
+
+    if (!isObject(stream)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof stream.name !== 'string' || stream.name.trim() === '') {
+      errors.push(`${label}: name is required`);
+    } else if (names.has(stream.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(stream.name);
+    }
+    if (!STREAM_KINDS.includes(stream.kind)) {
+      errors.push(`${label}: kind must be one of ${STREAM_KINDS.join(', ')}`);
+      return;
+    }
+
+    if (stream.start !== undefined) check(`${label} start`, () => parseDuration(stream.start));
+    if (stream.duration !== undefined) check(`${label} duration`, () => parseDuration(stream.duration));
+
+    if (stream.kind === 'threat') {
+      check(`${label} rate`, () => parseRate(stream.rate));
+
+      const types = Array.isArray(stream.types) ? stream.types : Object.keys(stream.types || {});
+      const unknown = types.filter(type => !INDICATOR_TYPES.includes(type));
+      if (types.length === 0 || unknown.length > 0) {
+        errors.push(`${label}: types must list indicator types out of ${INDICATOR_TYPES.join(', ')}`);
+      }
+      if (stream.severity !== undefined && ![].concat(stream.severity).every(level => SEVERITIES.includes(level))) {
+        errors.push(`${label}: severity must be out of ${SEVERITIES.join(', ')}`);
+      }
+      if (stream.confidence !== undefined && !(Array.isArray(stream.confidence) && stream.confidence.length === 2
+        && stream.confidence.every(Number.isFinite) && stream.confidence[0] <= stream.confidence[1])) {
+        errors.push(`${label}: confidence must be a [min, max] range`);
+      }
+      if (stream.tlp !== undefined && !parseTLP(stream.tlp)) {
+        errors.push(`${label}: tlp must be one of ${TLP_LEVELS.join(', ')}`);
+      }
+      if (stream.pool !== undefined) {
+        if (!isObject(stream.pool) || !(Number.isInteger(stream.pool.size) && stream.pool.size > 0)) {
+          errors.push(`${label}: pool.size must be a positive integer`);
+        } else if (stream.pool.rotate_every !== undefined) {
+          check(`${label} pool.rotate_every`, () => parseDuration(stream.pool.rotate_every));
+        }
+      }
+    } else {
+      if (!isObject(stream.symbols) || Object.values(stream.symbols).some(price => !(Number.isFinite(price) && price > 0))) {
+        errors.push(`${label}: symbols must map each symbol to its opening price`);
+      }
+      check(`${label} interval`, () => parseDuration(stream.interval));
+      (stream.phases || []).forEach((phase, i) => {
+        check(`${label} phase #${i} start`, () => parseDuration(phase.start));
+        check(`${label} phase #${i} duration`, () => parseDuration(phase.duration));
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read a scenario by name from this directory, or from a YAML or JSON file
+ * @param {string} nameOrPath - e.g. ransomware-campaign or ./my-scenario.yml
+ */
+function loadScenario(nameOrPath) {
+  const filePath = /[./\\]/.test(nameOrPath) ? nameOrPath : path.join(SCENARIO_DIR, `${nameOrPath}.yml`);
+  let scenario;
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    scenario = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT' && filePath !== nameOrPath) {
+      throw new Error(`Unknown scenario "${nameOrPath}" (known: ${listScenarios().map(item => item.name).join(', ')})`);
+    }
+    throw new Error(`Invalid scenario ${nameOrPath}: ${error.message}`);
+  }
+
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario ${nameOrPath}: ${errors.join('; ')}`);
+  }
+
+  return scenario;
+}
+
+/**
+ * Scenarios shipped with the ingestor
+ * @returns {Object[]} - { name, description, duration }
+ */
+function listScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(file => file.endsWith('.yml'))
+    .sort()
+    .map(file => {
+      const scenario = YAML.parse(fs.readFileSync(path.join(SCENARIO_DIR, file), 'utf8'));
+      return { name: path.basename(file, '.yml'), description: scenario.description, duration: scenario.duration };
+    });
+}
+
+/**
+ * Pick from a list, or from a { value: weight } map
+ */
+function weightedPick(random, choices) {
+  if (Array.isArray(choices)) return random.pick(choices);
+
+  const entries = Object.entries(choices);
+  let roll = random.next() * entries.reduce((total, [, weight]) => total + weight, 0);
+  for (const [value, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function randomDomain(random) {
+  const words = random.sample(DOMAIN_WORDS, random.int(2, 3)).join(random.pick(['-', '']));
+  const suffix = random.next() < 0.4 ? random.int(1, 99) : '';
+  return `${words}${suffix}.${random.pick(DOMAIN_TLDS)}`;
+}
+
+function randomIP(random) {
+  return `${random.pick(PUBLIC_NETWORKS)}.${random.int(0, 255)}.${random.int(0, 255)}.${random.int(1, 254)}`;
+}
+
+function randomIndicatorValue(random, type) {
+  switch (type) {
+    case 'ip':
+      return randomIP(random);
+    case 'domain':
+      return randomDomain(random);
+    case 'url':
+      return `http://${random.next() < 0.3 ? randomIP(random) : randomDomain(random)}/${random.pick(URL_PATHS)}/${random.hex(8)}`;
+    default:
+      return random.hex(64); // SHA-256
+  }
+}
+
+/**
+ * Window of scenario time a stream is active in, in ms from the scenario start
+ */
+function streamWindow(stream, scenarioDuration) {
+  const start = stream.start !== undefined ? parseDuration(stream.start) : 0;
+  const end = stream.duration !== undefined ? start + parseDuration(stream.duration) : scenarioDuration;
+  return { start, end: Math.min(end, scenarioDuration) };
+}
+
+/**
+ * Threat indicators of one stream, arriving as a Poisson process
+ *
+ * A stream with a pool keeps re-reporting a small set of values, replacing
+ * pool.rotate_count of them (all by default) every pool.rotate_every, the way
+ * a botnet moves its C2 servers.
+ */
+function generateThreatStream(stream, context) {
+  const { scenario, random, start, client } = context;
+  const { start: from, end } = streamWindow(stream, context.duration);
+  const rate = parseRate(stream.rate) * context.rateMultiplier;
+  const types = stream.types;
+  const [minConfidence, maxConfidence] = stream.confidence || [50, 90];
+  const severities = [].concat(stream.severity || ['medium']);
+  const feeds = [].concat(stream.feeds || [`scenario-${scenario.name}`]);
+  const firstSeen = new Map();
+  const events = [];
+
+  const pool = stream.pool ? { ...stream.pool, members: [], rotatedAt: from } : null;
+  const rotateEvery = pool && pool.rotate_every !== undefined ? parseDuration(pool.rotate_every) : Infinity;
+
+  const newValue = () => {
+    const type = weightedPick(random, types);
+    return { type, value: randomIndicatorValue(random, type) };
+  };
+
+  if (pool) {
+    while (pool.members.length < pool.size) pool.members.push(newValue());
+  }
+
+  if (rate <= 0) return events;
+
+  for (let offset = from + random.exponential(rate); offset < end; offset += random.exponential(rate)) {
+    let item;
+
+    if (pool) {
+      while (offset - pool.rotatedAt >= rotateEvery) {
+        pool.members.splice(0, pool.rotate_count || pool.size);
+        while (pool.members.length < pool.size) pool.members.push(newValue());
+        pool.rotatedAt += rotateEvery;
+      }
+      item = random.pick(pool.members);
+    } else {
+      item = newValue();
+    }
+
+    const at = start + Math.floor(offset);
+    const seenAt = new Date(at).toISOString();
+    const key = `${item.type}:${item.value}`;
+    if (!firstSeen.has(key)) firstSeen.set(key, seenAt);
+
+    const metadata = { scenario: scenario.name, stream: stream.name, ...stream.metadata };
+    if (item.type === 'ip') metadata.country = random.pick(stream.countries || COUNTRIES);
+
+    const indicator = client.createThreatIndicator({
+      id: `scenario-${stream.name}-${client.generateIndicatorHash(item.type, item.value).slice(0, 16)}`,
+      type: item.type,
+      value: item.value,
+      confidence: random.int(minConfidence, maxConfidence),
+      severity: random.pick(severities),
+      first_seen: firstSeen.get(key),
+      last_seen: seenAt,
+      tags: stream.tags || [],
+      source: random.pick(feeds),
+      tlp: stream.tlp || 'clear',
+      metadata
+    });
+
+    if (indicator) {
+      indicator.timestamp = seenAt;
+      events.push({ at, kind: 'threat', stream: stream.name, record: indicator });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * OHLCV bars of one stream as a random walk per symbol, with phases that
+ * shift its drift, volatility and volume (e.g. a crash and a rebound)
+ */
+function generateMarketStream(stream, context) {
+  const { scenario, random, start } = context;
+  const { start: from, end } = streamWindow(stream, context.duration);
+  const interval = parseDuration(stream.interval);
+  const phases = (stream.phases || []).map(phase => ({
+    ...phase,
+    from: parseDuration(phase.start),
+    to: parseDuration(phase.start) + parseDuration(phase.duration)
+  }));
+  const bars = [];
+
+  for (const [symbol, openingPrice] of Object.entries(stream.symbols)) {
+    const symbolRandom = random.fork(symbol);
+    let previousClose = openingPrice;
+
+    for (let offset = from; offset < end; offset += interval) {
+      const phase = phases.find(item => offset >= item.from && offset < item.to) || {};
+      const drift = phase.drift !== undefined ? phase.drift : (stream.drift || 0);
+      const volatility = phase.volatility !== undefined ? phase.volatility : (stream.volatility !== undefined ? stream.volatility : 0.2);
+      const round = value => Math.round(value * 100) / 100;
+
+      // Percent moves per bar
+      const change = drift + volatility * symbolRandom.normal();
+      const gap = volatility * 0.25 * symbolRandom.normal();
+      const open = round(previousClose * (1 + gap / 100));
+      const close = round(open * (1 + change / 100));
+      const wick = () => Math.abs(symbolRandom.normal()) * volatility * 0.5 / 100;
+
+      bars.push({
+        symbol,
+        timestamp: new Date(start + offset).toISOString(),
+        open,
+        high: round(Math.max(open, close) * (1 + wick())),
+        low: round(Math.min(open, close) * (1 - wick())),
+        close,
+        volume: Math.round((stream.volume || 100000) * (phase.volume || 1)
+          * Math.exp(0.25 * symbolRandom.normal()) * (0.5 + Math.abs(change) / (volatility || 1))),
+        source: `scenario:${scenario.name}`
+      });
+      previousClose = close;
+    }
+  }
+
+  return toFinancialRecords(bars).map(record => ({
+    at: Date.parse(record.timestamp),
+    kind: 'market',
+    stream: stream.name,
+    record
+  }));
+}
+
+/**
+ * Generate every event of a scenario, oldest first
+ *
+ * The output depends only on the scenario, the seed, the start time and the
+ * rate multiplier, so a run can be reproduced exactly. Each stream draws
+ * from its own generator forked off the seed.
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} options - Generation options
+ * @param {string|number} options.seed - Defaults to the scenario's seed, then its name
+ * @param {string|number|Date} options.start - Time of the first event window, defaults to the scenario's start
+ * @param {string|number} options.duration - Cut the scenario short, or run it longer
+ * @param {number} options.rateMultiplier - Scales every threat stream's rate
+ * @param {ThreatIntelClient} options.client - Builds the indicators
+ * @returns {Object[]} - { at, kind, stream, record }; record is a threat
+ *   indicator for kind threat and a financial record for kind market
+ */
+function generateScenario(scenario, options = {}) {
+  const seed = options.seed !== undefined ? options.seed : (scenario.seed !== undefined ? scenario.seed : scenario.name);
+  const start = new Date(options.start !== undefined ? options.start : (scenario.start || DEFAULT_START)).getTime();
+  if (Number.isNaN(start)) {
+    throw new Error(`Invalid start "${options.start}"`);
+  }
+
+  const random = new SeededRandom(seed);
+  const context = {
+    scenario,
+    start,
+    duration: parseDuration(options.duration !== undefined ? options.duration : scenario.duration),
+    rateMultiplier: options.rateMultiplier !== undefined ? Number(options.rateMultiplier) : 1,
+    client: options.client || new ThreatIntelClient()
+  };
+
+  const events = [];
+  for (const stream of scenario.streams) {
+    const streamContext = { ...context, random: random.fork(stream.name) };
+    events.push(...(stream.kind === 'threat'
+      ? generateThreatStream(stream, streamContext)
+      : generateMarketStream(stream, streamContext)));
+  }
+
+  // Stable, so simultaneous events keep their stream order
+  return events.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Plays a scenario against the wall clock, looping it with a fresh seed per
+ * cycle, for demo mode
+ *
+ * Every take() hands out the events of one kind that have come due since the
+ * previous take of that kind.
+ */
+class ScenarioPlayer {
+  /**
+   * @param {Object} scenario - Scenario from loadScenario
+   * @param {Object} options - See generateScenario; start defaults to now
+   */
+  constructor(scenario, options = {}) {
+    this.scenario = scenario;
+    this.options = options;
+    this.seed = options.seed !== undefined ? options.seed : (scenario.seed !== undefined ? scenario.seed : scenario.name);
+    this.start = new Date(options.start !== undefined ? options.start : Date.now()).getTime();
+    this.duration = parseDuration(scenario.duration);
+    this.cycles = new Map();
+    this.cursors = {};
+  }
+
+  get name() {
+    return this.scenario.name;
+  }
+
+  /**
+   * Events of one cycle; the first uses the seed as given so it matches
+   * generateScenario, later ones a seed derived from it
+   */
+  cycle(index) {
+    if (!this.cycles.has(index)) {
+      this.cycles.set(index, generateScenario(this.scenario, {
+        ...this.options,
+        seed: index === 0 ? this.seed : `${this.seed}#${index}`,
+        start: this.start + index * this.duration,
+        duration: this.duration
+      }));
+    }
+    return this.cycles.get(index);
+  }
+
+  /**
+   * Records of one kind due since the last take
+   * @param {string} kind - threat or market
+   * @param {number} until - Wall clock time in ms
+   * @returns {Object[]} - Indicators or financial records
+   */
+  take(kind, until = Date.now()) {
+    const cursor = this.cursors[kind] || (this.cursors[kind] = { cycle: 0, index: 0 });
+    const records = [];
+
+    while (this.start + cursor.cycle * this.duration <= until) {
+      const events = this.cycle(cursor.cycle);
+
+      while (cursor.index < events.length && events[cursor.index].at <= until) {
+        if (events[cursor.index].kind === kind) records.push(events[cursor.index].record);
+        cursor.index++;
+      }
+
+      if (cursor.index < events.length || this.start + (cursor.cycle + 1) * this.duration > until) break;
+      cursor.cycle++;
+      cursor.index = 0;
+    }
+
+    // Cycles every kind has moved past are not needed again
+    const oldest = Math.min(...STREAM_KINDS.map(name => (this.cursors[name] ? this.cursors[name].cycle : 0)));
+    for (const index of this.cycles.keys()) {
+      if (index < oldest) this.cycles.delete(index);
+    }
+
+    return records;
+  }
+}
+
+module.exports = {
+  ScenarioPlayer,
+  generateScenario,
+  loadScenario,
+  listScenarios,
+  validateScenario,
+  parseRate
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * Small deterministic PRNG (mulberry32) for synthetic data
+ *
+ * The same seed always yields the same sequence, so generated scenarios can
+ * be replayed exactly. Not suitable for anything security related.
+ */
+class SeededRandom {
+  /**
+   * @param {string|number} seed - Any string or number
+   */
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = crypto.createHash('sha256').update(this.seed).digest().readUInt32LE(0);
+  }
+
+  /**
+   * Independent generator for one part of a scenario, so adding a stream
+   * does not change the numbers every other stream draws
+   * @param {string} label - Name of the part
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}/${label}`);
+  }
+
+  /**
+   * Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max]
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+
+  /**
+   * Up to count distinct items, in their original order
+   */
+  sample(items, count) {
+    const chosen = new Set();
+    while (chosen.size < Math.min(count, items.length)) chosen.add(this.int(0, items.length - 1));
+    return items.filter((item, i) => chosen.has(i));
+  }
+
+  /**
+   * Standard normal variate (Box-Muller)
+   */
+  normal() {
+    const u = 1 - this.next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.next());
+  }
+
+  /**
+   * Wait until the next event of a Poisson process
+   * @param {number} rate - Events per unit of time
+   */
+  exponential(rate) {
+    return -Math.log(1 - this.next()) / rate;
+  }
+
+  hex(length) {
+    let value = '';
+    while (value.length < length) value += this.int(0, 15).toString(16);
+    return value;
+  }
+}
+
+module.exports = SeededRandom;
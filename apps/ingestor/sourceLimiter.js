@@ -0,0 +1,300 @@
+/**
+ * Per-source request control: token bucket rate limiting, retries with
+ * exponential backoff (honouring HTTP 429 Retry-After) and a circuit breaker
+ * that parks a source after repeated failures of the source itself (5xx,
+ * 429, network errors); a 404 or 401 is the caller's problem.
+ */
+const metrics = require('./metrics');
+
+// Default quotas per source type, overridable through SOURCE_RATE_LIMITS
+const DEFAULT_QUOTAS = {
+  virustotal: { requestsPerMinute: 4, burst: 1 }, // public API: 4 lookups/min
+  alphavantage: { requestsPerMinute: 5, burst: 1 }, // free tier: 5 calls/min
+  misp: { requestsPerMinute: 60, burst: 5 },
+  taxii: { requestsPerMinute: 60, burst: 10 },
+  json: { requestsPerMinute: 30, burst: 2 },
+  default: { requestsPerMinute: 30, burst: 2 }
+};
+
+const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  maxRetryAfter: 300000 // Retry-After longer than 5 minutes fails the call instead
+};
+
+const DEFAULT_BREAKER = {
+  failureThreshold: 3,
+  cooldown: 60000,
+  maxCooldown: 1800000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class CircuitOpenError extends Error {
+  constructor(source, retryAt) {
+    super(`Circuit open for ${source}, parked until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.source = source;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Token bucket refilled continuously at requestsPerMinute
+ */
+class TokenBucket {
+  constructor({ requestsPerMinute, burst }) {
+    this.capacity = Math.max(1, burst || 1);
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available and take it
+   * @returns {number} - Milliseconds spent waiting
+   */
+  async take() {
+    let waited = 0;
+    this.refill();
+
+    while (this.tokens < 1) {
+      const waitTime = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      await sleep(waitTime);
+      waited += waitTime;
+      this.refill();
+    }
+
+    this.tokens -= 1;
+    return waited;
+  }
+}
+
+/**
+ * Closed -> open after failureThreshold consecutive failures, half open once
+ * the cooldown passes; every reopen doubles the cooldown up to maxCooldown
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || DEFAULT_BREAKER.failureThreshold;
+    this.baseCooldown = options.cooldown || DEFAULT_BREAKER.cooldown;
+    this.maxCooldown = options.maxCooldown || DEFAULT_BREAKER.maxCooldown;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.cooldown = this.baseCooldown;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+      this.state = 'half_open';
+    }
+    return this.state !== 'open';
+  }
+
+  get retryAt() {
+    return this.openedAt ? this.openedAt + this.cooldown : null;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.cooldown = this.baseCooldown;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+
+    if (this.state === 'half_open') {
+      this.cooldown = Math.min(this.cooldown * 2, this.maxCooldown);
+      this.open();
+    } else if (this.consecutiveFailures >= this.failureThreshold) {
+      this.open();
+    }
+  }
+
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string} header - Header value
+ * @returns {number|null} - Delay in ms, or null if absent or unparseable
+ */
+function parseRetryAfter(header) {
+  if (header === undefined || header === null || header === '') return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request is worth retrying
+ */
+function isRetryable(error) {
+  if (error instanceof CircuitOpenError) return false;
+  if (!error.response) return Boolean(error.request || error.code); // network errors and timeouts
+
+  const status = error.response.status;
+  return status === 429 || status === 408 || status >= 500;
+}
+
+/**
+ * Rate limiter, retry policy and circuit breaker for one source
+ */
+class SourceLimiter {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.quota = options.quota || DEFAULT_QUOTAS.default;
+    this.retry = { ...DEFAULT_RETRY, ...(options.retry || {}) };
+    this.bucket = new TokenBucket(this.quota);
+    this.breaker = new CircuitBreaker(options.breaker);
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      rate_limited: 0,
+      wait_ms: 0,
+      last_success: null,
+      last_failure: null
+    };
+  }
+
+  /**
+   * Run a request under this source's limits
+   * @param {Function} request - Returns a promise, typically an axios call
+   */
+  async execute(request) {
+    if (!this.breaker.canRequest()) {
+      throw new CircuitOpenError(this.name, this.breaker.retryAt);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const wait = await this.bucket.take();
+      this.stats.wait_ms += wait;
+      this.stats.requests++;
+      if (wait > 0) metrics.rateLimitWait.observe({ source: this.name, reason: 'quota' }, wait / 1000);
+
+      try {
+        const result = await request();
+        this.breaker.recordSuccess();
+        this.stats.last_success = new Date().toISOString();
+        if (result && typeof result.status === 'number') {
+          metrics.sourceHttpResponses.inc({ source: this.name, status: String(result.status) });
+        }
+        return result;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        if (status === 429) this.stats.rate_limited++;
+        metrics.sourceHttpResponses.inc({ source: this.name, status: status ? String(status) : 'error' });
+
+        const delay = this.retryDelay(error, attempt);
+        if (delay === null) {
+          this.stats.failures++;
+          this.stats.last_failure = new Date().toISOString();
+          if (isRetryable(error)) this.breaker.recordFailure(error);
+          throw error;
+        }
+
+        this.stats.retries++;
+        this.stats.wait_ms += delay;
+        metrics.rateLimitWait.observe({ source: this.name, reason: 'retry' }, delay / 1000);
+        console.warn(`${this.name}: request failed (${status || error.code || error.message}), retry ${attempt + 1}/${this.retry.maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt, or null to give up
+   */
+  retryDelay(error, attempt) {
+    if (attempt >= this.retry.maxRetries || !isRetryable(error)) {
+      return null;
+    }
+
+    const retryAfter = error.response ? parseRetryAfter(error.response.headers && error.response.headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      return retryAfter <= this.retry.maxRetryAfter ? retryAfter : null;
+    }
+
+    const backoff = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2); // jitter
+  }
+
+  getState() {
+    return {
+      source: this.name,
+      circuit: this.breaker.canRequest() ? this.breaker.state : 'open',
+      consecutive_failures: this.breaker.consecutiveFailures,
+      retry_at: this.breaker.state === 'open' ? new Date(this.breaker.retryAt).toISOString() : null,
+      last_error: this.breaker.lastError,
+      quota: this.quota,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Holds one SourceLimiter per source name
+ */
+class SourceLimiterRegistry {
+  /**
+   * @param {Object} overrides - Per source or source type options, e.g.
+   *   { virustotal: { requestsPerMinute: 500, burst: 10 }, "json:abuse.ch": { ... } }
+   */
+  constructor(overrides = {}) {
+    this.overrides = overrides;
+    this.limiters = new Map();
+  }
+
+  /**
+   * Get or create the limiter for a source
+   * @param {string} name - Source name, e.g. virustotal or json:Example Feed
+   * @param {string} type - Source type used to pick a default quota
+   */
+  get(name, type = name) {
+    if (!this.limiters.has(name)) {
+      const override = this.overrides[name] || this.overrides[type] || {};
+      const { retry, breaker, ...quota } = override;
+
+      this.limiters.set(name, new SourceLimiter(name, {
+        quota: { ...(DEFAULT_QUOTAS[type] || DEFAULT_QUOTAS.default), ...quota },
+        retry,
+        breaker
+      }));
+    }
+
+    return this.limiters.get(name);
+  }
+
+  getStates() {
+    return Array.from(this.limiters.values()).map(limiter => limiter.getState());
+  }
+}
+
+module.exports = {
+  SourceLimiterRegistry,
+  SourceLimiter,
+  TokenBucket,
+  CircuitBreaker,
+  CircuitOpenError,
+  parseRetryAfter
+};
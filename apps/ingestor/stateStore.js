@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_DIR = process.env.STATE_DIR || path.join(__dirname, 'state');
+
+/**
+ * Small JSON file backed key/value store for ingestion state that must
+ * survive restarts (cursors, checkpoints)
+ */
+class JsonStateStore {
+  /**
+   * @param {string} filePath - State file
+   * @param {Object} options - Store options
+   * @param {boolean} options.readOnly - Read the file but never write it, for dry runs
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.readOnly = Boolean(options.readOnly);
+    this.data = null;
+  }
+
+  /**
+   * Resolve a state file name inside STATE_DIR
+   * @param {string} fileName - File name, e.g. taxii-cursors.json
+   */
+  static resolve(fileName) {
+    return path.join(DEFAULT_STATE_DIR, fileName);
+  }
+
+  /**
+   * Lazily read the state file
+   */
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Could not read state file ${this.filePath}, starting empty:`, error.message);
+      }
+      this.data = {};
+    }
+
+    return this.data;
+  }
+
+  get(key) {
+    return this.load()[key];
+  }
+
+  entries() {
+    return Object.entries(this.load());
+  }
+
+  /**
+   * Set a value and write the state file
+   * @param {string} key - State key
+   * @param {*} value - JSON serializable value, undefined removes the key
+   */
+  set(key, value) {
+    const data = this.load();
+
+    if (value === undefined) {
+      delete data[key];
+    } else {
+      data[key] = value;
+    }
+
+    this.save();
+  }
+
+  /**
+   * Write the state file atomically so a crash never leaves half a file
+   */
+  save() {
+    if (this.readOnly) return;
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data || {}, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = JsonStateStore;
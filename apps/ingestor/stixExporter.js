@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { STIX_TLP_MARKINGS } = require('./tlp');
+
+// TLP 2.0 marking definition of each level; the TLP 2.0 definitions come
+// last in STIX_TLP_MARKINGS, so they win over the TLP 1.0 ones
+const TLP_MARKING_IDS = Object.fromEntries(Object.entries(STIX_TLP_MARKINGS).map(([id, level]) => [level, id]));
+
+// STIX hash algorithm names, by the hash_type the canonicalizer detects
+const HASH_ALGORITHMS = {
+  md5: 'MD5',
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+  sha512: 'SHA-512',
+  ssdeep: 'SSDEEP'
+};
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Deterministic STIX identifier, so exporting an indicator again keeps its ID
+ * @param {string} type - STIX object type
+ * @param {string} key - Stable key, e.g. the indicator hash
+ */
+function stixId(type, key) {
+  const hex = crypto.createHash('sha256').update(`${type}|${key}`).digest('hex');
+  const variant = (8 | (parseInt(hex[16], 16) & 3)).toString(16);
+  return `${type}--${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function toTimestamp(value) {
+  const time = Date.parse(value);
+  return new Date(Number.isNaN(time) ? Date.now() : time).toISOString();
+}
+
+/**
+ * STIX pattern matching a normalized indicator
+ * @param {Object} indicator - Normalized indicator
+ * @returns {string|null} - null for types STIX has no pattern for here
+ */
+function toSTIXPattern(indicator) {
+  const value = indicator.indicator_value;
+
+  switch (indicator.indicator_type) {
+    case 'ip':
+    case 'cidr':
+      return `[${String(value).includes(':') ? 'ipv6-addr' : 'ipv4-addr'}:value = ${quote(value)}]`;
+    case 'domain':
+      return `[domain-name:value = ${quote(value)}]`;
+    case 'url':
+      return `[url:value = ${quote(value)}]`;
+    case 'email':
+      return `[email-addr:value = ${quote(value)}]`;
+    case 'hash': {
+      const algorithm = HASH_ALGORITHMS[(indicator.metadata || {}).hash_type];
+      return algorithm ? `[file:hashes.${quote(algorithm)} = ${quote(value)}]` : null;
+    }
+    case 'filename':
+      return `[file:name = ${quote(value)}]`;
+    case 'mutex':
+      return `[mutex:name = ${quote(value)}]`;
+    case 'registry_key':
+      return `[windows-registry-key:key = ${quote(value)}]`;
+    case 'mac':
+      return `[mac-addr:value = ${quote(value)}]`;
+    case 'asn': {
+      const number = parseInt(String(value).replace(/^AS/i, ''), 10);
+      return Number.isNaN(number) ? null : `[autonomous-system:number = ${number}]`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * STIX 2.1 indicator object of a normalized indicator; severity travels as a
+ * label, as normalizeSTIXData reads it back
+ * @param {Object} indicator - Normalized indicator
+ * @returns {Object|null} - null when the type has no pattern
+ */
+function toSTIXIndicator(indicator) {
+  const pattern = toSTIXPattern(indicator);
+  if (!pattern) return null;
+
+  const validFrom = toTimestamp(indicator.first_seen);
+  const object = {
+    type: 'indicator',
+    spec_version: '2.1',
+    id: stixId('indicator', indicator.hash),
+    created: validFrom,
+    modified: toTimestamp(indicator.last_seen),
+    name: `${indicator.indicator_type} ${indicator.indicator_value}`,
+    pattern,
+    pattern_type: 'stix',
+    valid_from: validFrom,
+    labels: [...new Set([...(indicator.tags || []), indicator.severity_level].filter(Boolean))],
+    confidence: Math.round(indicator.confidence_score),
+    object_marking_refs: [TLP_MARKING_IDS[indicator.tlp_marking] || TLP_MARKING_IDS.red]
+  };
+
+  if (indicator.revoked) object.revoked = true;
+  return object;
+}
+
+/**
+ * STIX 2.1 bundle of normalized indicators, skipping types without a pattern
+ * @param {Object[]} indicators - Normalized indicators
+ */
+function toSTIXBundle(indicators) {
+  return {
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: indicators.map(toSTIXIndicator).filter(Boolean)
+  };
+}
+
+module.exports = {
+  toSTIXPattern,
+  toSTIXIndicator,
+  toSTIXBundle
+};
@@ -0,0 +1,569 @@
+/**
+ * STIX 2.1 patterning language parser
+ *
+ * Turns a pattern such as
+ *   [ipv4-addr:value = '198.51.100.1' OR domain-name:value = 'evil.com'] FOLLOWEDBY [file:name = 'x.exe']
+ * into an AST, and flattens that AST into the individual observable comparisons.
+ */
+
+const KEYWORDS = new Set([
+  'AND', 'OR', 'NOT', 'FOLLOWEDBY', 'IN', 'LIKE', 'MATCHES', 'ISSUBSET', 'ISSUPERSET',
+  'EXISTS', 'START', 'STOP', 'WITHIN', 'SECONDS', 'REPEATS', 'TIMES'
+]);
+
+const COMPARISON_OPERATORS = new Set(['=', '!=', '<', '<=', '>', '>=']);
+const STRING_OPERATORS = new Set(['LIKE', 'MATCHES', 'ISSUBSET', 'ISSUPERSET']);
+
+class StixPatternError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'StixPatternError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a pattern into tokens
+ * @param {string} pattern - STIX pattern
+ * @returns {Object[]} - Tokens with type, value and position
+ */
+function tokenize(pattern) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    let value = '';
+    let j = start + 1;
+
+    while (j < pattern.length) {
+      const char = pattern[j];
+      if (char === '\\') {
+        const escaped = pattern[j + 1];
+        if (escaped !== "'" && escaped !== '\\') {
+          throw new StixPatternError(`Invalid escape sequence \\${escaped}`, j);
+        }
+        value += escaped;
+        j += 2;
+      } else if (char === "'") {
+        return { value, end: j + 1 };
+      } else {
+        value += char;
+        j++;
+      }
+    }
+
+    throw new StixPatternError('Unterminated string literal', start);
+  };
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Typed literals: t'...', h'...', b'...'
+    if (/[thb]/.test(char) && pattern[i + 1] === "'") {
+      const { value, end } = readQuoted(i + 1);
+      const type = { t: 'timestamp', h: 'hex', b: 'binary' }[char];
+      tokens.push({ type, value, position: i });
+      i = end;
+      continue;
+    }
+
+    if (char === "'") {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'string', value, position: i });
+      i = end;
+      continue;
+    }
+
+    const number = pattern.slice(i).match(/^-?\d+(?:\.\d+)?/);
+    if (number && (char === '-' || /\d/.test(char))) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = pattern.slice(i).match(/^[A-Za-z_][A-Za-z0-9_-]*/);
+    if (word) {
+      // An identifier followed by ':' starts an object path
+      if (pattern[i + word[0].length] === ':') {
+        const { path, end } = readObjectPath(pattern, i, word[0]);
+        tokens.push({ type: 'path', value: path, position: i });
+        i = end;
+        continue;
+      }
+
+      const upper = word[0].toUpperCase();
+      if (KEYWORDS.has(upper)) {
+        tokens.push({ type: 'keyword', value: upper, position: i });
+      } else if (word[0] === 'true' || word[0] === 'false') {
+        tokens.push({ type: 'boolean', value: word[0] === 'true', position: i });
+      } else {
+        throw new StixPatternError(`Unexpected identifier '${word[0]}'`, i);
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    const operator = pattern.slice(i).match(/^(?:!=|<=|>=|=|<|>)/);
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], position: i });
+      i += operator[0].length;
+      continue;
+    }
+
+    if ('[](),'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new StixPatternError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'eof', position: pattern.length });
+  return tokens;
+}
+
+/**
+ * Read an object path such as file:hashes.'SHA-256' or windows-registry-key:values[*].name
+ * @param {string} pattern - Full pattern
+ * @param {number} start - Position of the object type
+ * @param {string} objectType - Already matched object type
+ */
+function readObjectPath(pattern, start, objectType) {
+  const components = [];
+  let i = start + objectType.length + 1;
+  let expectComponent = true;
+
+  while (i < pattern.length) {
+    if (expectComponent) {
+      if (pattern[i] === "'") {
+        const close = pattern.indexOf("'", i + 1);
+        if (close === -1) throw new StixPatternError('Unterminated path component', i);
+        components.push(pattern.slice(i + 1, close));
+        i = close + 1;
+      } else {
+        const component = pattern.slice(i).match(/^[A-Za-z0-9_][A-Za-z0-9_-]*/);
+        if (!component) throw new StixPatternError('Invalid object path', i);
+        components.push(component[0]);
+        i += component[0].length;
+      }
+      expectComponent = false;
+      continue;
+    }
+
+    if (pattern[i] === '.') {
+      expectComponent = true;
+      i++;
+      continue;
+    }
+
+    const index = pattern.slice(i).match(/^\[(\d+|\*)\]/);
+    if (index) {
+      components.push(index[1] === '*' ? '*' : Number(index[1]));
+      i += index[0].length;
+      continue;
+    }
+
+    break;
+  }
+
+  if (expectComponent) {
+    throw new StixPatternError('Object path ends without a property', i);
+  }
+
+  return { path: { object_type: objectType, components }, end: i };
+}
+
+/**
+ * Recursive descent parser over the token list
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token.type === 'keyword' && token.value === value;
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new StixPatternError(`Expected ${value || type} but found ${token.value || token.type}`, token.position);
+    }
+    return token;
+  }
+
+  parsePattern() {
+    const expression = this.parseObservationExpressions();
+    this.expect('eof');
+    return expression;
+  }
+
+  // Observation operators, lowest precedence first: FOLLOWEDBY, OR, AND
+  parseObservationExpressions() {
+    return this.parseBinary('FOLLOWEDBY', () => this.parseObservationOr(), 'observation_expression');
+  }
+
+  parseObservationOr() {
+    return this.parseBinary('OR', () => this.parseObservationAnd(), 'observation_expression');
+  }
+
+  parseObservationAnd() {
+    return this.parseBinary('AND', () => this.parseObservation(), 'observation_expression');
+  }
+
+  parseObservation() {
+    let node;
+    const token = this.peek();
+
+    if (token.type === '[') {
+      this.next();
+      node = { type: 'observation', expression: this.parseComparisonOr(), qualifiers: [] };
+      this.expect(']');
+    } else if (token.type === '(') {
+      this.next();
+      node = this.parseObservationExpressions();
+      this.expect(')');
+    } else {
+      throw new StixPatternError(`Expected '[' or '(' but found ${token.value || token.type}`, token.position);
+    }
+
+    const qualifiers = this.parseQualifiers();
+    if (qualifiers.length > 0) {
+      node = node.type === 'observation'
+        ? { ...node, qualifiers }
+        : { type: 'qualified_expression', expression: node, qualifiers };
+    }
+
+    return node;
+  }
+
+  parseQualifiers() {
+    const qualifiers = [];
+
+    for (;;) {
+      if (this.isKeyword('START')) {
+        this.next();
+        const start = this.expect('timestamp').value;
+        this.expect('keyword', 'STOP');
+        const stop = this.expect('timestamp').value;
+        qualifiers.push({ type: 'start_stop', start, stop });
+      } else if (this.isKeyword('WITHIN')) {
+        this.next();
+        const seconds = this.expect('number').value;
+        this.expect('keyword', 'SECONDS');
+        qualifiers.push({ type: 'within', seconds });
+      } else if (this.isKeyword('REPEATS')) {
+        this.next();
+        const times = this.expect('number').value;
+        this.expect('keyword', 'TIMES');
+        qualifiers.push({ type: 'repeats', times });
+      } else {
+        return qualifiers;
+      }
+    }
+  }
+
+  // Comparison operators inside an observation: OR binds looser than AND
+  parseComparisonOr() {
+    return this.parseBinary('OR', () => this.parseComparisonAnd(), 'comparison_expression');
+  }
+
+  parseComparisonAnd() {
+    return this.parseBinary('AND', () => this.parsePropertyTest(), 'comparison_expression');
+  }
+
+  parseBinary(operator, parseOperand, nodeType) {
+    const operands = [parseOperand()];
+
+    while (this.isKeyword(operator)) {
+      this.next();
+      operands.push(parseOperand());
+    }
+
+    return operands.length === 1 ? operands[0] : { type: nodeType, operator, operands };
+  }
+
+  parsePropertyTest() {
+    const token = this.peek();
+
+    if (token.type === '(') {
+      this.next();
+      const expression = this.parseComparisonOr();
+      this.expect(')');
+      return expression;
+    }
+
+    if (this.isKeyword('EXISTS')) {
+      this.next();
+      return { type: 'exists', path: this.expect('path').value };
+    }
+
+    const path = this.expect('path').value;
+    let negated = false;
+
+    if (this.isKeyword('NOT')) {
+      this.next();
+      negated = true;
+    }
+
+    const operatorToken = this.next();
+    let operator;
+    let value;
+
+    if (operatorToken.type === 'operator' && COMPARISON_OPERATORS.has(operatorToken.value)) {
+      operator = operatorToken.value;
+      value = this.parseLiteral();
+    } else if (operatorToken.type === 'keyword' && operatorToken.value === 'IN') {
+      operator = 'IN';
+      value = this.parseSet();
+    } else if (operatorToken.type === 'keyword' && STRING_OPERATORS.has(operatorToken.value)) {
+      operator = operatorToken.value;
+      value = this.expect('string').value;
+    } else {
+      throw new StixPatternError(`Expected comparison operator but found ${operatorToken.value || operatorToken.type}`, operatorToken.position);
+    }
+
+    return { type: 'comparison', path, operator, negated, value };
+  }
+
+  parseSet() {
+    this.expect('(');
+    const values = [this.parseLiteral()];
+
+    while (this.peek().type === ',') {
+      this.next();
+      values.push(this.parseLiteral());
+    }
+
+    this.expect(')');
+    return values;
+  }
+
+  parseLiteral() {
+    const token = this.next();
+
+    if (['string', 'number', 'boolean', 'timestamp', 'hex', 'binary'].includes(token.type)) {
+      return token.value;
+    }
+
+    throw new StixPatternError(`Expected literal but found ${token.value || token.type}`, token.position);
+  }
+}
+
+/**
+ * Parse a STIX 2.1 pattern into an AST
+ * @param {string} pattern - STIX pattern
+ * @returns {Object} - AST root node
+ */
+function parsePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new StixPatternError('Pattern is empty');
+  }
+
+  return new Parser(tokenize(pattern)).parsePattern();
+}
+
+/**
+ * Render an object path back to STIX syntax, e.g. file:hashes.'SHA-256'
+ * @param {Object} path - Path from the AST
+ */
+function formatPath(path) {
+  let rendered = `${path.object_type}:`;
+
+  path.components.forEach((component, index) => {
+    if (typeof component === 'number' || component === '*') {
+      rendered += `[${component}]`;
+    } else {
+      const safe = /^[A-Za-z0-9_][A-Za-z0-9_]*$/.test(component) ? component : `'${component}'`;
+      rendered += index === 0 ? safe : `.${safe}`;
+    }
+  });
+
+  return rendered;
+}
+
+/**
+ * Flatten an AST into its comparisons, numbering them in pattern order
+ * @param {Object} ast - Root node from parsePattern
+ * @returns {Object} - { comparisons, structure } where structure is the boolean
+ *   shape of the pattern with comparisons replaced by #index
+ */
+function flattenPattern(ast) {
+  const comparisons = [];
+
+  // Returns the rendered structure and whether it needs parentheses when nested
+  const visit = (node, context) => {
+    switch (node.type) {
+      case 'observation_expression':
+      case 'comparison_expression': {
+        const parts = node.operands.map(operand => {
+          const rendered = visit(operand, {
+            ...context,
+            operators: [...context.operators, node.operator]
+          });
+          return rendered.compound ? `(${rendered.text})` : rendered.text;
+        });
+        return { text: parts.join(` ${node.operator} `), compound: true };
+      }
+
+      case 'qualified_expression': {
+        const inner = visit(node.expression, {
+          ...context,
+          qualifiers: [...context.qualifiers, ...node.qualifiers]
+        });
+        return { text: `(${inner.text})${formatQualifiers(node.qualifiers)}`, compound: false };
+      }
+
+      case 'observation': {
+        const observationIndex = context.observationCounter.count++;
+        const inner = visit(node.expression, {
+          ...context,
+          observationIndex,
+          qualifiers: [...context.qualifiers, ...node.qualifiers]
+        });
+        return { text: `[${inner.text}]${formatQualifiers(node.qualifiers)}`, compound: false };
+      }
+
+      case 'exists':
+      case 'comparison': {
+        const index = comparisons.length;
+        comparisons.push({
+          index,
+          observation_index: context.observationIndex,
+          object_type: node.path.object_type,
+          object_path: formatPath(node.path),
+          property: node.path.components,
+          operator: node.type === 'exists' ? 'EXISTS' : node.operator,
+          negated: Boolean(node.negated),
+          value: node.value,
+          boolean_context: context.operators,
+          qualifiers: context.qualifiers
+        });
+        return { text: `#${index}`, compound: false };
+      }
+
+      default:
+        throw new StixPatternError(`Unknown AST node ${node.type}`);
+    }
+  };
+
+  const structure = visit(ast, {
+    operators: [],
+    qualifiers: [],
+    observationIndex: null,
+    observationCounter: { count: 0 }
+  }).text;
+
+  return { comparisons, structure };
+}
+
+function formatQualifiers(qualifiers) {
+  return qualifiers.map(qualifier => {
+    if (qualifier.type === 'within') return ` WITHIN ${qualifier.seconds} SECONDS`;
+    if (qualifier.type === 'repeats') return ` REPEATS ${qualifier.times} TIMES`;
+    return ` START t'${qualifier.start}' STOP t'${qualifier.stop}'`;
+  }).join('');
+}
+
+// Object paths that identify an indicator value, keyed by type:first.component
+const OBSERVABLE_TYPES = {
+  'ipv4-addr:value': 'ip',
+  'ipv6-addr:value': 'ip',
+  'domain-name:value': 'domain',
+  'url:value': 'url',
+  'email-addr:value': 'email',
+  'email-message:from_ref.value': 'email',
+  'email-message:sender_ref.value': 'email',
+  'file:name': 'filename',
+  'file:hashes': 'hash',
+  'artifact:hashes': 'hash',
+  'x509-certificate:hashes': 'hash',
+  'windows-registry-key:key': 'registry_key',
+  'mutex:name': 'mutex',
+  'mac-addr:value': 'mac',
+  'autonomous-system:number': 'asn',
+  'network-traffic:src_ref.value': 'ip',
+  'network-traffic:dst_ref.value': 'ip'
+};
+
+/**
+ * Map a comparison's object path to a standard indicator type
+ * @param {Object} comparison - Comparison from flattenPattern
+ * @returns {string|null} - Indicator type or null when not an indicator value
+ */
+function mapObservableType(comparison) {
+  const [first, second] = comparison.property;
+  const type = OBSERVABLE_TYPES[`${comparison.object_type}:${first}`]
+    || OBSERVABLE_TYPES[`${comparison.object_type}:${first}.${second}`];
+
+  if (!type) return null;
+
+  // network-traffic refs can point at domain-name objects as well as addresses
+  if (comparison.object_type === 'network-traffic' && typeof comparison.value === 'string' && !/^[\d.:a-fA-F/]+$/.test(comparison.value)) {
+    return 'domain';
+  }
+
+  return type;
+}
+
+/**
+ * Turn a pattern into the observables it references
+ * @param {string} pattern - STIX pattern
+ * @returns {Object} - { observables, structure, comparisons }
+ *
+ * Each observable is { type, value, comparison } for comparisons that test an
+ * indicator value positively (=, IN). ISSUBSET on an address yields the
+ * network as a 'cidr' observable. MATCHES and LIKE comparisons produce
+ * observables of type 'pattern' carrying the expression as value; negated,
+ * ISSUPERSET and range comparisons are context only.
+ */
+function extractObservables(pattern) {
+  const { comparisons, structure } = flattenPattern(parsePattern(pattern));
+  const observables = [];
+
+  for (const comparison of comparisons) {
+    const type = mapObservableType(comparison);
+    if (!type || comparison.negated) continue;
+
+    if (comparison.operator === '=' || comparison.operator === 'IN') {
+      const values = comparison.operator === 'IN' ? comparison.value : [comparison.value];
+      for (const value of values.map(String)) {
+        // Address comparisons may carry a CIDR block instead of a single host
+        const valueType = type === 'ip' && value.includes('/') ? 'cidr' : type;
+        observables.push({ type: valueType, value, comparison });
+      }
+    } else if (comparison.operator === 'ISSUBSET' && type === 'ip') {
+      // [ipv4-addr:value ISSUBSET '198.51.100.0/24'] matches any host of the network
+      observables.push({ type: 'cidr', value: comparison.value, comparison });
+    } else if (comparison.operator === 'MATCHES' || comparison.operator === 'LIKE') {
+      observables.push({ type: 'pattern', value: comparison.value, comparison, observable_type: type });
+    }
+  }
+
+  return { observables, structure, comparisons };
+}
+
+module.exports = {
+  parsePattern,
+  flattenPattern,
+  extractObservables,
+  formatPath,
+  StixPatternError
+};
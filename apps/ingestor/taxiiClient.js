@@ -0,0 +1,255 @@
+const axios = require('axios');
+const JsonStateStore = require('./stateStore');
+
+const TAXII_MEDIA_TYPE = 'application/taxii+json;version=2.1';
+
+/**
+ * TAXII 2.1 client that walks every readable collection of an API root,
+ * follows pagination and keeps a per-collection added_after cursor
+ *
+ * A fetch reports where each collection's cursor would move; the caller
+ * saves them with saveCursors once the objects are published.
+ */
+class TaxiiClient {
+  constructor(config) {
+    this.apiRoot = config.taxiiUrl.replace(/\/+$/, '');
+    this.username = config.taxiiUsername;
+    this.password = config.taxiiPassword;
+    this.collections = config.taxiiCollections || [];
+    this.pageSize = config.taxiiPageSize || 100;
+    this.maxPages = config.taxiiMaxPages || 50;
+    this.initialLookback = config.taxiiInitialLookback || 86400000; // 24 hours
+    this.timeout = config.timeout || 15000;
+    this.limiter = config.taxiiLimiter || null;
+    this.cursorStore = config.taxiiCursorStore || new JsonStateStore(
+      config.taxiiCursorFile || JsonStateStore.resolve('taxii-cursors.json')
+    );
+  }
+
+  /**
+   * Build the axios request options shared by every TAXII call
+   */
+  requestOptions(params) {
+    const options = {
+      headers: {
+        'Accept': TAXII_MEDIA_TYPE
+      },
+      params,
+      timeout: this.timeout
+    };
+
+    if (this.username) {
+      options.auth = {
+        username: this.username,
+        password: this.password
+      };
+    }
+
+    return options;
+  }
+
+  /**
+   * GET through the source limiter when one is configured
+   */
+  get(url, options) {
+    return this.limiter
+      ? this.limiter.execute(() => axios.get(url, options))
+      : axios.get(url, options);
+  }
+
+  /**
+   * List the readable collections, limited to the configured subset if any
+   */
+  async getCollections() {
+    const response = await this.get(`${this.apiRoot}/collections/`, this.requestOptions());
+    const collections = (response.data && response.data.collections) || [];
+
+    const selected = collections.filter(collection => {
+      if (collection.can_read === false) return false;
+      if (this.collections.length === 0) return true;
+      return this.collections.includes(collection.id) || this.collections.includes(collection.title);
+    });
+
+    if (this.collections.length > 0) {
+      const found = new Set(selected.flatMap(collection => [collection.id, collection.title]));
+      const missing = this.collections.filter(name => !found.has(name));
+      if (missing.length > 0) {
+        console.warn(`TAXII collections not found or not readable: ${missing.join(', ')}`);
+      }
+    }
+
+    return selected;
+  }
+
+  cursorKey(collectionId) {
+    return `${this.apiRoot}|${collectionId}`;
+  }
+
+  /**
+   * Read the persisted added_after cursor for a collection
+   */
+  getCursor(collectionId) {
+    const cursor = this.cursorStore.get(this.cursorKey(collectionId));
+    return cursor ? cursor.added_after : null;
+  }
+
+  setCursor(collectionId, addedAfter) {
+    this.cursorStore.set(this.cursorKey(collectionId), {
+      added_after: addedAfter,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Persist the cursors returned by fetchAllObjects
+   * @param {Object} cursors - added_after by collection ID
+   */
+  saveCursors(cursors) {
+    for (const [collectionId, addedAfter] of Object.entries(cursors)) {
+      this.setCursor(collectionId, addedAfter);
+    }
+  }
+
+  /**
+   * Fetch every object added to a collection since its cursor
+   * @param {Object} collection - Collection resource from /collections/
+   * @returns {Object} - Objects plus paging details and the cursor after
+   *   the last page, not saved yet
+   */
+  async fetchCollectionObjects(collection) {
+    const url = `${this.apiRoot}/collections/${collection.id}/objects/`;
+    const objects = [];
+    let cursor = this.getCursor(collection.id);
+    let addedAfter = cursor || new Date(Date.now() - this.initialLookback).toISOString();
+    let next = null;
+    let more = false;
+    let pages = 0;
+
+    while (pages < this.maxPages) {
+      const params = { limit: this.pageSize, added_after: addedAfter };
+      if (next) params.next = next;
+
+      const response = await this.get(url, this.requestOptions(params));
+      const envelope = response.data || {};
+      const pageObjects = envelope.objects || [];
+      const dateAddedLast = response.headers['x-taxii-date-added-last'];
+      more = Boolean(envelope.more);
+      pages++;
+
+      objects.push(...pageObjects);
+
+      // Objects come back in date_added order, so the last page's newest
+      // object is where the next run starts
+      if (dateAddedLast) {
+        cursor = dateAddedLast;
+      }
+
+      if (!more) break;
+
+      if (envelope.next) {
+        next = envelope.next;
+      } else if (dateAddedLast && dateAddedLast !== addedAfter) {
+        // Servers without `next` page by moving added_after forward
+        addedAfter = dateAddedLast;
+        next = null;
+      } else {
+        console.warn(`TAXII collection ${collection.id} reported more data but gave no way to page`);
+        more = false;
+        break;
+      }
+    }
+
+    if (more) {
+      console.warn(`TAXII collection ${collection.id} stopped after ${this.maxPages} pages, the rest follows next run`);
+    }
+
+    return {
+      objects,
+      pages,
+      cursor
+    };
+  }
+
+  /**
+   * Page through the objects added to a collection inside a time window,
+   * leaving its cursor alone
+   *
+   * TAXII has no added_before filter, so paging stops at the first page whose
+   * last object was added after the window; that page is kept whole.
+   * @param {Object} collection - Collection resource from /collections/
+   * @param {Object} window - { from, to } as ISO strings
+   * @param {Object} position - { added_after, next } to resume from
+   * @yields {Object} - { objects, position } with the position after the page, null after the last
+   */
+  async *windowPages(collection, window, position = {}) {
+    const url = `${this.apiRoot}/collections/${collection.id}/objects/`;
+    let addedAfter = position.added_after || window.from;
+    let next = position.next || null;
+
+    for (;;) {
+      const params = { limit: this.pageSize, added_after: addedAfter };
+      if (next) params.next = next;
+
+      const response = await this.get(url, this.requestOptions(params));
+      const envelope = response.data || {};
+      const dateAddedLast = response.headers['x-taxii-date-added-last'];
+      let after = null;
+
+      if (envelope.more && !(dateAddedLast && Date.parse(dateAddedLast) > Date.parse(window.to))) {
+        if (envelope.next) {
+          after = { added_after: addedAfter, next: envelope.next };
+        } else if (dateAddedLast && dateAddedLast !== addedAfter) {
+          after = { added_after: dateAddedLast };
+        } else {
+          console.warn(`TAXII collection ${collection.id} reported more data but gave no way to page`);
+        }
+      }
+
+      yield { objects: envelope.objects || [], position: after };
+      if (!after) return;
+
+      addedAfter = after.added_after;
+      next = after.next || null;
+    }
+  }
+
+  /**
+   * Fetch new objects from every selected collection
+   * @returns {Object} - All objects, a per-collection report and the
+   *   cursors to pass to saveCursors once the objects are published
+   */
+  async fetchAllObjects() {
+    const collections = await this.getCollections();
+
+    if (collections.length === 0) {
+      throw new Error('No TAXII collections available');
+    }
+
+    const objects = [];
+    const report = [];
+    const cursors = {};
+
+    for (const collection of collections) {
+      try {
+        const result = await this.fetchCollectionObjects(collection);
+        objects.push(...result.objects);
+        if (result.cursor) cursors[collection.id] = result.cursor;
+        report.push({
+          id: collection.id,
+          title: collection.title,
+          objects: result.objects.length,
+          pages: result.pages,
+          cursor: result.cursor
+        });
+        console.log(`✓ TAXII collection ${collection.title || collection.id}: ${result.objects.length} objects in ${result.pages} page(s)`);
+      } catch (error) {
+        console.error(`✗ Failed to fetch TAXII collection ${collection.title || collection.id}:`, error.message);
+        report.push({ id: collection.id, title: collection.title, error: error.message });
+      }
+    }
+
+    return { objects, collections: report, cursors };
+  }
+}
+
+module.exports = TaxiiClient;
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const Connector = require('./connectors/connector');
+const { ConnectorRegistry, registerConnectorType } = require('./connectorRegistry');
+const { BackfillRunner, parseBackfillRequest } = require('./backfillRunner');
+
+const NOW = Date.parse('2024-06-01T00:00:00.000Z');
+
+/**
+ * Source with one page of domains per day of the window
+ */
+class DailyConnector extends Connector {
+  async *backfillPages(window, checkpoint) {
+    for (let day = checkpoint || 0; window.from.getTime() + day * 86400000 < window.to.getTime(); day++) {
+      yield { raw: [`day${day}-a.example`, `day${day}-b.example`], checkpoint: day + 1 };
+    }
+  }
+
+  normalize(values) {
+    return this.client.normalizeJSONFeedData(values.map(value => ({ type: 'domain', value })), 'daily');
+  }
+}
+registerConnectorType('daily', DailyConnector, { urlOptional: true });
+
+function createRunner() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-test-'));
+  return new BackfillRunner({ stateFile: path.join(dir, 'backfills.json') });
+}
+
+const connector = new ConnectorRegistry({ client: new ThreatIntelClient() })
+  .load([{ name: 'daily-feed', type: 'daily', tlp: 'amber' }])
+  .get('daily-feed');
+
+test('parses backfill windows', () => {
+  const request = parseBackfillRequest({ source: 'misp', from: '3d', to: '2024-05-31T12:00:00Z', topic: 'threat-intelligence-backfill' }, NOW);
+
+  assert.deepStrictEqual([request.from.toISOString(), request.to.toISOString()], ['2024-05-29T00:00:00.000Z', '2024-05-31T12:00:00.000Z']);
+  assert.strictEqual(parseBackfillRequest({ source: 'misp', from: '1h' }, NOW).to.getTime(), NOW);
+
+  assert.throws(() => parseBackfillRequest({ from: '1d' }, NOW), /source is required/);
+  assert.throws(() => parseBackfillRequest({ source: 'misp' }, NOW), /from is required/);
+  assert.throws(() => parseBackfillRequest({ source: 'misp', from: 'last week' }, NOW), /Invalid time "last week"/);
+  assert.throws(() => parseBackfillRequest({ source: 'misp', from: '1d', to: '2d' }, NOW), /from must be before to/);
+  assert.throws(() => parseBackfillRequest({ source: 'misp', from: '1d', to: '2024-07-01' }, NOW), /must not be in the future/);
+  assert.throws(() => parseBackfillRequest({ source: 'misp', from: '1d', topic: 'bad topic' }, NOW), /Kafka topic name/);
+});
+
+test('publishes page by page and resumes after the last published page', async () => {
+  const runner = createRunner();
+  const request = parseBackfillRequest({ source: 'daily-feed', from: '2024-05-01', to: '2024-05-04' }, NOW);
+  const published = [];
+  let failOn = 'day1-a.example';
+
+  const publish = async (indicators, job) => {
+    if (indicators.some(indicator => indicator.indicator_value === failOn)) throw new Error('Kafka down');
+    published.push(...indicators.map(indicator => [indicator.indicator_value, indicator.source_feeds[0], indicator.tlp_marking, job.id]));
+  };
+
+  await assert.rejects(runner.run(connector, request, publish), /Kafka down/);
+  const id = BackfillRunner.jobId('daily-feed', request.from, request.to);
+  assert.deepStrictEqual([runner.get(id).status, runner.get(id).checkpoint, runner.get(id).pages], ['failed', 1, 1]);
+
+  failOn = null;
+  const job = await runner.run(connector, { ...request, topic: 'replay' }, publish);
+
+  assert.deepStrictEqual([job.status, job.resumed, job.pages, job.indicators, job.topic, job.checkpoint], ['completed', true, 3, 6, 'replay', null]);
+  assert.deepStrictEqual(published.map(([value]) => value), [
+    'day0-a.example', 'day0-b.example', 'day1-a.example', 'day1-b.example', 'day2-a.example', 'day2-b.example'
+  ]);
+  assert.ok(published.every(([, source, tlp, jobId]) => source === 'daily-feed' && tlp === 'amber' && jobId === id));
+
+  // A finished backfill only runs again on restart
+  assert.strictEqual((await runner.run(connector, request, publish)).finished_at, job.finished_at);
+  assert.strictEqual(published.length, 6);
+
+  const restarted = await runner.run(connector, { ...request, restart: true }, publish);
+  assert.deepStrictEqual([restarted.resumed, restarted.pages, published.length], [false, 3, 12]);
+  assert.deepStrictEqual(runner.list().map(entry => entry.id), [id]);
+});
+
+test('refuses to run the same backfill twice at once', async () => {
+  const runner = createRunner();
+  const request = parseBackfillRequest({ source: 'daily-feed', from: '1d' }, NOW);
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const first = runner.run(connector, request, () => gate);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.ok(runner.isRunning(BackfillRunner.jobId('daily-feed', request.from, request.to)));
+  await assert.rejects(runner.run(connector, request, async () => {}), /already running/);
+
+  release();
+  assert.strictEqual((await first).status, 'completed');
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const { ConnectorRegistry } = require('./connectorRegistry');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Serve the fixture files as a feed host would, as text/plain
+ */
+function startFixtureServer() {
+  const server = http.createServer((req, res) => {
+    const filePath = path.join(FIXTURES, path.basename(req.url));
+
+    fs.readFile(filePath, (error, content) => {
+      if (error) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(content);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test('blocklist connectors', async (t) => {
+  const feeds = await startFixtureServer();
+  t.after(() => feeds.server.close());
+
+  const load = entry => new ConnectorRegistry({ client: new ThreatIntelClient() }).load([entry]).get(entry.name);
+  const values = indicators => indicators.map(i => [i.indicator_type, i.indicator_value]);
+
+  await t.test('plaintext IP list skips comments and keeps networks as cidr indicators', async () => {
+    const connector = load({
+      name: 'ipblocklist',
+      type: 'plaintext',
+      url: `${feeds.url}/ipblocklist.txt`,
+      options: { indicatorType: 'ip' },
+      mapping: { defaults: { confidence: 75, severity: 'high', tags: ['botnet'] } }
+    });
+
+    const indicators = await connector.collect();
+
+    assert.deepStrictEqual(values(indicators), [
+      ['ip', '198.51.100.10'],
+      ['ip', '198.51.100.11'],
+      ['cidr', '203.0.113.0/30'],
+      ['cidr', '192.0.0.0/16'],
+      ['ip', '198.51.100.12']
+    ]);
+    assert.ok(indicators.every(i => i.confidence_score === 75 && i.tags[0] === 'botnet' && i.source_feeds[0] === 'ipblocklist'));
+  });
+
+  await t.test('small networks are expanded and large ones kept when cidr is expand', async () => {
+    const connector = load({
+      name: 'ipblocklist',
+      type: 'plaintext',
+      url: `${feeds.url}/ipblocklist.txt`,
+      options: { cidr: 'expand', maxCidrExpansion: 4 }
+    });
+
+    const indicators = await connector.collect();
+
+    assert.deepStrictEqual(values(indicators).slice(2, 7), [
+      ['ip', '203.0.113.0'],
+      ['ip', '203.0.113.1'],
+      ['ip', '203.0.113.2'],
+      ['ip', '203.0.113.3'],
+      ['cidr', '192.0.0.0/16']
+    ]);
+  });
+
+  await t.test('cidr skip drops networks', async () => {
+    const connector = load({
+      name: 'ipblocklist',
+      type: 'plaintext',
+      url: `${feeds.url}/ipblocklist.txt`,
+      options: { cidr: 'skip' }
+    });
+
+    const indicators = await connector.collect();
+
+    assert.ok(indicators.every(i => i.indicator_type === 'ip'));
+    assert.strictEqual(indicators.length, 3);
+  });
+
+  await t.test('hosts-style list reads the configured column', async () => {
+    const connector = load({
+      name: 'hosts',
+      type: 'plaintext',
+      url: `${feeds.url}/hosts-blocklist.txt`,
+      options: { column: 1 }
+    });
+
+    assert.deepStrictEqual(values(await connector.collect()), [
+      ['domain', 'malware-drop.example'],
+      ['domain', 'phish-login.example'],
+      ['domain', 'c2-panel.example']
+    ]);
+  });
+
+  await t.test('URLhaus-style CSV with a commented header', async () => {
+    const connector = load({
+      name: 'urlhaus',
+      type: 'csv',
+      url: `${feeds.url}/urlhaus.csv`,
+      options: {
+        columns: ['id', 'dateadded', 'url', 'url_status', 'last_online', 'threat', 'tags', 'urlhaus_link', 'reporter']
+      },
+      mapping: {
+        fields: { value: 'url', first_seen: 'dateadded' },
+        defaults: { type: 'url', severity: 'high' },
+        metadata: { threat: 'threat', status: 'url_status', reference: 'urlhaus_link' }
+      }
+    });
+
+    const indicators = await connector.collect();
+
+    assert.deepStrictEqual(values(indicators), [
+      ['url', 'http://198.51.100.50/bins/mozi.m'],
+      ['url', 'https://dropper.example/payload.exe']
+    ]);
+    assert.deepStrictEqual(indicators[0].tags, ['elf', 'Mozi']);
+    assert.strictEqual(indicators[0].first_seen, '2024-05-01 11:58:02');
+    assert.deepStrictEqual(indicators[1].metadata, {
+      original_value: 'https://dropper.example/payload.exe#frag',
+      threat: 'malware_download',
+      status: 'online',
+      reference: 'https://urlhaus.example/url/2800002/'
+    });
+  });
+
+  await t.test('Feodo-style CSV with a header row and a network entry', async () => {
+    const connector = load({
+      name: 'feodo',
+      type: 'csv',
+      url: `${feeds.url}/feodo-ipblocklist.csv`,
+      options: { cidr: 'expand' },
+      mapping: {
+        fields: { value: 'dst_ip', first_seen: 'first_seen_utc', tags: 'malware' },
+        defaults: { type: 'ip' },
+        metadata: { port: 'dst_port', c2_status: 'c2_status' }
+      }
+    });
+
+    const indicators = await connector.collect();
+
+    assert.deepStrictEqual(values(indicators), [
+      ['ip', '203.0.113.77'],
+      ['ip', '203.0.113.78'],
+      ['ip', '203.0.113.80'],
+      ['ip', '203.0.113.81']
+    ]);
+    assert.deepStrictEqual(indicators[3].tags, ['TrickBot']);
+    assert.deepStrictEqual(indicators[3].metadata, { port: '447', c2_status: 'online' });
+  });
+});
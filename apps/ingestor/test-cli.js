@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+process.env.STATE_DIR = path.join(dir, 'state');
+const { main } = require('./cli');
+
+const FEEDS = {
+  '/a.json': [
+    { ioc: '45.155.205.233', kind: 'ip' },
+    { ioc: 'shared-c2.net', kind: 'domain' },
+    { ioc: 'not an ip', kind: 'ip' },
+    { ioc: '10.0.0.1', kind: 'ip' }
+  ],
+  '/b.json': [
+    { ioc: 'shared-c2.net', kind: 'domain' },
+    { ioc: 'b-only.net', kind: 'domain' }
+  ]
+};
+
+function startFeedServer() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': `"${req.url}"` });
+    res.end(JSON.stringify(FEEDS[req.url] || []));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+function writeSources(name, sources) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, JSON.stringify({ sources }));
+  return filePath;
+}
+
+function feedSources(url) {
+  const mapping = { fields: { value: 'ioc', type: 'kind' } };
+  return writeSources('sources.json', [
+    { name: 'feed-a', type: 'json', url: `${url}/a.json`, mapping },
+    { name: 'feed-b', type: 'json', url: `${url}/b.json`, tlp: 'amber', mapping },
+    { name: 'feed-c', type: 'json', url: 'http://127.0.0.1:1/c.json', enabled: false, rate_limit: { retry: { maxRetries: 0 } } }
+  ]);
+}
+
+test('fetch writes deduplicated, exportable indicators to a file', async () => {
+  const { server, url } = await startFeedServer();
+  const sourcesFile = feedSources(url);
+  const out = path.join(dir, 'indicators.ndjson');
+  const feedStateFile = path.join(process.env.STATE_DIR, 'feed-state.json');
+
+  try {
+    assert.strictEqual(await main(['fetch', '--sources', sourcesFile, '--format', 'ndjson', '--out', out, '--dry-run']), 0);
+
+    // The reserved address is suppressed and feed-b's amber is above the export default
+    const envelopes = fs.readFileSync(out, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(envelopes.map(envelope => [envelope.event_type, envelope.data.indicator_value]), [
+      ['threat_indicator', '45.155.205.233']
+    ]);
+    assert.ok(!fs.existsSync(feedStateFile));
+
+    assert.strictEqual(await main(['fetch', '--sources', sourcesFile, '--source', 'feed-b', '--format', 'stix', '--out', out]), 0);
+    assert.strictEqual(JSON.parse(fs.readFileSync(out, 'utf8')).objects.length, 0);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(feedStateFile, 'utf8'))), ['feed-b']);
+
+    await assert.rejects(main(['fetch', '--sources', sourcesFile, '--source', 'feed-x']), /Unknown source "feed-x"/);
+    await assert.rejects(main(['fetch', '--sources', sourcesFile, '--out', out]), /--out needs --format ndjson or stix/);
+  } finally {
+    server.close();
+  }
+});
+
+test('validate-config reports every problem', async () => {
+  assert.strictEqual(await main(['validate-config', '--sources', feedSources('http://127.0.0.1:1')]), 0);
+
+  // Only enabled sources need their credentials
+  const broken = writeSources('broken.json', [
+    { name: 'vt', type: 'virustotal', credentials: { apiKey: 'env:CLI_TEST_MISSING_KEY' } },
+    { name: 'old', type: 'virustotal', enabled: false, credentials: { apiKey: 'env:CLI_TEST_MISSING_KEY' } },
+    { name: 'odd', type: 'gopher' }
+  ]);
+  assert.strictEqual(await main(['validate-config', '--sources', broken]), 1);
+  assert.strictEqual(await main(['validate-config', '--sources', path.join(dir, 'missing.yml')]), 1);
+});
+
+test('test-source runs the health probe of named sources', async () => {
+  const { server, url } = await startFeedServer();
+  const sourcesFile = feedSources(url);
+
+  try {
+    assert.strictEqual(await main(['test-source', '--sources', sourcesFile]), 0);
+    assert.strictEqual(await main(['test-source', '--sources', sourcesFile, '--source', 'feed-c']), 1);
+  } finally {
+    server.close();
+  }
+});
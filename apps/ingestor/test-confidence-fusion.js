@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ThreatIntelClient = require('./threatIntelClient');
+const Connector = require('./connectors/connector');
+const { ConnectorRegistry, registerConnectorType, validateSources } = require('./connectorRegistry');
+const { fuseConfidence, registerFusionStrategy, reliabilityWeight } = require('./confidenceFusion');
+
+const client = new ThreatIntelClient();
+
+function indicator(source, confidence, severity = 'medium') {
+  return client.createThreatIndicator({
+    id: `${source}-1`,
+    type: 'domain',
+    value: 'c2.evil-updates.com',
+    confidence,
+    severity,
+    source,
+    last_seen: '2024-05-01T00:00:00Z'
+  });
+}
+
+const reliability = { virustotal: 'A', misp: 'B', 'partner-taxii': 'C' };
+const reports = () => [indicator('virustotal', 80), indicator('misp', 60, 'high'), indicator('partner-taxii', 70)];
+
+test('noisy-OR raises the score of corroborated indicators', () => {
+  const [merged] = client.deduplicateIndicators(reports(), { reliability });
+
+  // 1 - (1 - 0.8)(1 - 0.8 * 0.6)(1 - 0.6 * 0.7)
+  assert.strictEqual(merged.confidence_score, 94);
+  assert.strictEqual(merged.severity_level, 'high');
+  assert.deepStrictEqual(merged.source_feeds, ['virustotal', 'misp', 'partner-taxii']);
+  assert.deepStrictEqual(merged.metadata.confidence_fusion, {
+    strategy: 'noisy_or',
+    contributions: [
+      { source: 'virustotal', confidence: 80, reliability: 'A', weight: 1 },
+      { source: 'misp', confidence: 60, reliability: 'B', weight: 0.8 },
+      { source: 'partner-taxii', confidence: 70, reliability: 'C', weight: 0.6 }
+    ]
+  });
+});
+
+test('weighted mean and max strategies', () => {
+  assert.strictEqual(client.deduplicateIndicators(reports(), { reliability, strategy: 'weighted_mean' })[0].confidence_score, 71);
+  assert.strictEqual(client.deduplicateIndicators(reports(), { reliability, strategy: 'max' })[0].confidence_score, 80);
+
+  const configured = new ThreatIntelClient({ fusionStrategy: 'max', sourceReliability: { misp: 'E' } });
+  const [merged] = configured.deduplicateIndicators([indicator('misp', 90), indicator('unrated-feed', 60)]);
+  // E weighs 0.2, an unrated source counts in full
+  assert.strictEqual(merged.confidence_score, 60);
+  assert.deepStrictEqual(merged.metadata.confidence_fusion.contributions[1], { source: 'unrated-feed', confidence: 60, reliability: null, weight: 1 });
+
+  assert.throws(() => new ThreatIntelClient({ fusionStrategy: 'median' }), /Unknown fusion strategy "median"/);
+});
+
+test('custom strategies plug in', () => {
+  registerFusionStrategy('count', contributions => contributions.length * 10);
+  const fused = fuseConfidence(reports(), { strategy: 'count' });
+
+  assert.strictEqual(fused.confidence, 30);
+  assert.strictEqual(fused.fusion.strategy, 'count');
+});
+
+test('a single source is weighted by its reliability but not fused', () => {
+  const [merged] = client.deduplicateIndicators([indicator('misp', 50), indicator('misp', 75, 'high')], { reliability });
+
+  // Its most confident report, weighted 0.8 for B
+  assert.strictEqual(merged.confidence_score, 60);
+  assert.strictEqual(merged.severity_level, 'medium');
+  assert.strictEqual(merged.metadata.confidence_fusion, undefined);
+  assert.strictEqual(client.deduplicateIndicators([indicator('unrated-feed', 75)])[0].confidence_score, 75);
+  assert.strictEqual(reliabilityWeight(0.3), 0.3);
+  assert.strictEqual(reliabilityWeight('b'), 0.8);
+  assert.strictEqual(reliabilityWeight(undefined), 1);
+});
+
+test('corroboration by equally reliable sources never lowers a score', () => {
+  for (const grade of [undefined, 'A', 'C', 'E']) {
+    const graded = grade ? { 'feed-a': grade, 'feed-b': grade } : {};
+    const score = (reports, strategy) => client.deduplicateIndicators(reports, { reliability: graded, strategy })[0].confidence_score;
+
+    for (const strategy of ['noisy_or', 'weighted_mean', 'max']) {
+      const alone = score([indicator('feed-a', 80)], strategy);
+      assert.ok(score([indicator('feed-a', 80), indicator('feed-b', 80)], strategy) >= alone, `${strategy}, grade ${grade}`);
+    }
+
+    // Noisy-OR counts a less confident second report as more evidence too
+    assert.ok(score([indicator('feed-a', 80), indicator('feed-b', 60)]) >= score([indicator('feed-a', 80)]), `grade ${grade}`);
+  }
+
+  // 1 - (1 - 0.8)(1 - 0.8) for two unrated sources
+  assert.strictEqual(client.deduplicateIndicators([indicator('feed-a', 80), indicator('feed-b', 80)])[0].confidence_score, 96);
+});
+
+test('unrated sources weigh the same in every strategy', () => {
+  const reports = () => [indicator('feed-a', 80), indicator('feed-b', 40)];
+
+  for (const strategy of ['noisy_or', 'weighted_mean', 'max']) {
+    const fused = grade => client.deduplicateIndicators(reports(), {
+      strategy,
+      reliability: grade === undefined ? { 'feed-a': 'B' } : { 'feed-a': 'B', 'feed-b': grade }
+    })[0];
+
+    const unrated = fused(undefined);
+    assert.deepStrictEqual(unrated.metadata.confidence_fusion.contributions.map(c => c.weight), [0.8, 1], strategy);
+    for (const grade of ['F', 1]) {
+      assert.strictEqual(fused(grade).confidence_score, unrated.confidence_score, `${strategy}, ${grade}`);
+    }
+  }
+  assert.strictEqual(reliabilityWeight('F'), reliabilityWeight(null));
+});
+
+test('connectors attribute indicators and carry their reliability', async () => {
+  class StaticConnector extends Connector {
+    async fetch() {
+      return this.options.values;
+    }
+
+    normalize(values) {
+      return values.map(([value, confidence]) => client.createThreatIndicator({
+        id: value, type: 'domain', value, confidence, severity: 'medium', source: 'static'
+      }));
+    }
+  }
+  registerConnectorType('static', StaticConnector, { urlOptional: true });
+
+  assert.deepStrictEqual(validateSources([{ name: 'graded', type: 'static', reliability: 'G' }]), [
+    'source "graded": reliability must be an Admiralty grade A-F or a weight between 0 and 1'
+  ]);
+
+  const registry = new ConnectorRegistry({ client }).load([
+    { name: 'trusted', type: 'static', reliability: 'A', options: { values: [['c2.example', 50]] } },
+    { name: 'rumours', type: 'static', reliability: 'E', options: { values: [['c2.example', 50], ['drop.example', 40]] } }
+  ]);
+  const indicators = await client.getAllThreatIntel(registry.enabled());
+
+  assert.deepStrictEqual(indicators.map(i => [i.indicator_value, i.source_feeds, i.confidence_score]), [
+    // 1 - (1 - 0.5)(1 - 0.2 * 0.5)
+    ['c2.example', ['trusted', 'rumours'], 55],
+    // 0.2 * 40
+    ['drop.example', ['rumours'], 8]
+  ]);
+  assert.strictEqual(registry.describe()[0].reliability, 'A');
+});
@@ -0,0 +1,276 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateData } = require('financial-risk-analyzer-schemas');
+const ThreatIntelClient = require('./threatIntelClient');
+const Connector = require('./connectors/connector');
+const {
+  ConnectorRegistry,
+  registerConnectorType,
+  resolveCredential,
+  loadSourcesFile,
+  validateSources,
+  sourcesFromEnv
+} = require('./connectorRegistry');
+
+const FEED = {
+  data: [
+    { ioc: '198.51.100.20', kind: 'ip', score: '80' },
+    { ioc: 'bad.example', kind: 'domain' },
+    { ioc: 'not an ip', kind: 'ip' }
+  ]
+};
+
+/**
+ * JSON feed that requires an X-Api-Key header
+ */
+function startFeedServer() {
+  const server = http.createServer((req, res) => {
+    if (req.headers['x-api-key'] !== 'feed-key') {
+      res.writeHead(401);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(FEED));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}/iocs.json` });
+    });
+  });
+}
+
+/**
+ * JSON feed that answers 304 to its current ETag and records each request
+ */
+function startVersionedFeedServer(body) {
+  const feed = { etag: '"v1"', body, requests: [] };
+
+  feed.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    feed.requests.push({ since: url.searchParams.get('since'), ifNoneMatch: req.headers['if-none-match'] });
+
+    if (req.headers['if-none-match'] === feed.etag) {
+      res.writeHead(304);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': feed.etag });
+    res.end(JSON.stringify(feed.body));
+  });
+
+  return new Promise(resolve => {
+    feed.server.listen(0, '127.0.0.1', () => {
+      feed.url = `http://127.0.0.1:${feed.server.address().port}/iocs.json`;
+      resolve(feed);
+    });
+  });
+}
+
+function writeTempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('loads YAML and JSON sources files', () => {
+  const yamlPath = writeTempFile('sources.yml', [
+    'sources:',
+    '  - name: partner-feed',
+    '    type: json',
+    '    url: https://feeds.example.org/iocs.json',
+    '    schedule: "*/10 * * * *"',
+    '    credentials:',
+    '      apiKey: env:PARTNER_FEED_KEY',
+    '  - name: old-feed',
+    '    type: json',
+    '    url: https://old.example.org/iocs.json',
+    '    enabled: false',
+    '  - name: blocklist',
+    '    type: plaintext',
+    '    url: https://blocklist.example.org/ips.txt',
+    '    interval: 15m',
+    '    overlap: queue'
+  ].join('\n'));
+  const jsonPath = writeTempFile('sources.json', JSON.stringify([{ name: 'vt', type: 'virustotal' }]));
+
+  const registry = new ConnectorRegistry({ client: new ThreatIntelClient() }).load(loadSourcesFile(yamlPath));
+
+  assert.deepStrictEqual(registry.enabled().map(c => c.name), ['partner-feed', 'blocklist']);
+  assert.deepStrictEqual(registry.enabled({ scheduled: false }).map(c => c.name), []);
+  assert.strictEqual(registry.get('partner-feed').schedule, '*/10 * * * *');
+  assert.strictEqual(registry.get('partner-feed').overlap, 'skip');
+  assert.strictEqual(registry.get('blocklist').interval, 900000);
+  assert.strictEqual(registry.get('blocklist').overlap, 'queue');
+  assert.deepStrictEqual(loadSourcesFile(jsonPath), [{ name: 'vt', type: 'virustotal' }]);
+});
+
+test('reports every problem in a sources list', () => {
+  const errors = validateSources([
+    { name: 'a', type: 'json' },
+    { name: 'a', type: 'misp', url: 'https://misp.example.org', schedule: 'every hour' },
+    { type: 'nope', enabled: 'yes', credentials: { apiKey: 42 } },
+    { name: 'b', type: 'json', url: 'https://b.example.org', schedule: '* * * * *', interval: '5m' },
+    { name: 'c', type: 'json', url: 'https://c.example.org', interval: 'often', overlap: 'wait' }
+  ]);
+
+  assert.deepStrictEqual(errors, [
+    'source "a": url is required for type json',
+    'source "a": duplicate name',
+    'source "a": schedule must be a cron expression',
+    'source #2: name is required',
+    'source #2: unknown type "nope" (known: virustotal, misp, taxii, json, plaintext, csv)',
+    'source #2: enabled must be true or false',
+    'source #2: credential "apiKey" must be a string reference such as env:NAME',
+    'source "b": use either schedule or interval',
+    'source "c": interval must be a duration such as 10m or 1h',
+    'source "c": overlap must be one of skip, queue'
+  ]);
+  assert.throws(() => new ConnectorRegistry().load([{ name: 'x', type: 'json' }]), /Invalid sources configuration/);
+});
+
+test('resolves env: and file: credential references', () => {
+  const secretPath = writeTempFile('secret', 's3cret\n');
+
+  assert.strictEqual(resolveCredential('env:FEED_KEY', { FEED_KEY: 'abc' }), 'abc');
+  assert.strictEqual(resolveCredential(`file:${secretPath}`), 's3cret');
+  assert.strictEqual(resolveCredential('literal'), 'literal');
+  assert.throws(() => resolveCredential('file:/does/not/exist'), /Cannot read credential file/);
+});
+
+test('builds legacy sources from environment variables', () => {
+  const entries = sourcesFromEnv({
+    VIRUSTOTAL_API_KEY: 'vt',
+    TAXII_URL: 'https://taxii.example.org/api1',
+    TAXII_COLLECTIONS: 'a, b',
+    JSON_FEED_URLS: 'https://a.example/x.json,https://b.example/y.json',
+    JSON_FEED_NAMES: 'Feed A,Feed B'
+  });
+
+  assert.deepStrictEqual(entries.map(e => [e.name, e.type]), [
+    ['virustotal', 'virustotal'],
+    ['taxii', 'taxii'],
+    ['Feed A', 'json'],
+    ['Feed B', 'json']
+  ]);
+  assert.deepStrictEqual(entries[1].options.collections, ['a', 'b']);
+});
+
+test('json connector fetches with its credentials and applies the field mapping', async (t) => {
+  const feed = await startFeedServer();
+  t.after(() => feed.server.close());
+
+  const registry = new ConnectorRegistry({
+    client: new ThreatIntelClient(),
+    resolveCredential: ref => resolveCredential(ref, { PARTNER_FEED_KEY: 'feed-key' })
+  }).load([
+    {
+      name: 'partner-feed',
+      type: 'json',
+      url: feed.url,
+      credentials: { apiKey: 'env:PARTNER_FEED_KEY' },
+      options: { apiKeyHeader: 'X-Api-Key' },
+      mapping: { json_path: 'data', fields: { value: 'ioc', type: 'kind', confidence: 'score' }, defaults: { tlp: 'green' } }
+    },
+    { name: 'unauthorized-feed', type: 'json', url: feed.url }
+  ]);
+
+  const indicators = await registry.get('partner-feed').collect();
+
+  assert.deepStrictEqual(indicators.map(i => [i.indicator_type, i.indicator_value, i.confidence_score, i.tlp_marking]), [
+    ['ip', '198.51.100.20', 80, 'green'],
+    ['domain', 'bad.example', 50, 'green']
+  ]);
+  assert.ok(indicators.every(i => i.source_feeds[0] === 'partner-feed'));
+
+  const health = await registry.healthcheck();
+  assert.deepStrictEqual(health.map(h => [h.source, h.status]), [['partner-feed', 'ok'], ['unauthorized-feed', 'failing']]);
+  assert.match(health[1].error, /401/);
+});
+
+test('json feed records take the canonical forms of the event schema', () => {
+  const [indicator] = new ThreatIntelClient().normalizeJSONFeedData([
+    { id: 12345, type: 'domain', value: 'evil-c2.net', severity: 'High', tags: ['c2', 7, null] }
+  ], 'partner-feed');
+
+  assert.deepStrictEqual([indicator.id, indicator.severity_level, indicator.tags], ['12345', 'high', ['c2', '7']]);
+  assert.deepStrictEqual(validateData('threat_indicator', { ...indicator, risk_level: 'high' }), []);
+
+  const severities = ['CRITICAL', 'Moderate', 'urgent', 3].map(severity =>
+    new ThreatIntelClient().normalizeJSONFeedData({ type: 'domain', value: 'evil-c2.net', severity }, 'partner-feed')[0].severity_level);
+  assert.deepStrictEqual(severities, ['critical', 'medium', 'medium', 'medium']);
+});
+
+test('json connector fetches conditionally and only records after the last published run', async (t) => {
+  const feed = await startVersionedFeedServer({
+    meta: { count: 2 },
+    indicators: [
+      { value: '198.51.100.1', type: 'ip', updated_at: '2024-05-01T08:00:00Z' },
+      { value: 'old.example', type: 'domain', updated_at: '2024-04-30 12:00:00' }
+    ]
+  });
+  t.after(() => feed.server.close());
+
+  const feedStateFile = writeTempFile('feed-state.json', '{}');
+  const connector = new ConnectorRegistry({ client: new ThreatIntelClient(), feedStateFile }).load([{
+    name: 'incremental-feed',
+    type: 'json',
+    url: feed.url,
+    options: { sinceField: 'updated_at', sinceParam: 'since' }
+  }]).get('incremental-feed');
+  const values = indicators => indicators.map(i => i.indicator_value);
+
+  assert.deepStrictEqual(values(await connector.collect()), ['198.51.100.1', 'old.example']);
+
+  // Nothing is saved until the run is published
+  await connector.collect();
+  assert.deepStrictEqual(feed.requests[1], { since: null, ifNoneMatch: undefined });
+  connector.commit();
+
+  assert.deepStrictEqual(await connector.collect(), []);
+  assert.deepStrictEqual(feed.requests[2], { since: '2024-05-01T08:00:00.000Z', ifNoneMatch: '"v1"' });
+  connector.commit();
+
+  // A new version: records before the high-water mark are dropped
+  feed.etag = '"v2"';
+  feed.body.indicators.push({ value: 'new.example', type: 'domain', updated_at: '2024-05-02T00:00:00Z' });
+  assert.deepStrictEqual(values(await connector.collect()), ['198.51.100.1', 'new.example']);
+  connector.commit();
+
+  assert.strictEqual(connector.describe().high_water_mark, '2024-05-02T00:00:00.000Z');
+  assert.strictEqual(JSON.parse(fs.readFileSync(feedStateFile, 'utf8'))['incremental-feed'].etag, '"v2"');
+
+  // A backfill fetches in full and keeps its window
+  const window = { from: new Date('2024-04-30T00:00:00Z'), to: new Date('2024-05-01T12:00:00Z') };
+  for await (const page of connector.backfillPages(window, null)) {
+    assert.deepStrictEqual(values(connector.indicatorsFrom(page.raw)), ['198.51.100.1', 'old.example']);
+  }
+  assert.deepStrictEqual(feed.requests.at(-1), { since: null, ifNoneMatch: undefined });
+});
+
+test('new connector types plug in without touching the ingestor', async () => {
+  class StaticConnector extends Connector {
+    async fetch() {
+      return this.options.values;
+    }
+
+    normalize(values) {
+      return this.client.normalizeJSONFeedData(values.map(value => ({ type: 'domain', value })), this.name);
+    }
+  }
+  registerConnectorType('static', StaticConnector, { urlOptional: true });
+
+  const client = new ThreatIntelClient();
+  const registry = new ConnectorRegistry({ client }).load([
+    { name: 'static-list', type: 'static', options: { values: ['c2.example', 'drop.example'] } }
+  ]);
+
+  const indicators = await client.getAllThreatIntel(registry.enabled());
+
+  assert.deepStrictEqual(indicators.map(i => i.indicator_value), ['c2.example', 'drop.example']);
+  assert.strictEqual(registry.describe()[0].type, 'static');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const { ingestDataset } = require('./datasetIngestor');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-ingestor-'));
+const client = new ThreatIntelClient();
+
+const INDICATORS = [
+  { type: 'domain', value: 'evil-c2.net', confidence: 80 },
+  { type: 'ip', value: '45.155.205.233', confidence: 70 }
+];
+
+function writeDataset(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+async function ingest(datasetPath, options = {}) {
+  const records = [];
+  const stats = await ingestDataset(datasetPath, {
+    client,
+    ...options,
+    onBatch: batch => records.push(...batch)
+  });
+  return { stats, records };
+}
+
+const values = records => records.map(record => record.indicator_value || record.symbol);
+
+test('JSON datasets stream their first record array wherever the document starts', async () => {
+  const documents = {
+    'top-level.json': INDICATORS,
+    'results.json': { results: INDICATORS },
+    // The array sits well past the start of the document
+    'long-meta.json': { meta: { generated_by: 'export', notes: 'x'.repeat(4096), tags: ['a', 'b'] }, indicators: INDICATORS }
+  };
+
+  for (const [name, document] of Object.entries(documents)) {
+    const { stats, records } = await ingest(writeDataset(name, document));
+    assert.deepStrictEqual(values(records), ['evil-c2.net', '45.155.205.233'], name);
+    assert.strictEqual(stats.records_rejected, 0, name);
+  }
+
+  const nested = writeDataset('nested.json', { export: { items: INDICATORS } });
+  const { records } = await ingest(nested, { mapping: { json_path: 'export.items' } });
+  assert.deepStrictEqual(values(records), ['evil-c2.net', '45.155.205.233']);
+});
+
+test('a JSON dataset without a record array fails instead of loading nothing', async () => {
+  await assert.rejects(ingest(writeDataset('object.json', { meta: { count: 0 } })), /No array of records in the JSON dataset/);
+  await assert.rejects(
+    ingest(writeDataset('wrong-path.json', { results: INDICATORS }), { mapping: { json_path: 'data' } }),
+    /No array at json_path "data"/
+  );
+});
+
+test('NDJSON and CSV records are mapped and financial records recognised', async () => {
+  const ndjson = writeDataset('feed.ndjson', `${JSON.stringify(INDICATORS[0])}\nnot json\n${JSON.stringify(INDICATORS[1])}\n`);
+  const fromNDJSON = await ingest(ndjson);
+  assert.deepStrictEqual(values(fromNDJSON.records), ['evil-c2.net', '45.155.205.233']);
+  assert.strictEqual(fromNDJSON.stats.records_rejected, 1);
+
+  const csv = writeDataset('ticks.csv', 'symbol;price;volume\nAAPL;189.5;1000\nMSFT;not a price;10\n');
+  fs.writeFileSync(path.join(dir, 'ticks.mapping.json'), JSON.stringify({ csv: { delimiter: ';' } }));
+  const fromCSV = await ingest(csv);
+  assert.strictEqual(fromCSV.stats.record_type, 'financial');
+  assert.deepStrictEqual(fromCSV.records.map(record => [record.symbol, record.close, record.source]), [['AAPL', 189.5, 'ticks.csv']]);
+  assert.strictEqual(fromCSV.stats.records_rejected, 1);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ThreatIntelClient = require('./threatIntelClient');
+const BlocklistConnector = require('./connectors/blocklistConnector');
+const { refang, classifyHash, canonicalizeIndicator } = require('./indicatorCanonicalizer');
+
+const client = new ThreatIntelClient();
+
+const canonical = (type, value) => canonicalizeIndicator(type, value).value;
+
+test('refangs common defanging styles', () => {
+  assert.strictEqual(refang('hxxp://evil[.]com/a'), 'http://evil.com/a');
+  assert.strictEqual(refang('hXXps[:]//login(.)evil{.}com'), 'https://login.evil.com');
+  assert.strictEqual(refang('1.2.3[.]4'), '1.2.3.4');
+  assert.strictEqual(refang('evil [dot] com'), 'evil.com');
+  assert.strictEqual(refang('billing[at]evil[.]com'), 'billing@evil.com');
+  assert.strictEqual(refang('fxp://files\\.evil.com'), 'ftp://files.evil.com');
+});
+
+test('canonicalises IPs, domains, URLs and emails', () => {
+  assert.strictEqual(canonical('ip', '2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+  assert.strictEqual(canonical('ip', '::ffff:203.0.113.7'), '203.0.113.7');
+  assert.deepStrictEqual(canonicalizeIndicator('ip', '10.1.0.0/16'), { type: 'cidr', value: '10.1.0.0/16' });
+  assert.strictEqual(canonical('domain', 'Bücher[.]DE.'), 'xn--bcher-kva.de');
+  assert.strictEqual(
+    canonical('url', 'HXXPS://Login.Evil.COM:443/a/./b/../c%7e%2f?q=%41#top'),
+    'https://login.evil.com/a/c~%2F?q=A'
+  );
+  assert.strictEqual(canonical('url', 'http://evil.com:8080'), 'http://evil.com:8080/');
+  assert.strictEqual(canonical('email', 'Billing@Evil[.]COM'), 'billing@evil.com');
+  assert.strictEqual(canonical('registry_key', 'HKLM\\Software\\Run[.]x'), 'HKLM\\Software\\Run[.]x');
+});
+
+test('classifies hashes', () => {
+  assert.strictEqual(classifyHash('d41d8cd98f00b204e9800998ecf8427e'), 'md5');
+  assert.strictEqual(classifyHash('da39a3ee5e6b4b0d3255bfef95601890afd80709'), 'sha1');
+  assert.strictEqual(classifyHash('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'), 'sha256');
+  assert.strictEqual(classifyHash('3:AXGBicFlgVNhBGcL6wCrFQEv:AXGHsNhxLsr2C'), 'ssdeep');
+  assert.strictEqual(classifyHash('abc123'), null);
+
+  const hash = client.createThreatIndicator({
+    id: 'h', type: 'hash', value: 'D41D8CD98F00B204E9800998ECF8427E', confidence: 50, source: 'feed-a'
+  });
+  assert.strictEqual(hash.indicator_value, 'd41d8cd98f00b204e9800998ecf8427e');
+  assert.strictEqual(hash.metadata.hash_type, 'md5');
+});
+
+test('differently formatted values from two feeds collapse into one indicator', () => {
+  const make = (type, value, source) => client.createThreatIndicator({ id: value, type, value, confidence: 50, source });
+
+  const merged = client.deduplicateIndicators([
+    make('ip', '2001:db8:0:0::1', 'feed-a'),
+    make('ip', '2001:DB8::1', 'feed-b'),
+    make('url', 'hxxp://Evil[.]com/x#frag', 'feed-a'),
+    make('url', 'http://evil.com:80/x', 'feed-b'),
+    make('domain', 'EVIL[.]com', 'feed-a'),
+    make('domain', 'evil.com.', 'feed-b')
+  ]);
+
+  assert.deepStrictEqual(merged.map(i => [i.indicator_value, i.source_feeds]), [
+    ['2001:db8::1', ['feed-a', 'feed-b']],
+    ['http://evil.com/x', ['feed-a', 'feed-b']],
+    ['evil.com', ['feed-a', 'feed-b']]
+  ]);
+  assert.strictEqual(merged[0].metadata.original_value, '2001:db8:0:0::1');
+});
+
+test('CIDRs collapse to their network, host routes to the plain IP', () => {
+  assert.deepStrictEqual(canonicalizeIndicator('cidr', '45.1.2.3/24'), { type: 'cidr', value: '45.1.2.0/24' });
+  assert.deepStrictEqual(canonicalizeIndicator('cidr', '8.8.8.8/32'), { type: 'ip', value: '8.8.8.8' });
+  assert.deepStrictEqual(canonicalizeIndicator('cidr', '2001:DB8::1/128'), { type: 'ip', value: '2001:db8::1' });
+  assert.deepStrictEqual(canonicalizeIndicator('cidr', '2001:db8::1/32'), { type: 'cidr', value: '2001:db8::/32' });
+  assert.deepStrictEqual(canonicalizeIndicator('cidr', '::ffff:45.1.2.3/120'), { type: 'cidr', value: '45.1.2.0/24' });
+
+  const make = (type, value, source) => client.createThreatIndicator({ id: value, type, value, confidence: 50, source });
+  const merged = client.deduplicateIndicators([
+    make('cidr', '45.1.2.3/24', 'feed-a'),
+    make('cidr', '45.1.2.0/24', 'feed-b'),
+    make('cidr', '8.8.8.8/32', 'feed-a'),
+    make('ip', '8.8.8.8', 'feed-b'),
+    make('ip', '2001:db8::1/128', 'feed-a'),
+    make('ip', '2001:db8:0::1', 'feed-b')
+  ]);
+
+  assert.deepStrictEqual(merged.map(i => [i.indicator_type, i.indicator_value, i.source_feeds]), [
+    ['cidr', '45.1.2.0/24', ['feed-a', 'feed-b']],
+    ['ip', '8.8.8.8', ['feed-a', 'feed-b']],
+    ['ip', '2001:db8::1', ['feed-a', 'feed-b']]
+  ]);
+  assert.strictEqual(merged[0].metadata.original_value, '45.1.2.3/24');
+});
+
+test('validators accept compressed IPv6 and IDNs', () => {
+  assert.ok(client.isValidIP('2001:db8::1'));
+  assert.ok(!client.isValidIP('999.1.1.1'));
+  assert.ok(client.isValidDomain('x.co'));
+  assert.ok(client.isValidDomain('bücher.de'));
+  assert.ok(!client.isValidDomain('-bad.example'));
+});
+
+test('blocklists detect the type of defanged entries', () => {
+  const connector = new BlocklistConnector({ name: 'defanged', type: 'plaintext', url: 'http://unused' }, { client });
+  const indicators = connector.normalize('1.2.3[.]4\nhxxp://evil[.]com/gate\nevil[.]net\n');
+
+  assert.deepStrictEqual(indicators.map(i => [i.indicator_type, i.indicator_value]), [
+    ['ip', '1.2.3.4'],
+    ['url', 'http://evil.com/gate'],
+    ['domain', 'evil.net']
+  ]);
+});
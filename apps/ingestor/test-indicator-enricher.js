@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorEnricher = require('./indicatorEnricher');
+const { writeMMDB } = require('./fixtures/mmdbWriter');
+
+const client = new ThreatIntelClient();
+
+function indicator(type, value, metadata = {}) {
+  return client.createThreatIndicator({
+    id: value,
+    type,
+    value,
+    confidence: 80,
+    severity: 'high',
+    tags: [],
+    source: 'feed-a',
+    tlp: 'green',
+    metadata
+  });
+}
+
+/**
+ * Country and ASN test databases in a temp directory
+ */
+function buildDatabases() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enricher-test-'));
+  const countryDb = path.join(dir, 'country.mmdb');
+  const asnDb = path.join(dir, 'asn.mmdb');
+
+  writeMMDB(countryDb, 'GeoLite2-Country', [
+    { network: '45.77.0.0/16', data: { continent: { code: 'NA' }, country: { iso_code: 'US', names: { en: 'United States' } } } },
+    { network: '81.2.69.0/24', data: { continent: { code: 'EU' }, country: { iso_code: 'GB', names: { en: 'United Kingdom' } } } },
+    { network: '2a02:ff0::/32', data: { continent: { code: 'EU' }, country: { iso_code: 'DE', names: { en: 'Germany' } } } }
+  ]);
+  writeMMDB(asnDb, 'GeoLite2-ASN', [
+    { network: '45.77.0.0/16', data: { autonomous_system_number: 20473, autonomous_system_organization: 'AS-CHOOPA' } }
+  ]);
+
+  return { countryDb, asnDb };
+}
+
+test('IPs get country and ASN from local databases', () => {
+  const enricher = new IndicatorEnricher({ client, ...buildDatabases() });
+  const [ip, unknown, preset] = enricher.enrichAll([
+    indicator('ip', '45.77.12.9'),
+    indicator('ip', '8.8.8.8'),
+    indicator('ip', '81.2.69.160', { country: 'FR' })
+  ]);
+
+  assert.deepStrictEqual(
+    { country: ip.metadata.country, name: ip.metadata.country_name, asn: ip.metadata.asn, org: ip.metadata.as_org },
+    { country: 'US', name: 'United States', asn: 'AS20473', org: 'AS-CHOOPA' }
+  );
+  assert.strictEqual(unknown.metadata.country, undefined);
+  // A country supplied by the feed is kept
+  assert.strictEqual(preset.metadata.country, 'FR');
+  assert.strictEqual(preset.metadata.country_name, 'United Kingdom');
+});
+
+test('a missing or half-written database keeps the last good one', () => {
+  const databases = buildDatabases();
+  const enricher = new IndicatorEnricher({ client, ...databases });
+  const countryOf = () => enricher.enrichAll([indicator('ip', '45.77.12.9')])[0].metadata.country;
+
+  fs.unlinkSync(databases.countryDb);
+  assert.strictEqual(countryOf(), 'US');
+
+  fs.writeFileSync(databases.countryDb, Buffer.from('not a maxmind database'));
+  assert.strictEqual(countryOf(), 'US');
+
+  // The finished rewrite is picked up
+  writeMMDB(databases.countryDb, 'GeoLite2-Country', [
+    { network: '45.77.0.0/16', data: { continent: { code: 'EU' }, country: { iso_code: 'NL', names: { en: 'Netherlands' } } } }
+  ]);
+  assert.strictEqual(countryOf(), 'NL');
+
+  // Without a good database yet, indicators go out unenriched
+  const missing = new IndicatorEnricher({ client, countryDb: path.join(path.dirname(databases.countryDb), 'missing.mmdb') });
+  fs.writeFileSync(databases.asnDb, '');
+  const corrupt = new IndicatorEnricher({ client, asnDb: databases.asnDb });
+  assert.strictEqual(missing.enrichAll([indicator('ip', '45.77.12.9')])[0].metadata.country, undefined);
+  assert.strictEqual(corrupt.enrichAll([indicator('ip', '45.77.12.9')])[0].metadata.asn, undefined);
+});
+
+test('domains, URLs and emails get their registered domain and suffix', () => {
+  const enricher = new IndicatorEnricher({ client });
+  const [domain, url, ipUrl, email] = enricher.enrichAll([
+    indicator('domain', 'login.secure.bank-verify.co.uk'),
+    indicator('url', 'https://cdn.evil-updates.com/a/payload.exe'),
+    indicator('url', 'http://45.77.12.9:8080/gate.php'),
+    indicator('email', 'billing@invoices-portal.com.au')
+  ]);
+
+  assert.deepStrictEqual(
+    [domain.metadata.registered_domain, domain.metadata.tld, domain.metadata.subdomain],
+    ['bank-verify.co.uk', 'co.uk', 'login.secure']
+  );
+  assert.deepStrictEqual([url.metadata.hostname, url.metadata.registered_domain], ['cdn.evil-updates.com', 'evil-updates.com']);
+  assert.strictEqual(ipUrl.metadata.hostname, '45.77.12.9');
+  assert.strictEqual(ipUrl.metadata.registered_domain, undefined);
+  assert.deepStrictEqual([email.metadata.registered_domain, email.metadata.tld], ['invoices-portal.com.au', 'com.au']);
+});
+
+test('CIDRs are normalised to their network and range', () => {
+  const enricher = new IndicatorEnricher({ client, ...buildDatabases() });
+  const [network, host, v6] = enricher.enrichAll([
+    indicator('cidr', '45.77.12.9/16'),
+    indicator('cidr', '81.2.69.160/32'),
+    indicator('cidr', '2a02:0ff0:0000:0000:0000:0000:0000:0001/48')
+  ]);
+
+  assert.strictEqual(network.indicator_value, '45.77.0.0/16');
+  assert.strictEqual(network.hash, client.generateIndicatorHash('cidr', '45.77.0.0/16'));
+  assert.strictEqual(network.metadata.original_value, '45.77.12.9/16');
+  assert.deepStrictEqual(network.metadata.cidr, {
+    network: '45.77.0.0', prefix: 16, first_address: '45.77.0.0', last_address: '45.77.255.255', address_count: '65536'
+  });
+  assert.strictEqual(network.metadata.asn, 'AS20473');
+
+  assert.deepStrictEqual([host.indicator_type, host.indicator_value, host.metadata.country], ['ip', '81.2.69.160', 'GB']);
+
+  assert.strictEqual(v6.indicator_value, '2a02:ff0::/48');
+  assert.strictEqual(v6.metadata.cidr.last_address, '2a02:ff0:0:ffff:ffff:ffff:ffff:ffff');
+  assert.strictEqual(v6.metadata.country, 'DE');
+});
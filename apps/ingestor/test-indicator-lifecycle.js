@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorStore = require('./indicatorStore');
+const IndicatorPolicy = require('./indicatorPolicy');
+
+const DAY = 86400000;
+const NOW = Date.parse('2024-06-01T00:00:00Z');
+const client = new ThreatIntelClient();
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicator-lifecycle-'));
+  return new IndicatorStore({ filePath: path.join(dir, 'indicators.json') });
+}
+
+function indicator(type, value, options = {}) {
+  return client.createThreatIndicator({
+    id: `${type}-${value}`,
+    type,
+    value,
+    confidence: options.confidence || 80,
+    severity: 'high',
+    first_seen: options.seen,
+    last_seen: options.seen,
+    tags: [],
+    source: options.source || 'feed-a',
+    tlp: 'green',
+    metadata: options.metadata
+  });
+}
+
+const daysAgo = days => new Date(NOW - days * DAY).toISOString();
+
+test('IPs decay in days, hashes in years', () => {
+  const policy = new IndicatorPolicy();
+
+  assert.strictEqual(policy.decayedConfidence('ip', 80, 7 * DAY), 40);
+  assert.strictEqual(policy.decayedConfidence('hash', 80, 7 * DAY), 79);
+  assert.strictEqual(policy.decayedConfidence('hash', 80, 365 * DAY), 40);
+
+  const overridden = new IndicatorPolicy({ ip: { ttlDays: 3 }, minConfidence: 5 });
+  assert.deepStrictEqual(overridden.policyFor('ip'), { ttlDays: 3, halfLifeDays: 7 });
+  assert.strictEqual(overridden.minConfidence, 5);
+});
+
+test('sweep expires stale indicators and republishes decayed confidence', () => {
+  const store = tempStore();
+  const policy = new IndicatorPolicy();
+  const ip = indicator('ip', '198.51.100.7', { seen: daysAgo(20) });
+  const recentIp = indicator('ip', '198.51.100.8', { seen: daysAgo(3) });
+  const hash = indicator('hash', 'd41d8cd98f00b204e9800998ecf8427e', { seen: daysAgo(20) });
+
+  for (const item of [ip, recentIp, hash]) store.observe(item, item.last_seen);
+
+  const { expired, decayed } = store.sweep(policy, NOW);
+
+  assert.deepStrictEqual(expired.map(e => [e.record.indicator_value, e.reason]), [['198.51.100.7', 'ttl_exceeded']]);
+  assert.deepStrictEqual(decayed.map(d => [d.record.indicator_value, d.previous, d.current]), [['198.51.100.8', 80, 59]]);
+  assert.deepStrictEqual(store.counts(), { active: 2, expired: 1, revoked: 0 });
+
+  // A second sweep neither re-expires nor compounds the decay
+  assert.deepStrictEqual(store.sweep(policy, NOW), { expired: [], decayed: [] });
+
+  // Reported again, the expired IP is published as new
+  const seenAgain = indicator('ip', '198.51.100.7', { seen: daysAgo(0) });
+  assert.strictEqual(store.observe(seenAgain, daysAgo(0)).status, 'new');
+  assert.strictEqual(store.get(seenAgain.hash).status, 'active');
+  assert.strictEqual(store.get(seenAgain.hash).expired_at, undefined);
+});
+
+test('sweep honours valid_until and the confidence floor', () => {
+  const store = tempStore();
+  const bounded = indicator('domain', 'short-lived.example', {
+    seen: daysAgo(1),
+    metadata: { valid_until: daysAgo(0.5) }
+  });
+  const weak = indicator('domain', 'weak.example', { seen: daysAgo(20), confidence: 25 });
+
+  store.observe(bounded, bounded.last_seen);
+  store.observe(weak, weak.last_seen);
+
+  const { expired } = store.sweep(new IndicatorPolicy(), NOW);
+
+  assert.deepStrictEqual(expired.map(e => [e.record.indicator_value, e.reason]), [
+    ['short-lived.example', 'valid_until_passed'],
+    ['weak.example', 'confidence_decayed']
+  ]);
+});
+
+test('an indicator is revoked once every reporting source withdraws it', () => {
+  const store = tempStore();
+  const fromA = indicator('domain', 'c2.example', { source: 'feed-a' });
+  const fromB = indicator('domain', 'c2.example', { source: 'feed-b' });
+
+  store.observe(fromA);
+  store.observe(fromB);
+
+  const revokeA = { ...fromA, revoked: true, revocation_reason: 'stix_revoked' };
+  const revokeB = { ...fromB, revoked: true, revocation_reason: 'misp_deleted' };
+
+  assert.strictEqual(store.revoke(revokeA).status, 'source_revoked');
+  assert.strictEqual(store.revoke(revokeB).status, 'revoked');
+  assert.strictEqual(store.get(fromA.hash).revocation_reason, 'misp_deleted');
+  assert.strictEqual(store.revoke(revokeB).status, 'unknown');
+  assert.strictEqual(store.revoke(indicator('domain', 'never-seen.example')).status, 'unknown');
+});
+
+test('STIX revoked indicators and valid_until are carried through', () => {
+  const indicators = client.normalizeSTIXData({
+    objects: [
+      {
+        type: 'indicator',
+        id: 'indicator--1',
+        pattern: "[domain-name:value = 'old-c2.example']",
+        pattern_type: 'stix',
+        revoked: true
+      },
+      {
+        type: 'indicator',
+        id: 'indicator--2',
+        pattern: "[ipv4-addr:value = '203.0.113.50']",
+        pattern_type: 'stix',
+        valid_until: '2024-07-01T00:00:00Z'
+      }
+    ]
+  });
+
+  assert.deepStrictEqual(indicators.map(i => [i.indicator_value, i.revoked, i.revocation_reason]), [
+    ['old-c2.example', true, 'stix_revoked'],
+    ['203.0.113.50', undefined, undefined]
+  ]);
+  assert.strictEqual(indicators[1].metadata.valid_until, '2024-07-01T00:00:00Z');
+
+  // A revocation never merges into a sighting of the same indicator
+  const live = indicator('domain', 'old-c2.example');
+  assert.strictEqual(client.deduplicateIndicators([live, indicators[0]]).length, 2);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorStore = require('./indicatorStore');
+
+const client = new ThreatIntelClient();
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indicator-store-'));
+  return path.join(dir, 'indicators.json');
+}
+
+function indicator(options = {}) {
+  return client.createThreatIndicator({
+    id: 'domain-evil-c2.net',
+    type: 'domain',
+    value: 'evil-c2.net',
+    confidence: options.confidence || 70,
+    severity: options.severity || 'high',
+    first_seen: options.seen || '2024-05-01T00:00:00.000Z',
+    last_seen: options.seen || '2024-05-01T00:00:00.000Z',
+    tags: options.tags || ['c2'],
+    source: options.source || 'feed-a',
+    tlp: 'green'
+  });
+}
+
+test('classifies sightings as new, unchanged or updated', () => {
+  const store = new IndicatorStore({ filePath: tempFile() });
+
+  assert.deepStrictEqual(store.observe(indicator(), '2024-05-01T00:00:00.000Z'), { status: 'new', changes: [] });
+  assert.deepStrictEqual(store.observe(indicator(), '2024-05-02T00:00:00.000Z'), { status: 'unchanged', changes: [] });
+
+  // Confidence moving less than the delta, or a feed dropping a tag, is not material
+  assert.strictEqual(store.observe(indicator({ confidence: 75, tags: [] }), '2024-05-03T00:00:00.000Z').status, 'unchanged');
+
+  const updated = store.observe(indicator({ confidence: 90, severity: 'critical', tags: ['c2', 'botnet'] }), '2024-05-04T00:00:00.000Z');
+  assert.strictEqual(updated.status, 'updated');
+  assert.deepStrictEqual(updated.changes.map(change => change.field), ['confidence_score', 'severity_level', 'tags']);
+  assert.deepStrictEqual(updated.changes[2].added, ['botnet']);
+
+  const record = store.get(indicator().hash);
+  assert.deepStrictEqual([record.sighting_count, record.published.confidence_score, record.published_at], [4, 90, '2024-05-04T00:00:00.000Z']);
+  assert.deepStrictEqual(record.published.tags, ['botnet', 'c2']);
+});
+
+test('a second source reporting a known indicator is an update', () => {
+  const store = new IndicatorStore({ filePath: tempFile() });
+  store.observe(indicator(), '2024-05-01T00:00:00.000Z');
+
+  const { status, changes } = store.observe(indicator({ source: 'feed-b' }), '2024-05-02T00:00:00.000Z');
+  assert.strictEqual(status, 'updated');
+  assert.deepStrictEqual(changes.map(change => [change.field, change.added]), [['source_feeds', ['feed-b']]]);
+  assert.deepStrictEqual(Object.keys(store.get(indicator().hash).sources), ['feed-a', 'feed-b']);
+});
+
+test('known indicators survive a reload from the same file', () => {
+  const filePath = tempFile();
+  const store = new IndicatorStore({ filePath });
+  store.observe(indicator({ seen: '2024-04-20T00:00:00.000Z' }), '2024-05-01T00:00:00.000Z');
+  store.save();
+  assert.strictEqual(store.dirty, false);
+
+  const reloaded = new IndicatorStore({ filePath });
+  assert.strictEqual(reloaded.size, 1);
+  assert.deepStrictEqual(reloaded.get(indicator().hash), store.get(indicator().hash));
+
+  const sighting = indicator({ seen: '2024-05-10T00:00:00.000Z' });
+  assert.strictEqual(reloaded.observe(sighting, '2024-05-10T00:00:00.000Z').status, 'unchanged');
+  assert.deepStrictEqual([sighting.first_seen, sighting.last_seen, sighting.sighting_count], ['2024-04-20T00:00:00.000Z', '2024-05-10T00:00:00.000Z', 2]);
+
+  // Unsaved changes never reach the file
+  assert.strictEqual(new IndicatorStore({ filePath }).get(indicator().hash).sighting_count, 1);
+});
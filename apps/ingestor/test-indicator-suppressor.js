@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorSuppressor = require('./indicatorSuppressor');
+const { addressRange, rangesOverlap } = require('./ipUtils');
+
+const client = new ThreatIntelClient();
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'suppressor-test-'));
+}
+
+function indicator(type, value, source = 'feed-a') {
+  return client.createThreatIndicator({
+    id: value,
+    type,
+    value,
+    confidence: 80,
+    severity: 'high',
+    tags: [],
+    source,
+    tlp: 'green'
+  });
+}
+
+function suppressor(allowlist) {
+  const dir = tempDir();
+  let allowlistFile;
+
+  if (allowlist) {
+    allowlistFile = path.join(dir, 'allowlist.txt');
+    fs.writeFileSync(allowlistFile, allowlist);
+  }
+
+  return new IndicatorSuppressor({ allowlistFile, filePath: path.join(dir, 'suppressions.json') });
+}
+
+const reasonOf = (filter, type, value) => {
+  const match = filter.check(indicator(type, value));
+  return match && match.reason;
+};
+
+test('IPv4 and IPv6 ranges overlap checks', () => {
+  assert.ok(rangesOverlap(addressRange('10.1.2.3'), addressRange('10.0.0.0/8')));
+  assert.ok(rangesOverlap(addressRange('0.0.0.0/0'), addressRange('8.8.8.8')));
+  assert.ok(rangesOverlap(addressRange('2001:db8::1'), addressRange('2001:db8::/32')));
+  assert.ok(!rangesOverlap(addressRange('::ffff:10.0.0.1'), addressRange('10.0.0.0/8')));
+  assert.strictEqual(addressRange('not-an-ip'), null);
+});
+
+test('reserved ranges and names are suppressed', () => {
+  const filter = suppressor();
+
+  assert.strictEqual(reasonOf(filter, 'ip', '192.168.1.10'), 'reserved_range');
+  assert.strictEqual(reasonOf(filter, 'ip', 'fe80:0:0:0:0:0:0:1'), 'reserved_range');
+  assert.strictEqual(reasonOf(filter, 'cidr', '172.16.0.0/12'), 'reserved_range');
+  assert.strictEqual(reasonOf(filter, 'cidr', '0.0.0.0/0'), 'reserved_range');
+  assert.strictEqual(reasonOf(filter, 'url', 'http://127.0.0.1:8080/payload'), 'reserved_range');
+  assert.strictEqual(reasonOf(filter, 'domain', 'printer.local'), 'reserved_domain');
+  assert.strictEqual(reasonOf(filter, 'ip', '45.77.12.9'), null);
+});
+
+test('popular domains are suppressed but URLs on them are kept', () => {
+  const filter = suppressor();
+
+  assert.strictEqual(reasonOf(filter, 'domain', 'google.com'), 'popular_domain');
+  assert.strictEqual(reasonOf(filter, 'domain', 'login.microsoftonline.com'), 'popular_domain');
+  assert.strictEqual(reasonOf(filter, 'domain', 'google.com.evil-login.net'), null);
+  assert.strictEqual(reasonOf(filter, 'url', 'https://drive.google.com/uc?id=abc'), null);
+});
+
+test('organisation allowlist supports CIDRs, wildcards and exact values', () => {
+  const filter = suppressor([
+    '# Our infrastructure',
+    '45.77.12.0/24   # office egress',
+    '*.acme-corp.com',
+    'partner-portal.net',
+    'https://files.partner-portal.org/shared/',
+    '44d88612fea8a8f36de82e1278abb02f  # EICAR, used by QA'
+  ].join('\n'));
+
+  assert.deepStrictEqual(filter.check(indicator('ip', '45.77.12.9')), {
+    reason: 'org_allowlist', rule: '45.77.12.0/24', comment: 'office egress'
+  });
+  // A wider network containing our range would block us too
+  assert.strictEqual(reasonOf(filter, 'cidr', '45.77.0.0/16'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'domain', 'acme-corp.com'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'domain', 'vpn.eu.acme-corp.com'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'domain', 'notacme-corp.com'), null);
+  assert.strictEqual(reasonOf(filter, 'domain', 'partner-portal.net'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'domain', 'www.partner-portal.net'), null);
+  assert.strictEqual(reasonOf(filter, 'url', 'https://files.partner-portal.org/shared/report.pdf'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'email', 'it@acme-corp.com'), 'org_allowlist');
+  assert.strictEqual(reasonOf(filter, 'hash', '44D88612FEA8A8F36DE82E1278ABB02F'), 'org_allowlist');
+});
+
+test('a missing allowlist keeps the rules loaded before', () => {
+  const filter = suppressor('45.77.12.0/24\n');
+  const accepted = () => filter.filter([indicator('ip', '45.77.12.9')]).accepted.length;
+
+  fs.unlinkSync(filter.allowlistFile);
+  assert.strictEqual(accepted(), 0);
+
+  // Put back, the file is read again
+  fs.writeFileSync(filter.allowlistFile, '*.acme-corp.com\n');
+  assert.strictEqual(accepted(), 1);
+  assert.strictEqual(reasonOf(filter, 'domain', 'vpn.acme-corp.com'), 'org_allowlist');
+
+  const dir = tempDir();
+  const never = new IndicatorSuppressor({ allowlistFile: path.join(dir, 'allowlist.txt'), filePath: path.join(dir, 'suppressions.json') });
+  assert.strictEqual(never.filter([indicator('ip', '45.77.12.9')]).accepted.length, 1);
+});
+
+test('suppressions are recorded with their reason and counted per source', () => {
+  const dir = tempDir();
+  const filePath = path.join(dir, 'suppressions.json');
+  const filter = new IndicatorSuppressor({ filePath });
+
+  const { accepted, suppressed } = filter.filter([
+    indicator('ip', '10.0.0.5', 'noisy-feed'),
+    indicator('domain', 'github.com', 'noisy-feed'),
+    indicator('ip', '45.77.12.9', 'good-feed'),
+    null
+  ]);
+  filter.save();
+
+  assert.deepStrictEqual(accepted.map(i => i.indicator_value), ['45.77.12.9']);
+  assert.deepStrictEqual(suppressed.map(s => [s.indicator.indicator_value, s.reason]), [
+    ['10.0.0.5', 'reserved_range'],
+    ['github.com', 'popular_domain']
+  ]);
+
+  const stats = new IndicatorSuppressor({ filePath }).getStats();
+  assert.deepStrictEqual(stats.counts, { reserved_range: 1, popular_domain: 1 });
+  assert.deepStrictEqual(stats.by_source, { 'noisy-feed': 2 });
+  assert.deepStrictEqual(stats.recent.map(r => [r.indicator_value, r.rule]), [
+    ['github.com', 'github.com'],
+    ['10.0.0.5', '10.0.0.0/8']
+  ]);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { IngestionScheduler } = require('./ingestionScheduler');
+
+function createScheduler() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+  return new IngestionScheduler({ stateFile: path.join(dir, 'run-history.json') });
+}
+
+// A job whose runs finish only when the test says so
+function controlledJob(name, options = {}) {
+  const runs = [];
+  const job = {
+    name,
+    interval: 60000,
+    ...options,
+    run: keys => new Promise((resolve, reject) => runs.push({ keys, resolve, reject })),
+    counts: result => ({ records_sent: result.records })
+  };
+  return { job, runs };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('skips a run while the previous one of the same source is active', async () => {
+  const scheduler = createScheduler();
+  const { job, runs } = controlledJob('feed');
+  scheduler.add(job);
+
+  const first = scheduler.trigger('feed', 'cron');
+  await tick();
+  const second = await scheduler.trigger('feed', 'interval');
+
+  assert.strictEqual(runs.length, 1);
+  assert.deepStrictEqual([second.status, second.skipped], ['skipped', ['feed']]);
+  assert.deepStrictEqual(scheduler.describe()[0].running, ['feed']);
+
+  runs[0].resolve({ records: 12 });
+  const entry = await first;
+  assert.strictEqual(entry.status, 'completed');
+  assert.deepStrictEqual(entry.counts, { records_sent: 12 });
+  assert.ok(entry.duration_ms >= 0);
+
+  assert.deepStrictEqual(scheduler.history().map(run => [run.trigger, run.status]), [['cron', 'completed'], ['interval', 'skipped']]);
+  assert.deepStrictEqual(scheduler.describe()[0].running, []);
+});
+
+test('queues one run behind an active one and coalesces the rest', async () => {
+  const scheduler = createScheduler();
+  const { job, runs } = controlledJob('misp', { overlap: 'queue' });
+  scheduler.add(job);
+
+  const first = scheduler.trigger('misp', 'cron');
+  await tick();
+  const queued = scheduler.trigger('misp', 'api');
+  const coalesced = await scheduler.trigger('misp', 'cron');
+
+  assert.strictEqual(coalesced.status, 'coalesced');
+  assert.strictEqual(scheduler.describe()[0].queued, true);
+
+  runs[0].resolve({ records: 1 });
+  await first;
+  await tick();
+  assert.strictEqual(runs.length, 2);
+
+  runs[1].resolve({ records: 2 });
+  assert.deepStrictEqual((await queued).counts, { records_sent: 2 });
+  assert.deepStrictEqual(scheduler.history().map(run => run.status), ['completed', 'completed', 'coalesced']);
+});
+
+test('runs the idle sources of a group and records failures', async () => {
+  const scheduler = createScheduler();
+  const polling = controlledJob('polling', { keys: ['urlhaus', 'feodo'] });
+  scheduler.add(polling.job);
+
+  // An API run of one source, then the group comes due
+  const single = scheduler.trigger('polling', 'api', ['feodo']);
+  await tick();
+  const group = scheduler.trigger('polling', 'interval');
+  await tick();
+
+  assert.deepStrictEqual(polling.runs.map(run => run.keys), [['feodo'], ['urlhaus']]);
+  assert.strictEqual(await scheduler.trigger('polling', 'api', ['nope']), null);
+
+  polling.runs[1].reject(new Error('feed down'));
+  await assert.rejects(group, /feed down/);
+  polling.runs[0].resolve({ records: 3 });
+  await single;
+
+  const [completed, failed] = scheduler.history();
+  assert.deepStrictEqual([completed.sources, completed.status], [['feodo'], 'completed']);
+  assert.deepStrictEqual([failed.sources, failed.skipped, failed.status, failed.error], [['urlhaus'], ['feodo'], 'failed', 'feed down']);
+  assert.deepStrictEqual(scheduler.history({ source: 'urlhaus' }).map(run => run.status), ['failed']);
+  assert.deepStrictEqual(scheduler.history({ status: 'completed', limit: 1 }).length, 1);
+});
+
+test('records unscheduled runs without holding their sources', async () => {
+  const scheduler = createScheduler();
+  const { job, runs } = controlledJob('feed');
+  scheduler.add(job);
+
+  const backfill = scheduler.runOnce({ name: 'backfill', sources: ['feed'], run: async () => ({ records: 7 }), counts: job.counts });
+  const scheduled = scheduler.trigger('feed', 'cron');
+  await tick();
+  assert.strictEqual(runs.length, 1);
+  runs[0].resolve({ records: 1 });
+  await scheduled;
+
+  assert.deepStrictEqual(await backfill, scheduler.history({ job: 'backfill' })[0]);
+  assert.deepStrictEqual(
+    scheduler.history({ source: 'feed' }).map(entry => [entry.job, entry.trigger, entry.status, entry.counts]),
+    [['feed', 'cron', 'completed', { records_sent: 1 }], ['backfill', 'api', 'completed', { records_sent: 7 }]]
+  );
+
+  await assert.rejects(scheduler.runOnce({ name: 'dataset', run: async () => { throw new Error('bad dataset'); } }), /bad dataset/);
+  assert.deepStrictEqual(scheduler.history({ status: 'failed' }).map(entry => [entry.job, entry.sources, entry.error]), [['dataset', [], 'bad dataset']]);
+});
+
+test('fires jobs on their interval without overlapping runs', async () => {
+  const scheduler = createScheduler();
+  let active = 0;
+  let maxActive = 0;
+
+  scheduler.add({
+    name: 'sweep',
+    interval: 10,
+    runOnStart: true,
+    run: async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 35));
+      active--;
+      return {};
+    }
+  });
+
+  scheduler.start();
+  await new Promise(resolve => setTimeout(resolve, 150));
+  scheduler.stop();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const history = scheduler.history();
+  assert.strictEqual(maxActive, 1);
+  assert.ok(history.some(run => run.trigger === 'startup' && run.status === 'completed'));
+  assert.ok(history.some(run => run.status === 'skipped'));
+  assert.ok(history.filter(run => run.status === 'completed').length >= 2);
+});
+
+test('keeps the history across restarts and checks job definitions', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+  const stateFile = path.join(dir, 'run-history.json');
+  const scheduler = new IngestionScheduler({ stateFile, historySize: 2 });
+  scheduler.add({ name: 'a', interval: 1000, run: async () => ({}) });
+
+  for (let i = 0; i < 3; i++) await scheduler.trigger('a');
+  assert.strictEqual(new IngestionScheduler({ stateFile }).history().length, 2);
+
+  assert.throws(() => scheduler.add({ name: 'a', interval: 1000, run: async () => ({}) }), /already scheduled/);
+  assert.throws(() => scheduler.add({ name: 'b', run: async () => ({}) }), /needs a schedule or an interval/);
+  assert.throws(() => scheduler.add({ name: 'c', schedule: 'hourly', run: async () => ({}) }), /cron expression/);
+  assert.throws(() => scheduler.add({ name: 'd', interval: 5, overlap: 'wait', run: async () => ({}) }), /overlap must be one of skip, queue/);
+  await assert.rejects(scheduler.trigger('nope'), /Unknown job "nope"/);
+});
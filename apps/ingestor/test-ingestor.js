@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Kafka } = require('kafkajs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestor-test-'));
+process.env.STATE_DIR = path.join(dir, 'state');
+process.env.DATASET_ROOT = path.join(dir, 'data');
+process.env.SOURCES_FILE = path.join(dir, 'sources.json');
+fs.mkdirSync(process.env.DATASET_ROOT);
+
+const Connector = require('./connectors/connector');
+const { registerConnectorType } = require('./connectorRegistry');
+const { parseBackfillRequest } = require('./backfillRunner');
+
+// One live source whose records are set by the tests
+const feed = { records: [] };
+class StaticConnector extends Connector {
+  async fetch() {
+    return feed.records;
+  }
+
+  normalize(records) {
+    return this.client.normalizeJSONFeedData(records, this.name);
+  }
+}
+registerConnectorType('static', StaticConnector, { urlOptional: true });
+fs.writeFileSync(process.env.SOURCES_FILE, JSON.stringify({ sources: [{ name: 'partner-feed', type: 'static' }] }));
+
+// Stand-in for the broker behind the ingestor's Kafka producer
+const broker = { fail: false, sent: [] };
+Kafka.prototype.producer = () => ({
+  async connect() {},
+  async disconnect() {},
+  async sendBatch({ topicMessages }) {
+    if (broker.fail) throw new Error('broker unavailable');
+    for (const { messages } of topicMessages) {
+      broker.sent.push(...messages.map(message => JSON.parse(message.value)));
+    }
+    return [];
+  }
+});
+
+const { app, processAndSendData, runExpirySweep } = require('./ingestor');
+
+const storedIndicators = () => JSON.parse(fs.readFileSync(path.join(process.env.STATE_DIR, 'indicators.json'), 'utf8'));
+
+function writeDataset(name, records) {
+  const filePath = path.join(process.env.DATASET_ROOT, name);
+  fs.writeFileSync(filePath, records.map(record => JSON.stringify(record)).join('\n'));
+  return filePath;
+}
+
+test('a run whose events never reached Kafka is published again by the next run', async () => {
+  const datasetPath = writeDataset('partner.ndjson', [
+    { type: 'domain', value: 'evil-c2.net', confidence: 80, severity: 'high' },
+    { type: 'ip', value: '45.155.205.233', confidence: 70, severity: 'medium' }
+  ]);
+
+  broker.fail = true;
+  await assert.rejects(processAndSendData({ datasetPath }), /broker unavailable/);
+  assert.deepStrictEqual(broker.sent, []);
+
+  broker.fail = false;
+  const summary = await processAndSendData({ datasetPath });
+  assert.strictEqual(summary.new_indicators, 2);
+  assert.deepStrictEqual(broker.sent.map(event => event.data.indicator_value).sort(), ['45.155.205.233', 'evil-c2.net']);
+
+  // Once published, the same indicators are known
+  const again = await processAndSendData({ datasetPath });
+  assert.strictEqual(again.unchanged_indicators, 2);
+  assert.strictEqual(broker.sent.length, 2);
+});
+
+test('a backfill publishes its window without touching live indicators', async () => {
+  feed.records = [{ type: 'domain', value: 'live-c2.net', confidence: 90, severity: 'high' }];
+  await processAndSendData({ sources: ['partner-feed'] });
+  const before = storedIndicators();
+  broker.sent.length = 0;
+
+  // An older, weaker sighting of the live indicator and one nobody reports anymore
+  feed.records = [
+    { type: 'domain', value: 'live-c2.net', confidence: 40, severity: 'low', last_seen: '2024-01-01T00:00:00.000Z' },
+    { type: 'domain', value: 'gone-c2.net', confidence: 60, last_seen: '2024-01-01T00:00:00.000Z' }
+  ];
+  const summary = await processAndSendData({ backfill: parseBackfillRequest({ source: 'partner-feed', from: '30d' }) });
+
+  assert.deepStrictEqual([summary.replayed_indicators, summary.new_indicators, summary.updated_indicators], [1, 1, 0]);
+  assert.deepStrictEqual(broker.sent.map(event => [event.event_type, event.data.indicator_value, Boolean(event.backfill)]), [
+    ['threat_indicator', 'live-c2.net', true],
+    ['threat_indicator', 'gone-c2.net', true]
+  ]);
+  assert.deepStrictEqual(storedIndicators(), before);
+});
+
+test('a sweep whose events never reached Kafka is swept again', async () => {
+  const datasetPath = writeDataset('short-lived.ndjson', [
+    { type: 'domain', value: 'short-lived-c2.net', confidence: 80, metadata: { valid_until: '2024-01-01T00:00:00.000Z' } }
+  ]);
+  await processAndSendData({ datasetPath });
+  const hash = Object.keys(storedIndicators()).find(key => storedIndicators()[key].indicator_value === 'short-lived-c2.net');
+  broker.sent.length = 0;
+
+  broker.fail = true;
+  await assert.rejects(runExpirySweep(), /broker unavailable/);
+  assert.strictEqual(storedIndicators()[hash].status, 'active');
+
+  broker.fail = false;
+  assert.strictEqual((await runExpirySweep()).expired, 1);
+  assert.deepStrictEqual(broker.sent.map(event => [event.event_type, event.data.indicator_value]), [['indicator_expired', 'short-lived-c2.net']]);
+  assert.strictEqual(storedIndicators()[hash].status, 'expired');
+});
+
+test('control API', async (t) => {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  await t.test('reports health, status and sources', async () => {
+    assert.deepStrictEqual(await call('GET', '/health'), { status: 200, body: { status: 'ok' } });
+
+    const status = await call('GET', '/status');
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual(status.body.mode, 'live');
+    assert.strictEqual(typeof status.body.known_indicators, 'number');
+
+    const sources = await call('GET', '/sources');
+    assert.deepStrictEqual([sources.status, sources.body.sources.map(source => source.name)], [200, ['partner-feed']]);
+  });
+
+  await t.test('rejects datasets outside DATASET_ROOT and bad trigger requests', async () => {
+    fs.writeFileSync(path.join(dir, 'outside.ndjson'), '');
+    fs.writeFileSync(path.join(process.env.DATASET_ROOT, 'notes.txt'), '');
+
+    const rejected = {
+      '../outside.ndjson': 400,
+      [path.join(dir, 'outside.ndjson')]: 400,
+      '': 400,
+      'missing.ndjson': 404,
+      'notes.txt': 400
+    };
+    for (const [datasetPath, expected] of Object.entries(rejected)) {
+      const { status, body } = await call('POST', '/trigger', { datasetPath });
+      assert.strictEqual(status, expected, datasetPath);
+      assert.ok(body.error, datasetPath);
+    }
+    assert.match((await call('POST', '/trigger', { datasetPath: '../outside.ndjson' })).body.error, /must be inside/);
+
+    assert.strictEqual((await call('POST', '/trigger', { mappingPath: 'partner.mapping.json' })).status, 400);
+    assert.strictEqual((await call('POST', '/trigger', { datasetPath: 'partner.ndjson', mappingPath: '../x.json' })).status, 400);
+    assert.strictEqual((await call('POST', '/trigger', { sources: ['unknown-feed'] })).status, 400);
+    assert.strictEqual((await call('POST', '/trigger', { sources: 'partner-feed' })).status, 400);
+  });
+
+  await t.test('accepts a dataset inside DATASET_ROOT and runs it in the background', async () => {
+    const datasetPath = writeDataset('triggered.ndjson', [{ type: 'domain', value: 'triggered-c2.net', confidence: 70 }]);
+
+    const { status, body } = await call('POST', '/trigger', { datasetPath: 'triggered.ndjson' });
+    assert.strictEqual(status, 202);
+    assert.deepStrictEqual([body.status, body.dataset_path], ['accepted', datasetPath]);
+
+    let lastRun;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      lastRun = (await call('GET', '/status')).body.last_run;
+      if (lastRun.dataset_path === datasetPath && lastRun.status !== 'running') break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.deepStrictEqual([lastRun.dataset_path, lastRun.status, lastRun.trigger], [datasetPath, 'completed', 'api']);
+
+    // Kept in the run history like scheduled runs
+    const { runs } = (await call('GET', '/runs?job=dataset')).body;
+    assert.deepStrictEqual(runs.map(run => [run.sources, run.trigger, run.status, run.counts.new_indicators]), [
+      [['triggered.ndjson'], 'api', 'completed', 1]
+    ]);
+    assert.strictEqual((await call('POST', '/trigger', { sources: ['partner-feed'] })).status, 202);
+  });
+});
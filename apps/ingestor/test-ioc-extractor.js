@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const IndicatorSuppressor = require('./indicatorSuppressor');
+const { extractIOCs, extractReportIndicators, detectReportFormat, previewIndicator } = require('./iocExtractor');
+
+const client = new ThreatIntelClient();
+const REPORT = fs.readFileSync(path.join(__dirname, 'fixtures', 'threat-report.html'), 'utf8');
+
+const pairs = iocs => iocs.map(ioc => [ioc.type, ioc.value]);
+
+test('extracts defanged IOCs from plain text', () => {
+  const iocs = extractIOCs([
+    'Payloads at hxxp://45.77.12[.]9:8080/gate.php (and hxxps://cdn.evil-updates[.]com/a).',
+    'C2 at 45.77.12[.]9, 2a02:ff0::7 and 198.51.100.0/24, mail from billing [at] invoices-portal [dot] com.',
+    'Exploits cve-2023-4966. MD5 d41d8cd98f00b204e9800998ecf8427e, seen again at 45.77.12.9.'
+  ].join('\n'));
+
+  assert.deepStrictEqual(pairs(iocs), [
+    ['url', 'http://45.77.12.9:8080/gate.php'],
+    ['url', 'https://cdn.evil-updates.com/a'],
+    ['email', 'billing@invoices-portal.com'],
+    ['vulnerability', 'CVE-2023-4966'],
+    ['hash', 'd41d8cd98f00b204e9800998ecf8427e'],
+    ['ip', '45.77.12.9'],
+    ['cidr', '198.51.100.0/24'],
+    ['ip', '2a02:ff0::7']
+  ]);
+  assert.strictEqual(iocs.find(ioc => ioc.value === '45.77.12.9').occurrences, 2);
+});
+
+test('ignores file names, versions and clock times', () => {
+  const iocs = extractIOCs('Dropped invoice.exe, README.md, setup.py and stage2.zip at 10:30:00 using Node.js 18.2, e.g. via loader.dll; staging on update-check[.]zip');
+
+  assert.deepStrictEqual(pairs(iocs), [['domain', 'update-check.zip']]);
+});
+
+test('extracts from HTML and Markdown reports', () => {
+  assert.strictEqual(detectReportFormat(REPORT), 'html');
+  assert.deepStrictEqual(pairs(extractIOCs(REPORT)), [
+    ['url', 'https://cdn.evil-updates.com/a/payload.exe?id=4&src=mail'],
+    ['email', 'billing@invoices-portal.com'],
+    ['vulnerability', 'CVE-2024-3400'],
+    ['hash', 'E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855'],
+    ['ip', '45.77.12.9'],
+    ['ip', '2a02:ff0::7'],
+    ['domain', 'update-check.zip']
+  ]);
+
+  const markdown = '## IOCs\n\n```\nhxxp://mal[.]ru/x\n```\n\n- **evil[.]biz** per [the advisory](https://advisories.example.org/1)\n- `5.6.7[.]8`';
+  assert.strictEqual(detectReportFormat(markdown), 'markdown');
+  assert.deepStrictEqual(pairs(extractIOCs(markdown)), [['url', 'http://mal.ru/x'], ['ip', '5.6.7.8'], ['domain', 'evil.biz']]);
+});
+
+test('normalizes extracted IOCs with the report as provenance', () => {
+  const { report, indicators } = extractReportIndicators(REPORT, {
+    client,
+    title: 'Operation Paper Tiger',
+    url: 'https://www.vendor-blog.net/research/paper-tiger',
+    tlp: 'green',
+    tags: ['paper-tiger']
+  });
+
+  assert.strictEqual(indicators.length, 7);
+  assert.ok(indicators.every(i => i.source_feeds[0] === 'analyst-report' && i.tlp_marking === 'green' && i.confidence_score === 50));
+  assert.deepStrictEqual(indicators[0].metadata.report, {
+    title: 'Operation Paper Tiger',
+    url: 'https://www.vendor-blog.net/research/paper-tiger',
+    hash: report.hash
+  });
+
+  const hash = indicators.find(i => i.indicator_type === 'hash');
+  assert.strictEqual(hash.indicator_value, 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.strictEqual(hash.metadata.hash_type, 'sha256');
+  assert.deepStrictEqual(indicators.find(i => i.indicator_type === 'vulnerability').tags, ['paper-tiger']);
+
+  assert.throws(() => extractReportIndicators(REPORT, { client, format: 'pdf' }), /Unknown report format "pdf"/);
+});
+
+test('the preview shows what publishing would suppress', () => {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractor-test-'));
+  const suppressor = new IndicatorSuppressor({ filePath: path.join(stateDir, 'suppressions.json') });
+  const { indicators } = extractReportIndicators('C2 10.0.0[.]5 and 45.77.12[.]9', { client });
+
+  assert.deepStrictEqual(indicators.map(indicator => previewIndicator(indicator, suppressor)), [
+    { type: 'ip', value: '10.0.0.5', original_value: undefined, occurrences: 1, suppressed: 'reserved_range' },
+    { type: 'ip', value: '45.77.12.9', original_value: undefined, occurrences: 1, suppressed: null }
+  ]);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CompressionTypes, CompressionCodecs } = require('kafkajs');
+const { createEnvelope } = require('financial-risk-analyzer-schemas');
+const { BatchProducer } = require('./kafkaProducer');
+
+const tick = (symbol, close) => createEnvelope('financial_tick', {
+  id: `${symbol}-2024-01-02T00:00:00.000Z`,
+  symbol,
+  timestamp: '2024-01-02T00:00:00.000Z',
+  close
+}, { source: 'test' });
+
+const revoked = hash => createEnvelope('indicator_revoked', {
+  hash,
+  indicator_type: 'ip',
+  indicator_value: '203.0.113.7',
+  revoked_at: '2024-01-02T00:00:00.000Z'
+}, { source: 'test' });
+
+/**
+ * Stand-in for a kafkajs producer that records every sendBatch call
+ */
+function fakeProducer(options = {}) {
+  const calls = [];
+  return {
+    calls,
+    connected: 0,
+    disconnected: 0,
+    async connect() {
+      this.connected++;
+    },
+    async sendBatch(batch) {
+      if (options.fail) throw new Error('broker unavailable');
+      if (options.hang) return new Promise(() => {});
+      calls.push(batch);
+      return batch.topicMessages.flatMap(({ topic, messages }) => messages.map(message => ({
+        topicName: topic,
+        partition: message.key ? message.key.charCodeAt(0) % 3 : 0
+      })));
+    },
+    async disconnect() {
+      this.disconnected++;
+    }
+  };
+}
+
+test('queues keyed messages and sends them in one batch per flush', async () => {
+  const producer = fakeProducer();
+  const batcher = new BatchProducer(producer, { batchSize: 100, compression: 'lz4' });
+
+  assert.strictEqual(await batcher.queue('threat-intelligence', revoked('a1'), 'a1'), null);
+  await batcher.queue('threat-intelligence', revoked('b2'), 'b2');
+  await batcher.queue('financial-data', tick('AAPL', 182.52), 'AAPL');
+  assert.strictEqual(producer.calls.length, 0);
+
+  const result = await batcher.flush();
+  assert.strictEqual(producer.calls.length, 1);
+  assert.strictEqual(producer.connected, 1);
+
+  const [batch] = producer.calls;
+  assert.strictEqual(batch.acks, -1);
+  assert.strictEqual(batch.compression, CompressionTypes.LZ4);
+  assert.deepStrictEqual(batch.topicMessages.map(({ topic, messages }) => [topic, messages.map(message => message.key)]), [
+    ['threat-intelligence', ['a1', 'b2']],
+    ['financial-data', ['AAPL']]
+  ]);
+  assert.ok(JSON.parse(batch.topicMessages[0].messages[0].value).producer_timestamp > 0);
+
+  assert.deepStrictEqual({ ...result, bytes: result.bytes > 0, duration_ms: undefined }, {
+    messages: 3,
+    topics: { 'threat-intelligence': 2, 'financial-data': 1 },
+    partitions: 3,
+    bytes: true,
+    compression: 'lz4',
+    duration_ms: undefined
+  });
+  assert.strictEqual(await batcher.flush(), null);
+  assert.strictEqual(batcher.getStats().messages_sent, 3);
+});
+
+test('flushes on its own when a batch is full', async () => {
+  const producer = fakeProducer();
+  const batcher = new BatchProducer(producer, { batchSize: 2 });
+
+  await batcher.queue('t', tick('K', 1), 'K');
+  const result = await batcher.queue('t', tick('K', 2), 'K');
+  await batcher.queue('t', tick('K', 3), 'K');
+
+  assert.strictEqual(result.messages, 2);
+  assert.strictEqual(producer.calls[0].compression, CompressionTypes.GZIP);
+  assert.strictEqual(batcher.getStats().pending, 1);
+
+  assert.throws(() => new BatchProducer(producer, { compression: 'zstd' }), /Unknown Kafka compression "zstd"/);
+});
+
+test('refuses events that do not match their schema', async () => {
+  const batcher = new BatchProducer(fakeProducer());
+
+  await assert.rejects(batcher.queue('t', tick('K', '1'), 'K'), error => {
+    assert.strictEqual(error.name, 'SchemaValidationError');
+    assert.deepStrictEqual(error.errors, ['data.close must be number']);
+    return true;
+  });
+  await assert.rejects(batcher.queue('t', { event_type: 'financial_tick', data: {} }, 'K'), /must have required property 'schema_version'/);
+  assert.strictEqual(batcher.getStats().pending, 0);
+});
+
+test('reports failed batches and a flush that outlives shutdown', async () => {
+  const failing = new BatchProducer(fakeProducer({ fail: true }));
+  await failing.queue('t', tick('K', 1), 'K');
+  await assert.rejects(failing.flush(), /broker unavailable/);
+  assert.strictEqual(failing.getStats().failed_messages, 1);
+  assert.strictEqual(failing.getStats().last_error.error, 'broker unavailable');
+
+  // A failed flush doesn't block the next one
+  failing.producer = fakeProducer();
+  await failing.queue('t', tick('K', 2), 'K');
+  assert.strictEqual((await failing.flush()).messages, 1);
+
+  const hanging = fakeProducer({ hang: true });
+  const stuck = new BatchProducer(hanging);
+  await stuck.queue('t', tick('K', 1), 'K');
+  await stuck.shutdown(20);
+  assert.strictEqual(hanging.disconnected, 1);
+});
+
+test('a failed send is reported to every concurrent run with messages in it', async () => {
+  const options = { fail: true };
+  const broker = fakeProducer(options);
+  const shared = new BatchProducer(broker, { batchSize: 3 });
+  const first = shared.batch();
+  const second = shared.batch();
+
+  await first.queue('t', tick('A', 1), 'A');
+  await second.queue('t', tick('B', 1), 'B');
+
+  // The first run's flush takes the second run's message along
+  await assert.rejects(first.flush(), /broker unavailable/);
+  await assert.rejects(second.flush(), /broker unavailable/);
+  assert.strictEqual(shared.getStats().failed_messages, 2);
+
+  // Same when a message of one run fills the batch
+  const third = shared.batch();
+  const fourth = shared.batch();
+  await third.queue('t', tick('C', 1), 'C');
+  await third.queue('t', tick('C', 2), 'C');
+  await assert.rejects(fourth.queue('t', tick('D', 1), 'D'), /broker unavailable/);
+  await assert.rejects(third.queue('t', tick('C', 3), 'C'), /broker unavailable/);
+
+  // A run whose messages were all sent is not failed by a later send of others
+  options.fail = false;
+  const sent = shared.batch();
+  await sent.queue('t', tick('E', 1), 'E');
+  assert.strictEqual((await sent.flush()).messages, 1);
+
+  options.fail = true;
+  const failed = shared.batch();
+  await failed.queue('t', tick('F', 1), 'F');
+  await assert.rejects(failed.flush(), /broker unavailable/);
+  assert.strictEqual(await sent.flush(), null);
+});
+
+test('LZ4 codec writes standard frames', async () => {
+  const codec = CompressionCodecs[CompressionTypes.LZ4]();
+  const payload = Buffer.from(JSON.stringify(Array(50).fill({ indicator_type: 'ip', indicator_value: '203.0.113.7' })));
+
+  const compressed = await codec.compress({ buffer: payload });
+  assert.strictEqual(compressed.readUInt32LE(0), 0x184d2204);
+  assert.ok(compressed.length < payload.length);
+  assert.deepStrictEqual(await codec.decompress(compressed), payload);
+});
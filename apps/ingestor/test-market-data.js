@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { AlphaVantageConnector, parseTimeSeries } = require('./market/alphaVantageConnector');
+const { MarketDataCollector, toFinancialRecords } = require('./market/marketDataCollector');
+const { importOHLCVFile, parseOHLCV } = require('./market/ohlcvImporter');
+const { historicalVolatility, sentimentFor } = require('./market/derivedFields');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'market');
+const AAPL = require(path.join(FIXTURE_DIR, 'AAPL.json'));
+
+test('derives change, gap, range, volatility and sentiment', () => {
+  const records = toFinancialRecords([
+    { symbol: 'X', timestamp: '2024-01-03T00:00:00.000Z', open: 101, high: 104, low: 100, close: 103 },
+    { symbol: 'X', timestamp: '2024-01-02T00:00:00.000Z', open: 99, high: 101, low: 98, close: 100 },
+    { symbol: 'X', timestamp: '2024-01-04T00:00:00.000Z', open: 104, high: 105, low: 98, close: 99 }
+  ]);
+
+  assert.deepStrictEqual(records.map(r => r.timestamp.slice(0, 10)), ['2024-01-02', '2024-01-03', '2024-01-04']);
+  assert.strictEqual(records[0].previous_close, undefined);
+  assert.strictEqual(records[0].range_percent, 3);
+
+  assert.deepStrictEqual(
+    [records[1].previous_close, records[1].change, records[1].price_change_percent, records[1].gap_percent, records[1].market_sentiment],
+    [100, 3, 3, 1, 'very_bullish']
+  );
+  assert.strictEqual(records[1].volatility, undefined); // a single return
+  assert.strictEqual(records[2].price_change_percent, -3.88);
+  assert.strictEqual(records[2].volatility, historicalVolatility([100, 103, 99]));
+  assert.strictEqual(records[2].id, 'X-2024-01-04T00:00:00.000Z');
+  assert.strictEqual(records[2].price, 99);
+
+  assert.deepStrictEqual([2.99, 1, 0, -1, -3.5].map(sentimentFor), ['bullish', 'bullish', 'neutral', 'bearish', 'very_bearish']);
+});
+
+test('imports OHLCV CSV exports', async () => {
+  const { bars, skipped } = await importOHLCVFile(path.join(__dirname, 'fixtures', 'ohlcv-sample.csv'));
+
+  assert.strictEqual(skipped, 1);
+  assert.deepStrictEqual(bars.map(bar => bar.symbol), ['MSFT', 'MSFT', 'MSFT', 'MSFT', 'NVDA', 'NVDA', 'NVDA']);
+  assert.deepStrictEqual(bars[0], {
+    symbol: 'MSFT',
+    timestamp: '2024-03-05T00:00:00.000Z',
+    open: 413.96,
+    high: 414.25,
+    low: 400.64,
+    close: 402.65,
+    volume: 26919240,
+    source: 'ohlcv-sample.csv'
+  });
+
+  const nvda = toFinancialRecords(bars).filter(record => record.symbol === 'NVDA');
+  assert.strictEqual(nvda[0].previous_close, undefined); // MSFT history is not NVDA's
+  assert.deepStrictEqual(
+    [nvda[2].previous_close, nvda[2].price_change_percent, nvda[2].gap_percent, nvda[2].market_sentiment],
+    [926.69, -5.55, 2.66, 'very_bearish']
+  );
+
+  const single = parseOHLCV('date,open,high,low,close\n2024-01-02,1,2,0.5,1.5\n', { symbol: 'tst' });
+  assert.strictEqual(single.bars[0].symbol, 'TST');
+  assert.throws(() => parseOHLCV('date,open,high,low,close\n2024-01-02,1,2,0.5,1.5\n'), /no symbol column/);
+  assert.throws(() => parseOHLCV('date,open,close\n2024-01-02,1,1.5\n', { symbol: 'TST' }), /no high, low column/);
+});
+
+test('parses Alpha Vantage responses and in-body errors', () => {
+  const bars = parseTimeSeries(AAPL, 'aapl');
+
+  assert.strictEqual(bars.length, 25);
+  assert.strictEqual(bars[0].timestamp, '2024-01-02T00:00:00.000Z');
+  assert.deepStrictEqual(bars[24], {
+    symbol: 'AAPL',
+    timestamp: '2024-02-05T00:00:00.000Z',
+    open: 185.5,
+    high: 186.4,
+    low: 181.77,
+    close: 182.52,
+    volume: 57546808,
+    source: 'alphavantage'
+  });
+
+  const throttled = (() => {
+    try {
+      parseTimeSeries({ Note: 'Our standard API call frequency is 5 calls per minute.' }, 'AAPL');
+    } catch (error) {
+      return error;
+    }
+  })();
+  assert.strictEqual(throttled.response.status, 429);
+
+  assert.throws(() => parseTimeSeries({ Information: 'The standard API rate limit is 25 requests per day.' }, 'AAPL'), error => !error.response);
+  assert.throws(() => parseTimeSeries({ 'Error Message': 'Invalid API call.' }, 'NOPE'), /Alpha Vantage rejected NOPE/);
+});
+
+test('replays recorded responses and publishes each bar once', async () => {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-test-'));
+  const collector = new MarketDataCollector({
+    connector: new AlphaVantageConnector({ fixtureDir: FIXTURE_DIR, fixtureMode: 'replay' }),
+    symbols: ['aapl', 'msft'],
+    stateFile: path.join(stateDir, 'market-data.json'),
+    initialBars: 5
+  });
+
+  assert.strictEqual(collector.enabled, true);
+
+  const first = await collector.collect();
+  assert.strictEqual(first.records.length, 5);
+  assert.deepStrictEqual(first.errors.map(error => error.symbol), ['MSFT']);
+
+  const last = first.records[4];
+  assert.strictEqual(last.source, 'alphavantage-replay');
+  assert.strictEqual(last.gap_percent, -2.07);
+  assert.strictEqual(last.price_change_percent, -3.65);
+  assert.ok(last.volatility > 5 && last.volatility < 80);
+
+  collector.markPublished(first.records);
+  assert.strictEqual((await collector.collect()).records.length, 0);
+  assert.strictEqual(collector.getState().high_water_marks.AAPL, '2024-02-05T00:00:00.000Z');
+
+  assert.throws(() => new AlphaVantageConnector({ fixtureMode: 'replay' }), /needs a fixture directory/);
+  assert.strictEqual(new AlphaVantageConnector({}).configured, false);
+});
+
+test('record mode saves live responses for later replay', async t => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(new URL(req.url, 'http://localhost').searchParams);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(AAPL));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'market-record-'));
+  const connector = new AlphaVantageConnector({
+    apiKey: 'demo',
+    url: `http://127.0.0.1:${server.address().port}/query`,
+    fixtureDir,
+    fixtureMode: 'record'
+  });
+
+  const bars = await connector.fetchDailyBars('AAPL');
+  assert.strictEqual(bars.length, 25);
+  assert.strictEqual(requests[0].get('function'), 'TIME_SERIES_DAILY');
+  assert.strictEqual(requests[0].get('apikey'), 'demo');
+
+  const replayed = await new AlphaVantageConnector({ fixtureDir, fixtureMode: 'replay' }).fetchDailyBars('AAPL');
+  assert.deepStrictEqual(replayed.map(bar => bar.close), bars.map(bar => bar.close));
+});
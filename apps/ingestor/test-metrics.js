@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ThreatIntelClient = require('./threatIntelClient');
+const Connector = require('./connectors/connector');
+const { ConnectorRegistry, registerConnectorType } = require('./connectorRegistry');
+const { SourceLimiter } = require('./sourceLimiter');
+const { BatchProducer } = require('./kafkaProducer');
+const metrics = require('./metrics');
+
+/**
+ * Value of one series of a metric, 0 when it was never recorded
+ */
+async function value(metric, labels, name = metric.name) {
+  const { values } = await metric.get();
+  const series = values.find(entry => (entry.metricName || metric.name) === name
+    && Object.entries(labels).every(([key, label]) => entry.labels[key] === label));
+  return series ? series.value : 0;
+}
+
+/**
+ * Source whose feed is set by the test
+ */
+class StaticConnector extends Connector {
+  async fetch() {
+    if (this.source.feed instanceof Error) throw this.source.feed;
+    return this.source.feed;
+  }
+
+  normalize(values) {
+    return this.client.normalizeJSONFeedData(values.map(entry => ({ type: entry.split(':')[0], value: entry.split(':')[1] })), this.name);
+  }
+}
+registerConnectorType('static', StaticConnector, { urlOptional: true });
+
+test('counts what each source fetched, rejected and deduplicated', async () => {
+  const client = new ThreatIntelClient();
+  const registry = new ConnectorRegistry({ client, feedState: { get: () => undefined, set: () => {} } }).load([
+    { name: 'metrics-a', type: 'static', feed: ['domain:evil-c2.net', 'ip:not an ip', 'ip:45.155.205.233'] },
+    { name: 'metrics-b', type: 'static', feed: ['domain:evil-c2.net'] },
+    { name: 'metrics-c', type: 'static', feed: new Error('feed down') }
+  ]);
+
+  const indicators = await client.getAllThreatIntel(registry.list());
+  assert.strictEqual(indicators.length, 2);
+
+  const counts = async source => Promise.all(['fetched', 'valid', 'rejected', 'deduplicated']
+    .map(outcome => value(metrics.sourceIndicators, { source, outcome })));
+  assert.deepStrictEqual(await counts('metrics-a'), [3, 2, 1, 0]);
+  assert.deepStrictEqual(await counts('metrics-b'), [1, 1, 0, 1]);
+
+  const fetches = (source, outcome) => value(metrics.sourceFetchDuration, { source, outcome }, 'ingestor_source_fetch_duration_seconds_count');
+  assert.deepStrictEqual([await fetches('metrics-a', 'ok'), await fetches('metrics-c', 'error')], [1, 1]);
+
+  // Only sources whose run was published count as successful
+  for (const connector of registry.list()) connector.commit();
+  assert.ok(await value(metrics.sourceLastSuccess, { source: 'metrics-a' }) > 0);
+  assert.strictEqual(await value(metrics.sourceLastSuccess, { source: 'metrics-c' }), 0);
+  assert.ok(await value(metrics.sourceDataAge, { source: 'metrics-b' }) < 5);
+});
+
+test('counts HTTP statuses and retry waits per source', async () => {
+  const limiter = new SourceLimiter('metrics-http', { retry: { baseDelay: 1, maxDelay: 2 } });
+  const responses = [{ response: { status: 503, headers: {} } }, { status: 200, data: {} }];
+
+  await limiter.execute(async () => {
+    const next = responses.shift();
+    if (next.response) throw Object.assign(new Error('unavailable'), next);
+    return next;
+  });
+
+  assert.strictEqual(await value(metrics.sourceHttpResponses, { source: 'metrics-http', status: '503' }), 1);
+  assert.strictEqual(await value(metrics.sourceHttpResponses, { source: 'metrics-http', status: '200' }), 1);
+  assert.strictEqual(await value(metrics.rateLimitWait, { source: 'metrics-http', reason: 'retry' }, 'ingestor_source_rate_limit_wait_seconds_count'), 1);
+});
+
+test('counts Kafka messages sent and failed', async () => {
+  let fail = false;
+  const producer = new BatchProducer({
+    connect: async () => {},
+    sendBatch: async () => {
+      if (fail) throw new Error('broker down');
+      return [];
+    }
+  }, { validate: () => {} });
+
+  await producer.queue('metrics-topic', { id: 1 }, 'a');
+  await producer.queue('metrics-topic', { id: 2 }, 'b');
+  await producer.flush();
+
+  fail = true;
+  await producer.queue('metrics-topic', { id: 3 }, 'c');
+  await assert.rejects(producer.flush(), /broker down/);
+
+  assert.strictEqual(await value(metrics.kafkaMessages, { topic: 'metrics-topic', outcome: 'sent' }), 2);
+  assert.strictEqual(await value(metrics.kafkaMessages, { topic: 'metrics-topic', outcome: 'failed' }), 1);
+  assert.strictEqual(await value(metrics.kafkaPublishDuration, { outcome: 'failed' }, 'ingestor_kafka_publish_duration_seconds_count'), 1);
+});
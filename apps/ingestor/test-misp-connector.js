@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const { ConnectorRegistry } = require('./connectorRegistry');
+
+const EVENTS = require(path.join(__dirname, 'fixtures', 'misp-events.json'));
+
+/**
+ * MISP instance serving the fixture events through a paged restSearch
+ */
+function startStandInServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== 'misp-key') {
+      return send(403, { message: 'Authentication failed' });
+    }
+
+    if (req.method === 'GET' && req.url === '/servers/getVersion') {
+      return send(200, { version: '2.4.190' });
+    }
+
+    if (req.method !== 'POST' || req.url !== '/events/restSearch') {
+      return send(404, { message: 'Not found' });
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const search = JSON.parse(body);
+      requests.push(search);
+
+      const offset = (search.page - 1) * search.limit;
+      send(200, { response: EVENTS.slice(offset, offset + search.limit) });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test('MISP connector', async (t) => {
+  const misp = await startStandInServer();
+  t.after(() => misp.server.close());
+
+  const registry = new ConnectorRegistry({
+    client: new ThreatIntelClient(),
+    resolveCredential: () => 'misp-key',
+    feedStateFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'misp-test-')), 'feed-state.json')
+  }).load([{
+    name: 'misp',
+    type: 'misp',
+    url: misp.url,
+    credentials: { apiKey: 'env:MISP_API_KEY' },
+    options: { limit: 2 }
+  }]);
+  const connector = registry.get('misp');
+
+  const collected = await connector.collect();
+  const indicators = collected.filter(i => !i.revoked);
+  const byValue = Object.fromEntries(indicators.map(i => [i.indicator_value, i]));
+
+  await t.test('pages through restSearch until a short page', () => {
+    assert.deepStrictEqual(misp.requests.map(r => [r.page, r.limit]), [[1, 2], [2, 2]]);
+    assert.ok(misp.requests.every(r => r.includeSightings && r.includeDecayScore));
+    assert.deepStrictEqual(misp.requests[0].deleted, [0, 1]);
+  });
+
+  await t.test('extracts detection attributes from events and objects', () => {
+    assert.deepStrictEqual(indicators.map(i => [i.indicator_type, i.indicator_value]), [
+      ['ip', '198.51.100.23'],
+      ['domain', 'update-check.example'],
+      ['ip', '203.0.113.9'],
+      ['hash', '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'],
+      ['url', 'https://login-verify.example/account']
+    ]);
+    assert.deepStrictEqual(byValue['9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'].metadata.object, {
+      name: 'file', meta_category: 'file', uuid: 'obj-0001'
+    });
+    assert.strictEqual(byValue['203.0.113.9'].id, 'misp_attr-0002#1');
+  });
+
+  await t.test('turns deleted attributes into revocations', () => {
+    const revoked = collected.filter(i => i.revoked);
+
+    assert.deepStrictEqual(revoked.map(i => [i.indicator_value, i.revocation_reason]), [
+      ['198.51.100.99', 'misp_deleted']
+    ]);
+  });
+
+  await t.test('maps galaxy clusters and event tags onto every attribute', () => {
+    const c2 = byValue['198.51.100.23'];
+
+    assert.deepStrictEqual(c2.tags, ['tlp:amber', 'malware:X-Agent', 'actor:Sofacy']);
+    assert.deepStrictEqual(c2.metadata.threat_actors, ['Sofacy']);
+    assert.deepStrictEqual(c2.metadata.malware_families, ['X-Agent']);
+    assert.strictEqual(c2.tlp_marking, 'amber');
+    assert.deepStrictEqual(byValue['update-check.example'].tags, [
+      'tlp:amber', 'kill-chain:command-and-control', 'malware:X-Agent', 'actor:Sofacy'
+    ]);
+  });
+
+  await t.test('derives confidence from decay scores and sightings', () => {
+    const c2 = byValue['198.51.100.23'];
+    assert.strictEqual(c2.confidence_score, 73);
+    assert.deepStrictEqual(c2.metadata.decay, {
+      score: 72.5, base_score: 80, decayed: false, model: 'NIDS Simple Decaying Model'
+    });
+    assert.strictEqual(c2.metadata.sightings.positive, 2);
+    assert.strictEqual(c2.last_seen, '2024-05-01T11:00:00.000Z');
+
+    // No decay score: base 50, one false positive
+    assert.strictEqual(byValue['update-check.example'].confidence_score, 30);
+
+    // Expiration sighting after the last positive one
+    const expired = byValue['https://login-verify.example/account'];
+    assert.strictEqual(expired.confidence_score, 10);
+    assert.strictEqual(expired.metadata.sightings.expired_at, '2024-05-01T08:00:00.000Z');
+  });
+
+  await t.test('asks only for events changed since the newest one of a published run', async () => {
+    assert.ok(misp.requests[0].timestamp > Date.now() / 1000 - 86400 - 60);
+
+    connector.commit();
+    assert.strictEqual(connector.highWaterMark, '2024-05-01T08:00:00.000Z');
+
+    const before = misp.requests.length;
+    await connector.collect();
+    assert.strictEqual(misp.requests[before].timestamp, 1714550400);
+  });
+
+  await t.test('backfills a window page by page with no page cap', async () => {
+    const before = misp.requests.length;
+    const window = { from: new Date('2024-04-30T00:00:00.000Z'), to: new Date('2024-05-02T00:00:00.000Z') };
+    const checkpoints = [];
+
+    for await (const page of connector.backfillPages(window, null)) {
+      checkpoints.push([page.raw.response.length, page.checkpoint]);
+    }
+
+    assert.deepStrictEqual(checkpoints, [[2, 2], [1, 3]]);
+    assert.deepStrictEqual(misp.requests.slice(before).map(r => [r.page, r.timestamp]), [
+      [1, [1714435200, 1714608000]],
+      [2, [1714435200, 1714608000]]
+    ]);
+    assert.strictEqual(connector.highWaterMark, '2024-05-01T08:00:00.000Z');
+  });
+
+  await t.test('healthcheck uses the version endpoint', async () => {
+    assert.strictEqual((await connector.healthcheck()).status, 'ok');
+  });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateData } = require('financial-risk-analyzer-schemas');
+const IndicatorSuppressor = require('./indicatorSuppressor');
+const SeededRandom = require('./scenarios/seededRandom');
+const {
+  ScenarioPlayer,
+  generateScenario,
+  loadScenario,
+  listScenarios,
+  validateScenario,
+  parseRate
+} = require('./scenarios/scenarioGenerator');
+const { parseDuration } = require('./duration');
+
+const HOUR = 3600000;
+
+test('the same seed always generates the same events', () => {
+  const scenario = loadScenario('ransomware-campaign');
+  const first = generateScenario(scenario, { seed: 42 });
+
+  assert.deepStrictEqual(generateScenario(scenario, { seed: 42 }), first);
+  assert.notDeepStrictEqual(generateScenario(scenario, { seed: 43 }).map(event => event.record.id), first.map(event => event.record.id));
+
+  // Moving the start shifts the times but draws the same values
+  const later = generateScenario(scenario, { seed: 42, start: '2025-01-01T00:00:00.000Z' });
+  assert.deepStrictEqual(later.map(event => event.record.indicator_value || event.record.close), first.map(event => event.record.indicator_value || event.record.close));
+
+  const random = new SeededRandom('x');
+  const again = new SeededRandom('x');
+  assert.deepStrictEqual([random.next(), random.int(1, 6), random.hex(8)], [again.next(), again.int(1, 6), again.hex(8)]);
+  assert.notStrictEqual(new SeededRandom('x').fork('a').next(), new SeededRandom('x').fork('b').next());
+});
+
+test('generates time-ordered, valid and publishable events for every scenario', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-test-'));
+  const suppressor = new IndicatorSuppressor({ filePath: path.join(dir, 'suppressions.json') });
+
+  for (const { name } of listScenarios()) {
+    const scenario = loadScenario(name);
+    const events = generateScenario(scenario);
+    const threats = events.filter(event => event.kind === 'threat').map(event => event.record);
+    const ticks = events.filter(event => event.kind === 'market').map(event => event.record);
+
+    assert.ok(threats.length > 0, name);
+    assert.ok(events.every((event, i) => i === 0 || events[i - 1].at <= event.at), `${name} is time ordered`);
+    assert.ok(events.every(event => event.at >= Date.parse(scenario.start || '2024-01-01T00:00:00.000Z')));
+
+    assert.deepStrictEqual(threats.flatMap(indicator => validateData('threat_indicator', indicator)), [], name);
+    assert.deepStrictEqual(ticks.flatMap(record => validateData('financial_tick', record)), [], name);
+    assert.deepStrictEqual(suppressor.filter(threats).suppressed, [], `${name} has no reserved or popular values`);
+  }
+});
+
+test('bursts happen inside their window at their rate', () => {
+  const scenario = loadScenario('ransomware-campaign');
+  const start = Date.parse(scenario.start);
+  const burst = generateScenario(scenario, { seed: 1 }).filter(event => event.stream === 'ransomware-burst');
+
+  // 4/m for 30 minutes
+  assert.ok(burst.length > 90 && burst.length < 150, `${burst.length} burst events`);
+  assert.ok(burst.every(event => event.at >= start + 2 * HOUR && event.at < start + 2.5 * HOUR));
+  assert.ok(burst.every(event => event.record.tlp_marking === 'amber' && event.record.metadata.malware_family === 'LockBit'));
+
+  const doubled = generateScenario(scenario, { seed: 1, rateMultiplier: 2 }).filter(event => event.stream === 'ransomware-burst');
+  assert.ok(doubled.length > burst.length * 1.6, `${doubled.length} events at twice the rate`);
+});
+
+test('rotates a botnet C2 pool', () => {
+  const scenario = loadScenario('botnet-c2-rotation');
+  const start = Date.parse(scenario.start);
+  const c2 = generateScenario(scenario).filter(event => event.stream === 'c2-servers');
+  const window = index => new Set(c2
+    .filter(event => event.at >= start + index * 20 * 60000 && event.at < start + (index + 1) * 20 * 60000)
+    .map(event => event.record.indicator_value));
+
+  const first = window(0);
+  const second = window(1);
+  assert.ok(first.size <= 8 && second.size <= 8);
+  assert.strictEqual([...second].filter(value => first.has(value)).length <= 4, true);
+  assert.ok([...second].some(value => first.has(value)), 'half of the pool survives a rotation');
+
+  // Re-sightings keep the first sighting
+  const value = c2[0].record.indicator_value;
+  const sightings = c2.filter(event => event.record.indicator_value === value).map(event => event.record);
+  assert.ok(sightings.length > 1);
+  assert.ok(sightings.every(indicator => indicator.first_seen === sightings[0].first_seen));
+  assert.notStrictEqual(sightings[1].last_seen, sightings[0].last_seen);
+});
+
+test('crashes and rebounds the market with derived fields', () => {
+  const spy = generateScenario(loadScenario('market-crash-day'))
+    .filter(event => event.kind === 'market' && event.record.symbol === 'SPY')
+    .map(event => event.record);
+  const at = minutes => spy[minutes].close;
+
+  assert.strictEqual(spy.length, 390); // one bar a minute for 6h30m
+  assert.ok(at(209) < at(89) * 0.96, `sell-off from ${at(89)} to ${at(209)}`);
+  assert.ok(at(389) > at(299), 'rebound into the close');
+  assert.ok(spy.every(bar => bar.low <= Math.min(bar.open, bar.close) && bar.high >= Math.max(bar.open, bar.close)));
+  assert.strictEqual(spy[1].previous_close, spy[0].close);
+  assert.ok(spy[150].volume > spy[30].volume);
+});
+
+test('plays a scenario against the clock and loops it', () => {
+  const scenario = { name: 'tiny', duration: '1h', streams: [
+    { name: 'ips', kind: 'threat', rate: '1/m', types: ['ip'] },
+    { name: 'ticks', kind: 'market', symbols: { TST: 10 }, interval: '10m' }
+  ] };
+  const start = Date.parse('2024-01-01T00:00:00.000Z');
+  const player = new ScenarioPlayer(scenario, { seed: 's', start });
+  const expected = generateScenario(scenario, { seed: 's', start }).filter(event => event.kind === 'threat');
+
+  const firstHalf = player.take('threat', start + HOUR / 2);
+  const secondHalf = player.take('threat', start + HOUR - 1);
+  assert.deepStrictEqual([...firstHalf, ...secondHalf], expected.map(event => event.record));
+  assert.deepStrictEqual(player.take('threat', start + HOUR - 1), []);
+
+  assert.strictEqual(player.take('market', start + HOUR / 2).length, 4); // 0, 10, 20 and 30 minutes
+
+  const nextCycle = player.take('threat', start + 2 * HOUR - 1);
+  assert.ok(nextCycle.length > 30);
+  assert.ok(nextCycle.every(indicator => Date.parse(indicator.timestamp) >= start + HOUR));
+  assert.notDeepStrictEqual(nextCycle.map(indicator => indicator.indicator_value), secondHalf.map(indicator => indicator.indicator_value));
+});
+
+test('rejects invalid scenarios', () => {
+  assert.throws(() => loadScenario('nope'), /Unknown scenario "nope" \(known: baseline, /);
+  assert.deepStrictEqual(validateScenario({ name: 'x', duration: '1h', streams: [
+    { name: 'a', kind: 'threat', rate: 'often', types: ['ip', 'email'] },
+    { name: 'a', kind: 'market', symbols: { X: -1 }, interval: '5m' },
+    { name: 'c', kind: 'weather' }
+  ] }), [
+    'stream "a" rate: Invalid rate "often", use e.g. 3/m or 120/h',
+    'stream "a": types must list indicator types out of ip, domain, url, hash',
+    'stream "a": duplicate name',
+    'stream "a": symbols must map each symbol to its opening price',
+    'stream "c": kind must be one of threat, market'
+  ]);
+
+  assert.strictEqual(parseDuration('1h30m'), 5400000);
+  assert.strictEqual(parseRate('120/h'), 120 / HOUR);
+  assert.throws(() => parseDuration('1 hour'), /Invalid duration/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SourceLimiterRegistry, CircuitOpenError, parseRetryAfter } = require('./sourceLimiter');
+
+// Fast limits so the tests don't sit in real backoff
+const FAST = {
+  requestsPerMinute: 60000,
+  burst: 10,
+  retry: { maxRetries: 2, baseDelay: 1, maxDelay: 5 },
+  breaker: { failureThreshold: 2, cooldown: 50 }
+};
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+test('parses Retry-After seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('2'), 2000);
+  assert.strictEqual(parseRetryAfter(undefined), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+
+  const fromDate = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(fromDate > 3000 && fromDate <= 5000);
+});
+
+test('retries a 429 after the Retry-After delay', async () => {
+  const limiter = new SourceLimiterRegistry({ feed: FAST }).get('feed');
+  let calls = 0;
+
+  const started = Date.now();
+  const result = await limiter.execute(async () => {
+    calls++;
+    if (calls === 1) throw httpError(429, { 'retry-after': '0.1' });
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.ok(Date.now() - started >= 100);
+  assert.strictEqual(limiter.getState().rate_limited, 1);
+  assert.strictEqual(limiter.getState().retries, 1);
+});
+
+test('does not retry client errors', async () => {
+  const limiter = new SourceLimiterRegistry({ feed: FAST }).get('feed');
+  let calls = 0;
+
+  await assert.rejects(limiter.execute(async () => {
+    calls++;
+    throw httpError(404);
+  }), /404/);
+
+  assert.strictEqual(calls, 1);
+});
+
+test('opens the circuit after repeated failures and recovers after the cooldown', async () => {
+  const limiter = new SourceLimiterRegistry({ feed: FAST }).get('feed');
+  const failing = async () => { throw httpError(503); };
+
+  await assert.rejects(limiter.execute(failing), /503/);
+  await assert.rejects(limiter.execute(failing), /503/);
+  assert.strictEqual(limiter.getState().circuit, 'open');
+  await assert.rejects(limiter.execute(async () => 'ok'), CircuitOpenError);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(await limiter.execute(async () => 'ok'), 'ok');
+  assert.strictEqual(limiter.getState().circuit, 'closed');
+});
+
+test('client errors never open the circuit', async () => {
+  const limiter = new SourceLimiterRegistry({ feed: FAST }).get('feed');
+
+  for (const status of [404, 401, 404]) {
+    await assert.rejects(limiter.execute(async () => { throw httpError(status); }), new RegExp(String(status)));
+  }
+  assert.deepStrictEqual([limiter.getState().circuit, limiter.getState().consecutive_failures, limiter.getState().failures], ['closed', 0, 3]);
+
+  // Network errors count like server errors
+  const unreachable = async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+  await assert.rejects(limiter.execute(unreachable), /ECONNREFUSED/);
+  await assert.rejects(limiter.execute(unreachable), /ECONNREFUSED/);
+  assert.strictEqual(limiter.getState().circuit, 'open');
+});
+
+test('applies per-type default quotas and overrides', () => {
+  const registry = new SourceLimiterRegistry({ 'json:abuse.ch': { requestsPerMinute: 5 } });
+
+  assert.deepStrictEqual(registry.get('virustotal').quota, { requestsPerMinute: 4, burst: 1 });
+  assert.deepStrictEqual(registry.get('json:abuse.ch', 'json').quota, { requestsPerMinute: 5, burst: 2 });
+  assert.deepStrictEqual(registry.get('json:other', 'json').quota, { requestsPerMinute: 30, burst: 2 });
+});
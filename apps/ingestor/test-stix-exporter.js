@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ThreatIntelClient = require('./threatIntelClient');
+const { toSTIXPattern, toSTIXBundle } = require('./stixExporter');
+
+const client = new ThreatIntelClient();
+
+test('builds STIX patterns for every exportable indicator type', () => {
+  const pattern = (type, value, metadata) => toSTIXPattern({ indicator_type: type, indicator_value: value, metadata });
+
+  assert.strictEqual(pattern('ip', '2001:db8::1'), "[ipv6-addr:value = '2001:db8::1']");
+  assert.strictEqual(pattern('cidr', '198.51.100.0/24'), "[ipv4-addr:value = '198.51.100.0/24']");
+  assert.strictEqual(pattern('hash', 'd41d8cd98f00b204e9800998ecf8427e', { hash_type: 'md5' }), "[file:hashes.'MD5' = 'd41d8cd98f00b204e9800998ecf8427e']");
+  assert.strictEqual(pattern('registry_key', "HKLM\\Software\\Run'x"), "[windows-registry-key:key = 'HKLM\\\\Software\\\\Run\\'x']");
+  assert.strictEqual(pattern('asn', 'AS64500'), '[autonomous-system:number = 64500]');
+  assert.strictEqual(pattern('hash', 'not-a-digest', {}), null);
+  assert.strictEqual(pattern('unknown', 'x'), null);
+});
+
+test('exports indicators that read back the same', () => {
+  const indicators = client.normalizeJSONFeedData([
+    { type: 'domain', value: 'evil.example', confidence: 80, severity: 'high', tlp: 'amber+strict', tags: ['c2'] },
+    { type: 'url', value: "https://evil.example/a'b", confidence: 60, severity: 'low', tlp: 'green' },
+    { type: 'hash', value: 'E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855' },
+    { type: 'unknown', value: 'no pattern' }
+  ], 'partner-feed');
+
+  const bundle = toSTIXBundle(indicators);
+  assert.strictEqual(bundle.type, 'bundle');
+  assert.strictEqual(bundle.objects.length, 3);
+  assert.strictEqual(toSTIXBundle(indicators).objects[0].id, bundle.objects[0].id);
+
+  const roundTrip = client.normalizeSTIXData(bundle).map(indicator => [
+    indicator.indicator_type,
+    indicator.indicator_value,
+    indicator.confidence_score,
+    indicator.severity_level,
+    indicator.tlp_marking
+  ]);
+  assert.deepStrictEqual(roundTrip, [
+    ['domain', 'evil.example', 80, 'high', 'amber+strict'],
+    ['url', "https://evil.example/a'b", 60, 'low', 'green'],
+    ['hash', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 50, 'medium', 'clear']
+  ]);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePattern, extractObservables, StixPatternError } = require('./stixPatternParser');
+const ThreatIntelClient = require('./threatIntelClient');
+
+test('parses single comparisons into an observation AST', () => {
+  const ast = parsePattern("[ipv4-addr:value = '198.51.100.1']");
+
+  assert.deepStrictEqual(ast, {
+    type: 'observation',
+    qualifiers: [],
+    expression: {
+      type: 'comparison',
+      path: { object_type: 'ipv4-addr', components: ['value'] },
+      operator: '=',
+      negated: false,
+      value: '198.51.100.1'
+    }
+  });
+});
+
+test('respects operator precedence and qualifiers', () => {
+  const { structure, comparisons } = extractObservables(
+    "[network-traffic:dst_ref.value = '203.0.113.5' AND network-traffic:dst_port = 443] " +
+    "FOLLOWEDBY ([domain-name:value = 'a.example' OR domain-name:value = 'b.example'] AND [url:value = 'http://c.example/x']) WITHIN 300 SECONDS"
+  );
+
+  assert.strictEqual(structure, '[#0 AND #1] FOLLOWEDBY ([#2 OR #3] AND [#4]) WITHIN 300 SECONDS');
+  assert.deepStrictEqual(comparisons[2].boolean_context, ['FOLLOWEDBY', 'AND', 'OR']);
+  assert.deepStrictEqual(comparisons[4].qualifiers, [{ type: 'within', seconds: 300 }]);
+  assert.strictEqual(comparisons[1].value, 443);
+});
+
+test('yields one observable per positive comparison', () => {
+  const { observables } = extractObservables(
+    "[file:hashes.'SHA-256' = 'aa' OR file:hashes.MD5 = 'bb' OR file:name = 'dropper.exe'] AND " +
+    "[ipv6-addr:value IN ('2001:db8::1', '2001:db8::/32') AND windows-registry-key:key = 'HKEY_CURRENT_USER\\\\Run'] AND " +
+    "[url:value MATCHES '^https?://evil\\\\.' AND domain-name:value != 'ok.example']"
+  );
+
+  assert.deepStrictEqual(observables.map(o => [o.type, o.value]), [
+    ['hash', 'aa'],
+    ['hash', 'bb'],
+    ['filename', 'dropper.exe'],
+    ['ip', '2001:db8::1'],
+    ['cidr', '2001:db8::/32'],
+    ['registry_key', 'HKEY_CURRENT_USER\\Run'],
+    ['pattern', '^https?://evil\\.']
+  ]);
+  assert.strictEqual(observables[6].observable_type, 'url');
+});
+
+test('address ranges tested with ISSUBSET become CIDR observables', () => {
+  const { observables } = extractObservables(
+    "[ipv4-addr:value ISSUBSET '198.51.100.0/24' OR ipv6-addr:value ISSUBSET '2001:db8::/32' OR ipv4-addr:value ISSUPERSET '10.0.0.1']"
+  );
+
+  assert.deepStrictEqual(observables.map(o => [o.type, o.value, o.comparison.operator]), [
+    ['cidr', '198.51.100.0/24', 'ISSUBSET'],
+    ['cidr', '2001:db8::/32', 'ISSUBSET']
+  ]);
+
+  const client = new ThreatIntelClient({});
+  const [indicator] = client.normalizeSTIXData({
+    objects: [{ type: 'indicator', id: 'indicator--net', pattern_type: 'stix', pattern: "[ipv4-addr:value ISSUBSET '198.51.100.0/24']" }]
+  });
+  assert.deepStrictEqual([indicator.indicator_type, indicator.indicator_value], ['cidr', '198.51.100.0/24']);
+  assert.strictEqual(indicator.metadata.stix_pattern.operator, 'ISSUBSET');
+});
+
+test('parses typed literals and START/STOP qualifiers', () => {
+  const ast = parsePattern(
+    "[file:hashes.MD5 = h'ee' AND file:size >= 1024] START t'2024-01-01T00:00:00Z' STOP t'2024-02-01T00:00:00Z'"
+  );
+
+  assert.deepStrictEqual(ast.qualifiers, [{ type: 'start_stop', start: '2024-01-01T00:00:00Z', stop: '2024-02-01T00:00:00Z' }]);
+  assert.strictEqual(ast.expression.operands[1].operator, '>=');
+});
+
+test('rejects malformed patterns with a position', () => {
+  assert.throws(() => parsePattern("[ipv4-addr:value = '1.2.3.4'"), StixPatternError);
+  assert.throws(() => parsePattern("[ipv4-addr:value == '1.2.3.4']"), /position 18/);
+  assert.throws(() => parsePattern("ipv4-addr:value = '1.2.3.4'"), StixPatternError);
+});
+
+test('normalizeSTIXData keeps every indicator of a compound pattern', () => {
+  const client = new ThreatIntelClient({});
+  const indicators = client.normalizeSTIXData({
+    objects: [
+      {
+        type: 'indicator',
+        id: 'indicator--1',
+        pattern_type: 'stix',
+        pattern: "[ipv4-addr:value = '198.51.100.7'] OR [domain-name:value = 'c2.example']",
+        created: '2024-01-01T00:00:00Z',
+        modified: '2024-01-01T00:00:00Z'
+      },
+      { type: 'indicator', id: 'indicator--2', pattern_type: 'yara', pattern: 'rule x { condition: true }' },
+      { type: 'indicator', id: 'indicator--3', pattern_type: 'stix', pattern: '[broken' }
+    ]
+  }).filter(Boolean);
+
+  assert.deepStrictEqual(indicators.map(i => [i.id, i.indicator_type, i.indicator_value]), [
+    ['indicator--1#0', 'ip', '198.51.100.7'],
+    ['indicator--1#1', 'domain', 'c2.example']
+  ]);
+  assert.strictEqual(indicators[0].metadata.stix_pattern.structure, '[#0] OR [#1]');
+  assert.strictEqual(indicators[1].metadata.stix_id, 'indicator--1');
+});
@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaxiiClient = require('./taxiiClient');
+const ThreatIntelClient = require('./threatIntelClient');
+const { ConnectorRegistry } = require('./connectorRegistry');
+const JsonStateStore = require('./stateStore');
+
+const COLLECTIONS = [
+  { id: 'col-a', title: 'Partner A', can_read: true },
+  { id: 'col-b', title: 'Partner B', can_read: true },
+  { id: 'col-locked', title: 'Write Only', can_read: false }
+];
+
+function indicator(id, ip, dateAdded) {
+  return {
+    type: 'indicator',
+    spec_version: '2.1',
+    id: `indicator--${id}`,
+    created: dateAdded,
+    modified: dateAdded,
+    pattern: `[ipv4-addr:value = '${ip}']`,
+    pattern_type: 'stix',
+    valid_from: dateAdded,
+    date_added: dateAdded
+  };
+}
+
+// col-a pages with `next`, col-b pages by moving added_after forward
+const OBJECTS = {
+  'col-a': [
+    indicator('a1', '10.0.0.1', '2024-01-01T00:00:01.000Z'),
+    indicator('a2', '10.0.0.2', '2024-01-01T00:00:02.000Z'),
+    indicator('a3', '10.0.0.3', '2024-01-01T00:00:03.000Z')
+  ],
+  'col-b': [
+    indicator('b1', '10.0.1.1', '2024-01-02T00:00:01.000Z'),
+    indicator('b2', '10.0.1.2', '2024-01-02T00:00:02.000Z')
+  ]
+};
+
+/**
+ * Minimal TAXII 2.1 API root that records every objects request
+ */
+function startStandInServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/taxii+json;version=2.1', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers.authorization !== `Basic ${Buffer.from('analyst:secret').toString('base64')}`) {
+      return send(401, { title: 'Unauthorized' });
+    }
+
+    if (url.pathname === '/api1/collections/') {
+      return send(200, { collections: COLLECTIONS });
+    }
+
+    const match = url.pathname.match(/^\/api1\/collections\/([^/]+)\/objects\/$/);
+    if (!match || !OBJECTS[match[1]]) {
+      return send(404, { title: 'Not found' });
+    }
+
+    const collectionId = match[1];
+    const limit = parseInt(url.searchParams.get('limit')) || 100;
+    const addedAfter = url.searchParams.get('added_after');
+    const next = url.searchParams.get('next');
+    requests.push({ collectionId, addedAfter, next, limit });
+
+    const available = OBJECTS[collectionId].filter(obj => !addedAfter || obj.date_added > addedAfter);
+    const offset = next ? parseInt(next) : 0;
+    const page = available.slice(offset, offset + limit);
+    const more = offset + limit < available.length;
+    const headers = {};
+
+    if (page.length > 0) {
+      headers['X-TAXII-Date-Added-First'] = page[0].date_added;
+      headers['X-TAXII-Date-Added-Last'] = page[page.length - 1].date_added;
+    }
+
+    const envelope = { more, objects: page };
+    if (more && collectionId === 'col-a') {
+      envelope.next = String(offset + limit);
+    }
+
+    return send(200, envelope, headers);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/api1`
+      });
+    });
+  });
+}
+
+function createConfig(url, overrides = {}) {
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxii-test-'));
+
+  return {
+    taxiiUrl: url,
+    taxiiUsername: 'analyst',
+    taxiiPassword: 'secret',
+    taxiiPageSize: 2,
+    taxiiInitialLookback: 10 * 365 * 86400000,
+    taxiiCursorFile: path.join(stateDir, 'taxii-cursors.json'),
+    ...overrides
+  };
+}
+
+test('TAXII client', async (t) => {
+  const standIn = await startStandInServer();
+  t.after(() => standIn.server.close());
+
+  await t.test('walks every readable collection and follows pagination', async () => {
+    standIn.requests.length = 0;
+    const client = new TaxiiClient(createConfig(standIn.url));
+
+    const { objects, collections } = await client.fetchAllObjects();
+
+    assert.deepStrictEqual(objects.map(obj => obj.id).sort(), [
+      'indicator--a1', 'indicator--a2', 'indicator--a3', 'indicator--b1', 'indicator--b2'
+    ]);
+    assert.deepStrictEqual(collections.map(c => [c.id, c.pages]), [['col-a', 2], ['col-b', 1]]);
+    assert.ok(!standIn.requests.some(r => r.collectionId === 'col-locked'));
+
+    const pagedRequest = standIn.requests.find(r => r.collectionId === 'col-a' && r.next === '2');
+    assert.ok(pagedRequest, 'second col-a page should be requested with next');
+  });
+
+  await t.test('moves added_after forward when the server pages without next', async () => {
+    standIn.requests.length = 0;
+    const client = new TaxiiClient(createConfig(standIn.url, { taxiiPageSize: 1, taxiiCollections: ['col-b'] }));
+
+    const { objects } = await client.fetchAllObjects();
+
+    assert.deepStrictEqual(objects.map(obj => obj.id), ['indicator--b1', 'indicator--b2']);
+    assert.strictEqual(standIn.requests[1].addedAfter, '2024-01-02T00:00:01.000Z');
+  });
+
+  await t.test('only polls the configured subset of collections', async () => {
+    standIn.requests.length = 0;
+    const client = new TaxiiClient(createConfig(standIn.url, { taxiiCollections: ['Partner B'] }));
+
+    const { collections } = await client.fetchAllObjects();
+
+    assert.deepStrictEqual(collections.map(c => c.id), ['col-b']);
+    assert.ok(standIn.requests.every(r => r.collectionId === 'col-b'));
+  });
+
+  await t.test('persists cursors so a restart neither misses nor re-ingests objects', async (st) => {
+    const config = createConfig(standIn.url);
+    const client = new TaxiiClient(config);
+    const { cursors } = await client.fetchAllObjects();
+
+    // Nothing moves until the caller has published the objects
+    assert.strictEqual(fs.existsSync(config.taxiiCursorFile), false);
+    client.saveCursors(cursors);
+
+    const saved = JSON.parse(fs.readFileSync(config.taxiiCursorFile, 'utf8'));
+    assert.strictEqual(saved[`${standIn.url}|col-a`].added_after, '2024-01-01T00:00:03.000Z');
+    assert.strictEqual(saved[`${standIn.url}|col-b`].added_after, '2024-01-02T00:00:02.000Z');
+
+    // A fresh client reading the same state file only sees newer objects
+    standIn.requests.length = 0;
+    OBJECTS['col-a'].push(indicator('a4', '10.0.0.4', '2024-01-01T00:00:04.000Z'));
+    st.after(() => OBJECTS['col-a'].pop());
+
+    const restarted = new TaxiiClient({ ...config, taxiiCursorStore: new JsonStateStore(config.taxiiCursorFile) });
+    const { objects } = await restarted.fetchAllObjects();
+
+    assert.deepStrictEqual(objects.map(obj => obj.id), ['indicator--a4']);
+    assert.strictEqual(standIn.requests[0].addedAfter, '2024-01-01T00:00:03.000Z');
+  });
+
+  await t.test('the taxii connector normalizes indicators from every collection', async () => {
+    const config = createConfig(standIn.url);
+    const registry = new ConnectorRegistry({ client: new ThreatIntelClient() }).load([{
+      name: 'partner-taxii',
+      type: 'taxii',
+      url: standIn.url,
+      credentials: { username: config.taxiiUsername, password: config.taxiiPassword },
+      options: { pageSize: 2, initialLookback: config.taxiiInitialLookback, cursorFile: config.taxiiCursorFile }
+    }]);
+
+    const connector = registry.get('partner-taxii');
+    const indicators = await connector.collect();
+
+    assert.strictEqual(indicators.length, 5);
+    assert.ok(indicators.every(i => i.indicator_type === 'ip' && i.source_feeds[0] === 'partner-taxii'));
+    assert.strictEqual((await connector.healthcheck()).status, 'ok');
+
+    // A run that fails to publish fetches the same objects again
+    assert.strictEqual(fs.existsSync(config.taxiiCursorFile), false);
+    assert.strictEqual((await connector.collect()).length, 5);
+
+    connector.commit();
+    const saved = JSON.parse(fs.readFileSync(config.taxiiCursorFile, 'utf8'));
+    assert.strictEqual(saved[`${standIn.url}|col-a`].added_after, '2024-01-01T00:00:03.000Z');
+    assert.strictEqual((await connector.collect()).length, 0);
+  });
+
+  await t.test('backfills a window collection by collection without moving the cursors', async () => {
+    const config = createConfig(standIn.url);
+    const connector = new ConnectorRegistry({ client: new ThreatIntelClient() }).load([{
+      name: 'partner-taxii',
+      type: 'taxii',
+      url: standIn.url,
+      credentials: { username: config.taxiiUsername, password: config.taxiiPassword },
+      options: { pageSize: 1, cursorFile: config.taxiiCursorFile }
+    }]).get('partner-taxii');
+    const window = { from: new Date('2024-01-01T00:00:00.000Z'), to: new Date('2024-01-01T00:00:02.500Z') };
+    const walk = async checkpoint => {
+      const pages = [];
+      for await (const page of connector.backfillPages(window, checkpoint)) {
+        pages.push([page.raw.objects.map(obj => obj.id.replace('indicator--', '')), page.checkpoint]);
+      }
+      return pages;
+    };
+
+    // The page that runs past the window is the last one of a collection
+    const pages = await walk(null);
+    assert.deepStrictEqual(pages.map(([ids]) => ids), [['a1'], ['a2'], ['a3'], ['b1']]);
+    assert.deepStrictEqual(pages[1][1], { collection: 'col-a', position: { added_after: '2024-01-01T00:00:00.000Z', next: '2' } });
+    assert.deepStrictEqual(pages[2][1], { collection: 'col-b', position: {} });
+    assert.strictEqual(pages[3][1], null);
+
+    assert.deepStrictEqual((await walk(pages[1][1])).map(([ids]) => ids), [['a3'], ['b1']]);
+    assert.strictEqual(fs.existsSync(config.taxiiCursorFile), false);
+  });
+});
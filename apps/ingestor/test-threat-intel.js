@@ -1,26 +1,11 @@
 require('dotenv').config();
 const ThreatIntelClient = require('./threatIntelClient');
-
-// Test configuration
-const testConfig = {
-  virusTotalApiKey: process.env.VIRUSTOTAL_API_KEY,
-  mispUrl: process.env.MISP_URL,
-  mispApiKey: process.env.MISP_API_KEY,
-  taxiiUrl: process.env.TAXII_URL,
-  taxiiUsername: process.env.TAXII_USERNAME,
-  taxiiPassword: process.env.TAXII_PASSWORD,
-  jsonFeeds: [
-    {
-      name: 'Test Feed',
-      url: 'https://example.com/test-feed.json'
-    }
-  ]
-};
+const { ConnectorRegistry, sourcesFromEnv } = require('./connectorRegistry');
 
 async function testThreatIntelClient() {
   console.log('🧪 Testing Threat Intelligence Client...\n');
   
-  const client = new ThreatIntelClient(testConfig);
+  const client = new ThreatIntelClient();
   
   // Test validation functions
   console.log('Testing validation functions:');
@@ -102,7 +87,9 @@ async function testThreatIntelClient() {
   const stixPatterns = [
     "[ipv4-addr:value = '192.168.1.1']",
     "[domain-name:value = 'example.com']",
-    "[file:hashes.SHA-256 = 'abc123']"
+    "[file:hashes.SHA-256 = 'abc123']",
+    "[ipv6-addr:value = '2001:db8::1' OR network-traffic:dst_ref.value = '203.0.113.5']",
+    "[file:name = 'invoice.exe'] FOLLOWEDBY [windows-registry-key:key = 'HKEY_LOCAL_MACHINE\\\\Software\\\\Run']"
   ];
   
   stixPatterns.forEach(pattern => {
@@ -110,43 +97,38 @@ async function testThreatIntelClient() {
     console.log(`  ${pattern} -> type: ${parsed.type}, value: ${parsed.value}`);
   });
   
+  console.log('\nSTIX compound pattern normalization:');
+  const stixIndicators = client.normalizeSTIXData({
+    objects: [{
+      type: 'indicator',
+      id: 'indicator--test',
+      pattern: stixPatterns[4],
+      pattern_type: 'stix',
+      created: new Date().toISOString(),
+      modified: new Date().toISOString()
+    }]
+  }).filter(Boolean);
+  stixIndicators.forEach(indicator => {
+    console.log(`  ${indicator.id} -> ${indicator.indicator_type}: ${indicator.indicator_value} (${indicator.metadata.stix_pattern.structure})`);
+  });
+  
   console.log('\n' + '='.repeat(50) + '\n');
   
-  // Test API calls (only if configured)
-  if (testConfig.virusTotalApiKey) {
-    console.log('Testing VirusTotal API (this may take a moment due to rate limiting)...');
-    try {
-      const vtData = await client.getVirusTotalIntel();
-      console.log(`✓ Successfully fetched ${vtData.length} indicators from VirusTotal`);
-    } catch (error) {
-      console.log(`✗ VirusTotal API test failed: ${error.message}`);
-    }
-  } else {
-    console.log('⚠️ VirusTotal API key not configured, skipping API test');
-  }
+  // Test API calls (only for sources configured through the environment)
+  const registry = new ConnectorRegistry({ client }).load(sourcesFromEnv(process.env));
   
-  if (testConfig.mispUrl && testConfig.mispApiKey) {
-    console.log('Testing MISP API...');
-    try {
-      const mispData = await client.getMISPIntel();
-      console.log(`✓ Successfully fetched ${mispData.length} indicators from MISP`);
-    } catch (error) {
-      console.log(`✗ MISP API test failed: ${error.message}`);
-    }
-  } else {
-    console.log('⚠️ MISP configuration not complete, skipping API test');
+  if (registry.list().length === 0) {
+    console.log('⚠️ No threat intelligence sources configured, skipping API tests');
   }
   
-  if (testConfig.taxiiUrl && testConfig.taxiiUsername && testConfig.taxiiPassword) {
-    console.log('Testing STIX/TAXII API...');
+  for (const connector of registry.list()) {
+    console.log(`Testing ${connector.name} (${connector.type})...`);
     try {
-      const stixData = await client.getSTIXIntel();
-      console.log(`✓ Successfully fetched ${stixData.length} indicators from STIX/TAXII`);
+      const data = await connector.collect();
+      console.log(`✓ Successfully fetched ${data.length} indicators from ${connector.name}`);
     } catch (error) {
-      console.log(`✗ STIX/TAXII API test failed: ${error.message}`);
+      console.log(`✗ ${connector.name} API test failed: ${error.message}`);
     }
-  } else {
-    console.log('⚠️ STIX/TAXII configuration not complete, skipping API test');
   }
   
   console.log('\n' + '='.repeat(50) + '\n');
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const Connector = require('./connectors/connector');
+const TLPPolicy = require('./tlpPolicy');
+const { ConnectorRegistry, registerConnectorType, validateSources } = require('./connectorRegistry');
+const { parseTLP, mostRestrictiveTLP } = require('./tlp');
+
+const client = new ThreatIntelClient();
+
+function stixIndicator(id, value, markingRefs) {
+  return {
+    type: 'indicator',
+    id: `indicator--${id}`,
+    pattern: `[ipv4-addr:value = '${value}']`,
+    pattern_type: 'stix',
+    object_marking_refs: markingRefs
+  };
+}
+
+test('parses TLP 1.0 and 2.0 markings', () => {
+  assert.strictEqual(parseTLP('TLP:CLEAR'), 'clear');
+  assert.strictEqual(parseTLP('tlp:white'), 'clear');
+  assert.strictEqual(parseTLP('TLP:AMBER+STRICT'), 'amber+strict');
+  assert.strictEqual(parseTLP(' tlp: Amber '), 'amber');
+  assert.strictEqual(parseTLP('tlp:ex:chr'), null);
+  assert.strictEqual(mostRestrictiveTLP(['green', 'amber+strict', 'amber']), 'amber+strict');
+
+  const tags = names => names.map(name => ({ name }));
+  assert.strictEqual(client.extractTLP(tags(['tlp:green', 'TLP:AMBER+STRICT', 'osint'])), 'amber+strict');
+  assert.strictEqual(client.extractTLP(tags(['tlp:ex:chr'])), 'clear');
+  assert.strictEqual(client.extractTLP(undefined), 'clear');
+});
+
+test('reads well-known and bundled STIX marking definitions', () => {
+  const indicators = client.normalizeSTIXData({
+    objects: [
+      {
+        type: 'marking-definition',
+        id: 'marking-definition--0b4fe8f2-7c1f-4e6b-a3f7-2bb8a6b6d001',
+        definition_type: 'tlp',
+        definition: { tlp: 'green' }
+      },
+      {
+        type: 'marking-definition',
+        id: 'marking-definition--0b4fe8f2-7c1f-4e6b-a3f7-2bb8a6b6d002',
+        name: 'TLP:AMBER+STRICT',
+        extensions: {
+          'extension-definition--60a3c5c5-0d10-413e-aab3-9e08dde9e88d': { extension_type: 'property-extension', tlp_2_0: 'amber+strict' }
+        }
+      },
+      stixIndicator('1', '203.0.113.1', ['marking-definition--613f2e26-407d-48c7-9eca-b8e91df99dc9']),
+      stixIndicator('2', '203.0.113.2', ['marking-definition--939a9414-2ddd-4d32-a0cd-375ea402b003']),
+      stixIndicator('3', '203.0.113.3', ['marking-definition--0b4fe8f2-7c1f-4e6b-a3f7-2bb8a6b6d001']),
+      stixIndicator('4', '203.0.113.4', ['marking-definition--0b4fe8f2-7c1f-4e6b-a3f7-2bb8a6b6d002']),
+      stixIndicator('5', '203.0.113.5', [
+        'marking-definition--34098fce-860f-48ae-8e50-ebd3cc5e41da',
+        'marking-definition--e828b379-4e03-4974-9ac4-e53a884c97c1'
+      ]),
+      stixIndicator('6', '203.0.113.6', ['marking-definition--ffffffff-ffff-4fff-bfff-ffffffffffff'])
+    ]
+  });
+
+  assert.deepStrictEqual(indicators.map(i => i.tlp_marking), ['clear', 'amber+strict', 'green', 'amber+strict', 'red', 'clear']);
+});
+
+test('unreadable markings are treated as RED and merges keep the most restrictive', () => {
+  const make = (source, tlp) => client.createThreatIndicator({
+    id: source, type: 'domain', value: 'c2.example', confidence: 60, severity: 'high', source, tlp
+  });
+
+  assert.strictEqual(make('a', 'PAP:GREEN').tlp_marking, 'red');
+  assert.strictEqual(make('a', undefined).tlp_marking, 'clear');
+
+  const [merged] = client.deduplicateIndicators([make('open-feed', 'clear'), make('partner', 'amber')]);
+  assert.strictEqual(merged.tlp_marking, 'amber');
+});
+
+test('policy decides what each target may receive', () => {
+  const policy = new TLPPolicy({
+    sinks: { kafka: 'amber' },
+    consumers: { default: 'clear', 'soc-dashboard': { token: 'env:SOC_TOKEN', max_tlp: 'amber+strict' } },
+    exports: { stix: 'amber' }
+  }, { resolveCredential: ref => ({ 'env:SOC_TOKEN': 's3cret' })[ref] });
+
+  const indicators = ['clear', 'green', 'amber', 'amber+strict', 'red'].map(tlp => ({ tlp_marking: tlp }));
+  const allowed = (kind, name) => policy.filter(kind, name, indicators).allowed.map(i => i.tlp_marking);
+
+  assert.deepStrictEqual(allowed('sinks', 'kafka'), ['clear', 'green', 'amber']);
+  assert.deepStrictEqual(allowed('sinks', 'archive'), ['clear', 'green', 'amber', 'amber+strict']);
+  assert.deepStrictEqual(allowed('consumers', policy.consumerFor('Bearer s3cret')), ['clear', 'green', 'amber', 'amber+strict']);
+  assert.deepStrictEqual(allowed('consumers', policy.consumerFor('Bearer guess')), ['clear']);
+  assert.deepStrictEqual(allowed('exports', 'csv'), ['clear', 'green']);
+  assert.strictEqual(policy.allows('sinks', 'kafka', 'tlp:bogus'), false);
+  assert.strictEqual(JSON.stringify(policy.describe()).includes('s3cret'), false);
+
+  assert.throws(() => new TLPPolicy({ sinks: { kafka: 'orange' } }), /sinks.kafka: max TLP must be one of/);
+  assert.throws(() => new TLPPolicy({ feeds: {} }), /unknown section "feeds"/);
+});
+
+test('policy files and source-level markings', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tlp-policy-test-'));
+  const policyFile = path.join(dir, 'tlp-policy.yml');
+  fs.writeFileSync(policyFile, 'sinks:\n  kafka: green\n');
+  assert.strictEqual(TLPPolicy.fromFile(policyFile).maxTLP('sinks', 'kafka'), 'green');
+
+  class StaticConnector extends Connector {
+    async fetch() {
+      return this.options.values;
+    }
+
+    normalize(values) {
+      return values.map(([value, tlp]) => client.createThreatIndicator({
+        id: value, type: 'domain', value, confidence: 50, severity: 'medium', source: 'static', tlp
+      }));
+    }
+  }
+  registerConnectorType('static', StaticConnector, { urlOptional: true });
+
+  assert.deepStrictEqual(validateSources([{ name: 'x', type: 'static', tlp: 'purple' }]), [
+    'source "x": tlp must be one of clear, green, amber, amber+strict, red'
+  ]);
+
+  const registry = new ConnectorRegistry({ client }).load([
+    { name: 'partner', type: 'static', tlp: 'TLP:AMBER', options: { values: [['a.example', 'clear'], ['b.example', 'red']] } }
+  ]);
+  const indicators = await registry.get('partner').collect();
+
+  assert.deepStrictEqual(indicators.map(i => i.tlp_marking), ['amber', 'red']);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreatIntelClient = require('./threatIntelClient');
+const { ConnectorRegistry } = require('./connectorRegistry');
+
+const sha256 = n => String(n).repeat(64).slice(0, 64);
+
+// Five files, newest submission on the last page
+const FILES = [1, 2, 3, 4, 5].map(n => ({
+  id: sha256(n),
+  type: 'file',
+  attributes: {
+    sha256: sha256(n),
+    last_submission_date: Date.parse(`2024-05-0${n}T00:00:00Z`) / 1000,
+    last_analysis_stats: { malicious: 10, undetected: 50 }
+  }
+}));
+
+/**
+ * VirusTotal intelligence search serving the files two per page, the cursor
+ * being the offset of the next page
+ */
+function startStandInServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    requests.push(Object.fromEntries(params));
+
+    const offset = Number(params.get('cursor') || 0);
+    const limit = Number(params.get('limit'));
+    const next = offset + limit < FILES.length ? String(offset + limit) : undefined;
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ data: FILES.slice(offset, offset + limit), meta: next ? { cursor: next } : {} }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+test('VirusTotal connector', async (t) => {
+  const vt = await startStandInServer();
+  t.after(() => vt.server.close());
+
+  const load = options => new ConnectorRegistry({
+    client: new ThreatIntelClient(),
+    resolveCredential: () => 'vt-key',
+    // The public API quota of 4 lookups a minute would stall the test
+    rateLimits: { virustotal: { requestsPerMinute: 60000, burst: 10 } },
+    feedStateFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'virustotal-test-')), 'feed-state.json')
+  }).load([{
+    name: 'virustotal',
+    type: 'virustotal',
+    url: vt.url,
+    credentials: { apiKey: 'env:VIRUSTOTAL_API_KEY' },
+    options: { limit: 2, ...options }
+  }]).get('virustotal');
+
+  await t.test('pages through the search with its cursor', async () => {
+    const connector = load();
+    const indicators = await connector.collect();
+
+    assert.deepStrictEqual(indicators.map(i => i.indicator_value), FILES.map(file => file.id));
+    assert.deepStrictEqual(vt.requests.map(r => r.cursor), [undefined, '2', '4']);
+
+    connector.commit();
+    assert.strictEqual(connector.highWaterMark, '2024-05-05T00:00:00.000Z');
+
+    vt.requests.length = 0;
+    await connector.collect();
+    assert.strictEqual(vt.requests[0].query, 'type:file positives:5+ ls:2024-05-05T00:00:00+');
+  });
+
+  await t.test('keeps the mark when it stops at maxPages', async () => {
+    vt.requests.length = 0;
+    const connector = load({ maxPages: 2 });
+    const indicators = await connector.collect();
+
+    assert.strictEqual(indicators.length, 4);
+    assert.strictEqual(vt.requests.length, 2);
+
+    connector.commit();
+    assert.strictEqual(connector.highWaterMark, null);
+  });
+});
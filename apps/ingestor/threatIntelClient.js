@@ -1,167 +1,58 @@
-const axios = require('axios');
 const crypto = require('crypto');
-
+const net = require('net');
+const { domainToASCII } = require('url');
+const { extractObservables } = require('./stixPatternParser');
+const { parseCIDR } = require('./ipUtils');
+const { canonicalizeIndicator, classifyHash } = require('./indicatorCanonicalizer');
+const { fuseConfidence, FUSION_STRATEGIES } = require('./confidenceFusion');
+const { parseTLP, mostRestrictiveTLP, tlpFromTags, tlpFromMarkings } = require('./tlp');
+const metrics = require('./metrics');
+
+// MISP galaxy types whose clusters name a threat actor or a malware family
+const MISP_ACTOR_GALAXIES = new Set([
+  'threat-actor', 'mitre-intrusion-set', 'mitre-enterprise-attack-intrusion-set', 'microsoft-activity-group'
+]);
+const MISP_MALWARE_GALAXIES = new Set([
+  'malpedia', 'mitre-malware', 'mitre-enterprise-attack-malware', 'mitre-tool', 'tool',
+  'ransomware', 'rat', 'botnet', 'backdoor', 'banker', 'stealer', 'exploit-kit', 'android'
+]);
+
+const MISP_SIGHTING_TYPES = { '0': 'positive', '1': 'false_positive', '2': 'expiration' };
+
+// Confidence for MISP attributes without a decaying model score
+const MISP_BASE_CONFIDENCE = 50;
+const MISP_SIGHTING_BONUS = 5;
+const MISP_MAX_SIGHTING_BONUS = 30;
+const MISP_FALSE_POSITIVE_PENALTY = 20;
+const MISP_EXPIRED_CONFIDENCE = 10;
+
+// MISP sends booleans or '0'/'1' strings depending on version
+const isMISPTrue = value => value === true || value === '1' || value === 1;
+
+// Severity levels of the event schema, and what JSON feeds call them otherwise
+const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+const SEVERITY_ALIASES = { informational: 'info', moderate: 'medium', severe: 'high' };
+
+/**
+ * Normalizes and validates indicators from every source type; fetching is
+ * done by the connectors in ./connectors
+ */
 class ThreatIntelClient {
-  constructor(config) {
-    this.config = config;
-    this.rateLimitDelay = 5000; // 5 seconds between calls
-    this.lastCallTime = 0;
-    this.threatCache = new Map(); // For deduplication
-  }
-
-  /**
-   * Rate limiting to respect API limits
-   */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastCallTime;
-    
-    if (timeSinceLastCall < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastCall;
-      console.log(`Rate limiting: waiting ${waitTime}ms before next API call`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    this.lastCallTime = Date.now();
-  }
-
-  /**
-   * Fetch threat intelligence from VirusTotal API
-   */
-  async getVirusTotalIntel() {
-    if (!this.config.virusTotalApiKey) {
-      throw new Error('VirusTotal API key not configured');
-    }
-
-    await this.waitForRateLimit();
-    
-    try {
-      // Get recent malicious files
-      const response = await axios.get('https://www.virustotal.com/api/v3/intelligence/search', {
-        headers: {
-          'x-apikey': this.config.virusTotalApiKey
-        },
-        params: {
-          query: 'type:file positives:5+',
-          limit: 10
-        },
-        timeout: 15000
-      });
-
-      return this.normalizeVirusTotalData(response.data);
-    } catch (error) {
-      console.error('Error fetching VirusTotal data:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Fetch threat intelligence from MISP instance
-   */
-  async getMISPIntel() {
-    if (!this.config.mispUrl || !this.config.mispApiKey) {
-      throw new Error('MISP configuration not complete');
-    }
-
-    await this.waitForRateLimit();
-    
-    try {
-      const response = await axios.get(`${this.config.mispUrl}/events/restSearch`, {
-        headers: {
-          'Authorization': this.config.mispApiKey,
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        data: {
-          returnFormat: 'json',
-          limit: 50,
-          published: true,
-          timestamp: Math.floor(Date.now() / 1000) - 86400 // Last 24 hours
-        },
-        timeout: 15000
-      });
-
-      return this.normalizeMISPData(response.data);
-    } catch (error) {
-      console.error('Error fetching MISP data:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Fetch threat intelligence from STIX/TAXII server
-   */
-  async getSTIXIntel() {
-    if (!this.config.taxiiUrl || !this.config.taxiiUsername || !this.config.taxiiPassword) {
-      throw new Error('STIX/TAXII configuration not complete');
-    }
-
-    await this.waitForRateLimit();
-    
-    try {
-      // Get collections first
-      const collectionsResponse = await axios.get(`${this.config.taxiiUrl}/collections/`, {
-        auth: {
-          username: this.config.taxiiUsername,
-          password: this.config.taxiiPassword
-        },
-        headers: {
-          'Accept': 'application/vnd.oasis.taxii+json; version=2.1'
-        },
-        timeout: 15000
-      });
-
-      if (!collectionsResponse.data.collections || collectionsResponse.data.collections.length === 0) {
-        throw new Error('No TAXII collections available');
-      }
-
-      // Get objects from first collection
-      const collectionId = collectionsResponse.data.collections[0].id;
-      const objectsResponse = await axios.get(`${this.config.taxiiUrl}/collections/${collectionId}/objects/`, {
-        auth: {
-          username: this.config.taxiiUsername,
-          password: this.config.taxiiPassword
-        },
-        headers: {
-          'Accept': 'application/vnd.oasis.stix+json; version=2.1'
-        },
-        params: {
-          limit: 100,
-          added_after: new Date(Date.now() - 86400000).toISOString() // Last 24 hours
-        },
-        timeout: 15000
-      });
-
-      return this.normalizeSTIXData(objectsResponse.data);
-    } catch (error) {
-      console.error('Error fetching STIX/TAXII data:', error.message);
-      throw error;
-    }
-  }
-
   /**
-   * Fetch threat intelligence from custom JSON feeds
+   * @param {Object} config - Client options
+   * @param {string} config.fusionStrategy - How confidences of the same
+   *   indicator from several sources combine (noisy_or, weighted_mean, max)
+   * @param {Object} config.sourceReliability - Source name to Admiralty grade
+   *   (A-F), for sources not polled through a connector
+   * @param {Function} config.onReject - Called with (indicator, reason) for
+   *   every record that fails validation and is dropped
    */
-  async getJSONFeedIntel() {
-    const results = [];
+  constructor(config = {}) {
+    this.config = config;
     
-    for (const feed of this.config.jsonFeeds || []) {
-      try {
-        await this.waitForRateLimit();
-        
-        const response = await axios.get(feed.url, {
-          headers: feed.headers || {},
-          timeout: 15000
-        });
-
-        const normalizedData = this.normalizeJSONFeedData(response.data, feed.name);
-        results.push(...normalizedData);
-      } catch (error) {
-        console.error(`Error fetching JSON feed ${feed.name}:`, error.message);
-      }
+    if (config.fusionStrategy && !FUSION_STRATEGIES.has(config.fusionStrategy)) {
+      throw new Error(`Unknown fusion strategy "${config.fusionStrategy}" (known: ${[...FUSION_STRATEGIES.keys()].join(', ')})`);
     }
-    
-    return results;
   }
 
   /**
@@ -186,7 +77,7 @@ class ThreatIntelClient {
         last_seen: attributes.last_analysis_date ? new Date(attributes.last_analysis_date * 1000).toISOString() : new Date().toISOString(),
         tags: attributes.tags || ['malware'],
         source: 'virustotal',
-        tlp: 'white',
+        tlp: 'clear',
         metadata: {
           detections: malicious,
           total_engines: total,
@@ -201,40 +92,93 @@ class ThreatIntelClient {
    * Normalize MISP data to standard format
    */
   normalizeMISPData(data) {
-    if (!data.response) return [];
+    if (!data || !data.response) return [];
     
     const indicators = [];
     
-    for (const event of data.response) {
-      if (!event.Event || !event.Event.Attribute) continue;
+    for (const { Event: event } of data.response) {
+      if (!event) continue;
       
-      for (const attribute of event.Event.Attribute) {
-        if (attribute.to_ids === '1') { // Only IoCs marked for detection
-          indicators.push(this.createThreatIndicator({
-            id: `misp_${attribute.uuid}`,
-            type: this.mapMISPTypeToStandard(attribute.type),
-            value: attribute.value,
-            confidence: this.calculateMISPConfidence(attribute),
-            severity: this.mapMISPThreatLevel(event.Event.threat_level_id),
-            first_seen: new Date(attribute.timestamp * 1000).toISOString(),
-            last_seen: new Date().toISOString(),
-            tags: attribute.Tag ? attribute.Tag.map(tag => tag.name) : [],
-            source: 'misp',
-            tlp: this.extractTLP(attribute.Tag),
-            metadata: {
-              event_id: event.Event.id,
-              event_info: event.Event.info,
-              category: attribute.category,
-              comment: attribute.comment
-            }
-          }));
+      // Top-level attributes plus the attributes of every MISP object
+      const attributes = [
+        ...(event.Attribute || []).map(attribute => ({ attribute, object: null })),
+        ...(event.Object || [])
+          .flatMap(object => (object.Attribute || []).map(attribute => ({ attribute, object })))
+      ];
+      
+      for (const { attribute, object } of attributes) {
+        // Only IoCs marked for detection
+        if (!isMISPTrue(attribute.to_ids)) continue;
+        
+        const parts = this.normalizeMISPAttribute(attribute, event, object);
+        
+        // Deleted attributes withdraw indicators published earlier
+        if (isMISPTrue(attribute.deleted) || (object && isMISPTrue(object.deleted))) {
+          parts.forEach(indicator => this.markRevoked(indicator, 'misp_deleted'));
         }
+        indicators.push(...parts);
       }
     }
     
     return indicators;
   }
 
+  /**
+   * Turn one MISP attribute into indicators, composite types (domain|ip,
+   * filename|sha256) yield one per part
+   * @param {Object} attribute - MISP attribute
+   * @param {Object} event - Event the attribute belongs to
+   * @param {Object} object - MISP object holding the attribute, if any
+   */
+  normalizeMISPAttribute(attribute, event, object) {
+    const attributeTags = attribute.Tag || [];
+    const eventTags = event.Tag || [];
+    const galaxies = this.extractMISPGalaxies(
+      [...(event.Galaxy || []), ...(attribute.Galaxy || [])],
+      [...eventTags, ...attributeTags]
+    );
+    const tags = [...new Set([
+      ...[...eventTags, ...attributeTags].map(tag => tag.name).filter(name => !galaxies.mappedTags.includes(name)),
+      ...galaxies.tags
+    ])];
+    
+    const sightings = this.summarizeMISPSightings(attribute.Sighting);
+    const decay = this.extractMISPDecayScore(attribute.decay_score);
+    const timestamp = attribute.timestamp ? new Date(attribute.timestamp * 1000).toISOString() : new Date().toISOString();
+    const lastSeen = [attribute.last_seen, sightings.last_positive, timestamp]
+      .filter(Boolean)
+      .sort((a, b) => new Date(b) - new Date(a))[0];
+    
+    const parts = this.splitMISPValue(attribute.type, attribute.value);
+    
+    return parts.map((part, index) => this.createThreatIndicator({
+      id: parts.length > 1 ? `misp_${attribute.uuid}#${index}` : `misp_${attribute.uuid}`,
+      type: part.type,
+      value: part.value,
+      confidence: this.calculateMISPConfidence(attribute, sightings, decay),
+      severity: this.mapMISPThreatLevel(event.threat_level_id),
+      first_seen: attribute.first_seen || timestamp,
+      last_seen: lastSeen,
+      tags,
+      source: 'misp',
+      tlp: this.extractTLP([...attributeTags, ...eventTags]),
+      metadata: {
+        event_id: event.id,
+        event_uuid: event.uuid,
+        event_info: event.info,
+        category: attribute.category,
+        comment: attribute.comment,
+        misp_type: attribute.type,
+        object: object ? { name: object.name, meta_category: object['meta-category'], uuid: object.uuid } : null,
+        threat_actors: galaxies.threat_actors,
+        malware_families: galaxies.malware_families,
+        galaxy_clusters: galaxies.clusters,
+        sightings,
+        decay
+      }
+    }));
+  }
+
   /**
    * Normalize STIX data to standard format
    */
@@ -242,31 +186,67 @@ class ThreatIntelClient {
     if (!data.objects) return [];
     
     const indicators = [];
+    const markingDefinitions = new Map(
+      data.objects.filter(obj => obj.type === 'marking-definition').map(obj => [obj.id, obj])
+    );
     
     for (const obj of data.objects) {
-      if (obj.type === 'indicator') {
-        const pattern = obj.pattern || '';
-        const { type, value } = this.parseSTIXPattern(pattern);
+      if (obj.type !== 'indicator') continue;
+      
+      // Snort, YARA and Sigma patterns are not STIX patterning language
+      if (obj.pattern_type && obj.pattern_type !== 'stix') continue;
+      
+      let parsed;
+      try {
+        parsed = extractObservables(obj.pattern || '');
+      } catch (error) {
+        console.warn(`Skipping STIX indicator ${obj.id}: ${error.message}`);
+        continue;
+      }
+      
+      const { observables, structure, comparisons } = parsed;
+      if (observables.length === 0) {
+        console.warn(`Skipping STIX indicator ${obj.id}: no indicator value in pattern ${obj.pattern}`);
+        continue;
+      }
+      
+      observables.forEach((observable, index) => {
+        const { comparison } = observable;
         
-        if (type && value) {
-          indicators.push(this.createThreatIndicator({
-            id: obj.id,
-            type: type,
-            value: value,
-            confidence: obj.confidence || 50,
-            severity: this.mapSTIXLabelsToSeverity(obj.labels),
-            first_seen: obj.created || new Date().toISOString(),
-            last_seen: obj.modified || new Date().toISOString(),
-            tags: obj.labels || [],
-            source: 'stix',
-            tlp: this.extractSTIXTLP(obj.object_marking_refs),
-            metadata: {
-              kill_chain_phases: obj.kill_chain_phases,
-              description: obj.description
+        const indicator = this.createThreatIndicator({
+          id: observables.length > 1 ? `${obj.id}#${index}` : obj.id,
+          type: observable.type,
+          value: observable.value,
+          confidence: obj.confidence || 50,
+          severity: this.mapSTIXLabelsToSeverity(obj.labels),
+          first_seen: obj.created || new Date().toISOString(),
+          last_seen: obj.modified || new Date().toISOString(),
+          tags: obj.labels || [],
+          source: 'stix',
+          tlp: this.extractSTIXTLP(obj.object_marking_refs, markingDefinitions),
+          metadata: {
+            kill_chain_phases: obj.kill_chain_phases,
+            description: obj.description,
+            stix_id: obj.id,
+            valid_until: obj.valid_until,
+            stix_pattern: {
+              pattern: obj.pattern,
+              structure,
+              comparison_count: comparisons.length,
+              comparison_index: comparison.index,
+              observation_index: comparison.observation_index,
+              object_path: comparison.object_path,
+              operator: comparison.operator,
+              boolean_context: comparison.boolean_context,
+              qualifiers: comparison.qualifiers,
+              observable_type: observable.observable_type
             }
-          }));
-        }
-      }
+          }
+        });
+        
+        if (obj.revoked === true) this.markRevoked(indicator, 'stix_revoked');
+        indicators.push(indicator);
+      });
     }
     
     return indicators;
@@ -280,41 +260,81 @@ class ThreatIntelClient {
       data = [data];
     }
     
+    // Feeds send numeric IDs, capitalised severities and tags that aren't
+    // strings; the event schema only takes the canonical forms
     return data.map(item => {
+      const hasId = item.id !== undefined && item.id !== null && item.id !== '';
+      const tags = item.tags === undefined || item.tags === null ? [feedName] : [].concat(item.tags);
+      
       return this.createThreatIndicator({
-        id: item.id || this.generateId(item),
+        id: hasId ? String(item.id) : this.generateId(item),
         type: item.type || 'unknown',
         value: item.value || item.indicator,
         confidence: item.confidence || 50,
-        severity: item.severity || 'medium',
+        severity: this.mapFeedSeverity(item.severity),
         first_seen: item.first_seen || new Date().toISOString(),
         last_seen: item.last_seen || new Date().toISOString(),
-        tags: item.tags || [feedName],
+        tags: tags.filter(tag => tag !== null && tag !== undefined).map(String),
         source: feedName,
-        tlp: item.tlp || 'white',
+        tlp: item.tlp || 'clear',
         metadata: item.metadata || {}
       });
     });
   }
 
+  /**
+   * Normalize IOCs extracted from an unstructured report, see iocExtractor.js
+   * @param {Object[]} extracted - { type, value, occurrences }
+   * @param {Object} report - Report provenance and the defaults applied to
+   *   every indicator (source, confidence, severity, tlp, tags)
+   */
+  normalizeReportIOCs(extracted, report) {
+    const seenAt = report.extracted_at || new Date().toISOString();
+
+    return extracted.map(ioc => this.createThreatIndicator({
+      id: `report-${report.hash.slice(0, 16)}-${this.generateIndicatorHash(ioc.type, ioc.value).slice(0, 16)}`,
+      type: ioc.type,
+      value: ioc.value,
+      confidence: report.confidence,
+      severity: report.severity,
+      first_seen: seenAt,
+      last_seen: seenAt,
+      tags: report.tags,
+      source: report.source,
+      tlp: report.tlp,
+      metadata: {
+        report: { title: report.title, url: report.url, hash: report.hash },
+        occurrences: ioc.occurrences
+      }
+    })).filter(Boolean);
+  }
+
   /**
    * Create standardized threat indicator object
    */
   createThreatIndicator(data) {
+    // Refanged and canonical, so feeds formatting a value differently dedupe
+    const canonical = canonicalizeIndicator(data.type, data.value);
+    const metadata = { ...data.metadata };
+    
+    if (canonical.value !== data.value) metadata.original_value = data.value;
+    if (canonical.hash_type) metadata.hash_type = canonical.hash_type;
+    
     const indicator = {
       id: data.id,
-      indicator_type: data.type,
-      indicator_value: data.value,
+      indicator_type: canonical.type,
+      indicator_value: canonical.value,
       confidence_score: Math.min(100, Math.max(0, data.confidence)),
       severity_level: data.severity,
       first_seen: data.first_seen,
       last_seen: data.last_seen,
       tags: data.tags || [],
       source_feeds: [data.source],
-      tlp_marking: data.tlp,
-      metadata: data.metadata || {},
+      // Markings we cannot read are handled as RED rather than leaked
+      tlp_marking: parseTLP(data.tlp) || (data.tlp ? 'red' : 'clear'),
+      metadata,
       timestamp: new Date().toISOString(),
-      hash: this.generateIndicatorHash(data.type, data.value)
+      hash: this.generateIndicatorHash(canonical.type, canonical.value)
     };
 
     // Validate indicator
@@ -322,9 +342,27 @@ class ThreatIntelClient {
       return indicator;
     }
     
+    if (this.config.onReject) {
+      const reason = indicator.indicator_value && indicator.indicator_type
+        ? `not a valid ${indicator.indicator_type}`
+        : 'missing indicator type or value';
+      this.config.onReject(indicator, reason);
+    }
     return null;
   }
 
+  /**
+   * Flag an indicator as withdrawn by its source
+   * @param {Object} indicator - Normalized indicator, may be null
+   * @param {string} reason - Why the source withdrew it
+   */
+  markRevoked(indicator, reason) {
+    if (!indicator) return;
+    
+    indicator.revoked = true;
+    indicator.revocation_reason = reason;
+  }
+
   /**
    * Validate threat indicator
    */
@@ -338,6 +376,8 @@ class ThreatIntelClient {
     switch (indicator.indicator_type) {
       case 'ip':
         return this.isValidIP(indicator.indicator_value);
+      case 'cidr':
+        return this.isValidCIDR(indicator.indicator_value);
       case 'domain':
         return this.isValidDomain(indicator.indicator_value);
       case 'hash':
@@ -353,54 +393,104 @@ class ThreatIntelClient {
 
   /**
    * Deduplicate indicators based on hash
+   *
+   * Reports of the same indicator from several sources are merged into one
+   * whose confidence is fused from every source's confidence, weighted by
+   * the source's reliability, and whose severity is the highest reported.
+   * A single source's confidence is weighted the same way.
+   * @param {Object[]} indicators - Normalized indicators
+   * @param {Object} options - { reliability: { source: 'A'-'F' }, strategy }
    */
-  deduplicateIndicators(indicators) {
+  deduplicateIndicators(indicators, options = {}) {
     const unique = new Map();
     
     for (const indicator of indicators) {
       if (!indicator) continue;
       
-      const hash = indicator.hash;
+      const hash = this.deduplicationKey(indicator);
       if (unique.has(hash)) {
-        // Merge sources if duplicate found
-        const existing = unique.get(hash);
-        existing.source_feeds = [...new Set([...existing.source_feeds, ...indicator.source_feeds])];
-        existing.last_seen = indicator.last_seen; // Update to latest
+        unique.get(hash).push(indicator);
       } else {
-        unique.set(hash, indicator);
+        unique.set(hash, [indicator]);
       }
     }
     
-    return Array.from(unique.values());
+    return Array.from(unique.values()).map(group => this.mergeIndicators(group, options));
   }
 
   /**
-   * Fetch all threat intelligence sources
+   * Key under which deduplicateIndicators merges an indicator; revocations
+   * stay apart from sightings of the same indicator
    */
-  async getAllThreatIntel() {
-    const results = [];
+  deduplicationKey(indicator) {
+    return indicator.revoked ? `${indicator.hash}:revoked` : indicator.hash;
+  }
+
+  /**
+   * Merge same-hash indicators into the first one
+   * @param {Object[]} group - Indicators sharing a hash
+   * @param {Object} options - See deduplicateIndicators
+   */
+  mergeIndicators(group, options = {}) {
+    const [merged, ...duplicates] = group;
+    const sources = new Set(group.flatMap(indicator => indicator.source_feeds));
     
-    // Fetch from all configured sources
-    const sources = [
-      { name: 'VirusTotal', method: () => this.getVirusTotalIntel() },
-      { name: 'MISP', method: () => this.getMISPIntel() },
-      { name: 'STIX/TAXII', method: () => this.getSTIXIntel() },
-      { name: 'JSON Feeds', method: () => this.getJSONFeedIntel() }
-    ];
+    // Single-source indicators are weighted by reliability like fused ones,
+    // so corroboration by equally reliable sources never lowers a score
+    const fused = fuseConfidence(group, {
+      strategy: options.strategy || this.config.fusionStrategy,
+      reliability: { ...this.config.sourceReliability, ...options.reliability }
+    });
+    merged.confidence_score = fused.confidence;
+    
+    // A feed repeating itself is not corroboration
+    if (sources.size > 1) {
+      merged.severity_level = fused.severity;
+      merged.tlp_marking = mostRestrictiveTLP(group.map(indicator => indicator.tlp_marking));
+      merged.metadata = { ...merged.metadata, confidence_fusion: fused.fusion };
+    }
+    
+    for (const indicator of duplicates) {
+      merged.last_seen = indicator.last_seen; // Update to latest
+    }
+    merged.source_feeds = [...sources];
+    
+    return merged;
+  }
+
+  /**
+   * Collect indicators from a set of source connectors
+   * @param {Connector[]} connectors - Connectors to poll, see ConnectorRegistry
+   */
+  async getAllThreatIntel(connectors) {
+    const results = [];
+    const reliability = {};
+
+    for (const connector of connectors) {
+      if (connector.reliability !== null && connector.reliability !== undefined) {
+        reliability[connector.name] = connector.reliability;
+      }
 
-    for (const source of sources) {
       try {
-        console.log(`Fetching threat intelligence from ${source.name}...`);
-        const data = await source.method();
+        console.log(`Fetching threat intelligence from ${connector.name}...`);
+        const data = await connector.collect();
         results.push(...data);
-        console.log(`✓ Fetched ${data.length} indicators from ${source.name}`);
+        console.log(`✓ Fetched ${data.length} indicators from ${connector.name}`);
       } catch (error) {
-        console.error(`✗ Failed to fetch from ${source.name}:`, error.message);
+        console.error(`✗ Failed to fetch from ${connector.name}:`, error.message);
       }
     }
 
+    // Reports merged into an earlier one of the same indicator, by source
+    const seen = new Set();
+    for (const indicator of results) {
+      const key = this.deduplicationKey(indicator);
+      if (seen.has(key)) metrics.sourceIndicators.inc({ source: indicator.source_feeds[0], outcome: 'deduplicated' });
+      seen.add(key);
+    }
+
     // Deduplicate and return
-    const deduplicated = this.deduplicateIndicators(results);
+    const deduplicated = this.deduplicateIndicators(results, { reliability });
     console.log(`Total indicators after deduplication: ${deduplicated.length}`);
     
     return deduplicated;
@@ -408,21 +498,24 @@ class ThreatIntelClient {
 
   // Helper methods for validation
   isValidIP(ip) {
-    const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-    const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
-    return ipv4Regex.test(ip) || ipv6Regex.test(ip);
+    // Compressed and IPv4-mapped IPv6 included
+    return net.isIP(ip) !== 0;
+  }
+
+  isValidCIDR(cidr) {
+    return parseCIDR(cidr) !== null;
   }
 
   isValidDomain(domain) {
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9](?:\.[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9])*$/;
-    return domainRegex.test(domain);
+    // IDNs are checked in their punycode form
+    const ascii = domainToASCII(String(domain));
+    const domainRegex = /^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+    return ascii.length > 0 && ascii.length <= 253 && domainRegex.test(ascii);
   }
 
   isValidHash(hash) {
-    const md5Regex = /^[a-fA-F0-9]{32}$/;
-    const sha1Regex = /^[a-fA-F0-9]{40}$/;
-    const sha256Regex = /^[a-fA-F0-9]{64}$/;
-    return md5Regex.test(hash) || sha1Regex.test(hash) || sha256Regex.test(hash);
+    // MD5, SHA1, SHA256, SHA512 or SSDeep
+    return classifyHash(hash) !== null;
   }
 
   isValidURL(url) {
@@ -452,27 +545,155 @@ class ThreatIntelClient {
     const typeMap = {
       'ip-src': 'ip',
       'ip-dst': 'ip',
+      'ip': 'ip', // second half of domain|ip
       'domain': 'domain',
       'hostname': 'domain',
       'url': 'url',
+      'link': 'url',
       'md5': 'hash',
       'sha1': 'hash',
       'sha256': 'hash',
+      'filename': 'filename',
+      'email': 'email',
       'email-src': 'email',
-      'email-dst': 'email'
+      'email-dst': 'email',
+      'regkey': 'registry_key',
+      'mutex': 'mutex',
+      'AS': 'asn'
     };
     return typeMap[mispType] || 'unknown';
   }
 
-  calculateMISPConfidence(attribute) {
-    // MISP doesn't have direct confidence, calculate based on available data
-    let confidence = 50; // Base confidence
+  /**
+   * Split a MISP value into standard typed parts, dropping parts such as
+   * ports that are no indicator on their own
+   */
+  splitMISPValue(mispType, value) {
+    const types = mispType.split('|');
+    const values = types.length > 1 ? String(value).split('|') : [value];
     
-    if (attribute.distribution === '0') confidence += 20; // Organization only
-    if (attribute.sharing_group_id) confidence += 10; // Shared with group
-    if (attribute.comment) confidence += 10; // Has context
+    const parts = types.map((type, index) => {
+      const standardType = this.mapMISPTypeToStandard(type);
+      const partValue = values[index];
+      // ip-src/ip-dst may hold a network
+      return {
+        type: standardType === 'ip' && String(partValue).includes('/') ? 'cidr' : standardType,
+        value: partValue
+      };
+    });
     
-    return Math.min(100, confidence);
+    return types.length > 1
+      ? parts.filter(part => part.type !== 'unknown' && part.value)
+      : parts;
+  }
+
+  /**
+   * Map galaxy clusters, attached directly or as misp-galaxy tags, to actor
+   * and malware tags
+   * @param {Object[]} galaxies - Event and attribute Galaxy entries
+   * @param {Object[]} tags - Event and attribute tags
+   */
+  extractMISPGalaxies(galaxies = [], tags = []) {
+    const clusters = [];
+    
+    for (const galaxy of galaxies) {
+      for (const cluster of galaxy.GalaxyCluster || []) {
+        clusters.push({ galaxy: cluster.type || galaxy.type, value: cluster.value, uuid: cluster.uuid || null, tag_name: cluster.tag_name });
+      }
+    }
+    
+    for (const tag of tags) {
+      const match = /^misp-galaxy:([^=]+)="(.+)"$/.exec(tag.name || '');
+      if (match && !clusters.some(cluster => cluster.galaxy === match[1] && cluster.value === match[2])) {
+        clusters.push({ galaxy: match[1], value: match[2], uuid: null, tag_name: tag.name });
+      }
+    }
+    
+    const result = { tags: [], mappedTags: [], threat_actors: [], malware_families: [], clusters: [] };
+    
+    for (const cluster of clusters) {
+      if (MISP_ACTOR_GALAXIES.has(cluster.galaxy)) {
+        result.threat_actors.push(cluster.value);
+        result.tags.push(`actor:${cluster.value}`);
+      } else if (MISP_MALWARE_GALAXIES.has(cluster.galaxy)) {
+        result.malware_families.push(cluster.value);
+        result.tags.push(`malware:${cluster.value}`);
+      } else if (cluster.tag_name) {
+        result.tags.push(cluster.tag_name);
+      }
+      
+      if (cluster.tag_name) result.mappedTags.push(cluster.tag_name);
+      result.clusters.push({ galaxy: cluster.galaxy, value: cluster.value, uuid: cluster.uuid });
+    }
+    
+    result.threat_actors = [...new Set(result.threat_actors)];
+    result.malware_families = [...new Set(result.malware_families)];
+    return result;
+  }
+
+  /**
+   * Count MISP sightings by type and keep the latest date of each
+   * @param {Object[]} sightings - Attribute Sighting entries
+   */
+  summarizeMISPSightings(sightings = []) {
+    const summary = {
+      positive: 0,
+      false_positive: 0,
+      expiration: 0,
+      last_positive: null,
+      last_false_positive: null,
+      expired_at: null
+    };
+    const latestField = { positive: 'last_positive', false_positive: 'last_false_positive', expiration: 'expired_at' };
+    
+    for (const sighting of sightings) {
+      const kind = MISP_SIGHTING_TYPES[String(sighting.type)] || 'positive';
+      summary[kind]++;
+      
+      if (sighting.date_sighting) {
+        const date = new Date(Number(sighting.date_sighting) * 1000).toISOString();
+        const field = latestField[kind];
+        if (!summary[field] || date > summary[field]) summary[field] = date;
+      }
+    }
+    
+    return summary;
+  }
+
+  /**
+   * Highest score among the decaying models MISP evaluated for an attribute
+   * @param {Object[]} decayScores - Attribute decay_score entries
+   */
+  extractMISPDecayScore(decayScores) {
+    if (!Array.isArray(decayScores) || decayScores.length === 0) return null;
+    
+    const best = decayScores.reduce((top, entry) => (Number(entry.score) > Number(top.score) ? entry : top));
+    return {
+      score: Number(best.score),
+      base_score: best.base_score !== undefined ? Number(best.base_score) : null,
+      decayed: Boolean(best.decayed),
+      model: best.DecayingModel ? best.DecayingModel.name : null
+    };
+  }
+
+  /**
+   * Confidence from the decaying model score when MISP provides one, else from
+   * sightings; false positives and expiration sightings always count against it
+   */
+  calculateMISPConfidence(attribute, sightings = this.summarizeMISPSightings(attribute.Sighting), decay = this.extractMISPDecayScore(attribute.decay_score)) {
+    // Decaying models already account for age and positive sightings
+    let confidence = decay
+      ? decay.score
+      : MISP_BASE_CONFIDENCE + Math.min(MISP_MAX_SIGHTING_BONUS, sightings.positive * MISP_SIGHTING_BONUS);
+    
+    confidence -= sightings.false_positive * MISP_FALSE_POSITIVE_PENALTY;
+    
+    // Expired after the last positive sighting
+    if (sightings.expired_at && (!sightings.last_positive || sightings.expired_at >= sightings.last_positive)) {
+      confidence = Math.min(confidence, MISP_EXPIRED_CONFIDENCE);
+    }
+    
+    return Math.round(Math.min(100, Math.max(0, confidence)));
   }
 
   mapMISPThreatLevel(levelId) {
@@ -485,32 +706,22 @@ class ThreatIntelClient {
     return levelMap[levelId] || 'medium';
   }
 
+  /**
+   * TLP level of MISP tags, TLP 1.0 and 2.0 (tlp:white, tlp:clear, tlp:amber+strict)
+   */
   extractTLP(tags) {
-    if (!tags) return 'white';
-    
-    for (const tag of tags) {
-      if (tag.name.toLowerCase().includes('tlp:')) {
-        return tag.name.toLowerCase().replace('tlp:', '');
-      }
-    }
-    return 'white';
+    return tlpFromTags(tags) || 'clear';
   }
 
   parseSTIXPattern(pattern) {
-    // Simple STIX pattern parser
-    const patterns = {
-      ip: /\[ipv4-addr:value = '([^']+)'\]/,
-      domain: /\[domain-name:value = '([^']+)'\]/,
-      hash: /\[file:hashes\.(?:MD5|SHA-1|SHA-256) = '([^']+)'\]/,
-      url: /\[url:value = '([^']+)'\]/,
-      email: /\[email-addr:value = '([^']+)'\]/
-    };
-
-    for (const [type, regex] of Object.entries(patterns)) {
-      const match = pattern.match(regex);
-      if (match) {
-        return { type, value: match[1] };
+    // First observable of the pattern, see extractObservables for all of them
+    try {
+      const [first] = extractObservables(pattern).observables;
+      if (first) {
+        return { type: first.type, value: first.value };
       }
+    } catch (error) {
+      // Unparseable patterns carry no indicator
     }
 
     return { type: null, value: null };
@@ -525,16 +736,24 @@ class ThreatIntelClient {
     return 'medium';
   }
 
-  extractSTIXTLP(markingRefs) {
-    if (!markingRefs) return 'white';
-    
-    for (const ref of markingRefs) {
-      if (ref.includes('tlp')) {
-        const tlp = ref.split(':').pop();
-        return tlp || 'white';
-      }
-    }
-    return 'white';
+  /**
+   * Severity level of a JSON feed record, medium when the feed's value is
+   * missing or unknown
+   */
+  mapFeedSeverity(severity) {
+    const level = typeof severity === 'string' ? severity.trim().toLowerCase() : '';
+    if (SEVERITY_LEVELS.includes(level)) return level;
+    return SEVERITY_ALIASES[level] || 'medium';
+  }
+
+  /**
+   * TLP level of STIX object_marking_refs, from the well-known TLP 1.0 and
+   * 2.0 marking definitions or TLP marking definitions in the same bundle
+   * @param {string[]} markingRefs - Marking definition IDs
+   * @param {Map} markingDefinitions - marking-definition objects by ID
+   */
+  extractSTIXTLP(markingRefs, markingDefinitions) {
+    return tlpFromMarkings(markingRefs, markingDefinitions) || 'clear';
   }
 }
 
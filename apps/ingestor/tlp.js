@@ -0,0 +1,107 @@
+// Traffic Light Protocol markings, least to most restrictive (TLP 2.0)
+// https://www.first.org/tlp/
+const TLP_LEVELS = ['clear', 'green', 'amber', 'amber+strict', 'red'];
+
+// TLP 1.0 names and common spellings
+const TLP_ALIASES = {
+  white: 'clear',
+  'amber-strict': 'amber+strict',
+  'amber strict': 'amber+strict',
+  amber_strict: 'amber+strict'
+};
+
+// Well-known STIX marking definitions: TLP 1.0 from the STIX 2.x
+// specification and TLP 2.0 from the OASIS common objects repository
+const STIX_TLP_MARKINGS = {
+  'marking-definition--613f2e26-407d-48c7-9eca-b8e91df99dc9': 'clear',
+  'marking-definition--34098fce-860f-48ae-8e50-ebd3cc5e41da': 'green',
+  'marking-definition--f88d31f6-486f-44da-b317-01333bde0b82': 'amber',
+  'marking-definition--5e57c739-391a-4eb3-b6be-7d15ca92d5ed': 'red',
+  'marking-definition--94868c89-83c2-464b-929b-a1a8aa3c8487': 'clear',
+  'marking-definition--bab4a63c-aed9-4cf5-a766-dfca5abac2bb': 'green',
+  'marking-definition--55d920b0-5e8b-4f79-9ee9-91f868d9b421': 'amber',
+  'marking-definition--939a9414-2ddd-4d32-a0cd-375ea402b003': 'amber+strict',
+  'marking-definition--e828b379-4e03-4974-9ac4-e53a884c97c1': 'red'
+};
+
+// Property extension carrying the TLP 2.0 level of custom marking definitions
+const TLP_2_EXTENSION = 'extension-definition--60a3c5c5-0d10-413e-aab3-9e08dde9e88d';
+
+/**
+ * TLP level of a marking such as "TLP:AMBER+STRICT", "tlp:white" or "green"
+ * @param {string} value - Marking
+ * @returns {string|null} - clear, green, amber, amber+strict, red or null
+ */
+function parseTLP(value) {
+  if (typeof value !== 'string') return null;
+
+  const name = value.trim().toLowerCase().replace(/^tlp\s*:\s*/, '');
+  const level = TLP_ALIASES[name] || name;
+  return TLP_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Rank of a TLP level, higher is more restrictive; unknown levels rank as red
+ */
+function tlpRank(level) {
+  const rank = TLP_LEVELS.indexOf(parseTLP(level));
+  return rank === -1 ? TLP_LEVELS.length - 1 : rank;
+}
+
+/**
+ * Most restrictive of a list of TLP levels, null for an empty list
+ * @param {string[]} levels - TLP levels
+ */
+function mostRestrictiveTLP(levels) {
+  const known = levels.filter(Boolean);
+  if (known.length === 0) return null;
+
+  return TLP_LEVELS[Math.max(...known.map(tlpRank))];
+}
+
+/**
+ * TLP level of a set of MISP tags ({ name: 'tlp:amber' }); with several tlp
+ * tags the most restrictive wins
+ * @param {Object[]} tags - MISP tags
+ * @returns {string|null}
+ */
+function tlpFromTags(tags = []) {
+  return mostRestrictiveTLP(tags.map(tag => parseTLP(tag && (tag.name || tag))));
+}
+
+/**
+ * TLP level of a custom STIX marking-definition object
+ * @param {Object} definition - marking-definition object
+ */
+function tlpFromMarkingDefinition(definition) {
+  if (!definition) return null;
+
+  const extension = definition.extensions && definition.extensions[TLP_2_EXTENSION];
+  if (extension && extension.tlp_2_0) return parseTLP(extension.tlp_2_0);
+
+  if (definition.definition_type === 'tlp' && definition.definition) {
+    return parseTLP(definition.definition.tlp);
+  }
+
+  return definition.definition_type === 'tlp' || extension ? parseTLP(definition.name) : null;
+}
+
+/**
+ * TLP level of a STIX object's object_marking_refs
+ * @param {string[]} markingRefs - Marking definition IDs
+ * @param {Map} definitions - Marking definitions from the same bundle, by ID
+ * @returns {string|null}
+ */
+function tlpFromMarkings(markingRefs = [], definitions = new Map()) {
+  return mostRestrictiveTLP(markingRefs.map(ref => STIX_TLP_MARKINGS[ref] || tlpFromMarkingDefinition(definitions.get(ref))));
+}
+
+module.exports = {
+  TLP_LEVELS,
+  STIX_TLP_MARKINGS,
+  parseTLP,
+  tlpRank,
+  mostRestrictiveTLP,
+  tlpFromTags,
+  tlpFromMarkings
+};
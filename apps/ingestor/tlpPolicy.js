@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { TLP_LEVELS, parseTLP, tlpRank } = require('./tlp');
+
+const TARGET_KINDS = ['sinks', 'consumers', 'exports'];
+
+// Highest marking each kind of target receives unless configured otherwise:
+// RED never leaves the ingestor, exports leave the organisation's systems
+const DEFAULT_POLICY = {
+  sinks: { default: 'amber+strict' },
+  consumers: { default: 'amber+strict' },
+  exports: { default: 'green' }
+};
+
+/**
+ * Decides which TLP markings each sink, API consumer and export may receive
+ *
+ * Every target has a maximum marking; an indicator is released to a target
+ * only when its marking is at most that restrictive. Policy file shape:
+ *   sinks:
+ *     default: amber+strict
+ *     kafka: amber
+ *   consumers:
+ *     default: clear
+ *     soc-dashboard: { token: env:SOC_DASHBOARD_TOKEN, max_tlp: amber+strict }
+ *   exports:
+ *     default: green
+ *     stix: amber
+ */
+class TLPPolicy {
+  /**
+   * @param {Object} policy - Policy in the file shape above
+   * @param {Object} options - Policy options
+   * @param {Function} options.resolveCredential - Resolves env:/file: consumer tokens
+   */
+  constructor(policy = {}, options = {}) {
+    const errors = TLPPolicy.validate(policy);
+    if (errors.length > 0) {
+      throw new Error(`Invalid TLP policy:\n  ${errors.join('\n  ')}`);
+    }
+
+    const resolveCredential = options.resolveCredential || (ref => ref);
+    this.targets = {};
+    this.consumerTokens = new Map();
+
+    for (const kind of TARGET_KINDS) {
+      const entries = { ...DEFAULT_POLICY[kind], ...policy[kind] };
+      this.targets[kind] = {};
+
+      for (const [name, entry] of Object.entries(entries)) {
+        const maxTLP = typeof entry === 'string' ? entry : entry.max_tlp;
+        this.targets[kind][name] = parseTLP(maxTLP);
+
+        if (kind === 'consumers' && entry.token) {
+          const token = resolveCredential(entry.token);
+          if (token) this.consumerTokens.set(token, name);
+        }
+      }
+    }
+  }
+
+  /**
+   * Load a policy from a YAML or JSON file
+   * @param {string} filePath - Policy file
+   * @param {Object} options - See constructor
+   */
+  static fromFile(filePath, options = {}) {
+    let policy;
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      policy = ['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase())
+        ? YAML.parse(content)
+        : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid TLP policy file ${filePath}: ${error.message}`);
+    }
+
+    return new TLPPolicy(policy || {}, options);
+  }
+
+  /**
+   * Check a policy before it is used
+   * @returns {string[]} - Problems found, empty when valid
+   */
+  static validate(policy) {
+    const errors = [];
+
+    for (const kind of Object.keys(policy)) {
+      if (!TARGET_KINDS.includes(kind)) {
+        errors.push(`unknown section "${kind}" (known: ${TARGET_KINDS.join(', ')})`);
+        continue;
+      }
+
+      for (const [name, entry] of Object.entries(policy[kind] || {})) {
+        const maxTLP = typeof entry === 'string' ? entry : entry && entry.max_tlp;
+        if (!parseTLP(maxTLP)) {
+          errors.push(`${kind}.${name}: max TLP must be one of ${TLP_LEVELS.join(', ')}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Highest marking a target may receive
+   * @param {string} kind - sinks, consumers or exports
+   * @param {string} name - Target name, falls back to the kind's default
+   */
+  maxTLP(kind, name) {
+    const targets = this.targets[kind];
+    if (!targets) throw new Error(`Unknown TLP policy target kind "${kind}"`);
+
+    return targets[name] || targets.default;
+  }
+
+  /**
+   * Whether a target may receive an indicator with this marking; markings
+   * we cannot read count as RED
+   * @param {string} kind - sinks, consumers or exports
+   * @param {string} name - Target name
+   * @param {string} tlp - Marking of the indicator
+   */
+  allows(kind, name, tlp) {
+    return tlpRank(tlp || 'clear') <= tlpRank(this.maxTLP(kind, name));
+  }
+
+  /**
+   * Split indicators into those a target may receive and those withheld
+   * @param {string} kind - sinks, consumers or exports
+   * @param {string} name - Target name
+   * @param {Object[]} indicators - Items with a tlp_marking
+   * @returns {Object} - { allowed, withheld }
+   */
+  filter(kind, name, indicators) {
+    const allowed = [];
+    const withheld = [];
+
+    for (const indicator of indicators) {
+      (this.allows(kind, name, indicator.tlp_marking) ? allowed : withheld).push(indicator);
+    }
+
+    return { allowed, withheld };
+  }
+
+  /**
+   * Name of the API consumer presenting a bearer token, 'default' when the
+   * token is missing or unknown
+   * @param {string} authorization - Authorization header
+   */
+  consumerFor(authorization) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    return (match && this.consumerTokens.get(match[1].trim())) || 'default';
+  }
+
+  /**
+   * Effective policy without consumer tokens, for the control API
+   */
+  describe() {
+    return JSON.parse(JSON.stringify(this.targets));
+  }
+}
+
+module.exports = TLPPolicy;
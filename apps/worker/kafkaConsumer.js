@@ -1,4 +1,5 @@
 const { Kafka } = require('kafkajs');
+const { decodeEnvelope, SchemaValidationError } = require('financial-risk-analyzer-schemas');
 const { processTask } = require('./taskProcessor');
 require('dotenv').config();
 
@@ -54,8 +55,14 @@ async function startConsumer(callbacks = {}) {
     await consumer.run({
       eachMessage: async ({ topic, partition, message }) => {
         try {
-          const messageValue = JSON.parse(message.value.toString());
-          console.log(`Received message from partition ${partition}`);
+          // Older envelopes are upconverted; anything that still doesn't
+          // match the shared schema is rejected instead of scored
+          const messageValue = decodeEnvelope(message.value);
+          console.log(`Received ${messageValue.event_type} message from partition ${partition}`);
+          
+          if (messageValue.event_type !== 'financial_tick') {
+            return;
+          }
           
           // Process the message
           const result = await processTask(messageValue);
@@ -68,6 +75,11 @@ async function startConsumer(callbacks = {}) {
           
           console.log(`Processed message with risk score: ${result?.riskScore}`);
         } catch (error) {
+          if (error instanceof SchemaValidationError) {
+            console.error(`Rejected message at ${topic}/${partition}@${message.offset}: ${error.message}`);
+            if (callbacks.onRejected) callbacks.onRejected(error);
+            return;
+          }
           console.error('Error processing message:', error);
         }
       },
@@ -18,6 +18,11 @@ const processedMessagesCounter = new promClient.Counter({
   help: 'Total number of processed financial data messages'
 });
 
+const rejectedMessagesCounter = new promClient.Counter({
+  name: 'financial_risk_rejected_messages_total',
+  help: 'Messages rejected because they do not match the shared event schema'
+});
+
 const riskScoreHistogram = new promClient.Histogram({
   name: 'financial_risk_score',
   help: 'Distribution of calculated risk scores',
@@ -54,6 +59,9 @@ async function startServer() {
       onRiskScoreCalculated: (score) => {
         riskScoreHistogram.observe(score);
         console.log(`📈 Risk score calculated: ${score}`);
+      },
+      onRejected: () => {
+        rejectedMessagesCounter.inc();
       }
     });
     console.log('✅ Kafka consumer started and waiting for messages...');
@@ -2,7 +2,7 @@ const { saveRiskScore } = require('./db');
 
 /**
  * Process financial data and compute risk score
- * @param {Object} data - Financial data from Kafka
+ * @param {Object} data - financial_tick event from Kafka
  * @returns {Object} - Processing result with risk score
  */
 async function processTask(data) {
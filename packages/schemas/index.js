@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+// Version producers write; consumers upconvert anything older to it
+const SCHEMA_VERSION = 1;
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas', `v${SCHEMA_VERSION}`);
+
+const EVENT_TYPES = [
+  'threat_indicator',
+  'indicator_updated',
+  'indicator_expired',
+  'indicator_revoked',
+  'financial_tick',
+  'analysis_result',
+  'alert'
+];
+
+// Schema of each event type's data, for producers checking a payload
+// before they build the event
+const DATA_SCHEMAS = {
+  threat_indicator: 'threat_indicator.json#/definitions/indicator',
+  indicator_updated: 'threat_indicator.json#/definitions/indicator'
+};
+
+/**
+ * An event that does not match its schema, or cannot be upconverted
+ */
+class SchemaValidationError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+for (const file of fs.readdirSync(SCHEMA_DIR).filter(name => name.endsWith('.json'))) {
+  ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+}
+
+function schemaId(ref) {
+  return `v${SCHEMA_VERSION}/${ref}`;
+}
+
+function formatErrors(errors, prefix = '') {
+  return (errors || []).map(error => {
+    const at = `${prefix}${error.instancePath.replace(/^\//, '').replace(/\//g, '.')}`;
+    const detail = error.keyword === 'additionalProperties' ? `: ${error.params.additionalProperty}`
+      : error.keyword === 'enum' ? `: ${error.params.allowedValues.join(', ')}`
+        : '';
+    return `${at || 'event'} ${error.message}${detail}`;
+  });
+}
+
+// TLP 1.0 WHITE became CLEAR in TLP 2.0
+const toTLP2 = marking => (marking === 'white' ? 'clear' : marking);
+
+/**
+ * Upconverters from each older version to the next, keyed by the version
+ * they read. Version 0 is everything sent before envelopes had a
+ * schema_version.
+ */
+const UPCONVERTERS = {
+  0: message => {
+    // The AI engine's analyses used to be sent without an envelope
+    if (message.event_type === undefined && message.analysis && message.original_data) {
+      return {
+        schema_version: 1,
+        event_type: 'analysis_result',
+        timestamp: message.timestamp,
+        source: 'ai-engine',
+        data: {
+          threat_id: message.analysis.threat_id,
+          analysis: message.analysis,
+          original_event: message.original_data,
+          processing_time_ms: message.processing_time_ms,
+          engine_version: message.engine_version
+        }
+      };
+    }
+
+    const upconverted = { ...message, schema_version: 1 };
+    if (message.data && message.data.tlp_marking !== undefined) {
+      upconverted.data = { ...message.data, tlp_marking: toTLP2(message.data.tlp_marking) };
+    }
+    if (Array.isArray(message.changes)) {
+      upconverted.changes = message.changes.map(change => (change.field === 'tlp_marking'
+        ? { ...change, previous: toTLP2(change.previous), current: toTLP2(change.current) }
+        : change));
+    }
+    return upconverted;
+  }
+};
+
+/**
+ * Wrap a payload in the current envelope
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {Object} options - Envelope fields
+ * @param {string} options.source - Producing service or feed
+ * @param {string} options.timestamp - Event time, defaults to now
+ * @param {Object[]} options.changes - Changed fields, for indicator_updated
+ * @param {Object} options.backfill - { job, from, to } of a backfill replaying the event
+ */
+function createEnvelope(eventType, data, options = {}) {
+  const envelope = {
+    schema_version: SCHEMA_VERSION,
+    event_type: eventType,
+    timestamp: options.timestamp || new Date().toISOString(),
+    source: options.source,
+    data
+  };
+
+  if (options.changes) envelope.changes = options.changes;
+  if (options.backfill) envelope.backfill = options.backfill;
+  return envelope;
+}
+
+/**
+ * Check an event against the current schema of its type
+ * @param {Object} envelope - Event at SCHEMA_VERSION
+ * @returns {string[]} - Problems found, empty when valid
+ */
+function validateEnvelope(envelope) {
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return ['event must be an object'];
+  }
+  if (!EVENT_TYPES.includes(envelope.event_type)) {
+    return [`unknown event_type "${envelope.event_type}" (known: ${EVENT_TYPES.join(', ')})`];
+  }
+
+  const validate = ajv.getSchema(schemaId(`${envelope.event_type}.json`));
+  return validate(envelope) ? [] : formatErrors(validate.errors);
+}
+
+/**
+ * Check an event's payload before it is wrapped, so a producer can drop one
+ * bad record instead of failing a whole batch
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @returns {string[]} - Problems found, empty when valid
+ */
+function validateData(eventType, data) {
+  if (!EVENT_TYPES.includes(eventType)) {
+    return [`unknown event_type "${eventType}"`];
+  }
+
+  const validate = ajv.getSchema(schemaId(DATA_SCHEMAS[eventType] || `${eventType}.json#/properties/data`));
+  return validate(data) ? [] : formatErrors(validate.errors, 'data.');
+}
+
+/**
+ * Throw unless an event matches its schema
+ * @param {Object} envelope - Event at SCHEMA_VERSION
+ */
+function assertValidEnvelope(envelope) {
+  const errors = validateEnvelope(envelope);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(`Invalid ${(envelope && envelope.event_type) || 'event'} v${SCHEMA_VERSION}`, errors);
+  }
+  return envelope;
+}
+
+/**
+ * Bring an event written against an older schema version up to the current one
+ * @param {Object} message - Event at any known version
+ */
+function upconvert(message) {
+  let current = message;
+  let version = current.schema_version === undefined ? 0 : current.schema_version;
+
+  if (!Number.isInteger(version) || version < 0) {
+    throw new SchemaValidationError(`Invalid schema_version ${JSON.stringify(version)}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new SchemaValidationError(`schema_version ${version} is newer than the supported ${SCHEMA_VERSION}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    current = UPCONVERTERS[version](current);
+    version = current.schema_version;
+  }
+
+  return current;
+}
+
+/**
+ * Parse, upconvert and validate a Kafka message value
+ * @param {Buffer|string|Object} value - Message value
+ * @returns {Object} - Event at SCHEMA_VERSION
+ * @throws {SchemaValidationError} - When the event cannot be used
+ */
+function decodeEnvelope(value) {
+  let message = value;
+
+  if (Buffer.isBuffer(value) || typeof value === 'string') {
+    try {
+      message = JSON.parse(value.toString());
+    } catch (error) {
+      throw new SchemaValidationError(`Message is not JSON: ${error.message}`);
+    }
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new SchemaValidationError('Message is not a JSON object');
+  }
+
+  return assertValidEnvelope(upconvert(message));
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  EVENT_TYPES,
+  SchemaValidationError,
+  createEnvelope,
+  validateEnvelope,
+  validateData,
+  assertValidEnvelope,
+  upconvert,
+  decodeEnvelope
+};
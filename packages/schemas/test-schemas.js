@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SCHEMA_VERSION,
+  SchemaValidationError,
+  createEnvelope,
+  validateEnvelope,
+  validateData,
+  decodeEnvelope
+} = require('./index');
+
+const indicator = {
+  id: 'ioc-1',
+  hash: 'a1b2c3',
+  indicator_type: 'ip',
+  indicator_value: '198.51.100.7',
+  confidence_score: 80,
+  severity_level: 'high',
+  tlp_marking: 'amber',
+  source_feeds: ['abuse.ch'],
+  first_seen: '2024-01-02T00:00:00.000Z',
+  last_seen: '2024-01-03T00:00:00.000Z'
+};
+
+const tick = {
+  id: 'AAPL-2024-01-02T00:00:00.000Z',
+  symbol: 'AAPL',
+  timestamp: '2024-01-02T00:00:00.000Z',
+  open: 187.15,
+  high: 188.44,
+  low: 183.89,
+  close: 185.64,
+  volume: 82488674
+};
+
+const analysis = {
+  threat_id: 'ioc-1',
+  hash: 'a1b2c3',
+  analysis: { threat_id: 'ioc-1', composite_score: 72.5, confidence_level: 81, risk_assessment: { risk_score: 70 } },
+  engine_version: '1.0.0'
+};
+
+test('accepts a valid event of every type', () => {
+  const events = [
+    createEnvelope('threat_indicator', indicator, { source: 'ingestor' }),
+    createEnvelope('threat_indicator', indicator, { source: 'ingestor', backfill: { job: 'b1', from: '2024-01-01T00:00:00.000Z', to: '2024-01-02T00:00:00.000Z' } }),
+    createEnvelope('indicator_updated', indicator, { source: 'ingestor', changes: [{ field: 'confidence_score', from: 60, to: 80 }] }),
+    createEnvelope('indicator_expired', { hash: 'a1b2c3', indicator_type: 'ip', indicator_value: '198.51.100.7', expired_at: '2024-02-01T00:00:00.000Z', reason: 'ttl' }, { source: 'ingestor' }),
+    createEnvelope('indicator_revoked', { hash: 'a1b2c3', indicator_type: 'ip', indicator_value: '198.51.100.7', revoked_at: '2024-02-01T00:00:00.000Z' }, { source: 'ingestor' }),
+    createEnvelope('financial_tick', tick, { source: 'ingestor' }),
+    createEnvelope('analysis_result', analysis, { source: 'ai-engine' }),
+    createEnvelope('alert', { alert_id: 'al-1', severity: 'critical', title: 'High risk', triggered_at: '2024-01-02T00:00:00.000Z' }, { source: 'worker' })
+  ];
+
+  for (const event of events) {
+    assert.deepStrictEqual(validateEnvelope(event), [], event.event_type);
+    assert.strictEqual(event.schema_version, SCHEMA_VERSION);
+  }
+});
+
+test('reports what is wrong with an invalid event', () => {
+  const badTick = createEnvelope('financial_tick', { ...tick, close: '185.64' }, { source: 'ingestor' });
+  assert.deepStrictEqual(validateEnvelope(badTick), ['data.close must be number']);
+
+  const badIndicator = createEnvelope('threat_indicator', { ...indicator, tlp_marking: 'white' }, { source: 'ingestor' });
+  assert.match(validateEnvelope(badIndicator).join(), /data\.tlp_marking must be equal to one of the allowed values: clear, green/);
+
+  const extra = { ...createEnvelope('alert', { alert_id: 'al-1', severity: 'low', title: 'x', triggered_at: 'now' }, { source: 'worker' }), note: 1 };
+  assert.deepStrictEqual(validateEnvelope(extra), ['event must NOT have additional properties: note']);
+
+  assert.match(validateEnvelope({ event_type: 'heartbeat' })[0], /unknown event_type "heartbeat"/);
+  assert.deepStrictEqual(validateEnvelope(createEnvelope('financial_tick', tick)), ["event must have required property 'source'"]);
+
+  assert.deepStrictEqual(validateData('financial_tick', tick), []);
+  assert.deepStrictEqual(validateData('threat_indicator', { ...indicator, confidence_score: 120 }), ['data.confidence_score must be <= 100']);
+});
+
+test('upconverts events sent before schema_version existed', () => {
+  const legacyIndicator = {
+    event_type: 'threat_indicator',
+    timestamp: '2024-01-03T00:00:00.000Z',
+    source: 'threat-intelligence-ingestor',
+    producer_timestamp: 1704240000000,
+    data: indicator
+  };
+  const decoded = decodeEnvelope(Buffer.from(JSON.stringify(legacyIndicator)));
+  assert.strictEqual(decoded.schema_version, 1);
+  assert.deepStrictEqual(decoded.data, indicator);
+
+  const legacyAnalysis = {
+    timestamp: '2024-01-03T00:00:01.000Z',
+    original_data: legacyIndicator,
+    analysis: analysis.analysis,
+    processing_time_ms: 12,
+    engine_version: '1.0.0'
+  };
+  const result = decodeEnvelope(JSON.stringify(legacyAnalysis));
+  assert.strictEqual(result.event_type, 'analysis_result');
+  assert.strictEqual(result.source, 'ai-engine');
+  assert.strictEqual(result.data.threat_id, 'ioc-1');
+  assert.deepStrictEqual(result.data.original_event, legacyIndicator);
+});
+
+test('upconverts TLP:WHITE of events sent before schema_version existed to TLP:CLEAR', () => {
+  const white = { ...indicator, tlp_marking: 'white' };
+  const decoded = decodeEnvelope(JSON.stringify({
+    event_type: 'threat_indicator',
+    timestamp: '2024-01-03T00:00:00.000Z',
+    source: 'threat-intelligence-ingestor',
+    data: white
+  }));
+  assert.strictEqual(decoded.data.tlp_marking, 'clear');
+  assert.strictEqual(white.tlp_marking, 'white');
+
+  const updated = decodeEnvelope(JSON.stringify({
+    event_type: 'indicator_updated',
+    timestamp: '2024-01-03T00:00:00.000Z',
+    source: 'threat-intelligence-ingestor',
+    data: white,
+    changes: [
+      { field: 'tlp_marking', previous: 'white', current: 'green' },
+      { field: 'confidence_score', previous: 60, current: 80 }
+    ]
+  }));
+  assert.deepStrictEqual(updated.changes, [
+    { field: 'tlp_marking', previous: 'clear', current: 'green' },
+    { field: 'confidence_score', previous: 60, current: 80 }
+  ]);
+
+  // Only version 0 used TLP 1.0
+  assert.throws(() => decodeEnvelope(JSON.stringify(createEnvelope('threat_indicator', white, { source: 'x' }))), SchemaValidationError);
+});
+
+test('rejects messages it cannot use', () => {
+  const newer = { ...createEnvelope('financial_tick', tick, { source: 'ingestor' }), schema_version: SCHEMA_VERSION + 1 };
+  assert.throws(() => decodeEnvelope(JSON.stringify(newer)), /schema_version 2 is newer than the supported 1/);
+
+  assert.throws(() => decodeEnvelope(Buffer.from('not json')), SchemaValidationError);
+  assert.throws(() => decodeEnvelope('[1, 2]'), /not a JSON object/);
+  assert.throws(() => decodeEnvelope({ ...tick, schema_version: 'one' }), /Invalid schema_version "one"/);
+
+  const invalid = (() => {
+    try {
+      decodeEnvelope({ schema_version: 1, event_type: 'financial_tick', timestamp: 'now', source: 'x', data: { symbol: 'AAPL' } });
+    } catch (error) {
+      return error;
+    }
+  })();
+  assert.ok(invalid instanceof SchemaValidationError);
+  assert.deepStrictEqual(invalid.errors, ["data must have required property 'id'", "data must have required property 'timestamp'", "data must have required property 'close'"]);
+});